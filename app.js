@@ -1,10 +1,105 @@
+import {
+  DEFAULTS,
+  VALID_RANGES,
+  RANGE_PRESETS,
+  VALID_VIEWS,
+  MAX_COMPARE_STATES,
+  DEFAULT_SORT,
+  ISO_DATE,
+  MONTH_KEY,
+  SOLVER_FIELDS,
+  DEFAULT_SOLVER_TARGET,
+  PROJECTION_YEARS,
+  RATE_PATHS,
+  DEFAULT_PROJECTION,
+  PROJECTION_LIMITS,
+  OVERLAYS,
+  DEFAULT_SCENARIO,
+  VALID_TERMS,
+  SCENARIO_LIMITS,
+  STATE_NAMES,
+} from './js/config.js';
+import {
+  resolveState,
+  clampNumber,
+  parseCustomHousehold,
+  parseRatePoints,
+  formatRatePoints,
+  isDefaultScenario,
+  readUrlParams,
+  isAnyFilterNonDefault,
+  buildQuery,
+} from './js/url.js';
+import { toIsoLocal, rangeStart, rangeIndices, customRangeIndices, visibleIndices, offsetIndex } from './js/dates.js';
+import {
+  formatMoney,
+  formatNumber,
+  formatPercent,
+  formatRatio,
+  formatDate,
+  formatMonth,
+  formatTimestamp,
+  formatList,
+  signed,
+  formatChange,
+} from './js/format.js';
+import { incomeOf, qualityFlags, alignToLabels } from './js/data.js';
+import { validateMarket } from './js/validate.js';
+import { toneSequence } from './js/sonify.js';
+import {
+  SOLVER_MAX_RATE,
+  monthlyPayment,
+  chargesPmi,
+  solveIncreasing,
+  totalCost,
+  applyScenario,
+  solveAffordability,
+  buildProjection,
+} from './js/mortgage.js';
+import { movingAverage, seriesStats, percentileOf, attributeRatioChange } from './js/stats.js';
+import { extremes, largestSwings, turningPoints } from './js/analysis.js';
+import { createRepository, REPO_POOL_SIZE } from './js/repository.js';
+import { buildExportRows, buildExportProvenance, toCsv } from './js/export.js';
+import {
+  CARD_SIZES,
+  DEFAULT_CARD_SIZE,
+  describeSources,
+  describeCaveats,
+  buildSummaryCard,
+  paintSummaryCard,
+  summaryCardSvg,
+} from './js/summary-card.js';
+import { MAP_WIDTH, MAP_HEIGHT, STATE_SHAPES } from './js/state-shapes.js';
+import { t, intlLocale, stateName, setLocale, matchLocale, LOCALES, DEFAULT_LOCALE } from './js/i18n.js';
+
 (() => {
-  // Defaults for URL params (non-default values are written to the URL)
-  const DEFAULTS = { state: 'ALL', range: '2y', view: 'both', yaxis: 'auto' };
-  const VALID_RANGES = ['1y', '2y', '5y', 'all'];
-  const VALID_VIEWS = ['both', 'single', 'household'];
-  const VIEW_TO_BTN = { both: 'btnBoth', single: 'btnSingle', household: 'btnHousehold' };
-  const BTN_TO_VIEW = { btnBoth: 'both', btnSingle: 'single', btnHousehold: 'household' };
+  const VIEW_TO_BTN = { both: 'btnBoth', single: 'btnSingle', household: 'btnHousehold', custom: 'btnCustom', rent: 'btnRent' };
+  const BTN_TO_VIEW = { btnBoth: 'both', btnSingle: 'single', btnHousehold: 'household', btnCustom: 'custom', btnRent: 'rent' };
+  // Legend and table names per earner ('single', 'household', 'custom', 'rent')
+  const seriesLabel = earner => t(`series.${earner}`);
+  const HOUSEHOLD_STORAGE_KEY = 'household';
+  const NOTES_STORAGE_KEY = 'notes';
+  const EVENTS_STORAGE_KEY = 'showEvents';
+  const CALLOUTS_STORAGE_KEY = 'showCallouts';
+  const LANG_STORAGE_KEY = 'lang';
+  const MAX_NOTE_LENGTH = 80;
+  const CPI_URL = 'data/cpi.json';
+  const rentUrl = code => `data/rent/${code === 'ALL' ? 'US' : code}.json`;
+
+  const cardSizeLabel = key => {
+    const { width, height } = CARD_SIZES[key];
+    return t(`card.size.${key}`, { width: String(width), height: String(height) });
+  };
+
+  // postMessage types are `${EMBED_MESSAGE}:<name>`
+  const EMBED_MESSAGE = 'affordability';
+
+  // Weeks per data table page (half a year)
+  const TABLE_PAGE_SIZE = 26;
+  // Length of each note when the trend is played, in seconds
+  const TONE_SECONDS = 0.08;
+  // Keys 1-5 on the chart pick views in button order
+  const VIEW_KEYS = ['both', 'single', 'household', 'custom', 'rent'];
 
   // Encapsulated Application State
   const state = {
@@ -13,29 +108,70 @@
     chartColors: {},
     firstEstimatedIndex: -1,
     activePointIndex: -1,
+    // Second point for a two-point comparison, or null
+    anchorIndex: null,
     minDate: null,
     maxDate: null,
     yAxisZero: false,
     currentState: 'ALL',
     currentRange: '2y',
+    // Explicit { from, to } window from the date picker, a zoom or pan, or
+    // the URL; null while a range button applies
+    customRange: null,
     currentView: 'both',
-  };
-
-  // State name lookup for display
-  const STATE_NAMES = {
-    ALL: 'U.S.', AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas',
-    CA: 'California', CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware',
-    DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia', HI: 'Hawaii',
-    ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas',
-    KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland',
-    MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi',
-    MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
-    NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
-    NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma',
-    OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
-    SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah',
-    VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia',
-    WI: 'Wisconsin', WY: 'Wyoming',
+    currentMetric: 'ratio',
+    // Extra markets overlaid on the primary one, keyed by state code
+    compareStates: [],
+    compareData: {},
+    // Loaded file as validated; chartData is this file under the scenario
+    sourceData: null,
+    // The same file as fetched, kept to re-word its diagnostics when the
+    // language changes
+    marketFile: null,
+    scenario: { ...DEFAULT_SCENARIO },
+    // User's own income: { mode: 'income' | 'multiplier', value } or null
+    customHousehold: null,
+    customCosts: null,
+    // Primary market's rent file ({ entries, metadata }) or null when there
+    // isn't one; rentCosts is it aligned to the chart's dates
+    rent: null,
+    rentCosts: null,
+    // Every state's file, loaded on first use of the map or leaderboard
+    allMarkets: null,
+    leaderboardSort: { key: 'single', desc: true },
+    // Shared events from annotations.json plus the user's own notes
+    annotations: { bands: [], events: [] },
+    userNotes: [],
+    showAnnotations: true,
+    // Annotations resolved to chart indices for the current labels
+    placedAnnotations: [],
+    openAnnotationId: null,
+    // Base month ('YYYY-MM') for real dollars, or null for nominal
+    realBase: null,
+    cpi: null,
+    // Inverse solver: { solve, series, target: { date } | { ratio } } or null
+    solver: null,
+    // Date from a shared `at` link, applied once that market has loaded
+    pendingActiveDate: null,
+    // Projection assumptions (see DEFAULT_PROJECTION) or null when off
+    projection: null,
+    // Projected entries per earner and case, aligned to the chart labels
+    projectionEntries: null,
+    // Enabled statistical overlays (see OVERLAYS)
+    overlays: [],
+    // Records, swings and turning points of the primary market (see
+    // syncAnalysis) and the callouts drawn from them for the visible range
+    analysis: null,
+    callouts: [],
+    showCallouts: true,
+    // See QUALITY_MODES
+    quality: 'off',
+    // Chart-only page for iframes (`embed=1`)
+    embed: false,
+    // Zero-based page of the data table within the visible range
+    dataTablePage: 0,
+    // Display language, a LOCALES key
+    locale: DEFAULT_LOCALE,
   };
 
   // DOM Elements
@@ -54,67 +190,397 @@
     stateSelect: document.getElementById('stateSelect'),
     headerEyebrow: document.getElementById('headerEyebrow'),
     dateRangeButtons: document.querySelectorAll('.date-range-buttons .btn'),
+    rangeFrom: document.getElementById('rangeFrom'),
+    rangeTo: document.getElementById('rangeTo'),
     controlsButtons: document.querySelectorAll('.controls-views .btn'),
     chartLiveRegion: document.getElementById('chartLiveRegion'),
     activePointMarkers: document.getElementById('activePointMarkers'),
+    compareSelect: document.getElementById('compareSelect'),
+    compareChips: document.getElementById('compareChips'),
+    compareCard: document.getElementById('compareCard'),
+    embedLink: document.getElementById('embedLink'),
+    cardSize: document.getElementById('cardSize'),
+    btnShare: document.getElementById('btnShare'),
+    sharePanel: document.getElementById('sharePanel'),
+    shareLink: document.getElementById('shareLink'),
+    embedSnippet: document.getElementById('embedSnippet'),
+    shareStatus: document.getElementById('shareStatus'),
+    changeCard: document.getElementById('changeCard'),
+    changeLabel: document.getElementById('changeLabel'),
+    changeTable: document.getElementById('changeTable'),
+    changeAttribution: document.getElementById('changeAttribution'),
+    btnClearAnchor: document.getElementById('btnClearAnchor'),
+    compareValues: document.getElementById('compareValues'),
+    scenarioForm: document.getElementById('scenarioForm'),
+    scenarioSummary: document.getElementById('scenarioSummary'),
+    btnResetScenario: document.getElementById('btnResetScenario'),
+    metricSelect: document.getElementById('metricSelect'),
+    multiplierLabel: document.getElementById('multiplierLabel'),
+    btnCustom: document.getElementById('btnCustom'),
+    btnRent: document.getElementById('btnRent'),
+    householdForm: document.getElementById('householdForm'),
+    householdSummary: document.getElementById('householdSummary'),
+    btnClearHousehold: document.getElementById('btnClearHousehold'),
+    customCard: document.getElementById('customCard'),
+    customComparison: document.getElementById('customComparison'),
+    btnExport: document.getElementById('btnExport'),
+    exportMenu: document.getElementById('exportMenu'),
+    mapPanel: document.getElementById('mapPanel'),
+    mapSvg: document.getElementById('mapSvg'),
+    mapDate: document.getElementById('mapDate'),
+    mapDateLabel: document.getElementById('mapDateLabel'),
+    mapStatus: document.getElementById('mapStatus'),
+    mapLegend: document.getElementById('mapLegend'),
+    mapTooltip: document.getElementById('mapTooltip'),
+    leaderboardPanel: document.getElementById('leaderboardPanel'),
+    leaderboardTable: document.getElementById('leaderboardTable'),
+    leaderboardStatus: document.getElementById('leaderboardStatus'),
+    annotationMarkers: document.getElementById('annotationMarkers'),
+    annotationPopover: document.getElementById('annotationPopover'),
+    notesForm: document.getElementById('notesForm'),
+    notesList: document.getElementById('notesList'),
+    notesSummary: document.getElementById('notesSummary'),
+    showEventsToggle: document.getElementById('showEventsToggle'),
+    btnRealDollars: document.getElementById('btnRealDollars'),
+    realBaseInput: document.getElementById('realBase'),
+    priceLabel: document.getElementById('priceLabel'),
+    incomeLabel: document.getElementById('incomeLabel'),
+    solverPanel: document.getElementById('solverPanel'),
+    solverForm: document.getElementById('solverForm'),
+    solverCard: document.getElementById('solverCard'),
+    solverLabel: document.getElementById('solverLabel'),
+    solverValue: document.getElementById('solverValue'),
+    btnCopySolver: document.getElementById('btnCopySolver'),
+    solverStatus: document.getElementById('solverStatus'),
+    projectionForm: document.getElementById('projectionForm'),
+    projectionSummary: document.getElementById('projectionSummary'),
+    overlaysForm: document.getElementById('overlaysForm'),
+    overlaysSummary: document.getElementById('overlaysSummary'),
+    percentileReadout: document.getElementById('percentileReadout'),
+    calloutsPanel: document.getElementById('calloutsPanel'),
+    calloutsTrend: document.getElementById('calloutsTrend'),
+    calloutsList: document.getElementById('calloutsList'),
+    showCalloutsToggle: document.getElementById('showCalloutsToggle'),
+    rentReadout: document.getElementById('rentReadout'),
+    qualityForm: document.getElementById('qualityForm'),
+    qualitySummary: document.getElementById('qualitySummary'),
+    qualityDetails: document.getElementById('qualityDetails'),
+    dataDiagnostics: document.getElementById('dataDiagnostics'),
+    dataDiagnosticsTitle: document.getElementById('dataDiagnosticsTitle'),
+    dataDiagnosticsList: document.getElementById('dataDiagnosticsList'),
+    chartContainer: document.querySelector('.chart-container'),
+    dataTablePanel: document.getElementById('dataTablePanel'),
+    dataTable: document.getElementById('dataTable'),
+    tablePageStatus: document.getElementById('tablePageStatus'),
+    btnTablePrev: document.getElementById('btnTablePrev'),
+    btnTableNext: document.getElementById('btnTableNext'),
+    btnPlayTrend: document.getElementById('btnPlayTrend'),
+    langSelect: document.getElementById('langSelect'),
   };
 
   let fetchToken = 0;
   let currentFetchController = null;
+  let compareFetchToken = 0;
 
   // URL Parameter Management
-  const resolveState = raw => {
-    if (!raw) return DEFAULTS.state;
-    const upper = raw.toUpperCase();
-    if (upper === 'US' || upper === 'ALL') return 'ALL';
-    return STATE_NAMES[upper] ? upper : DEFAULTS.state;
-  };
-
-  const readUrlParams = () => {
-    const params = new URLSearchParams(window.location.search);
-    const range = (params.get('range') || '').toLowerCase();
-    const view = (params.get('view') || '').toLowerCase();
-    const yaxis = (params.get('yaxis') || '').toLowerCase();
+  const readStoredHousehold = () => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(HOUSEHOLD_STORAGE_KEY));
+      if (!stored) return null;
+      return stored.mode === 'income'
+        ? parseCustomHousehold(stored.value, null)
+        : parseCustomHousehold(null, stored.value);
+    } catch {
+      return null;
+    }
+  };
+
+  const syncUrlParams = () => {
+    const query = buildQuery(state);
+    const url = `${window.location.pathname}?${query}`;
+    history.replaceState(null, '', state.embed ? `${url}&embed=1` : url);
+    if (dom.embedLink) dom.embedLink.href = url;
+
+    if (dom.btnResetFilters) dom.btnResetFilters.hidden = !isAnyFilterNonDefault(state);
+  };
+
+  // Affordability Metrics
+  // Every metric is derived from fields already in each entry; `ratio` is
+  // the pipeline's (or scenario's) lifetime cost over one year of income.
+  const formatRate = d => formatPercent(Number(d.mortgage_rate), 2);
+
+  // Monthly principal + interest under the current scenario's down payment
+  // and term. Taxes, insurance and PMI are deliberately left out.
+  const monthlyPaymentOf = d => {
+    const principal = d.home_price * (1 - state.scenario.down / 100);
+    if (principal <= 0) return 0;
+    return monthlyPayment(principal, Number(d.mortgage_rate), state.scenario.term * 12);
+  };
+
+  // label, short and tooltip are catalog messages (metric.<key>.*), read on
+  // use so they follow a language switch
+  const withText = (key, metric) =>
+    Object.defineProperties(metric, Object.fromEntries(
+      ['label', 'short', 'tooltip'].map(field => [field, { get: () => t(`metric.${key}.${field}`) }]),
+    ));
+
+  const METRICS = {
+    ratio: withText('ratio', {
+      value: d => Number(d.cost_to_income),
+      format: v => formatRatio(v),
+    }),
+    payment: withText('payment', {
+      value: d => Number(((monthlyPaymentOf(d) / (incomeOf(d) / 12)) * 100).toFixed(1)),
+      format: v => formatPercent(v),
+    }),
+    price: withText('price', {
+      value: d => Number((d.home_price / incomeOf(d)).toFixed(2)),
+      format: v => formatRatio(v),
+    }),
+  };
+
+  const currentMetric = () => METRICS[state.currentMetric] || METRICS[DEFAULTS.metric];
+  const formatMetric = d => {
+    const metric = currentMetric();
+    return metric.format(metric.value(d));
+  };
+  const metricSeries = entries => {
+    const metric = currentMetric();
+    return entries.map(d => (d ? metric.value(d) : null));
+  };
+
+  // What a market's line plots: metricSeries, minus every week that isn't a
+  // monthly observation in the observed-only quality view
+  const plottedSeries = entries => {
+    const values = metricSeries(entries);
+    if (state.quality !== 'observed') return values;
+    return values.map((v, i) => (entries[i]?.observed ? v : null));
+  };
+
+  // Point and segment styling for the primary market's series. Normally
+  // estimated stretches are dashed and faded. The quality view dots the
+  // observed weeks, fades interpolated stretches and draws extrapolated
+  // ones dashed in amber.
+  const qualityStyle = (entriesOf, colorKey) => {
+    const entryAt = i => entriesOf()?.[i];
+    const qualityOn = () => state.quality !== 'off';
     return {
-      state: resolveState(params.get('state')),
-      range: VALID_RANGES.includes(range) ? range : DEFAULTS.range,
-      view: VALID_VIEWS.includes(view) ? view : DEFAULTS.view,
-      yaxis: yaxis === 'zero' ? 'zero' : DEFAULTS.yaxis,
+      pointRadius: ctx => (qualityOn() && entryAt(ctx.dataIndex)?.observed ? 3.5 : 0),
+      pointBackgroundColor: () => state.chartColors[colorKey],
+      segment: {
+        borderDash: ctx => {
+          const d = entryAt(ctx.p1DataIndex);
+          if (qualityOn()) return d?.estimated ? [8, 4] : [];
+          return d?.estimated || d?.interpolated ? [8, 4] : [];
+        },
+        borderColor: ctx => {
+          const d = entryAt(ctx.p1DataIndex);
+          const color = state.chartColors[colorKey];
+          if (qualityOn()) {
+            if (d?.estimated) return state.chartColors.amber;
+            return d?.observed && entryAt(ctx.p0DataIndex)?.observed ? color : `${color}99`;
+          }
+          return d?.estimated || d?.interpolated ? `${color}80` : color;
+        },
+      },
     };
   };
 
-  const isAnyFilterNonDefault = () =>
-    state.currentState !== DEFAULTS.state ||
-    state.currentRange !== DEFAULTS.range ||
-    state.currentView !== DEFAULTS.view ||
-    state.yAxisZero !== (DEFAULTS.yaxis === 'zero');
+  // Annotations
+  // Shared events and recession bands come from annotations.json. The user's
+  // own notes are kept in localStorage and drawn on every state's chart.
+  const ANNOTATION_KINDS = {
+    recession: { token: 'textColor' },
+    fed: { token: 'primary' },
+    rates: { token: 'amber' },
+    policy: { token: 'secondary' },
+    note: { token: 'custom' },
+  };
+  const annotationKindName = kind => t(`annotation.kind.${ANNOTATION_KINDS[kind] ? kind : 'note'}`);
 
-  const syncUrlParams = () => {
-    const params = new URLSearchParams();
-    params.set('state', state.currentState.toLowerCase());
-    params.set('range', state.currentRange);
-    params.set('view', state.currentView);
-    params.set('yaxis', state.yAxisZero ? 'zero' : 'auto');
+  const annotationColor = kind =>
+    state.chartColors[(ANNOTATION_KINDS[kind] || ANNOTATION_KINDS.note).token] || '#64748b';
 
-    const url = `${window.location.pathname}?${params.toString()}`;
-    history.replaceState(null, '', url);
+  const readStoredNotes = () => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(NOTES_STORAGE_KEY));
+      if (!Array.isArray(stored)) return [];
+      return stored.filter(
+        note => note && typeof note.id === 'string' && ISO_DATE.test(note.date) && typeof note.label === 'string',
+      );
+    } catch {
+      return [];
+    }
+  };
+
+  // Resolves every annotation to label indices: events and notes snap to the
+  // first weekly date on or after them, bands are clipped to the data range.
+  // Anything entirely outside the loaded dates is left off.
+  const placeAnnotations = labels => {
+    if (!labels.length) return [];
+    const first = labels[0];
+    const last = labels[labels.length - 1];
+    const placeAt = date => (date < first || date > last ? -1 : labels.findIndex(l => l >= date));
+
+    const bands = state.annotations.bands
+      .map(band => ({
+        ...band,
+        index: labels.findIndex(l => l >= band.start),
+        endIndex: labels.findLastIndex(l => l <= band.end),
+      }))
+      .filter(band => band.index !== -1 && band.endIndex >= band.index);
+    const points = [
+      ...state.annotations.events,
+      ...state.userNotes.map(note => ({ ...note, kind: 'note' })),
+    ]
+      .map(item => ({ ...item, index: placeAt(item.date) }))
+      .filter(item => item.index !== -1);
+    // Chronological, so the markers tab left to right
+    return [...bands, ...points].sort((a, b) => a.index - b.index);
+  };
+
+  const annotationDates = item =>
+    item.start
+      ? `${formatDate(item.start)} – ${formatDate(item.end)}`
+      : formatDate(item.date);
+
+  // Rebuilds the clickable markers; the annotations plugin positions them
+  const syncAnnotations = () => {
+    const chart = state.chartInstance;
+    state.placedAnnotations =
+      chart && state.showAnnotations ? placeAnnotations(chart.data.labels) : [];
+
+    const container = dom.annotationMarkers;
+    if (!container) return;
+    container.innerHTML = '';
+    state.placedAnnotations.forEach(item => {
+      const marker = document.createElement('button');
+      marker.type = 'button';
+      marker.className = `annotation-marker ${item.kind}`;
+      marker.dataset.annotationId = item.id;
+      marker.style.setProperty('--marker-color', annotationColor(item.kind));
+      marker.setAttribute('aria-label', `${item.label}, ${annotationDates(item)}`);
+      marker.setAttribute('aria-expanded', String(item.id === state.openAnnotationId));
+      container.appendChild(marker);
+    });
+    if (!state.placedAnnotations.some(item => item.id === state.openAnnotationId)) {
+      closeAnnotation();
+    }
+    if (chart) chart.update('none');
+  };
+
+  const closeAnnotation = () => {
+    state.openAnnotationId = null;
+    if (dom.annotationPopover) dom.annotationPopover.hidden = true;
+    dom.annotationMarkers
+      ?.querySelectorAll('[aria-expanded="true"]')
+      .forEach(marker => marker.setAttribute('aria-expanded', 'false'));
+  };
 
-    if (dom.btnResetFilters) dom.btnResetFilters.hidden = !isAnyFilterNonDefault();
+  const openAnnotation = marker => {
+    const item = state.placedAnnotations.find(a => a.id === marker.dataset.annotationId);
+    if (!item) return;
+    closeAnnotation();
+    state.openAnnotationId = item.id;
+    marker.setAttribute('aria-expanded', 'true');
+
+    const popover = dom.annotationPopover;
+    popover.innerHTML = '';
+    const title = document.createElement('strong');
+    title.textContent = item.label;
+    const meta = document.createElement('span');
+    meta.className = 'annotation-meta';
+    meta.textContent = `${annotationKindName(item.kind)} · ${annotationDates(item)}`;
+    popover.append(title, meta);
+    if (item.description) {
+      const body = document.createElement('p');
+      body.textContent = item.description;
+      popover.appendChild(body);
+    }
+    if (item.kind === 'note') {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-secondary btn-small';
+      remove.dataset.noteId = item.id;
+      remove.textContent = t('notes.deleteNote');
+      popover.appendChild(remove);
+    }
+
+    // Open toward the side of the chart with more room
+    const container = marker.parentElement;
+    const left = marker.offsetLeft;
+    const flip = left > container.clientWidth / 2;
+    popover.style.left = flip ? '' : `${left}px`;
+    popover.style.right = flip ? `${container.clientWidth - left}px` : '';
+    popover.style.top = `${marker.offsetTop + marker.offsetHeight + 6}px`;
+    popover.hidden = false;
   };
 
-  // Formatting Utilities
-  const formatMoney = val => '$' + Math.round(val).toLocaleString();
-  const formatDate = dateStr => {
-    const [y, m, d] = dateStr.split('-');
-    return new Date(y, m - 1, d).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
+  const renderNotesList = () => {
+    if (!dom.notesList) return;
+    const notes = [...state.userNotes].sort((a, b) => a.date.localeCompare(b.date));
+    dom.notesList.innerHTML = '';
+    notes.forEach(note => {
+      const li = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = `${formatDate(note.date)} · ${note.label}`;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-secondary btn-small';
+      remove.dataset.noteId = note.id;
+      remove.setAttribute('aria-label', t('notes.deleteNamed', { label: note.label }));
+      remove.textContent = t('notes.delete');
+      li.append(text, remove);
+      dom.notesList.appendChild(li);
     });
+    dom.notesSummary.textContent = notes.length
+      ? t('notes.count', { count: notes.length })
+      : t('notes.none');
+  };
+
+  const setUserNotes = notes => {
+    state.userNotes = notes;
+    if (notes.length) localStorage.setItem(NOTES_STORAGE_KEY, JSON.stringify(notes));
+    else localStorage.removeItem(NOTES_STORAGE_KEY);
+    renderNotesList();
+    syncAnnotations();
+  };
+
+  const addUserNote = (date, label) => {
+    const text = label.trim().slice(0, MAX_NOTE_LENGTH);
+    if (!ISO_DATE.test(date) || !text) return false;
+    const id = `note-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    setUserNotes([...state.userNotes, { id, date, label: text }]);
+    return true;
   };
-  const toIsoLocal = date => {
-    const pad = n => String(n).padStart(2, '0');
-    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+  const removeUserNote = id => {
+    if (state.openAnnotationId === id) closeAnnotation();
+    setUserNotes(state.userNotes.filter(note => note.id !== id));
+  };
+
+  const setShowAnnotations = show => {
+    state.showAnnotations = show;
+    localStorage.setItem(EVENTS_STORAGE_KEY, show ? 'on' : 'off');
+    if (dom.showEventsToggle) dom.showEventsToggle.checked = show;
+    syncAnnotations();
+  };
+
+  // The chart works without the shared events, so a missing or broken file
+  // is only logged.
+  const loadAnnotations = async () => {
+    try {
+      const response = await fetch('annotations.json');
+      if (!response.ok) throw new Error(`annotations.json: HTTP ${response.status}`);
+      const json = await response.json();
+      state.annotations = {
+        bands: (json.bands || []).filter(b => ISO_DATE.test(b.start) && ISO_DATE.test(b.end)),
+        events: (json.events || []).filter(e => ISO_DATE.test(e.date)),
+      };
+    } catch (error) {
+      console.error(error);
+    }
+    syncAnnotations();
   };
 
   // Chart Plugins
@@ -128,17 +594,148 @@
         if (!meta.data[state.firstEstimatedIndex]) return;
 
         const x = meta.data[state.firstEstimatedIndex].x;
+        // Stops where a projection takes over (see projectedRegion)
+        const lastPoint = state.projectionEntries && meta.data[state.projectionEntries.lastIndex];
+        const right = lastPoint ? Math.min(lastPoint.x, chartArea.right) : chartArea.right;
         ctx.save();
         ctx.fillStyle = `${state.chartColors.amber}14`;
         ctx.fillRect(
           x,
           chartArea.top,
-          chartArea.right - x,
+          right - x,
           chartArea.bottom - chartArea.top,
         );
         ctx.restore();
       },
     },
+    projectedRegion: {
+      id: 'projectedRegion',
+      beforeDraw: chart => {
+        if (!state.projectionEntries) return;
+        const { ctx, chartArea } = chart;
+        const meta = chart.getDatasetMeta(0);
+        const point = meta.data[state.projectionEntries.lastIndex];
+        if (!point || point.x > chartArea.right) return;
+
+        const x = Math.max(point.x, chartArea.left);
+        ctx.save();
+        ctx.fillStyle = `${state.chartColors.textColor}12`;
+        ctx.fillRect(x, chartArea.top, chartArea.right - x, chartArea.bottom - chartArea.top);
+        ctx.fillStyle = state.chartColors.textColor;
+        ctx.font = '600 11px sans-serif';
+        ctx.textBaseline = 'top';
+        if (chartArea.right - x > 70) ctx.fillText(t('projection.regionLabel'), x + 8, chartArea.top + 18);
+        ctx.restore();
+      },
+    },
+    annotations: {
+      id: 'annotations',
+      // Bands and event lines are painted under the datasets like
+      // estimatedRegion; the clickable markers are DOM buttons (see
+      // syncAnnotations) positioned along the top of the plot area.
+      beforeDraw: chart => {
+        if (!state.placedAnnotations.length) return;
+        const { ctx, chartArea } = chart;
+        const meta = chart.getDatasetMeta(0);
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+        ctx.clip();
+        state.placedAnnotations.forEach(item => {
+          const start = meta.data[item.index];
+          if (!start) return;
+          const color = annotationColor(item.kind);
+          if (item.endIndex !== undefined) {
+            const end = meta.data[item.endIndex] || start;
+            ctx.fillStyle = `${color}1f`;
+            ctx.fillRect(start.x, chartArea.top, Math.max(end.x - start.x, 2), chartArea.bottom - chartArea.top);
+            return;
+          }
+          ctx.strokeStyle = `${color}b3`;
+          ctx.lineWidth = 1;
+          ctx.setLineDash([4, 4]);
+          ctx.beginPath();
+          ctx.moveTo(start.x, chartArea.top);
+          ctx.lineTo(start.x, chartArea.bottom);
+          ctx.stroke();
+        });
+        ctx.restore();
+      },
+      afterDraw: chart => {
+        const container = dom.annotationMarkers;
+        if (!container) return;
+        const meta = chart.getDatasetMeta(0);
+        const { chartArea, canvas } = chart;
+        Array.from(container.children).forEach((marker, i) => {
+          const item = state.placedAnnotations[i];
+          const point = item && meta.data[item.index];
+          if (!point || point.x < chartArea.left || point.x > chartArea.right) {
+            marker.style.display = 'none';
+            if (item?.id === state.openAnnotationId) closeAnnotation();
+            return;
+          }
+          // left/top rather than a transform so the popover can read
+          // the marker's offset
+          marker.style.display = 'block';
+          marker.style.left = `${point.x + canvas.offsetLeft}px`;
+          marker.style.top = `${chartArea.top + canvas.offsetTop}px`;
+        });
+      },
+    },
+    callouts: {
+      id: 'callouts',
+      // Labeled markers for the highs, lows, swings and turns (see
+      // buildCallouts) on the first line shown: above the line for the less
+      // affordable side, below it for the more affordable one. Marks in the
+      // same week and on the same side share a label.
+      afterDatasetsDraw: chart => {
+        if (!state.showCallouts || !state.callouts.length) return;
+        const [[earner]] = visibleSeries();
+        const datasetIndex = chart.data.datasets.findIndex(
+          ds => ds.earner === earner && !ds.compareState && !ds.overlay && !ds.projection,
+        );
+        if (datasetIndex === -1 || !chart.isDatasetVisible(datasetIndex)) return;
+        const meta = chart.getDatasetMeta(datasetIndex);
+        const { ctx, chartArea } = chart;
+
+        const groups = new Map();
+        state.callouts.forEach(({ kind, index, mark }) => {
+          if (!mark) return;
+          const key = `${index}:${CALLOUT_KINDS[kind].above}`;
+          if (!groups.has(key)) groups.set(key, { kind, index, marks: [] });
+          groups.get(key).marks.push(mark);
+        });
+
+        ctx.save();
+        ctx.font = '600 11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        groups.forEach(({ kind, index, marks }) => {
+          const p = meta.data[index];
+          if (!p || p.skip || p.x < chartArea.left || p.x > chartArea.right) return;
+          const side = CALLOUT_KINDS[kind].above ? -1 : 1;
+          const color = calloutColor(kind);
+          ctx.fillStyle = color;
+          ctx.beginPath();
+          ctx.moveTo(p.x, p.y + side * 4);
+          ctx.lineTo(p.x - 5, p.y + side * 12);
+          ctx.lineTo(p.x + 5, p.y + side * 12);
+          ctx.closePath();
+          ctx.fill();
+
+          // Kept inside the plot area, even for weeks near its edges
+          const text = marks.join(' · ');
+          const half = ctx.measureText(text).width / 2 + 4;
+          const x = Math.min(Math.max(p.x, chartArea.left + half), chartArea.right - half);
+          const y = Math.min(Math.max(p.y + side * 21, chartArea.top + 8), chartArea.bottom - 8);
+          ctx.fillStyle = `${state.chartColors.bgContainer}d9`;
+          ctx.fillRect(x - half, y - 8, half * 2, 16);
+          ctx.fillStyle = color;
+          ctx.fillText(text, x, y);
+        });
+        ctx.restore();
+      },
+    },
     activePoint: {
       id: 'activePoint',
       // Positions DOM-level markers (inside #activePointMarkers) on each
@@ -150,7 +747,7 @@
         if (!container) return;
 
         const datasets = chart.data.datasets;
-        while (container.children.length < datasets.length) {
+        while (container.children.length < datasets.length * 2) {
           const m = document.createElement('div');
           m.className = 'active-point-marker';
           m.style.display = 'none';
@@ -165,15 +762,22 @@
         const offsetY = canvas.offsetTop;
         const { chartArea } = chart;
 
-        datasets.forEach((_, i) => {
-          const marker = container.children[i];
-          if (state.activePointIndex === -1 || !chart.isDatasetVisible(i)) {
+        // One marker per dataset for the active point, then one per
+        // dataset for the comparison anchor
+        const slots = [state.activePointIndex, state.anchorIndex ?? -1];
+        Array.from(container.children).forEach((marker, k) => {
+          const i = k % datasets.length;
+          const index = slots[Math.floor(k / datasets.length)];
+          marker.classList.toggle('anchor', k >= datasets.length);
+          // Statistical overlays are reference lines, not data points
+          if (index === undefined || index === -1 || datasets[i].overlay || !chart.isDatasetVisible(i)) {
             marker.style.display = 'none';
             return;
           }
-          const p = chart.getDatasetMeta(i).data[state.activePointIndex];
+          const p = chart.getDatasetMeta(i).data[index];
           if (
             !p ||
+            p.skip ||
             p.x < chartArea.left ||
             p.x > chartArea.right ||
             p.y < chartArea.top ||
@@ -219,58 +823,224 @@
     }
   };
 
+  // Whether the primary market's dataset for `earner` is on the chart
+  const isEarnerVisible = earner => {
+    const chart = state.chartInstance;
+    const i = chart.data.datasets.findIndex(ds => ds.earner === earner && !ds.compareState);
+    return i !== -1 && chart.isDatasetVisible(i);
+  };
+
   const updateInfoCards = index => {
     const singleData = state.chartData.single_costs[index];
     const householdData = state.chartData.household_costs[index];
-    const singleVisible = state.chartInstance.isDatasetVisible(0);
-    const householdVisible = state.chartInstance.isDatasetVisible(1);
+    const customData = state.customCosts ? state.customCosts[index] : null;
+    const singleVisible = isEarnerVisible('single');
+    const householdVisible = isEarnerVisible('household');
+    const customVisible = customData !== null && isEarnerVisible('custom');
     const bothVisible = singleVisible && householdVisible;
 
     dom.selectedDate.textContent = formatDate(singleData.date);
-    dom.housePrice.textContent = formatMoney(singleData.home_price);
-    dom.mortgageRate.textContent = `${singleData.mortgage_rate}%`;
-
-    if (bothVisible) {
-      dom.currentMultiplier.innerHTML =
-        `<span class="dual-value single">${singleData.cost_to_income}x</span>` +
-        `<span class="dual-value household">${householdData.cost_to_income}x</span>`;
-      dom.annualIncome.innerHTML =
-        `<span class="dual-value single">${formatMoney(singleData.single_income)}</span>` +
-        `<span class="dual-value household">${formatMoney(householdData.household_income)}</span>`;
-    } else if (householdVisible) {
-      dom.currentMultiplier.textContent = `${householdData.cost_to_income}x`;
-      dom.annualIncome.textContent = formatMoney(householdData.household_income);
+    dom.housePrice.textContent = formatDollars(singleData.home_price, singleData.date);
+    dom.mortgageRate.textContent = formatRate(singleData);
+
+    const shown = [
+      ['single', singleVisible, singleData],
+      ['household', householdVisible, householdData],
+      ['custom', customVisible, customData],
+    ].filter(([, visible]) => visible);
+    if (shown.length === 0) shown.push(['single', true, singleData]);
+
+    if (shown.length > 1) {
+      dom.currentMultiplier.innerHTML = shown
+        .map(([earner, , d]) => `<span class="dual-value ${earner}">${formatMetric(d)}</span>`)
+        .join('');
+      dom.annualIncome.innerHTML = shown
+        .map(([earner, , d]) => `<span class="dual-value ${earner}">${formatDollars(incomeOf(d), d.date)}</span>`)
+        .join('');
     } else {
-      dom.currentMultiplier.textContent = `${singleData.cost_to_income}x`;
-      dom.annualIncome.textContent = formatMoney(singleData.single_income);
+      const [, , d] = shown[0];
+      dom.currentMultiplier.textContent = formatMetric(d);
+      dom.annualIncome.textContent = formatDollars(incomeOf(d), d.date);
     }
 
+    updateCustomCard(customData);
+    updateSolverCard(index);
+    updatePercentileReadout(index, shown[0][0]);
+    updateQualityDetails(index);
+    updateRentReadout(index);
+    renderDataTable();
+    renderCallouts();
+    const changePart = updateChangeCard(index, shown[0][0]);
+
     const details = singleData.estimation_details || {};
-    updateCardBadge(
-      dom.multiplierCard,
-      singleData.estimated || singleData.interpolated,
-      singleData.estimated ? 'Estimated' : 'Interpolated',
-    );
-    updateCardBadge(
-      dom.priceCard,
-      details.price_estimated,
-      singleData.estimated ? 'Estimated' : 'Interpolated',
-    );
-    updateCardBadge(
-      dom.incomeCard,
-      details.income_estimated,
-      singleData.estimated ? 'Estimated' : 'Interpolated',
-    );
+    const badge = t(singleData.estimated ? 'badge.estimated' : 'badge.interpolated');
+    updateCardBadge(dom.multiplierCard, singleData.estimated || singleData.interpolated, badge);
+    updateCardBadge(dom.priceCard, details.price_estimated, badge);
+    updateCardBadge(dom.incomeCard, details.income_estimated, badge);
+
+    const comparisons = updateCompareCard(singleData.date, singleVisible, householdVisible);
 
     if (dom.chartLiveRegion) {
-      const stateName = STATE_NAMES[state.currentState] || state.currentState;
-      const multiplierPart = bothVisible
-        ? `Price-to-Income ${singleData.cost_to_income}x (single) / ${householdData.cost_to_income}x (dual)`
-        : householdVisible
-          ? `Price-to-Income ${householdData.cost_to_income}x`
-          : `Price-to-Income ${singleData.cost_to_income}x`;
-      dom.chartLiveRegion.textContent = `${formatDate(singleData.date)} - ${stateName}: ${multiplierPart}, Median Home Price ${formatMoney(singleData.home_price)}, Mortgage ${singleData.mortgage_rate}%`;
+      const metric = currentMetric().short;
+      let multiplierPart = bothVisible
+        ? t('live.bothSeries', { metric, single: formatMetric(singleData), household: formatMetric(householdData) })
+        : t('live.oneSeries', { metric, value: formatMetric(householdVisible ? householdData : singleData) });
+      if (customVisible) {
+        multiplierPart = singleVisible || householdVisible
+          ? t('live.withCustom', { values: multiplierPart, value: formatMetric(customData) })
+          : t('live.customOnly', { metric, value: formatMetric(customData) });
+      }
+      const comparePart = comparisons.length
+        ? t('live.compared', { list: comparisons.join('; ') })
+        : '';
+      const anchorPart = changePart ? `; ${changePart}` : '';
+      dom.chartLiveRegion.textContent = t('live.point', {
+        date: formatDate(singleData.date),
+        state: stateName(state.currentState),
+        values: multiplierPart,
+        price: `${formatDollars(singleData.home_price, singleData.date)}${dollarsLabel()}`,
+        rate: formatRate(singleData),
+      }) + comparePart + anchorPart;
+    }
+  };
+
+  // "Your Household" card: today's figure against the selected date's
+  const updateCustomCard = customData => {
+    if (!dom.customCard) return;
+    dom.customCard.hidden = customData === null;
+    if (customData === null) return;
+
+    const metric = currentMetric();
+    const latest = state.customCosts[state.customCosts.length - 1];
+    const today = metric.value(latest);
+    const then = metric.value(customData);
+
+    if (latest === customData) {
+      dom.customComparison.textContent = t('custom.today', { value: metric.format(today) });
+      return;
     }
+    const change = then === 0 ? 0 : ((today - then) / then) * 100;
+    const delta = t(change > 0 ? 'custom.higherThan' : 'custom.lowerThan', {
+      change: formatPercent(Math.abs(change)),
+      value: metric.format(then),
+      date: formatDate(customData.date),
+    });
+    dom.customComparison.innerHTML =
+      `<span class="dual-value custom">${t('custom.today', { value: metric.format(today) })}</span>` +
+      `<span class="custom-delta">${delta}</span>`;
+  };
+
+  // Fills the "Compared Markets" card for the given date and returns a
+  // plain-text summary per market for the live region.
+  const updateCompareCard = (date, singleVisible, householdVisible) => {
+    if (!dom.compareCard) return [];
+    // Comparison lines only carry the two BLS-based series
+    const loaded = singleVisible || householdVisible
+      ? state.compareStates.filter(code => state.compareData[code])
+      : [];
+    dom.compareCard.hidden = loaded.length === 0;
+    dom.compareValues.innerHTML = '';
+
+    return loaded.map((code, i) => {
+      const json = applyScenario(state.compareData[code], state.scenario);
+      const single = json.single_costs.find(d => d.date === date);
+      const household = json.household_costs.find(d => d.date === date);
+      const name = stateName(code);
+      const color = compareColor(i);
+
+      const row = document.createElement('div');
+      row.className = 'compare-row';
+      row.innerHTML = `<span class="compare-swatch" style="background:${color}"></span><span class="compare-name">${name}</span>`;
+      const values = [];
+      if (singleVisible) values.push(['single', single ? formatMetric(single) : t('common.na')]);
+      if (householdVisible) values.push(['household', household ? formatMetric(household) : t('common.na')]);
+      values.forEach(([earner, text]) => {
+        const span = document.createElement('span');
+        span.className = `compare-ratio ${earner}`;
+        span.textContent = text;
+        row.appendChild(span);
+      });
+      dom.compareValues.appendChild(row);
+
+      return `${name} ${values.map(([, text]) => text).join(' / ')}`;
+    });
+  };
+
+  // Two-Point Comparison
+  // Fills the change card for the active point against the anchor, using
+  // the first series on the chart for income. Returns a plain-text summary
+  // for the live region, or '' when there's no comparison.
+  const updateChangeCard = (index, earner) => {
+    if (!dom.changeCard) return '';
+    const anchor = state.anchorIndex;
+    dom.changeCard.hidden = anchor === null || anchor === index;
+    if (dom.changeCard.hidden) return '';
+
+    const entries = earner === 'custom' ? state.customCosts : state.chartData[`${earner}_costs`];
+    const a = entries[Math.min(anchor, index)];
+    const b = entries[Math.max(anchor, index)];
+    const ratio = v => formatRatio(v);
+    const rows = [
+      {
+        label: `${t('field.homePrice')}${dollarsLabel()}`,
+        from: toDisplayDollars(a.home_price, a.date),
+        to: toDisplayDollars(b.home_price, b.date),
+        format: formatMoney,
+      },
+      {
+        label: t('field.mortgageRate'),
+        from: Number(a.mortgage_rate),
+        to: Number(b.mortgage_rate),
+        format: v => formatPercent(v, 2),
+        delta: v => t('change.points', { value: formatNumber(v, 2) }),
+      },
+      {
+        label: `${t('field.incomeOf', { series: seriesLabel(earner) })}${dollarsLabel()}`,
+        from: toDisplayDollars(incomeOf(a), a.date),
+        to: toDisplayDollars(incomeOf(b), b.date),
+        format: formatMoney,
+      },
+      {
+        label: `${t('field.totalCost')}${dollarsLabel()}`,
+        from: toDisplayDollars(a.total_cost, a.date),
+        to: toDisplayDollars(b.total_cost, b.date),
+        format: formatMoney,
+      },
+      {
+        label: t('metric.ratio.label'),
+        from: Number(a.cost_to_income),
+        to: Number(b.cost_to_income),
+        format: ratio,
+      },
+    ];
+
+    const dates = { from: formatDate(a.date), to: formatDate(b.date) };
+    dom.changeLabel.textContent = t('change.label', dates);
+    const head = `<thead><tr><th></th><th class="num">${dates.from}</th><th class="num">${dates.to}</th><th class="num">${t('change.column')}</th><th class="num">%</th></tr></thead>`;
+    const body = rows.map(row => {
+      const change = row.to - row.from;
+      const pct = row.from === 0 ? '' : signed((change / row.from) * 100, v => formatPercent(v));
+      return `<tr><th scope="row">${row.label}</th><td class="num">${row.format(row.from)}</td><td class="num">${row.format(row.to)}</td><td class="num">${signed(change, row.delta || row.format)}</td><td class="num">${pct}</td></tr>`;
+    }).join('');
+    dom.changeTable.innerHTML = `${head}<tbody>${body}</tbody>`;
+
+    const parts = attributeRatioChange(a, b, state.scenario);
+    const total = Number(b.cost_to_income) - Number(a.cost_to_income);
+    const summary = t('change.attribution', {
+      total: signed(total, ratio),
+      price: signed(parts.price, ratio),
+      rate: signed(parts.rate, ratio),
+      income: signed(parts.income, ratio),
+    });
+    dom.changeAttribution.textContent = `${summary}.`;
+    return t('change.spoken', { ...dates, summary });
+  };
+
+  // Second point of a two-point comparison; null clears it
+  const setAnchor = index => {
+    state.anchorIndex = index;
+    updateInfoCards(state.activePointIndex);
+    state.chartInstance.update('none');
   };
 
   const readChartTokens = () => {
@@ -278,22 +1048,34 @@
     return {
       primary: style.getPropertyValue('--accent-blue').trim() || '#3b82f6',
       secondary: style.getPropertyValue('--accent-purple').trim() || '#8b5cf6',
+      custom: style.getPropertyValue('--accent-teal').trim() || '#0d9488',
       gridColor: style.getPropertyValue('--border-color').trim() || '#e5e7eb',
       textColor: style.getPropertyValue('--text-secondary').trim() || '#6b7280',
       amber: style.getPropertyValue('--accent-amber').trim() || '#f59e0b',
+      rent: style.getPropertyValue('--accent-emerald').trim() || '#059669',
+      rose: style.getPropertyValue('--accent-rose').trim() || '#e11d48',
       bgContainer: style.getPropertyValue('--bg-container').trim() || '#ffffff',
+      compare: [
+        style.getPropertyValue('--accent-emerald').trim() || '#059669',
+        style.getPropertyValue('--accent-rose').trim() || '#e11d48',
+        style.getPropertyValue('--accent-slate').trim() || '#64748b',
+        style.getPropertyValue('--accent-warning').trim() || '#f59e0b',
+      ],
     };
   };
 
+  const compareColor = i => {
+    const palette = state.chartColors.compare || [];
+    return palette[i % palette.length] || '#64748b';
+  };
+
   const initChart = () => {
     const ctx = document.getElementById('mortgageChart').getContext('2d');
     state.activePointIndex = state.chartData.single_costs.length - 1;
 
     const labels = state.chartData.single_costs.map(d => d.date);
-    const singleData = state.chartData.single_costs.map(d => d.cost_to_income);
-    const householdData = state.chartData.household_costs.map(
-      d => d.cost_to_income,
-    );
+    const singleData = plottedSeries(state.chartData.single_costs);
+    const householdData = plottedSeries(state.chartData.household_costs);
 
     state.chartColors = readChartTokens();
     const { primary: colorPrimary, secondary: colorSecondary, gridColor, textColor } = state.chartColors;
@@ -304,57 +1086,37 @@
         labels,
         datasets: [
           {
-            label: 'Single Earner',
+            label: seriesLabel('single'),
+            earner: 'single',
             data: singleData,
             borderColor: colorPrimary,
             backgroundColor: `${colorPrimary}20`,
             borderWidth: 3,
             tension: 0.4,
-            pointRadius: 0,
             pointHoverRadius: 8,
-            segment: {
-              borderDash: ctx => {
-                const d = state.chartData.single_costs[ctx.p1DataIndex];
-                return d?.estimated || d?.interpolated ? [8, 4] : [];
-              },
-              borderColor: ctx => {
-                const d = state.chartData.single_costs[ctx.p1DataIndex];
-                return d?.estimated || d?.interpolated
-                  ? `${state.chartColors.primary}80`
-                  : state.chartColors.primary;
-              },
-            },
+            ...qualityStyle(() => state.chartData.single_costs, 'primary'),
           },
           {
-            label: 'Dual Income (1.4×)',
+            label: seriesLabel('household'),
+            earner: 'household',
             data: householdData,
             borderColor: colorSecondary,
             backgroundColor: `${colorSecondary}20`,
             borderWidth: 3,
             tension: 0.4,
-            pointRadius: 0,
             pointHoverRadius: 8,
-            segment: {
-              borderDash: ctx => {
-                const d = state.chartData.household_costs[ctx.p1DataIndex];
-                return d?.estimated || d?.interpolated ? [8, 4] : [];
-              },
-              borderColor: ctx => {
-                const d = state.chartData.household_costs[ctx.p1DataIndex];
-                return d?.estimated || d?.interpolated
-                  ? `${state.chartColors.secondary}80`
-                  : state.chartColors.secondary;
-              },
-            },
+            ...qualityStyle(() => state.chartData.household_costs, 'secondary'),
           },
         ],
       },
       options: {
+        locale: intlLocale(),
         responsive: true,
         maintainAspectRatio: false,
         animation: false,
         transitions: { active: { animation: { duration: 0 } } },
         interaction: { mode: 'index', intersect: false },
+        spanGaps: state.quality === 'observed',
         onClick: (e, elements, chart) => {
           let index = -1;
           if (elements.length > 0) index = elements[0].index;
@@ -367,42 +1129,66 @@
             );
             if (points.length > 0) index = points[0].index;
           }
-          if (index !== -1) {
-            state.activePointIndex = index;
-            updateInfoCards(index);
-            chart.update();
+          // Projected weeks have no data behind the info cards
+          index = Math.min(index, state.chartData.single_costs.length - 1);
+          // Shift-click sets the second point of a two-point comparison
+          if (index !== -1 && e.native?.shiftKey) {
+            setAnchor(index);
+          } else if (index !== -1) {
+            selectWeek(index);
           }
         },
         plugins: {
           legend: {
             labels: {
               color: textColor,
-              font: { size: 14, weight: 'bold' },
+              font: { size: state.embed ? 12 : 14, weight: 'bold' },
               usePointStyle: true,
+              // One legend entry per shaded band; both edges share its color
+              filter: (item, data) => !data.datasets[item.datasetIndex]?.hideFromLegend,
             },
           },
           tooltip: {
             backgroundColor: 'rgba(17, 24, 39, 0.9)',
             padding: 15,
+            // A ±1σ band is one tooltip line, on its lower edge
+            filter: item => item.dataset.bound !== 'upper',
             callbacks: {
               title: ctx => {
-                const d = state.chartData.single_costs[ctx[0].dataIndex];
-                let title = `Date: ${ctx[0].label}`;
-                if (d.estimated) title += ' (Estimated)';
-                else if (d.interpolated) title += ' (Interpolated)';
+                const d = primaryEntryAt(ctx[0].dataIndex);
+                const title = t('tooltip.date', { date: ctx[0].label });
+                if (d?.projected) return `${title} (${t('tooltip.projected')})`;
+                if (d?.estimated) return `${title} (${t('badge.estimated')})`;
+                if (d?.interpolated) return `${title} (${t('badge.interpolated')})`;
                 return title;
               },
               afterTitle: ctx => {
-                const d = state.chartData.single_costs[ctx[0].dataIndex];
-                return `\nHome Price: ${formatMoney(d.home_price)}\nMortgage Rate: ${d.mortgage_rate}%\nTotal Cost: ${formatMoney(d.total_cost)}`;
+                const d = primaryEntryAt(ctx[0].dataIndex);
+                if (!d) return '';
+                const lines = [
+                  '',
+                  `${t('field.homePrice')}: ${formatDollars(d.home_price, d.date)}`,
+                  `${t('field.mortgageRate')}: ${formatRate(d)}`,
+                  `${t('field.totalCost')}: ${formatDollars(d.total_cost, d.date)}`,
+                ];
+                if (isRealDollars()) lines.push(t('tooltip.realDollars', { month: formatMonth(state.realBase) }));
+                return lines.join('\n');
               },
               label: ctx => {
-                const isSingle = ctx.datasetIndex === 0;
-                const d = isSingle
-                  ? state.chartData.single_costs[ctx.dataIndex]
-                  : state.chartData.household_costs[ctx.dataIndex];
-                const income = isSingle ? d.single_income : d.household_income;
-                return `${ctx.dataset.label}: Multiplier ${d.cost_to_income}x (Income: ${formatMoney(income)})`;
+                if (ctx.dataset.overlay) return overlayTooltip(ctx.dataset, ctx.raw);
+                if (ctx.dataset.earner === 'rent') return rentTooltip(ctx.dataIndex);
+                let d;
+                if (ctx.dataset.compareState || ctx.dataset.projection) d = ctx.dataset.entries[ctx.dataIndex];
+                else if (ctx.dataset.earner === 'custom') d = state.customCosts[ctx.dataIndex];
+                else if (ctx.dataset.earner === 'single') d = state.chartData.single_costs[ctx.dataIndex];
+                else d = state.chartData.household_costs[ctx.dataIndex];
+                if (!d) return `${ctx.dataset.label}: ${t('common.na')}`;
+                return t('tooltip.value', {
+                  series: ctx.dataset.label,
+                  metric: currentMetric().tooltip,
+                  value: formatMetric(d),
+                  income: formatDollars(incomeOf(d), d.date),
+                });
               },
             },
           },
@@ -411,13 +1197,13 @@
               wheel: { enabled: true, speed: 0.1 },
               pinch: { enabled: true },
               mode: 'x',
-              onZoomComplete: clearDateButtons,
+              onZoomComplete: handleChartZoom,
             },
             pan: {
               enabled: true,
               mode: 'x',
               threshold: 10,
-              onPanComplete: clearDateButtons,
+              onPanComplete: handleChartZoom,
             },
             limits: { x: { min: 'original', max: 'original' } },
           },
@@ -433,7 +1219,7 @@
             grid: { color: gridColor },
             title: {
               display: true,
-              text: 'Price-to-Income Ratio',
+              text: currentMetric().label,
               color: textColor,
               font: { weight: 'bold' },
             },
@@ -442,13 +1228,22 @@
       },
       plugins: [
         plugins.estimatedRegion,
+        plugins.projectedRegion,
+        plugins.annotations,
+        plugins.callouts,
         plugins.activePoint,
         plugins.customCanvasBackgroundColor,
       ],
     });
 
+    syncCustomDataset();
+    syncRentDataset();
+    syncOverlays();
+    syncProjection();
+    syncAnnotations();
+    syncAnalysis();
     updateInfoCards(state.activePointIndex);
-    setDateRange(state.currentRange);
+    applyDateRange();
     applyCurrentView();
 
     // Ensure the DOM marker lands on its final position after the
@@ -463,53 +1258,198 @@
   const updateChartData = () => {
     const chart = state.chartInstance;
     state.activePointIndex = state.chartData.single_costs.length - 1;
+    if (state.anchorIndex !== null && state.anchorIndex > state.activePointIndex) state.anchorIndex = null;
 
     chart.data.labels = state.chartData.single_costs.map(d => d.date);
-    chart.data.datasets[0].data = state.chartData.single_costs.map(d => d.cost_to_income);
-    chart.data.datasets[1].data = state.chartData.household_costs.map(d => d.cost_to_income);
+    chart.data.datasets[0].data = plottedSeries(state.chartData.single_costs);
+    chart.data.datasets[1].data = plottedSeries(state.chartData.household_costs);
+
+    chart.data.datasets = chart.data.datasets.filter(ds => !ds.compareState);
+    syncCustomDataset();
+    syncRentDataset();
+    syncOverlays();
+    syncProjection();
+    syncAnnotations();
+    syncAnalysis();
 
     chart.options.scales.y.beginAtZero = state.yAxisZero;
     chart.resetZoom('none');
     chart.update('none');
 
     updateInfoCards(state.activePointIndex);
-    setDateRange(state.currentRange);
+    applyDateRange();
+    applyCurrentView();
+  };
+
+  // Multi-State Comparison
+  // Comparison files are aligned to the primary market's date axis (see
+  // alignToLabels).
+  const buildCompareDataset = (code, earner, entries, color) => ({
+    label: `${stateName(code)} · ${seriesLabel(earner)}`,
+    compareState: code,
+    earner,
+    entries,
+    data: plottedSeries(entries),
+    borderColor: earner === 'single' ? color : `${color}99`,
+    backgroundColor: `${color}20`,
+    borderWidth: 2,
+    tension: 0.4,
+    pointRadius: 0,
+    pointHoverRadius: 6,
+    segment: {
+      borderDash: ctx => {
+        const d = entries[ctx.p1DataIndex];
+        return d?.estimated || d?.interpolated ? [8, 4] : [];
+      },
+    },
+  });
+
+  const refreshPrimaryLabels = () => {
+    const prefix = state.compareStates.length
+      ? `${stateName(state.currentState)} · `
+      : '';
+    state.chartInstance.data.datasets.forEach(ds => {
+      if (ds.compareState) return;
+      const suffix = ds.labelSuffix ? ` · ${ds.labelSuffix}` : '';
+      ds.label = `${prefix}${seriesLabel(ds.earner)}${suffix}`;
+    });
+  };
+
+  // Replaces every comparison dataset with fresh ones built from
+  // state.compareData, keeping the primary market's datasets first.
+  const syncComparisonDatasets = () => {
+    const chart = state.chartInstance;
+    if (!chart) return;
+    const labels = chart.data.labels;
+    const extra = state.compareStates
+      .filter(code => state.compareData[code])
+      .flatMap((code, i) => {
+        const json = applyScenario(state.compareData[code], state.scenario);
+        const color = compareColor(i);
+        return [
+          buildCompareDataset(code, 'single', alignToLabels(json.single_costs, labels), color),
+          buildCompareDataset(code, 'household', alignToLabels(json.household_costs, labels), color),
+        ];
+      });
+
+    chart.data.datasets = chart.data.datasets
+      .filter(ds => !ds.compareState)
+      .concat(extra);
+    refreshPrimaryLabels();
     applyCurrentView();
+    chart.update('none');
+  };
+
+  const renderCompareControls = () => {
+    if (!dom.compareChips) return;
+    dom.compareChips.innerHTML = '';
+    state.compareStates.forEach((code, i) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'compare-chip';
+      chip.dataset.state = code;
+      chip.setAttribute('aria-label', t('compare.remove', { state: stateName(code) }));
+      chip.innerHTML = `<span class="compare-swatch" style="background:${compareColor(i)}"></span>${stateName(code)}<span aria-hidden="true">×</span>`;
+      dom.compareChips.appendChild(chip);
+    });
+
+    Array.from(dom.compareSelect.options).forEach(opt => {
+      if (!opt.value) return;
+      opt.disabled =
+        opt.value === state.currentState || state.compareStates.includes(opt.value);
+    });
+    dom.compareSelect.value = '';
+    dom.compareSelect.hidden = state.compareStates.length >= MAX_COMPARE_STATES;
+  };
+
+  // Fetches any comparison markets not already in memory. Failed markets are
+  // dropped from the selection so the URL never keeps a state we can't draw.
+  const loadComparisons = async () => {
+    const myToken = ++compareFetchToken;
+    const missing = state.compareStates.filter(code => !state.compareData[code]);
+
+    const results = await Promise.allSettled(
+      missing.map(async code => ({ code, json: (await getMarket(code)).data })),
+    );
+    if (myToken !== compareFetchToken) return;
+
+    const failed = [];
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        state.compareData[result.value.code] = result.value.json;
+      } else {
+        console.error(result.reason);
+        failed.push(missing[i]);
+      }
+    });
+    if (failed.length) {
+      state.compareStates = state.compareStates.filter(code => !failed.includes(code));
+      dom.updateInfo.textContent = t('error.comparison', { states: formatList(failed.map(stateName)) });
+    }
+
+    syncComparisonDatasets();
+    renderCompareControls();
+    syncUrlParams();
+  };
+
+  const addComparison = code => {
+    if (
+      !STATE_NAMES[code] ||
+      code === state.currentState ||
+      state.compareStates.includes(code) ||
+      state.compareStates.length >= MAX_COMPARE_STATES
+    ) return;
+    state.compareStates = [...state.compareStates, code];
+    renderCompareControls();
+    loadComparisons();
+  };
+
+  const removeComparison = code => {
+    state.compareStates = state.compareStates.filter(c => c !== code);
+    // Keep colors stable by index: every remaining dataset is rebuilt.
+    syncComparisonDatasets();
+    renderCompareControls();
+    syncUrlParams();
   };
 
   // Event & UI Handlers
   const clearDateButtons = () =>
     dom.dateRangeButtons.forEach(b => b.classList.remove('active'));
 
-  const setDateRange = range => {
-    state.currentRange = range;
+  // First and last dates inside the zoomed x-range, projected weeks included
+  const visibleDateRange = chart => {
+    const labels = chart.data.labels;
+    const { start, end } = visibleIndices(labels.length, chart.scales.x);
+    return { from: labels[start], to: labels[end] };
+  };
 
-    const [ey, em, ed] = state.maxDate.split('-').map(Number);
-    const end = new Date(ey, em - 1, ed);
-    let start;
+  // Mirrors the visible window into the start/end pickers
+  const renderDatePicker = () => {
+    if (!dom.rangeFrom || !state.chartInstance) return;
+    const labels = state.chartInstance.data.labels;
+    [dom.rangeFrom, dom.rangeTo].forEach(input => {
+      input.min = labels[0];
+      input.max = labels[labels.length - 1];
+    });
+    const { from, to } = visibleDateRange(state.chartInstance);
+    dom.rangeFrom.value = from;
+    dom.rangeTo.value = to;
+  };
 
-    if (range === '1y') start = new Date(ey - 1, em - 1, ed);
-    else if (range === '2y') start = new Date(ey - 2, em - 1, ed);
-    else if (range === '5y') start = new Date(ey - 5, em - 1, ed);
-    else {
-      const [sy, sm, sd] = state.minDate.split('-').map(Number);
-      start = new Date(sy, sm - 1, sd);
-    }
+  const setDateRange = range => {
+    state.currentRange = range;
+    state.customRange = null;
 
-    const startISO = toIsoLocal(start);
-    const endISO = toIsoLocal(end);
-    const startIndex = state.chartData.single_costs.findIndex(
-      d => d.date >= startISO,
-    );
-    const endIndex = state.chartData.single_costs.findIndex(
-      d => d.date >= endISO,
-    );
+    const { startIndex, endIndex } = rangeIndices(range, state.chartData.single_costs);
 
+    // A projection extends the window to its last week
+    const lastIndex = state.projectionEntries
+      ? state.chartInstance.data.labels.length - 1
+      : state.chartData.single_costs.length - 1;
     if (startIndex !== -1) {
       state.chartInstance.zoomScale('x', {
         min: startIndex,
-        max:
-          endIndex !== -1 ? endIndex : state.chartData.single_costs.length - 1,
+        max: endIndex !== -1 && !state.projectionEntries ? endIndex : lastIndex,
       });
       clearDateButtons();
       const btn = document.querySelector(
@@ -517,20 +1457,66 @@
       );
       if (btn) btn.classList.add('active');
     }
+    renderDatePicker();
+    renderDataTable();
+    syncCallouts();
+  };
+
+  // Zooms to an explicit window. Either end may be null for the first or
+  // last week on the chart. Returns false, leaving the chart alone, when
+  // the window holds less than two weeks.
+  const setCustomRange = ({ from, to }) => {
+    const indices = customRangeIndices(state.chartInstance.data.labels, { from, to });
+    if (!indices) return false;
+    const { startIndex, endIndex } = indices;
+    state.customRange = { from, to };
+    state.chartInstance.zoomScale('x', { min: startIndex, max: endIndex });
+    clearDateButtons();
+    renderDatePicker();
+    renderDataTable();
+    syncCallouts();
+    return true;
+  };
+
+  // Keeps the custom window across state switches and label changes, and
+  // falls back to the range buttons when it no longer fits the data
+  const applyDateRange = () => {
+    if (!state.customRange || !setCustomRange(state.customRange)) setDateRange(state.currentRange);
+  };
+
+  // Wheel, pinch and drag leave an arbitrary window; keep it as a custom
+  // range so it survives a reload and can be shared
+  const handleChartZoom = ({ chart }) => {
+    state.customRange = visibleDateRange(chart);
+    clearDateButtons();
+    renderDatePicker();
+    renderDataTable();
+    syncCallouts();
+    syncUrlParams();
   };
 
   const applyCurrentView = () => {
+    if (state.currentView === 'custom' && !state.customHousehold) state.currentView = 'both';
+    if (state.currentView === 'rent' && !state.rentCosts) state.currentView = 'both';
     const btnId = VIEW_TO_BTN[state.currentView] || 'btnBoth';
-    const showSingle = state.currentView !== 'household';
-    const showHousehold = state.currentView !== 'single';
-    updateLineVisibility(showSingle, showHousehold, btnId);
+    const view = state.currentView;
+    updateLineVisibility(
+      view === 'both' || view === 'single' || view === 'rent',
+      view === 'both' || view === 'household',
+      btnId,
+      view === 'both' || view === 'custom',
+      view === 'rent',
+    );
   };
 
-  const updateLineVisibility = (showSingle, showHousehold, btnId) => {
-    if (showSingle) state.chartInstance.show(0);
-    else state.chartInstance.hide(0);
-    if (showHousehold) state.chartInstance.show(1);
-    else state.chartInstance.hide(1);
+  const updateLineVisibility = (showSingle, showHousehold, btnId, showCustom = false, showRent = false) => {
+    // Rent vs Buy compares monthly costs, so it always plots Payment-to-Income
+    if (showRent && state.currentMetric !== 'payment') setMetric('payment');
+    const show = { single: showSingle, household: showHousehold, custom: showCustom, rent: showRent };
+    state.chartInstance.data.datasets.forEach((ds, i) => {
+      if (show[ds.earner]) state.chartInstance.show(i);
+      else state.chartInstance.hide(i);
+    });
 
     state.currentView = BTN_TO_VIEW[btnId] || 'both';
 
@@ -540,73 +1526,2097 @@
       btn.classList.toggle('btn-secondary', btn.id !== btnId);
     });
     updateInfoCards(state.activePointIndex);
+    renderMap();
+    renderLeaderboard();
   };
 
-  // Features
-  const downloadChart = () => {
-    const link = document.createElement('a');
-    link.download = `home-affordability-${state.currentState}-${new Date().toISOString().split('T')[0]}.png`;
-    link.href = state.chartInstance.toBase64Image();
-    link.click();
+  // Mortgage Scenario
+  const describeScenario = scenario => {
+    const parts = [
+      scenario.down > 0 ? t('scenario.down', { down: scenario.down }) : t('scenario.financed'),
+      t('scenario.term', { term: scenario.term }),
+    ];
+    if (scenario.tax > 0) parts.push(t('scenario.tax', { tax: scenario.tax }));
+    if (scenario.insurance > 0) parts.push(t('scenario.insurance', { insurance: formatMoney(scenario.insurance) }));
+    if (chargesPmi(scenario)) parts.push(t('scenario.pmi', { pmi: scenario.pmi }));
+    if (parts.length === 2) parts.push(t('scenario.principalInterest'));
+    return parts.join(' · ');
   };
 
-  const toggleYAxis = () => {
-    state.yAxisZero = !state.yAxisZero;
-    state.chartInstance.options.scales.y.beginAtZero = state.yAxisZero;
-    dom.btnToggleY.textContent = state.yAxisZero ? 'Y-Axis: Zero' : 'Y-Axis: Auto';
-    dom.btnToggleY.classList.toggle('active', state.yAxisZero);
-    state.chartInstance.update();
+  const renderScenarioSummary = () => {
+    if (!dom.scenarioSummary) return;
+    dom.scenarioSummary.textContent = describeScenario(state.scenario);
+    dom.btnResetScenario.hidden = isDefaultScenario(state.scenario);
   };
 
-  const getDataUrl = stateCode => {
-    if (stateCode === 'ALL') return 'weekly_case_shiller_output.json';
-    return `data/${stateCode}.json`;
+  const renderScenarioForm = () => {
+    if (!dom.scenarioForm) return;
+    const { elements } = dom.scenarioForm;
+    Object.keys(DEFAULT_SCENARIO).forEach(key => {
+      elements[key].value = String(state.scenario[key]);
+    });
+    renderScenarioSummary();
   };
 
-  const updateHeaderForState = stateCode => {
-    const name = STATE_NAMES[stateCode] || stateCode;
-    dom.headerEyebrow.textContent =
-      stateCode === 'ALL' ? 'U.S. Housing Market' : `${name} Housing Market`;
-  };
+  // Re-derives the plotted values in place. Unlike a state switch this
+  // keeps the zoom window and the selected point.
+  const refreshSeriesData = () => {
+    if (!state.chartInstance || !state.sourceData) return;
 
-  // Bootstrapping
-  const loadData = async stateCode => {
-    state.currentState = stateCode;
+    state.chartData = applyScenario(state.sourceData, state.scenario);
+    state.customCosts = buildCustomCosts();
+    const chart = state.chartInstance;
+    const costsByEarner = {
+      single: state.chartData.single_costs,
+      household: state.chartData.household_costs,
+      custom: state.customCosts,
+    };
+    chart.data.datasets.forEach(ds => {
+      if (ds.compareState || ds.projection || ds.overlay || ds.earner === 'rent') return;
+      ds.data = plottedSeries(costsByEarner[ds.earner]);
+    });
+    syncRentDataset();
+    syncOverlays();
+    syncProjection();
+    syncComparisonDatasets();
+    syncAnalysis();
+  };
 
-    const myToken = ++fetchToken;
-    if (currentFetchController) currentFetchController.abort();
-    currentFetchController = new AbortController();
-    const controller = currentFetchController;
+  const refreshScenario = () => {
+    renderScenarioSummary();
+    refreshSeriesData();
+  };
 
-    let timedOut = false;
-    const timeoutId = setTimeout(() => {
-      timedOut = true;
-      controller.abort();
-    }, 15000);
+  const setMetric = metric => {
+    state.currentMetric = METRICS[metric] ? metric : DEFAULTS.metric;
+    if (dom.metricSelect) dom.metricSelect.value = state.currentMetric;
+    if (dom.multiplierLabel) dom.multiplierLabel.textContent = currentMetric().label;
+    if (!state.chartInstance) return;
+    state.chartInstance.options.scales.y.title.text = currentMetric().label;
+    // Leaving Payment-to-Income leaves Rent vs Buy for the single earner
+    if (state.currentView === 'rent' && state.currentMetric !== 'payment') state.currentView = 'single';
+    refreshSeriesData();
+  };
 
-    const mainContent = document.getElementById('mainContent');
-    const isSwitch = state.chartInstance !== null;
+  const readScenarioForm = () => {
+    const { elements } = dom.scenarioForm;
+    const term = Number.parseInt(elements.term.value, 10);
+    return {
+      down: clampNumber(elements.down.value, SCENARIO_LIMITS.down, DEFAULT_SCENARIO.down),
+      term: VALID_TERMS.includes(term) ? term : DEFAULT_SCENARIO.term,
+      tax: clampNumber(elements.tax.value, SCENARIO_LIMITS.tax, DEFAULT_SCENARIO.tax),
+      insurance: clampNumber(elements.insurance.value, SCENARIO_LIMITS.insurance, DEFAULT_SCENARIO.insurance),
+      pmi: clampNumber(elements.pmi.value, SCENARIO_LIMITS.pmi, DEFAULT_SCENARIO.pmi),
+    };
+  };
 
-    if (isSwitch) {
-      mainContent.classList.add('is-loading');
-    }
+  // Your Household
+  // Both input modes become a multiple of the market's single-earner series,
+  // so the user's income follows BLS wage growth back through history. An
+  // annual income is anchored to the latest point ("today").
+  const customIncomeFactor = () => {
+    const { mode, value } = state.customHousehold;
+    if (mode === 'multiplier') return value;
+    const latest = state.chartData.single_costs[state.chartData.single_costs.length - 1];
+    return value / latest.single_income;
+  };
 
-    try {
-      const url = getDataUrl(stateCode);
-      const response = await fetch(url, { signal: controller.signal });
-      if (!response.ok) {
-        if (stateCode !== 'ALL') {
-          throw new Error(
-            `Data for ${STATE_NAMES[stateCode]} is not yet available. Run the data script first.`,
-          );
-        }
-        throw new Error('Failed to load data file. Run the Ruby script first.');
-      }
+  const buildCustomCosts = () => {
+    if (!state.customHousehold || !state.chartData) return null;
+    const factor = customIncomeFactor();
+    return state.chartData.single_costs.map(d => {
+      const { single_income: singleIncome, ...rest } = d;
+      const income = singleIncome * factor;
+      return {
+        ...rest,
+        type: 'custom',
+        custom_income: Math.round(income),
+        cost_to_income: (d.total_cost / income).toFixed(2),
+      };
+    });
+  };
 
+  const buildCustomDataset = () => {
+    const color = state.chartColors.custom;
+    return {
+      label: seriesLabel('custom'),
+      earner: 'custom',
+      data: plottedSeries(state.customCosts),
+      borderColor: color,
+      backgroundColor: `${color}20`,
+      borderWidth: 3,
+      tension: 0.4,
+      pointHoverRadius: 8,
+      ...qualityStyle(() => state.customCosts, 'custom'),
+    };
+  };
+
+  // Adds, rebuilds or removes the "Your Household" dataset. It always sits
+  // right after the two primary series, ahead of any comparison markets.
+  const syncCustomDataset = () => {
+    const chart = state.chartInstance;
+    if (!chart) return;
+    state.customCosts = buildCustomCosts();
+    const datasets = chart.data.datasets.filter(ds => ds.earner !== 'custom');
+    if (state.customCosts) datasets.splice(2, 0, buildCustomDataset());
+    chart.data.datasets = datasets;
+    refreshPrimaryLabels();
+  };
+
+  const describeHousehold = household => {
+    if (!household) return t('household.notSet');
+    if (household.mode === 'multiplier') return t('household.multiplier', { value: household.value });
+    return t('household.income', { income: formatMoney(household.value) });
+  };
+
+  const renderHouseholdSummary = () => {
+    if (!dom.householdSummary) return;
+    dom.householdSummary.textContent = describeHousehold(state.customHousehold);
+    dom.btnClearHousehold.hidden = state.customHousehold === null;
+    dom.btnCustom.hidden = state.customHousehold === null;
+  };
+
+  const renderHouseholdForm = () => {
+    if (!dom.householdForm) return;
+    const { elements } = dom.householdForm;
+    elements.mode.value = state.customHousehold?.mode || 'income';
+    elements.value.value = state.customHousehold ? String(state.customHousehold.value) : '';
+    renderHouseholdSummary();
+  };
+
+  const setCustomHousehold = household => {
+    state.customHousehold = household;
+    if (household) localStorage.setItem(HOUSEHOLD_STORAGE_KEY, JSON.stringify(household));
+    else localStorage.removeItem(HOUSEHOLD_STORAGE_KEY);
+    renderHouseholdSummary();
+    if (!state.chartInstance || !state.chartData) return;
+    syncCustomDataset();
+    applyCurrentView();
+    state.chartInstance.update('none');
+  };
+
+  // Rent vs Buy
+  // Rent comes from optional per-market files (data/rent/XX.json) on the
+  // same Thursday dates as the market files. Markets without one don't show
+  // the Rent vs Buy button at all. The request shares the market load's
+  // signal, so it's cancelled with the load and gives up at its timeout
+  // rather than holding the chart back.
+  // Answers by market code, null for a market without a file. Failed and
+  // cancelled requests aren't kept, so the next load asks again.
+  const rentFiles = new Map();
+  const loadRent = async (code, signal) => {
+    if (rentFiles.has(code)) return rentFiles.get(code);
+    const url = rentUrl(code);
+    try {
+      const response = await fetch(url, { signal });
+      // No file just means the data script hasn't written one
+      if (response.status === 404) {
+        rentFiles.set(code, null);
+        return null;
+      }
+      if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
       const json = await response.json();
+      const entries = (json.rent_costs || []).filter(
+        d => ISO_DATE.test(d?.date) && Number(d.monthly_rent) > 0,
+      );
+      if (!entries.length) throw new Error(`${url}: no rent data`);
+      const rent = { entries, metadata: json.metadata || {} };
+      rentFiles.set(code, rent);
+      return rent;
+    } catch (error) {
+      if (error.name !== 'AbortError') console.error(error);
+      return null;
+    }
+  };
+
+  // Monthly rent as a share of single-earner monthly income, the renting
+  // counterpart of Payment-to-Income
+  const rentToIncome = (rent, d) =>
+    rent && d ? Number(((rent.monthly_rent / (d.single_income / 12)) * 100).toFixed(1)) : null;
+
+  const rentSeries = () =>
+    state.rentCosts.map((rent, i) => {
+      if (state.quality === 'observed' && !rent?.observed) return null;
+      return rentToIncome(rent, state.chartData.single_costs[i]);
+    });
+
+  // Where buying the week's median home costs the same each month as
+  // renting: the mortgage rate at that price, and the price at that rate.
+  // `rate` is null when no rate up to SOLVER_MAX_RATE gets there; both are
+  // null for an all-cash purchase.
+  const rentBreakeven = (d, rent) => {
+    const months = state.scenario.term * 12;
+    const financed = 1 - state.scenario.down / 100;
+    if (financed <= 0) return { rate: null, price: null };
+    const payment = r => monthlyPayment(d.home_price * financed, r, months);
+    return {
+      rate: solveIncreasing(payment, rent, 0, SOLVER_MAX_RATE),
+      price: rent / monthlyPayment(financed, Number(d.mortgage_rate), months),
+    };
+  };
+
+  const describeBreakeven = ({ rate, price }, payment, rent, date) => {
+    if (price === null) return '';
+    if (rate === null) {
+      return payment > rent
+        ? ` ${t('rent.rentingCheaper', { rate: formatPercent(0, 0) })}`
+        : ` ${t('rent.buyingCheaper', { rate: formatPercent(SOLVER_MAX_RATE, 0) })}`;
+    }
+    return ` ${t('rent.breakeven', { rate: formatPercent(rate, 2), price: formatDollars(price, date) })}`;
+  };
+
+  const rentTooltip = index => {
+    const rent = state.rentCosts?.[index];
+    const d = state.chartData.single_costs[index];
+    if (!rent || !d) return `${seriesLabel('rent')}: ${t('common.na')}`;
+    const { rate } = rentBreakeven(d, rent.monthly_rent);
+    return [
+      t('rent.tooltipRent', {
+        series: seriesLabel('rent'),
+        share: formatPercent(rentToIncome(rent, d)),
+        rent: formatDollars(rent.monthly_rent, d.date),
+      }),
+      t('rent.tooltipBuy', {
+        payment: formatDollars(monthlyPaymentOf(d), d.date),
+        rate: rate === null ? t('common.na') : formatPercent(rate, 2),
+      }),
+    ];
+  };
+
+  // "The week of Apr 30, 2026: P&I on the median home is $2,412 a month
+  // against $1,850 rent, 30% more. Buying breaks even at a 4.12% rate or a
+  // $231,000 price."
+  const updateRentReadout = index => {
+    if (!dom.rentReadout) return;
+    const rent = state.rentCosts?.[index];
+    dom.rentReadout.hidden = state.currentView !== 'rent' || !rent;
+    if (dom.rentReadout.hidden) return;
+    const d = state.chartData.single_costs[index];
+    const payment = monthlyPaymentOf(d);
+    const breakeven = rentBreakeven(d, rent.monthly_rent);
+    const gap = formatPercent((Math.abs(payment - rent.monthly_rent) / rent.monthly_rent) * 100, 0);
+    const when = index === state.chartData.single_costs.length - 1
+      ? t('when.today')
+      : t('when.week', { date: formatDate(d.date) });
+    dom.rentReadout.textContent =
+      t(payment >= rent.monthly_rent ? 'rent.readoutMore' : 'rent.readoutLess', {
+        when,
+        payment: formatDollars(payment, d.date),
+        rent: formatDollars(rent.monthly_rent, d.date),
+        gap,
+      }) + describeBreakeven(breakeven, payment, rent.monthly_rent, d.date);
+  };
+
+  const buildRentDataset = () => {
+    const color = state.chartColors.rent;
+    return {
+      label: seriesLabel('rent'),
+      earner: 'rent',
+      data: rentSeries(),
+      borderColor: color,
+      backgroundColor: `${color}20`,
+      borderWidth: 3,
+      tension: 0.4,
+      pointHoverRadius: 8,
+      // Shades the gap to the Single Earner P&I line: green where renting
+      // costs more, rose where buying does
+      fill: { target: 0, above: `${color}20`, below: `${state.chartColors.rose}20` },
+      ...qualityStyle(() => state.rentCosts, 'rent'),
+    };
+  };
+
+  const renderRentControls = () => {
+    if (!dom.btnRent) return;
+    dom.btnRent.hidden = state.rentCosts === null;
+    dom.btnRent.title = t('rent.buttonTitle');
+  };
+
+  // The rent line sits after the primary market's (and Your Household) and
+  // ahead of overlays, projections and comparisons
+  const syncRentDataset = () => {
+    const chart = state.chartInstance;
+    if (!chart) return;
+    const aligned = state.rent ? alignToLabels(state.rent.entries, chart.data.labels) : [];
+    state.rentCosts = aligned.some(Boolean) ? aligned : null;
+    const datasets = chart.data.datasets.filter(ds => ds.earner !== 'rent');
+    if (state.rentCosts) {
+      const at = datasets.findIndex(ds => ds.overlay || ds.projection || ds.compareState);
+      datasets.splice(at === -1 ? datasets.length : at, 0, buildRentDataset());
+    }
+    chart.data.datasets = datasets;
+    renderRentControls();
+    refreshPrimaryLabels();
+  };
+
+  // Real Dollars
+  // Dollar amounts can be restated in one month's prices with CPI-U:
+  // value × CPI(base month) / CPI(value's month). Every metric is a ratio of
+  // two same-date dollar amounts, so the chart itself doesn't change.
+  let cpiRequest = null;
+  const loadCpi = () => {
+    if (!cpiRequest) {
+      cpiRequest = fetch(CPI_URL)
+        .then(response => {
+          if (!response.ok) throw new Error(`${CPI_URL}: HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(json => {
+          const observations = (json.observations || []).filter(
+            o => MONTH_KEY.test(o.date) && Number(o.value) > 0,
+          );
+          if (!observations.length) throw new Error(`${CPI_URL}: no observations`);
+          state.cpi = {
+            values: new Map(observations.map(o => [o.date, Number(o.value)])),
+            first: observations[0].date,
+            last: observations[observations.length - 1].date,
+            series: json.metadata?.series || 'CPIAUCSL',
+          };
+          return state.cpi;
+        })
+        .catch(error => {
+          console.error(error);
+          cpiRequest = null;
+          return null;
+        });
+    }
+    return cpiRequest;
+  };
+
+  const previousMonth = monthKey => {
+    const [y, m] = monthKey.split('-').map(Number);
+    return m === 1 ? `${y - 1}-12` : `${y}-${String(m - 1).padStart(2, '0')}`;
+  };
+
+  // CPI for the month of `date` (YYYY-MM-DD or YYYY-MM). Weeks past the
+  // latest release use the latest month, and a month with no release
+  // (e.g. a shutdown) falls back to the one before it.
+  const cpiOn = date => {
+    const { values, first, last } = state.cpi;
+    let month = date.slice(0, 7);
+    if (month > last) month = last;
+    if (month < first) month = first;
+    while (!values.has(month)) month = previousMonth(month);
+    return values.get(month);
+  };
+
+  const isRealDollars = () => state.realBase !== null && state.cpi !== null;
+
+  const toDisplayDollars = (value, date) =>
+    isRealDollars() ? (value * cpiOn(state.realBase)) / cpiOn(date) : value;
+
+  const formatDollars = (value, date) => formatMoney(toDisplayDollars(value, date));
+
+  // Suffix for headers of columns and cards showing dollar amounts
+  const dollarsLabel = () => (isRealDollars() ? ` (${formatMonth(state.realBase)} $)` : '');
+
+  const renderDollarsControls = () => {
+    const real = isRealDollars();
+    if (dom.btnRealDollars) {
+      dom.btnRealDollars.textContent = t(real ? 'dollars.real' : 'dollars.nominal');
+      dom.btnRealDollars.title = t(dom.btnRealDollars.disabled ? 'dollars.unavailable' : 'dollars.title');
+      dom.btnRealDollars.classList.toggle('active', real);
+      dom.btnRealDollars.setAttribute('aria-pressed', String(real));
+    }
+    if (dom.realBaseInput) {
+      dom.realBaseInput.hidden = !real;
+      if (real) {
+        dom.realBaseInput.min = state.cpi.first;
+        dom.realBaseInput.max = state.cpi.last;
+        dom.realBaseInput.value = state.realBase;
+      }
+    }
+    if (dom.priceLabel) dom.priceLabel.textContent = `${t('card.medianPrice')}${dollarsLabel()}`;
+    if (dom.incomeLabel) dom.incomeLabel.textContent = `${t('card.earnings')}${dollarsLabel()}`;
+  };
+
+  const refreshDollars = () => {
+    renderDollarsControls();
+    if (!state.chartInstance || !state.chartData) return;
+    updateInfoCards(state.activePointIndex);
+    renderMap();
+    renderLeaderboard();
+  };
+
+  // `base` is a 'YYYY-MM' month, undefined for the latest CPI month, or
+  // null for nominal dollars. The base is kept while CPI loads so the URL
+  // doesn't lose it.
+  const setRealDollars = async base => {
+    if (base === null) {
+      state.realBase = null;
+      refreshDollars();
+      return;
+    }
+    if (base) state.realBase = base;
+    const cpi = await loadCpi();
+    if (!cpi) {
+      state.realBase = null;
+      if (dom.btnRealDollars) dom.btnRealDollars.disabled = true;
+    } else {
+      const month = state.realBase ?? cpi.last;
+      state.realBase = month < cpi.first ? cpi.first : month > cpi.last ? cpi.last : month;
+    }
+    refreshDollars();
+  };
+
+  // Affordability Solver
+  // Inverts the cost-to-income ratio for the selected week: holding two of
+  // rate, price and income at that week's values, what must the third be to
+  // hit the target ratio? Uses the same totalCost as the chart, so the
+  // answer reflects the current mortgage scenario.
+  const solverTargetRatio = solver => {
+    if (solver.target.ratio) return { ratio: solver.target.ratio, date: null };
+    const entries = state.chartData[`${solver.series}_costs`];
+    const d = entries.find(e => e.date >= solver.target.date) || entries[entries.length - 1];
+    return { ratio: Number(d.cost_to_income), date: d.date };
+  };
+
+  const describeSolverTarget = ({ ratio, date }) =>
+    date ? t('solver.targetOn', { ratio: formatRatio(ratio), date: formatDate(date) }) : formatRatio(ratio);
+
+  const updateSolverCard = index => {
+    if (!dom.solverCard) return;
+    const solver = state.solver;
+    dom.solverCard.hidden = !solver;
+    if (!solver) return;
+
+    const d = state.chartData[`${solver.series}_costs`][index];
+    const target = solverTargetRatio(solver);
+    const value = solveAffordability(d, solver.solve, target.ratio, state.scenario);
+    dom.solverLabel.textContent = `${t(`solver.needed.${solver.solve}`)}${solver.solve === 'rate' ? '' : dollarsLabel()}`;
+
+    let current;
+    let result;
+    if (solver.solve === 'rate') {
+      current = formatRate(d);
+      result = value === null
+        ? (totalCost(d.home_price, 0, state.scenario) > target.ratio * incomeOf(d)
+          ? t('solver.outOfReachAtZero', { rate: formatPercent(0, 0) })
+          : t('solver.above', { rate: formatPercent(SOLVER_MAX_RATE, 0) }))
+        : formatPercent(value, 2);
+    } else {
+      const actual = solver.solve === 'price' ? d.home_price : incomeOf(d);
+      current = formatDollars(actual, d.date);
+      result = value === null ? t('solver.outOfReach') : formatDollars(value, d.date);
+    }
+    dom.solverValue.innerHTML = '';
+    const main = document.createElement('span');
+    main.className = 'dual-value custom';
+    main.textContent = result;
+    const note = document.createElement('span');
+    note.className = 'custom-delta';
+    note.textContent = t('solver.note', {
+      current,
+      date: formatDate(d.date),
+      target: describeSolverTarget(target),
+      series: seriesLabel(solver.series),
+    });
+    dom.solverValue.append(main, note);
+  };
+
+  const renderSolverForm = () => {
+    if (!dom.solverForm) return;
+    const { elements } = dom.solverForm;
+    const solver = state.solver || { solve: 'rate', series: 'single', target: { date: DEFAULT_SOLVER_TARGET } };
+    const byRatio = solver.target.ratio !== undefined;
+    elements.solve.value = solver.solve;
+    elements.series.value = solver.series;
+    elements.mode.value = byRatio ? 'ratio' : 'date';
+    if (byRatio) elements.ratio.value = String(solver.target.ratio);
+    else elements.date.value = solver.target.date;
+    if (state.chartData) {
+      const entries = state.chartData.single_costs;
+      elements.date.min = entries[0].date;
+      elements.date.max = entries[entries.length - 1].date;
+    }
+    dom.solverForm.querySelector('[data-target="date"]').hidden = byRatio;
+    dom.solverForm.querySelector('[data-target="ratio"]').hidden = !byRatio;
+  };
+
+  const readSolverForm = () => {
+    const { elements } = dom.solverForm;
+    const previous = state.solver?.target || { date: DEFAULT_SOLVER_TARGET };
+    let target;
+    if (elements.mode.value === 'ratio') {
+      const ratio = clampNumber(elements.ratio.value, { min: 0.5, max: 100 }, NaN);
+      target = Number.isNaN(ratio) ? previous : { ratio };
+      // Switching to a typed ratio starts from the one the date gave
+      if (target.date && state.chartData) {
+        target = { ratio: solverTargetRatio({ series: elements.series.value, target }).ratio };
+      }
+    } else {
+      target = ISO_DATE.test(elements.date.value) ? { date: elements.date.value } : { date: DEFAULT_SOLVER_TARGET };
+    }
+    return {
+      solve: SOLVER_FIELDS.includes(elements.solve.value) ? elements.solve.value : 'rate',
+      series: elements.series.value === 'household' ? 'household' : 'single',
+      target,
+    };
+  };
+
+  const setSolver = solver => {
+    state.solver = solver;
+    if (!state.chartData) return;
+    updateSolverCard(state.activePointIndex);
+  };
+
+  // The live URL has the solver settings; a shared link also pins the
+  // selected week so the recipient sees the same answer.
+  const solverShareUrl = () => {
+    const url = new URL(window.location.href);
+    const d = state.chartData.single_costs[state.activePointIndex];
+    if (state.activePointIndex !== state.chartData.single_costs.length - 1) {
+      url.searchParams.set('at', d.date);
+    }
+    return url.toString().replace(/%2C/g, ',');
+  };
+
+  const copySolverLink = async () => {
+    const url = solverShareUrl();
+    try {
+      await navigator.clipboard.writeText(url);
+      dom.solverStatus.textContent = t('share.copied');
+    } catch {
+      // Clipboard access can be denied; show the link to copy by hand
+      dom.solverStatus.textContent = url;
+    }
+  };
+
+  // Projections
+  // The projected weeks come from buildProjection, priced under the current
+  // scenario exactly like the historical points.
+
+  // Base case as a dashed line; the pessimistic and optimistic cases as a
+  // filled band (`fill: '-1'` fills to the dataset just before it).
+  const buildProjectionDatasets = () => {
+    const colors = { single: state.chartColors.primary, household: state.chartColors.secondary };
+    return ['single', 'household'].flatMap(earner => {
+      const entries = state.projectionEntries[earner];
+      const color = colors[earner];
+      const common = { earner, pointRadius: 0, pointHoverRadius: 4, tension: 0.4 };
+      return [
+        {
+          ...common,
+          projection: 'base',
+          labelSuffix: t('projection.base'),
+          entries: entries.base,
+          data: metricSeries(entries.base),
+          borderColor: color,
+          backgroundColor: `${color}20`,
+          borderWidth: 2,
+          borderDash: [6, 4],
+          fill: false,
+        },
+        {
+          ...common,
+          projection: 'high',
+          labelSuffix: t('projection.high'),
+          hideFromLegend: true,
+          entries: entries.high,
+          data: metricSeries(entries.high),
+          borderColor: `${color}40`,
+          borderWidth: 1,
+          fill: false,
+        },
+        {
+          ...common,
+          projection: 'low',
+          labelSuffix: t('projection.low'),
+          hideFromLegend: true,
+          entries: entries.low,
+          data: metricSeries(entries.low),
+          borderColor: `${color}40`,
+          backgroundColor: `${color}1a`,
+          borderWidth: 1,
+          fill: '-1',
+        },
+      ];
+    });
+  };
+
+  // Rebuilds the projected labels and datasets. Projection datasets sit
+  // after the primary market's (and Your Household) and before comparisons.
+  const syncProjection = () => {
+    const chart = state.chartInstance;
+    if (!chart || !state.chartData) return;
+    state.projectionEntries = buildProjection(state.chartData, state.projection, state.scenario);
+    const labels = state.chartData.single_costs.map(d => d.date);
+    chart.data.labels = state.projectionEntries ? labels.concat(state.projectionEntries.dates) : labels;
+
+    const datasets = chart.data.datasets.filter(ds => !ds.projection);
+    if (state.projectionEntries) {
+      const at = datasets.findIndex(ds => ds.compareState);
+      datasets.splice(at === -1 ? datasets.length : at, 0, ...buildProjectionDatasets());
+    }
+    chart.data.datasets = datasets;
+    refreshPrimaryLabels();
+  };
+
+  // Primary single-earner entry at a chart index, projected or not
+  const primaryEntryAt = index =>
+    state.chartData.single_costs[index] || state.projectionEntries?.single.base[index] || null;
+
+  const describeProjection = projection => {
+    if (!projection) return t('common.off');
+    const growth = v => ({ sign: v > 0 ? '+' : '', growth: v });
+    let rate = t('projection.rateHeld');
+    if (projection.ratePath === 'glide') rate = t('projection.rateTo', { rate: projection.rateTarget });
+    if (projection.ratePath === 'custom' && projection.ratePoints.length) rate = t('projection.rateCustom');
+    return [
+      t('projection.years', { count: projection.years }),
+      t('projection.prices', growth(projection.priceGrowth)),
+      t('projection.wages', growth(projection.wageGrowth)),
+      rate,
+    ].join(' · ');
+  };
+
+  const renderProjectionFields = () => {
+    if (!dom.projectionForm) return;
+    const { elements } = dom.projectionForm;
+    dom.projectionForm.querySelector('[data-rate="glide"]').hidden = elements.ratePath.value !== 'glide';
+    dom.projectionForm.querySelector('[data-rate="custom"]').hidden = elements.ratePath.value !== 'custom';
+    if (dom.projectionSummary) dom.projectionSummary.textContent = describeProjection(state.projection);
+  };
+
+  const renderProjectionForm = () => {
+    if (!dom.projectionForm) return;
+    const { elements } = dom.projectionForm;
+    const projection = state.projection || DEFAULT_PROJECTION;
+    elements.enabled.checked = state.projection !== null;
+    elements.years.value = String(projection.years);
+    elements.priceGrowth.value = String(projection.priceGrowth);
+    elements.wageGrowth.value = String(projection.wageGrowth);
+    elements.ratePath.value = projection.ratePath;
+    elements.rateTarget.value = String(projection.rateTarget);
+    elements.ratePoints.value = formatRatePoints(projection.ratePoints).replace(/,/g, ', ');
+    renderProjectionFields();
+  };
+
+  const readProjectionForm = () => {
+    const { elements } = dom.projectionForm;
+    if (!elements.enabled.checked) return null;
+    const years = Number.parseInt(elements.years.value, 10);
+    return {
+      years: PROJECTION_YEARS.includes(years) ? years : DEFAULT_PROJECTION.years,
+      priceGrowth: clampNumber(elements.priceGrowth.value, PROJECTION_LIMITS.priceGrowth, DEFAULT_PROJECTION.priceGrowth),
+      wageGrowth: clampNumber(elements.wageGrowth.value, PROJECTION_LIMITS.wageGrowth, DEFAULT_PROJECTION.wageGrowth),
+      ratePath: RATE_PATHS.includes(elements.ratePath.value) ? elements.ratePath.value : DEFAULT_PROJECTION.ratePath,
+      rateTarget: clampNumber(elements.rateTarget.value, PROJECTION_LIMITS.rate, DEFAULT_PROJECTION.rateTarget),
+      ratePoints: parseRatePoints(elements.ratePoints.value.replace(/\s+/g, '')),
+    };
+  };
+
+  const setProjection = projection => {
+    const wasOn = state.projection !== null;
+    state.projection = projection;
+    renderProjectionFields();
+    if (!state.chartInstance || !state.chartData) return;
+    syncProjection();
+    syncComparisonDatasets();
+    // Bring the projection into view when it's switched on or off
+    if (wasOn !== (projection !== null)) applyDateRange();
+  };
+
+  // Statistical Overlays
+  // Computed from the primary market's own history under the current metric
+  // and scenario. Projected weeks never count toward them.
+  const overlayLabel = key => t(`overlay.${key}`);
+
+  // One line per enabled overlay and earner. The ±1σ band is an upper and a
+  // lower edge, filled between like the projection band.
+  const buildOverlayDatasets = () => {
+    const colors = { single: state.chartColors.primary, household: state.chartColors.secondary };
+    const enabled = key => state.overlays.includes(key);
+    return ['single', 'household'].flatMap(earner => {
+      const values = metricSeries(state.chartData[`${earner}_costs`]);
+      const { mean, sd } = seriesStats(values);
+      const flat = v => values.map(() => v);
+      const color = colors[earner];
+      const common = { earner, pointRadius: 0, pointHoverRadius: 0, borderWidth: 1.5, fill: false };
+      const datasets = [];
+      if (enabled('ma13')) {
+        datasets.push({
+          ...common,
+          overlay: 'ma13',
+          labelSuffix: overlayLabel('ma13'),
+          data: movingAverage(values, 13),
+          borderColor: `${color}b3`,
+          borderDash: [2, 3],
+          tension: 0.4,
+        });
+      }
+      if (enabled('ma52')) {
+        datasets.push({
+          ...common,
+          overlay: 'ma52',
+          labelSuffix: overlayLabel('ma52'),
+          data: movingAverage(values, 52),
+          borderColor: `${color}99`,
+          borderWidth: 2,
+          tension: 0.4,
+        });
+      }
+      if (enabled('mean')) {
+        datasets.push({
+          ...common,
+          overlay: 'mean',
+          labelSuffix: overlayLabel('mean'),
+          data: flat(mean),
+          borderColor: `${color}b3`,
+          borderDash: [10, 6],
+        });
+      }
+      if (enabled('sigma')) {
+        datasets.push(
+          {
+            ...common,
+            overlay: 'sigma',
+            bound: 'upper',
+            labelSuffix: overlayLabel('sigma'),
+            hideFromLegend: true,
+            stats: { mean, sd },
+            data: flat(mean + sd),
+            borderColor: `${color}33`,
+            borderWidth: 1,
+          },
+          {
+            ...common,
+            overlay: 'sigma',
+            bound: 'lower',
+            labelSuffix: overlayLabel('sigma'),
+            stats: { mean, sd },
+            data: flat(mean - sd),
+            borderColor: `${color}33`,
+            backgroundColor: `${color}14`,
+            borderWidth: 1,
+            fill: '-1',
+          },
+        );
+      }
+      return datasets;
+    });
+  };
+
+  const overlayTooltip = (dataset, value) => {
+    const { format } = currentMetric();
+    if (dataset.overlay === 'sigma') {
+      const { mean, sd } = dataset.stats;
+      return t('overlay.band', { series: dataset.label, from: format(mean - sd), to: format(mean + sd) });
+    }
+    return `${dataset.label}: ${value == null ? t('common.na') : format(value)}`;
+  };
+
+  // Rebuilds the overlay datasets, which sit after the primary market's
+  // (and Your Household) and ahead of projections and comparisons.
+  const syncOverlays = () => {
+    const chart = state.chartInstance;
+    if (!chart || !state.chartData) return;
+    const datasets = chart.data.datasets.filter(ds => !ds.overlay);
+    const at = datasets.findIndex(ds => ds.projection || ds.compareState);
+    datasets.splice(at === -1 ? datasets.length : at, 0, ...buildOverlayDatasets());
+    chart.data.datasets = datasets;
+    refreshPrimaryLabels();
+  };
+
+  // "Today is more expensive than 94% of weeks since May 2016" for the
+  // selected week of the first series on the chart
+  const updatePercentileReadout = (index, earner) => {
+    if (!dom.percentileReadout) return;
+    dom.percentileReadout.hidden = !state.overlays.includes('percentile');
+    if (dom.percentileReadout.hidden) return;
+    const entries = earner === 'custom' ? state.customCosts : state.chartData[`${earner}_costs`];
+    const values = metricSeries(entries);
+    const share = Math.round(percentileOf(values, values[index]));
+    dom.percentileReadout.textContent = t('overlay.percentileReadout', {
+      when: index === entries.length - 1 ? t('when.today') : t('when.week', { date: formatDate(entries[index].date) }),
+      share: formatPercent(share, 0),
+      since: formatMonth(entries[0].date.slice(0, 7)),
+      series: seriesLabel(earner),
+      metric: currentMetric().short,
+    });
+  };
+
+  const describeOverlays = overlays =>
+    overlays.length ? overlays.map(overlayLabel).join(' · ') : t('common.off');
+
+  const renderOverlaysForm = () => {
+    if (!dom.overlaysForm) return;
+    const { elements } = dom.overlaysForm;
+    OVERLAYS.forEach(key => {
+      elements[key].checked = state.overlays.includes(key);
+    });
+    dom.overlaysSummary.textContent = describeOverlays(state.overlays);
+  };
+
+  const readOverlaysForm = () => {
+    const { elements } = dom.overlaysForm;
+    return OVERLAYS.filter(key => elements[key].checked);
+  };
+
+  const setOverlays = overlays => {
+    state.overlays = overlays;
+    if (dom.overlaysSummary) dom.overlaysSummary.textContent = describeOverlays(overlays);
+    if (!state.chartInstance || !state.chartData) return;
+    syncOverlays();
+    applyCurrentView();
+    state.chartInstance.update('none');
+  };
+
+  // Highs, Lows & Turning Points
+  // Found in the primary market's single-earner line under the current
+  // metric and scenario. The other earners' lines are the same costs over a
+  // fixed multiple of that income, so they peak and bottom out in the same
+  // weeks; values are shown for the first line on the chart.
+  // Less affordable in rose above the line, more affordable in emerald
+  // below it, and the year-long swings in amber.
+  const CALLOUT_KINDS = {
+    recordHigh: { token: 'rose', above: true },
+    recordLow: { token: 'rent', above: false },
+    rangeHigh: { token: 'rose', above: true },
+    rangeLow: { token: 'rent', above: false },
+    rise: { token: 'amber', above: true },
+    fall: { token: 'amber', above: false },
+    peak: { token: 'rose', above: true },
+    trough: { token: 'rent', above: false },
+  };
+
+  const calloutColor = kind => state.chartColors[CALLOUT_KINDS[kind].token] || '#64748b';
+
+  const signedPercent = change => signed(change, v => formatPercent(v, 0));
+
+  // "+97% from Aug 6, 2020"
+  const describeMove = (from, change) =>
+    t('callouts.from', { change: signedPercent(change), date: formatDate(state.chartData.single_costs[from].date) });
+
+  // Every callout as { kind, index, mark, detail }: the records, the
+  // visible range's high and low, the year-long swings and then the turns,
+  // oldest first. `mark` labels it on the chart, or is null where a record
+  // in the same week already says it.
+  const buildCallouts = () => {
+    const { values, records, swings, turns } = state.analysis;
+    const { start, end } = visibleIndexRange();
+    const range = extremes(values, start, end);
+    const named = kind => t(`callouts.${kind}`);
+    const swing = (kind, { from, to, change }) => ({
+      kind,
+      index: to,
+      mark: t('callouts.swingMark', { change: signedPercent(change) }),
+      detail: describeMove(from, change),
+    });
+    return [
+      { kind: 'recordHigh', index: records.high, mark: named('recordHigh') },
+      { kind: 'recordLow', index: records.low, mark: named('recordLow') },
+      { kind: 'rangeHigh', index: range.high, mark: range.high === records.high ? null : named('rangeHigh') },
+      { kind: 'rangeLow', index: range.low, mark: range.low === records.low ? null : named('rangeLow') },
+      swings.rise && swing('rise', swings.rise),
+      swings.fall && swing('fall', swings.fall),
+      ...turns.map(turn => ({
+        kind: turn.type,
+        index: turn.index,
+        mark: named(turn.type),
+        detail: describeMove(turn.from, turn.change),
+      })),
+    ].filter(callout => callout && callout.index !== -1);
+  };
+
+  // "Trending down since the Oct 26, 2023 peak (−19% so far)"
+  const describeTrend = () => {
+    const { values, turns, trend } = state.analysis;
+    const last = turns.at(-1);
+    const from = last?.index ?? 0;
+    const date = formatDate(state.chartData.single_costs[from].date);
+    if (!trend) return t('callouts.trend.none', { date });
+    return t(`callouts.trend.${trend}`, {
+      since: t(`callouts.since.${last?.type ?? 'start'}`, { date }),
+      change: signedPercent(percentChange(values[from], values.at(-1))),
+    });
+  };
+
+  const renderCallouts = () => {
+    if (!dom.calloutsPanel || !dom.calloutsPanel.open || !state.analysis) return;
+    const [[, entries]] = visibleSeries();
+    dom.calloutsTrend.textContent = describeTrend();
+    dom.calloutsList.innerHTML = state.callouts.map(({ kind, index, detail }) => {
+      const d = entries[index];
+      const current = index === state.activePointIndex ? ' aria-current="true"' : '';
+      return `<li><button type="button" class="callout-item" data-index="${index}" data-kind="${kind}"${current} style="--callout-color: ${calloutColor(kind)}">` +
+        `<span class="callout-kind">${t(`callouts.${kind}`)}</span>` +
+        `<span class="callout-value">${formatMetric(d)} · ${formatDate(d.date)}</span>` +
+        (detail ? `<span class="callout-detail">${detail}</span>` : '') +
+        '</button></li>';
+    }).join('');
+  };
+
+  // Rebuilds the callouts for the visible range; the callouts plugin draws
+  // them on the chart
+  const syncCallouts = () => {
+    if (!state.chartInstance || !state.analysis) return;
+    state.callouts = buildCallouts();
+    renderCallouts();
+    state.chartInstance.update('none');
+  };
+
+  const syncAnalysis = () => {
+    const values = metricSeries(state.chartData.single_costs);
+    state.analysis = {
+      values,
+      records: extremes(values),
+      swings: largestSwings(values),
+      ...turningPoints(values),
+    };
+    syncCallouts();
+  };
+
+  const setShowCallouts = show => {
+    state.showCallouts = show;
+    localStorage.setItem(CALLOUTS_STORAGE_KEY, show ? 'on' : 'off');
+    if (dom.showCalloutsToggle) dom.showCalloutsToggle.checked = show;
+    state.chartInstance?.update('none');
+  };
+
+  // Selects a callout's week, widening the chart to the full history first
+  // when the week is outside the range shown
+  const jumpToCallout = (index, kind) => {
+    const { start, end } = visibleIndexRange();
+    if (index < start || index > end) {
+      setDateRange('all');
+      syncUrlParams();
+    }
+    selectWeek(index);
+    announce(`${t(`callouts.${kind}`)}. ${dom.chartLiveRegion.textContent}`);
+  };
+
+  // Data Quality
+  // Only the monthly releases are observed. The weeks between them are
+  // interpolated and the weeks past the latest release are estimated;
+  // estimation_details says which components were estimated.
+  const describeQuality = () => {
+    const sq = state.chartData?.metadata.series_quality;
+    const counts = sq
+      ? ` · ${t('quality.counts', { observed: sq.observed, total: sq.observed + sq.interpolated + sq.extrapolated })}`
+      : '';
+    return `${t(`quality.mode.${state.quality}`)}${counts}`;
+  };
+
+  const releaseNote = date => (date ? ` ${t('quality.latestRelease', { month: formatMonth(date.slice(0, 7)) })}` : '');
+
+  // How one component of the selected week was produced, e.g. "Estimated.
+  // Trend-only estimation based on 6-month growth rate. Latest release:
+  // March 2026."
+  const describeComponent = (d, component) => {
+    const { methodology = {}, date_range: range = {}, data_sources: sources = {} } =
+      state.chartData.metadata;
+    const details = d.estimation_details || {};
+    const method = text => (text ? ` ${text}.` : '');
+    if (component === 'rate') {
+      if (details.rate_estimated) return t('quality.rateEstimated');
+      return sources.fred_mortgage
+        ? t('quality.rateObservedFrom', { series: `FRED ${sources.fred_mortgage}` })
+        : t('quality.rateObserved');
+    }
+    const [estimated, estimation, interpolation, lastActual] =
+      component === 'price'
+        ? [details.price_estimated, methodology.home_price_estimation, methodology.home_price_interpolation, range.last_actual_home_price]
+        : [details.income_estimated, methodology.income_estimation, methodology.income_estimation, range.last_actual_income];
+    if (estimated) return `${t('quality.componentEstimated')}${method(estimation)}${releaseNote(lastActual)}`;
+    if (d.observed) return t('quality.componentObserved');
+    return `${t('quality.componentInterpolated')}${method(interpolation)}`;
+  };
+
+  const updateQualityDetails = index => {
+    if (!dom.qualityDetails) return;
+    const d = state.chartData.single_costs[index];
+    const flags = qualityFlags(d);
+    let status = t('quality.weekInterpolated');
+    if (flags.observed) status = t('quality.weekObserved');
+    else if (flags.estimated) status = t('quality.weekEstimated');
+    const rows = [
+      [t('quality.week'), `${formatDate(d.date)}: ${status}`],
+      [t('field.homePrice'), describeComponent(d, 'price')],
+      [t('quality.earnings'), describeComponent(d, 'income')],
+      [t('field.mortgageRate'), describeComponent(d, 'rate')],
+    ];
+    dom.qualityDetails.replaceChildren(
+      ...rows.flatMap(([term, text]) => {
+        const dt = document.createElement('dt');
+        dt.textContent = term;
+        const dd = document.createElement('dd');
+        dd.textContent = text;
+        return [dt, dd];
+      }),
+    );
+  };
+
+  const renderQualityForm = () => {
+    if (!dom.qualityForm) return;
+    dom.qualityForm.elements.mode.value = state.quality;
+    dom.qualitySummary.textContent = describeQuality();
+  };
+
+  const setQuality = quality => {
+    state.quality = quality;
+    renderQualityForm();
+    const chart = state.chartInstance;
+    if (!chart || !state.chartData) return;
+    chart.options.spanGaps = quality === 'observed';
+    refreshSeriesData();
+    chart.update('none');
+  };
+
+  // Data Diagnostics
+  // What validateMarket found in the primary market's file. `failed` means
+  // nothing could be drawn; otherwise the chart shows the valid rows.
+  const renderDiagnostics = (stateCode, issues, { failed = false } = {}) => {
+    dom.dataDiagnostics.hidden = issues.length === 0;
+    if (!issues.length) return;
+    const name = stateCode === 'ALL' ? t('diagnostics.national') : stateName(stateCode);
+    let title = t('diagnostics.minor', { name });
+    if (failed) title = t('diagnostics.failed', { name });
+    else if (issues.some(issue => issue.level === 'error')) {
+      title = t('diagnostics.prefix', { name });
+    }
+    dom.dataDiagnosticsTitle.textContent = title;
+    dom.dataDiagnosticsList.replaceChildren(
+      ...issues.map(issue => {
+        const li = document.createElement('li');
+        li.className = `diagnostic-${issue.level}`;
+        li.textContent = issue.message;
+        return li;
+      }),
+    );
+  };
+
+  // Keyboard Navigation
+  // Keys on the focused chart. Moves land on a week and announce only that
+  // week; view and range keys announce what changed.
+  const announce = text => {
+    if (dom.chartLiveRegion) dom.chartLiveRegion.textContent = text;
+  };
+
+  // The one path for every selection a reader makes: chart clicks, keys,
+  // callouts and the data table
+  const selectWeek = index => {
+    const last = state.chartData.single_costs.length - 1;
+    state.activePointIndex = Math.min(last, Math.max(0, index));
+    updateInfoCards(state.activePointIndex);
+    state.chartInstance.update();
+    postToHost('select', selectionDetail(state.activePointIndex));
+  };
+
+  // Week of the highest (or lowest) value of the first line shown, within
+  // the visible range. Ties go to the earliest week.
+  const extremeIndex = highest => {
+    const { start, end } = visibleIndexRange();
+    const [[, entries]] = visibleSeries();
+    const { high, low } = extremes(metricSeries(entries), start, end);
+    return highest ? high : low;
+  };
+
+  const pressIfEnabled = button => {
+    if (!button || button.hidden || button.disabled) return false;
+    button.click();
+    return true;
+  };
+
+  // `step` is -1 or 1 through the range buttons, in page order
+  const stepRange = step => {
+    const buttons = Array.from(dom.dateRangeButtons);
+    const current = buttons.findIndex(b => b.dataset.range === state.currentRange);
+    const next = buttons[current + step];
+    if (!next || !pressIfEnabled(next)) return;
+    const { from, to } = visibleDateRange(state.chartInstance);
+    announce(t('keys.range', { range: next.title || next.textContent, from: formatDate(from), to: formatDate(to) }));
+  };
+
+  const handleChartKey = e => {
+    if (!state.chartInstance || !state.chartData) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const labels = state.chartData.single_costs.map(d => d.date);
+    const index = state.activePointIndex;
+
+    // Shift+arrows move the comparison point, Escape drops it
+    const step = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+    if (e.shiftKey && step) {
+      e.preventDefault();
+      const last = labels.length - 1;
+      const from = state.anchorIndex ?? index;
+      setAnchor(Math.min(last, Math.max(0, from + step)));
+      return;
+    }
+    if (e.key === 'Escape' && state.anchorIndex !== null) {
+      e.preventDefault();
+      setAnchor(null);
+      return;
+    }
+
+    // PageUp is later, as on a slider; Shift makes it a year
+    const months = { PageUp: 1, PageDown: -1 }[e.key];
+    const { start, end } = visibleIndexRange();
+    let target = null;
+    let label = '';
+    if (step) target = index + step;
+    else if (months) target = offsetIndex(labels, index, e.shiftKey ? months * 12 : months);
+    else if (e.key === 'Home') target = start;
+    else if (e.key === 'End') target = end;
+    else if (e.key === 'h' || e.key === 'H') {
+      target = extremeIndex(true);
+      label = t('keys.highest');
+    } else if (e.key === 'l' || e.key === 'L') {
+      target = extremeIndex(false);
+      label = t('keys.lowest');
+    }
+
+    if (target !== null) {
+      e.preventDefault();
+      if (target < 0 || target >= labels.length || (target === index && !label)) return;
+      selectWeek(target);
+      if (label) announce(`${label}. ${dom.chartLiveRegion.textContent}`);
+      return;
+    }
+
+    const view = VIEW_KEYS[Number(e.key) - 1];
+    if (view) {
+      e.preventDefault();
+      const button = document.getElementById(VIEW_TO_BTN[view]);
+      if (pressIfEnabled(button)) announce(t('keys.view', { view: button.textContent }));
+    } else if (e.key === '[' || e.key === ']') {
+      e.preventDefault();
+      stepRange(e.key === ']' ? 1 : -1);
+    } else if (e.key === 'p' || e.key === 'P') {
+      e.preventDefault();
+      toggleTrendAudio();
+    }
+  };
+
+  // Sonification
+  // Plays the first line shown across the visible range: one note per
+  // week, or per few weeks on long ranges, higher for less affordable.
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  let trendAudio = null;
+
+  const stopTrendAudio = () => {
+    if (!trendAudio) return;
+    trendAudio.close();
+    trendAudio = null;
+    dom.btnPlayTrend.textContent = t('audio.play');
+    dom.btnPlayTrend.setAttribute('aria-pressed', 'false');
+  };
+
+  const playTrendAudio = () => {
+    const { start, end } = visibleIndexRange();
+    const [[earner, entries]] = visibleSeries();
+    const values = plottedSeries(entries).slice(start, end + 1);
+    const notes = toneSequence(values);
+    if (!notes.length) return;
+
+    const context = new AudioContextClass();
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = 'triangle';
+    oscillator.connect(gain).connect(context.destination);
+    const begin = context.currentTime + 0.05;
+    gain.gain.setValueAtTime(0, context.currentTime);
+    notes.forEach((frequency, i) => {
+      const at = begin + i * TONE_SECONDS;
+      if (frequency === null) {
+        gain.gain.setValueAtTime(0, at);
+        return;
+      }
+      oscillator.frequency.setValueAtTime(frequency, at);
+      // A short dip between notes keeps repeated pitches distinct
+      gain.gain.setValueAtTime(0.2, at);
+      gain.gain.setValueAtTime(0.05, at + TONE_SECONDS * 0.8);
+    });
+    const finish = begin + notes.length * TONE_SECONDS;
+    gain.gain.setValueAtTime(0, finish);
+    oscillator.onended = stopTrendAudio;
+    oscillator.start(begin);
+    oscillator.stop(finish + 0.05);
+
+    trendAudio = context;
+    dom.btnPlayTrend.textContent = t('audio.stop');
+    dom.btnPlayTrend.setAttribute('aria-pressed', 'true');
+
+    const metric = currentMetric();
+    const shown = values.filter(v => v !== null);
+    const first = entries[start];
+    const last = entries[end];
+    announce(t('audio.playing', {
+      series: seriesLabel(earner),
+      metric: metric.short,
+      from: formatDate(first.date),
+      to: formatDate(last.date),
+      first: metric.format(shown[0]),
+      last: metric.format(shown[shown.length - 1]),
+      low: metric.format(Math.min(...shown)),
+      high: metric.format(Math.max(...shown)),
+    }));
+  };
+
+  const toggleTrendAudio = () => {
+    if (!AudioContextClass || !state.chartData) return;
+    if (trendAudio) stopTrendAudio();
+    else playTrendAudio();
+  };
+
+  // Data Table
+  // The visible range as rows, one page at a time, for readers who can't
+  // use the chart. The page follows the selected week unless the reader
+  // has paged away with the table's own buttons.
+  const renderDataTable = ({ follow = true } = {}) => {
+    if (!dom.dataTablePanel || !dom.dataTablePanel.open || !state.chartInstance || !state.chartData) return;
+    const { start, end } = visibleIndexRange();
+    const weeks = end - start + 1;
+    const pages = Math.max(1, Math.ceil(weeks / TABLE_PAGE_SIZE));
+    const active = state.activePointIndex;
+    if (follow && active >= start && active <= end) {
+      state.dataTablePage = Math.floor((active - start) / TABLE_PAGE_SIZE);
+    }
+    state.dataTablePage = Math.min(pages - 1, Math.max(0, state.dataTablePage));
+    const first = start + state.dataTablePage * TABLE_PAGE_SIZE;
+    const last = Math.min(end, first + TABLE_PAGE_SIZE - 1);
+
+    const series = visibleSeries();
+    const metric = currentMetric();
+    const head = [
+      `<th scope="col">${t('quality.week')}</th>`,
+      ...series.map(([earner]) => `<th scope="col" class="num">${seriesLabel(earner)}</th>`),
+      `<th scope="col" class="num">${t('field.homePrice')}${dollarsLabel()}</th>`,
+      `<th scope="col" class="num">${t('field.income')}${dollarsLabel()}</th>`,
+      `<th scope="col" class="num">${t('field.mortgageRate')}</th>`,
+      `<th scope="col">${t('table.data')}</th>`,
+    ].join('');
+
+    const rows = [];
+    for (let i = first; i <= last; i++) {
+      const d = state.chartData.single_costs[i];
+      const flags = qualityFlags(d);
+      const quality = t(flags.observed ? 'badge.observed' : flags.estimated ? 'badge.estimated' : 'badge.interpolated');
+      const current = i === active ? ' class="current" aria-current="true"' : '';
+      rows.push(
+        `<tr${current}>` +
+          `<th scope="row"><button type="button" class="leaderboard-state" data-index="${i}">${formatDate(d.date)}</button></th>` +
+          series.map(([, costs]) => `<td class="num">${formatMetric(costs[i])}</td>`).join('') +
+          `<td class="num">${formatDollars(d.home_price, d.date)}</td>` +
+          `<td class="num">${formatDollars(incomeOf(series[0][1][i]), d.date)}</td>` +
+          `<td class="num">${formatRate(d)}</td>` +
+          `<td>${quality}</td>` +
+        '</tr>',
+      );
+    }
+
+    const caption = t('table.caption', { state: stateName(state.currentState), metric: metric.label });
+    dom.dataTable.innerHTML =
+      `<caption class="sr-only">${caption}</caption>` +
+      `<thead><tr>${head}</tr></thead>` +
+      `<tbody>${rows.join('')}</tbody>`;
+    dom.tablePageStatus.textContent = t('table.page', {
+      page: state.dataTablePage + 1,
+      pages,
+      first: first - start + 1,
+      last: last - start + 1,
+      weeks,
+    });
+    dom.btnTablePrev.disabled = state.dataTablePage === 0;
+    dom.btnTableNext.disabled = state.dataTablePage === pages - 1;
+  };
+
+  const pageDataTable = step => {
+    state.dataTablePage += step;
+    renderDataTable({ follow: false });
+  };
+
+  // Features
+  const downloadChart = () => {
+    const link = document.createElement('a');
+    link.download = `home-affordability-${state.currentState}-${new Date().toISOString().split('T')[0]}.png`;
+    link.href = state.chartInstance.toBase64Image();
+    link.click();
+  };
+
+  // Summary Card
+  // Laid out and drawn by js/summary-card.js from the page's own wording
+  const CARD_FIGURES = ['dateCard', 'multiplierCard', 'priceCard', 'incomeCard', 'rateCard'];
+
+  // Label and value of each info card as shown, so the card matches the
+  // page (real dollars, dual values and all)
+  const cardFigures = () =>
+    CARD_FIGURES.map(id => {
+      const card = document.getElementById(id);
+      const value = card.querySelector('.info-value');
+      const parts = Array.from(value.querySelectorAll('.dual-value'), el => el.textContent);
+      return {
+        label: card.querySelector('.info-label').textContent,
+        value: parts.length ? parts.join(' / ') : value.textContent,
+      };
+    });
+
+  const cardTheme = () => {
+    const style = getComputedStyle(document.documentElement);
+    const css = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+    return {
+      colors: {
+        bg: css('--bg-container', '#ffffff'),
+        card: css('--bg-card', '#faf8f5'),
+        text: css('--text-primary', '#111827'),
+        secondary: css('--text-secondary', '#6b7280'),
+        muted: css('--text-muted', '#94a3b8'),
+        accent: css('--accent-amber', '#f59e0b'),
+      },
+      fonts: { body: css('--font-body', 'sans-serif'), mono: css('--font-mono', 'monospace') },
+    };
+  };
+
+  // `chartImage` is { src, width, height } for the rendered chart
+  const summaryCardFor = (size, chartImage) => {
+    const chart = state.chartInstance;
+    const { metadata, single_costs: singles } = state.chartData;
+    const { from, to } = visibleDateRange(chart);
+    const subtitle = [t('card.subtitle', { metric: currentMetric().label, from: formatDate(from), to: formatDate(to) })];
+    if (!isDefaultScenario(state.scenario)) subtitle.push(describeScenario(state.scenario));
+    if (state.projection) subtitle.push(t('card.projection', { projection: describeProjection(state.projection) }));
+    if (isRealDollars()) subtitle.push(t('card.realDollars', { month: formatMonth(state.realBase) }));
+
+    // The chart's visible series
+    const legend = chart.data.datasets
+      .filter((ds, i) => chart.isDatasetVisible(i) && !ds.hideFromLegend)
+      .map(ds => ({
+        label: ds.label,
+        color: typeof ds.borderColor === 'string' ? ds.borderColor : null,
+        dash: ds.borderDash || (ds.projection ? [6, 4] : []),
+      }));
+
+    const page = `${window.location.origin}${window.location.pathname}`;
+    const measure = document.createElement('canvas').getContext('2d');
+    return buildSummaryCard({
+      size,
+      title: headerTitleFor(state.currentState),
+      subtitle: subtitle.join(' · '),
+      figures: cardFigures(),
+      legend,
+      notes: [
+        describeCaveats(metadata, singles[state.activePointIndex]),
+        describeSources(metadata.data_sources || {}, {
+          cpiSeries: isRealDollars() ? state.cpi.series : null,
+          rent: state.currentView === 'rent' && Boolean(state.rentCosts),
+        }),
+      ],
+      credit: metadata.generated_at
+        ? `${t('card.generated', { date: formatDate(metadata.generated_at.slice(0, 10)) })} · ${page}`
+        : page,
+      chartImage,
+      theme: cardTheme(),
+      textWidth: (value, font) => {
+        measure.font = font;
+        return measure.measureText(value).width;
+      },
+    });
+  };
+
+  const loadImage = src =>
+    new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = reject;
+      image.src = src;
+    });
+
+  const exportSummaryCard = async format => {
+    const chart = state.chartInstance;
+    // The card draws its own legend, so render the chart without one
+    const legend = chart.options.plugins.legend;
+    const legendDisplay = legend.display;
+    legend.display = false;
+    chart.update('none');
+    const src = chart.toBase64Image();
+    legend.display = legendDisplay;
+    chart.update('none');
+
+    const size = CARD_SIZES[dom.cardSize.value] ? dom.cardSize.value : DEFAULT_CARD_SIZE;
+    const card = summaryCardFor(size, { src, width: chart.width, height: chart.height });
+    const filename = `home-affordability-${state.currentState}-${size}-${new Date().toISOString().split('T')[0]}.${format}`;
+    if (format === 'svg') {
+      downloadBlob(summaryCardSvg(card), 'image/svg+xml', filename);
+      return;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = card.width;
+    canvas.height = card.height;
+    paintSummaryCard(card, canvas.getContext('2d'), await loadImage(src));
+    canvas.toBlob(blob => downloadBlob(blob, 'image/png', filename), 'image/png');
+  };
+
+  // Data Export
+  // Index bounds of the zoomed x-range (the category scale works in indices)
+  const visibleIndexRange = () =>
+    visibleIndices(state.chartData.single_costs.length, state.chartInstance.scales.x);
+
+  // [earner, entries] for each of the primary market's lines on show, or
+  // the single-earner line when none are
+  const visibleSeries = () => {
+    const series = [
+      ['single', state.chartData.single_costs],
+      ['household', state.chartData.household_costs],
+      ['custom', state.customCosts],
+    ].filter(([earner, costs]) => costs && isEarnerVisible(earner));
+    if (series.length === 0) series.push(['single', state.chartData.single_costs]);
+    return series;
+  };
+
+  const downloadBlob = (content, type, filename) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const exportData = format => {
+    const { metadata, single_costs: entries } = state.chartData;
+    const rows = buildExportRows({
+      entries,
+      series: visibleSeries(),
+      ...visibleIndexRange(),
+      metric: state.currentMetric,
+      metricValue: currentMetric().value,
+      // Real-dollar amounts are rounded like the source's whole dollars
+      dollars: (value, date) => (isRealDollars() ? Math.round(toDisplayDollars(value, date)) : value),
+    });
+    const provenance = buildExportProvenance(rows, {
+      code: state.currentState,
+      view: state.currentView,
+      metric: state.currentMetric,
+      metadata,
+      scenario: isDefaultScenario(state.scenario) ? null : state.scenario,
+      household: state.customHousehold,
+      dollars: isRealDollars()
+        ? { basis: 'real', base_month: state.realBase, cpi_series: state.cpi.series }
+        : { basis: 'nominal' },
+    });
+    const filename = `home-affordability-${state.currentState}-${provenance.date_from}-to-${provenance.date_to}.${format}`;
+    if (format === 'csv') {
+      downloadBlob(toCsv(rows, provenance), 'text/csv;charset=utf-8', filename);
+    } else {
+      const body = JSON.stringify({ metadata: provenance, rows }, null, 2);
+      downloadBlob(body, 'application/json', filename);
+    }
+  };
+
+  const setExportMenuOpen = open => {
+    dom.exportMenu.hidden = !open;
+    dom.btnExport.setAttribute('aria-expanded', String(open));
+  };
+
+  // Share & Embed
+  // The current view as a link and as an <iframe> snippet for `embed=1`
+  // syncUrlParams keeps the embed page's "full tracker" link on the
+  // current view without `embed=1`
+  const shareUrl = () => dom.embedLink.href;
+
+  const embedSnippet = () => {
+    const src = `${shareUrl()}&embed=1`;
+    const title = t('share.embedTitle', { state: stateName(state.currentState) });
+    return `<iframe src="${src.replace(/&/g, '&amp;')}" title="${title}" width="100%" height="440" style="border:0" loading="lazy"></iframe>`;
+  };
+
+  const setSharePanelOpen = open => {
+    dom.sharePanel.hidden = !open;
+    dom.btnShare.setAttribute('aria-expanded', String(open));
+    if (!open) return;
+    dom.shareLink.value = shareUrl();
+    dom.embedSnippet.value = embedSnippet();
+    dom.shareStatus.textContent = '';
+  };
+
+  const copyShareField = async field => {
+    try {
+      await navigator.clipboard.writeText(field.value);
+      dom.shareStatus.textContent = t('share.copiedShort');
+    } catch {
+      // Clipboard access can be denied; leave it selected to copy by hand
+      field.select();
+      dom.shareStatus.textContent = t('share.copyByHand');
+    }
+  };
+
+  // Embedded in an iframe, the chart reports to the host page:
+  //   { type: 'affordability:load', state, range, view } after each load
+  //   { type: 'affordability:select', state, date, metric, values, ... }
+  //     whenever a week is selected, by click, keys, callout or table row
+  // The data is public, so messages go to any origin.
+  const postToHost = (name, detail) => {
+    if (!state.embed || window.parent === window) return;
+    window.parent.postMessage({ type: `${EMBED_MESSAGE}:${name}`, ...detail }, '*');
+  };
+
+  const selectionDetail = index => {
+    const single = state.chartData.single_costs[index];
+    const household = state.chartData.household_costs[index];
+    const metric = currentMetric();
+    return {
+      state: state.currentState,
+      index,
+      date: single.date,
+      metric: state.currentMetric,
+      values: { single: metric.value(single), household: metric.value(household) },
+      homePrice: single.home_price,
+      mortgageRate: Number(single.mortgage_rate),
+      estimated: Boolean(single.estimated),
+    };
+  };
+
+  // The host drives the chart with
+  //   { type: 'affordability:set', state?, range?, view? }
+  // using the same values as the URL params. Invalid values are ignored.
+  const handleHostMessage = e => {
+    if (e.source !== window.parent || e.data?.type !== `${EMBED_MESSAGE}:set`) return;
+    const { state: code, range, view } = e.data;
+    const ready = state.chartInstance && state.chartData;
+    if (VALID_VIEWS.includes(view)) {
+      state.currentView = view;
+      if (ready) applyCurrentView();
+    }
+    if (VALID_RANGES.includes(range) || RANGE_PRESETS.includes(range)) {
+      state.currentRange = range;
+      state.customRange = null;
+      if (ready) setDateRange(range);
+    }
+    if (ready) state.chartInstance.update('none');
+    const next = typeof code === 'string' ? resolveState(code) : state.currentState;
+    if (next !== state.currentState) {
+      dom.stateSelect.value = next;
+      loadData(next);
+    } else {
+      syncUrlParams();
+    }
+  };
+
+  const toggleYAxis = () => {
+    state.yAxisZero = !state.yAxisZero;
+    state.chartInstance.options.scales.y.beginAtZero = state.yAxisZero;
+    dom.btnToggleY.textContent = t(state.yAxisZero ? 'yaxis.zero' : 'yaxis.auto');
+    dom.btnToggleY.classList.toggle('active', state.yAxisZero);
+    state.chartInstance.update();
+  };
+
+  const getDataUrl = stateCode => {
+    if (stateCode === 'ALL') return 'weekly_case_shiller_output.json';
+    return `data/${stateCode}.json`;
+  };
+
+  const headerTitleFor = stateCode =>
+    t('header.market', { state: stateName(stateCode) });
+
+  const updateHeaderForState = stateCode => {
+    dom.headerEyebrow.textContent = headerTitleFor(stateCode);
+  };
+
+  // Data Repository
+  // Every market file goes through js/repository.js rather than a bare
+  // fetch of getDataUrl; see there for the caching and revalidation.
+  const dataRepository = createRepository({ urlFor: getDataUrl, fetch, indexedDB: window.indexedDB });
+
+  // Every file passes validateMarket before it's drawn, stored copies
+  // included since they may predate the check. A file with nothing drawable
+  // throws an error carrying the validator's `issues`. Issues are worded in
+  // the language of the check, so a language switch starts a fresh map.
+  let checkedMarkets = new WeakMap();
+  const checkMarket = (code, json) => {
+    const result = checkedMarkets.get(json) ?? validateMarket(json);
+    if (json && typeof json === 'object') checkedMarkets.set(json, result);
+    if (!result.data) {
+      const error = new Error(t('error.undrawable', { state: stateName(code) }));
+      error.issues = result.issues;
+      throw error;
+    }
+    return result;
+  };
+
+  // Resolves with { data, issues }
+  const getMarket = async (code, options) => checkMarket(code, await dataRepository.get(code, options));
+
+  // From the national view the largest markets; from a state, the U.S.
+  // series and the states it borders.
+  const likelyNextStates = code => {
+    if (code === 'ALL' || !STATE_SHAPES[code]) return ['CA', 'TX', 'FL', 'NY'];
+    return ['ALL', ...STATE_SHAPES[code].neighbours];
+  };
+
+  // State Map
+  // Choropleth of state outlines, drawn as inline SVG from the simplified
+  // boundaries in js/state-shapes.js so there are no map tiles to fetch.
+  // States too small to label or click at map size also get a box off the
+  // Atlantic coast, joined to the state by a leader line; the box is part of
+  // the state, so it colors, hovers and clicks the same.
+  const MAP_STATES = Object.keys(STATE_SHAPES);
+  // Top-left corner of each callout box, stacked north to south
+  const MAP_CALLOUTS = {
+    MA: [935, 156], RI: [935, 182], CT: [935, 208], NJ: [935, 234],
+    DE: [935, 260], MD: [935, 286], DC: [935, 312],
+  };
+  const CALLOUT_WIDTH = 34;
+  const CALLOUT_HEIGHT = 20;
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  // Like Promise.allSettled over task(item) for every item, but with at
+  // most `size` tasks running at once
+  const settleInPool = async (items, size, task) => {
+    const results = [];
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const i = next++;
+        try {
+          results[i] = { status: 'fulfilled', value: await task(items[i]) };
+        } catch (reason) {
+          results[i] = { status: 'rejected', reason };
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(size, items.length) }, worker));
+    return results;
+  };
+
+  // Resolves with every state whose file loaded; missing ones are left out.
+  // Shared by the map and the leaderboard so the 51 files load once, a few
+  // at a time so they don't crowd out the chart's own requests.
+  let allMarketsRequest = null;
+  const loadAllMarkets = () => {
+    if (!allMarketsRequest) {
+      const request = settleInPool(MAP_STATES, REPO_POOL_SIZE, async code => (await getMarket(code)).data);
+      allMarketsRequest = request.then(results => {
+        const markets = {};
+        results.forEach((result, i) => {
+          if (result.status === 'fulfilled') markets[MAP_STATES[i]] = result.value;
+        });
+        state.allMarkets = markets;
+        return markets;
+      });
+    }
+    return allMarketsRequest;
+  };
+
+  const missingMarketsText = markets => {
+    const missing = MAP_STATES.length - Object.keys(markets).length;
+    return missing > 0 ? t('map.missing', { count: missing }) : '';
+  };
+
+  const dateIndexes = new WeakMap();
+  const entryOnDate = (entries, date) => {
+    if (!dateIndexes.has(entries)) {
+      dateIndexes.set(entries, new Map(entries.map((d, i) => [d.date, i])));
+    }
+    const i = dateIndexes.get(entries).get(date);
+    return i === undefined ? null : entries[i];
+  };
+
+  // The map follows the chart: Dual Income when that's the only line shown,
+  // otherwise the single-earner series.
+  const mapEarnerKey = () =>
+    state.currentView === 'household' ? 'household_costs' : 'single_costs';
+
+  const hexToRgb = hex => {
+    const n = Number.parseInt(hex.replace('#', '').slice(0, 6), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  };
+
+  // Green (most affordable) through amber to rose (least affordable)
+  const mapColor = t => {
+    const stops = [
+      state.chartColors.compare[0],
+      state.chartColors.amber,
+      state.chartColors.compare[1],
+    ].map(hexToRgb);
+    const scaled = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(scaled));
+    const f = scaled - i;
+    const rgb = stops[i].map((c, k) => Math.round(c + (stops[i + 1][k] - c) * f));
+    return `rgb(${rgb.join(', ')})`;
+  };
+
+  const svgElement = (name, attributes) => {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => el.setAttribute(key, value));
+    return el;
+  };
+
+  // Where a state's label sits: in its callout box, or on the state
+  const mapLabelPoint = code => {
+    const box = MAP_CALLOUTS[code];
+    return box ? [box[0] + CALLOUT_WIDTH / 2, box[1] + CALLOUT_HEIGHT / 2] : STATE_SHAPES[code].label;
+  };
+
+  const buildMapSvg = () => {
+    dom.mapSvg.setAttribute('viewBox', `0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`);
+    dom.mapSvg.innerHTML = '';
+    // Leader lines go over every outline, so no state covers them
+    const leaders = svgElement('g', { class: 'map-leaders' });
+
+    Object.entries(STATE_SHAPES).forEach(([code, { d, label }]) => {
+      const group = svgElement('g', { class: 'map-state', tabindex: '0', role: 'button' });
+      group.dataset.state = code;
+      group.appendChild(svgElement('path', { d }));
+
+      const box = MAP_CALLOUTS[code];
+      if (box) {
+        leaders.appendChild(svgElement('line', {
+          x1: label[0],
+          y1: label[1],
+          x2: box[0],
+          y2: box[1] + CALLOUT_HEIGHT / 2,
+        }));
+        group.appendChild(svgElement('rect', { x: box[0], y: box[1], width: CALLOUT_WIDTH, height: CALLOUT_HEIGHT, rx: 3 }));
+      }
+
+      const [x, y] = mapLabelPoint(code);
+      const text = svgElement('text', { x, y, 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+      text.textContent = code;
+      group.appendChild(text);
+      dom.mapSvg.appendChild(group);
+    });
+    dom.mapSvg.appendChild(leaders);
+  };
+
+  const mapDates = () => state.chartData.single_costs.map(d => d.date);
+
+  // Figures for one market on one date, as the info cards would show them
+  const describeMarketOnDate = (code, date) => {
+    const json = applyScenario(state.allMarkets[code], state.scenario);
+    const single = entryOnDate(json.single_costs, date);
+    const household = entryOnDate(json.household_costs, date);
+    if (!single || !household) return t('map.noDataOn', { state: stateName(code), date: formatDate(date) });
+    const metric = currentMetric();
+    return [
+      `${stateName(code)} - ${formatDate(date)}`,
+      t('map.values', { metric: metric.label, single: formatMetric(single), household: formatMetric(household) }),
+      `${t('card.medianPrice')}${dollarsLabel()}: ${formatDollars(single.home_price, date)}`,
+      `${t('card.earnings')}${dollarsLabel()}: ${formatDollars(single.single_income, date)} / ${formatDollars(household.household_income, date)}`,
+      `${t('card.rate')}: ${formatRate(single)}`,
+    ].join('\n');
+  };
+
+  const renderMap = () => {
+    if (!dom.mapPanel || !dom.mapPanel.open || !state.allMarkets || !state.chartData) return;
+    const dates = mapDates();
+    const index = Math.min(Number(dom.mapDate.value), dates.length - 1);
+    const date = dates[index];
+    dom.mapDate.max = String(dates.length - 1);
+    dom.mapDateLabel.textContent = formatDate(date);
+
+    const metric = currentMetric();
+    const key = mapEarnerKey();
+    const values = {};
+    Object.entries(state.allMarkets).forEach(([code, json]) => {
+      const entry = entryOnDate(applyScenario(json, state.scenario)[key], date);
+      if (entry) values[code] = metric.value(entry);
+    });
+    const all = Object.values(values);
+    const min = Math.min(...all);
+    const max = Math.max(...all);
+
+    dom.mapSvg.querySelectorAll('.map-state').forEach(group => {
+      const code = group.dataset.state;
+      const value = values[code];
+      const hasValue = value !== undefined;
+      const fill = hasValue ? mapColor(max === min ? 0.5 : (value - min) / (max - min)) : '';
+      group.querySelectorAll('path, rect').forEach(shape => { shape.style.fill = fill; });
+      group.classList.toggle('no-data', !hasValue);
+      group.classList.toggle('selected', code === state.currentState);
+      // Drawn last among the states so neighbours don't cover its outline
+      if (code === state.currentState) dom.mapSvg.insertBefore(group, dom.mapSvg.querySelector('.map-leaders'));
+      group.setAttribute(
+        'aria-label',
+        hasValue
+          ? t('map.state', { state: stateName(code), value: metric.format(value) })
+          : t('map.stateNoData', { state: stateName(code) }),
+      );
+    });
+
+    if (all.length) {
+      dom.mapLegend.innerHTML =
+        `<span>${metric.format(min)}</span>` +
+        `<span class="map-legend-bar" style="background:linear-gradient(90deg, ${mapColor(0)}, ${mapColor(0.5)}, ${mapColor(1)})"></span>` +
+        `<span>${metric.format(max)}</span>` +
+        `<span class="map-legend-note">${metric.label}, ${t(key === 'household_costs' ? 'map.dualIncome' : 'map.singleEarner')}</span>`;
+    }
+  };
+
+  const showMapTooltip = (group, x, y) => {
+    if (!state.allMarkets[group.dataset.state]) return;
+    const date = mapDates()[Number(dom.mapDate.value)];
+    dom.mapTooltip.textContent = describeMarketOnDate(group.dataset.state, date);
+    dom.mapTooltip.hidden = false;
+    dom.mapTooltip.style.transform = `translate(${x}px, ${y}px)`;
+  };
+
+  const openMap = async () => {
+    if (state.allMarkets) {
+      renderMap();
+      return;
+    }
+    if (dom.mapSvg.childElementCount === 0) buildMapSvg();
+    dom.mapDate.max = String(state.chartData.single_costs.length - 1);
+    dom.mapDate.value = String(state.activePointIndex);
+    dom.mapStatus.textContent = t('map.loading');
+    const markets = await loadAllMarkets();
+    dom.mapStatus.textContent = missingMarketsText(markets);
+    renderMap();
+  };
+
+  // State Leaderboard
+  // Change columns follow VALID_RANGES so they line up with the range buttons
+  // Headers are leaderboard.<key> messages; change columns share one
+  const columnLabel = col =>
+    (col.change ? t('leaderboard.change', { range: t(`range.${col.range}`) }) : t(`leaderboard.${col.key}`));
+  const LEADERBOARD_COLUMNS = [
+    { key: 'state', text: true },
+    { key: 'single', format: v => currentMetric().format(v) },
+    { key: 'household', format: v => currentMetric().format(v) },
+    { key: 'price', format: formatMoney, dollars: true },
+    { key: 'income', format: formatMoney, dollars: true },
+    { key: 'multiplier', format: v => (v === null ? t('common.na') : formatNumber(v, 4)) },
+    ...VALID_RANGES.map(range => ({
+      key: `change_${range}`,
+      range,
+      format: formatChange,
+      change: true,
+    })),
+  ];
+
+  const percentChange = (from, to) => (from ? ((to - from) / from) * 100 : null);
+
+  const buildLeaderboardRows = () => {
+    const metric = currentMetric();
+    return Object.entries(state.allMarkets).map(([code, json]) => {
+      const data = applyScenario(json, state.scenario);
+      const singles = data.single_costs;
+      const latest = singles[singles.length - 1];
+      const latestHousehold = data.household_costs[data.household_costs.length - 1];
+      const row = {
+        code,
+        state: stateName(code),
+        single: metric.value(latest),
+        household: metric.value(latestHousehold),
+        price: toDisplayDollars(latest.home_price, latest.date),
+        income: toDisplayDollars(latest.single_income, latest.date),
+        multiplier: json.metadata?.data_sources?.qcew_income_multiplier ?? null,
+      };
+      VALID_RANGES.forEach(range => {
+        const startIso = toIsoLocal(rangeStart(range, singles[0].date, latest.date));
+        const base = singles.find(d => d.date >= startIso);
+        row[`change_${range}`] = base ? percentChange(metric.value(base), row.single) : null;
+      });
+      return row;
+    });
+  };
+
+  const sortLeaderboardRows = rows => {
+    const { key, desc } = state.leaderboardSort;
+    const direction = desc ? -1 : 1;
+    return rows.sort((a, b) => {
+      const av = a[key];
+      const bv = b[key];
+      if (av === null) return 1;
+      if (bv === null) return -1;
+      const cmp = typeof av === 'string' ? av.localeCompare(bv, intlLocale()) : av - bv;
+      return cmp * direction || a.state.localeCompare(b.state, intlLocale());
+    });
+  };
+
+  const renderLeaderboard = () => {
+    if (!dom.leaderboardPanel || !dom.leaderboardPanel.open || !state.allMarkets) return;
+    const rows = sortLeaderboardRows(buildLeaderboardRows());
+    const { key: sortKey, desc } = state.leaderboardSort;
+
+    const head = LEADERBOARD_COLUMNS.map(col => {
+      const sorted = col.key === sortKey;
+      const ariaSort = sorted ? (desc ? 'descending' : 'ascending') : 'none';
+      const arrow = sorted ? (desc ? ' ↓' : ' ↑') : '';
+      return `<th scope="col" aria-sort="${ariaSort}"${col.text ? '' : ' class="num"'}><button type="button" data-sort="${col.key}">${columnLabel(col)}${col.dollars ? dollarsLabel() : ''}${arrow}</button></th>`;
+    }).join('');
+
+    const body = rows.map((row, i) => {
+      const cells = LEADERBOARD_COLUMNS.map(col => {
+        if (col.text) {
+          return `<th scope="row"><button type="button" class="leaderboard-state" data-state="${row.code}">${row.state}</button></th>`;
+        }
+        const value = row[col.key];
+        const trend = col.change && value !== null ? (value > 0 ? ' up' : value < 0 ? ' down' : '') : '';
+        return `<td class="num${trend}">${col.format(value)}</td>`;
+      }).join('');
+      const current = row.code === state.currentState ? ' class="current"' : '';
+      return `<tr${current}><td class="num rank">${i + 1}</td>${cells}</tr>`;
+    }).join('');
+
+    dom.leaderboardTable.innerHTML =
+      `<caption class="sr-only">${t('leaderboard.caption', { metric: currentMetric().label })}</caption>` +
+      `<thead><tr><th scope="col" class="num">#</th>${head}</tr></thead>` +
+      `<tbody>${body}</tbody>`;
+  };
+
+  const setLeaderboardSort = key => {
+    const current = state.leaderboardSort;
+    state.leaderboardSort = current.key === key
+      ? { key, desc: !current.desc }
+      : { key, desc: key !== 'state' };
+    renderLeaderboard();
+  };
+
+  const openLeaderboard = async () => {
+    if (!state.allMarkets) {
+      dom.leaderboardStatus.textContent = t('map.loading');
+      const markets = await loadAllMarkets();
+      dom.leaderboardStatus.textContent = missingMarketsText(markets);
+    }
+    renderLeaderboard();
+  };
+
+  // Language
+  // Static text in index.html carries its message key: data-i18n for text,
+  // data-i18n-html for the few messages with <kbd> markup and
+  // data-i18n-<attribute> for labels, titles and placeholders. Everything
+  // app.js writes is looked up with t() as it's rendered.
+  const I18N_ATTRIBUTES = ['aria-label', 'title', 'placeholder'];
+
+  const stateOptionLabel = code => (code === 'ALL' ? t('controls.allUs') : stateName(code));
+
+  const translatePage = () => {
+    document.documentElement.lang = state.locale;
+    document.title = t('page.title');
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-html]').forEach(el => {
+      el.innerHTML = t(el.dataset.i18nHtml);
+    });
+    I18N_ATTRIBUTES.forEach(attr => {
+      document.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+        el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+      });
+    });
+    Array.from(dom.stateSelect.options).forEach(opt => {
+      opt.text = stateOptionLabel(opt.value);
+    });
+    Array.from(dom.compareSelect.options).forEach(opt => {
+      opt.text = opt.value ? stateOptionLabel(opt.value) : t('compare.add');
+    });
+    Array.from(dom.cardSize.options).forEach(opt => {
+      opt.text = cardSizeLabel(opt.value);
+    });
+  };
+
+  // Re-renders every piece of text in the new language. The market is
+  // reloaded from memory so the chart, update line and data file issues
+  // are worded afresh; the selected week is kept.
+  const setLanguage = code => {
+    state.locale = setLocale(code);
+    localStorage.setItem(LANG_STORAGE_KEY, state.locale);
+    translatePage();
+    renderScenarioSummary();
+    renderHouseholdSummary();
+    renderProjectionFields();
+    renderOverlaysForm();
+    renderQualityForm();
+    renderNotesList();
+    renderDollarsControls();
+    renderCompareControls();
+    renderRentControls();
+    if (dom.multiplierLabel) dom.multiplierLabel.textContent = currentMetric().label;
+    dom.btnToggleY.textContent = t(state.yAxisZero ? 'yaxis.zero' : 'yaxis.auto');
+    dom.btnPlayTrend.textContent = t(trendAudio ? 'audio.stop' : 'audio.play');
+    if (dom.btnPlayTrend.disabled) dom.btnPlayTrend.title = t('audio.unsupported');
+    const chart = state.chartInstance;
+    if (!chart || !state.chartData) {
+      syncUrlParams();
+      return;
+    }
+    chart.options.locale = intlLocale();
+    chart.options.scales.y.title.text = currentMetric().label;
+    // Everything below re-renders what's already loaded, so the zoom, the
+    // selected week and the open panels stay as they are
+    checkedMarkets = new WeakMap();
+    renderDiagnostics(state.currentState, checkMarket(state.currentState, state.marketFile).issues);
+    renderUpdateInfo();
+    updateHeaderForState(state.currentState);
+    refreshSeriesData();
+    syncAnnotations();
+    updateInfoCards(state.activePointIndex);
+    renderSolverForm();
+    renderDataTable({ follow: false });
+    renderMap();
+    renderLeaderboard();
+    syncUrlParams();
+  };
+
+  // "Last updated" line: publish time and the file's point counts
+  const renderUpdateInfo = () => {
+    const generatedAt = state.chartData.metadata.generated_at;
+    const genDate = generatedAt ? formatTimestamp(generatedAt) : t('update.unknown');
+    const sq = state.chartData.metadata.series_quality;
+    let countsText;
+    if (sq) {
+      const parts = [t('update.observed', { count: sq.observed })];
+      if (sq.interpolated > 0) parts.push(t('update.interpolated', { count: sq.interpolated }));
+      if (sq.extrapolated > 0) parts.push(t('update.extrapolated', { count: sq.extrapolated }));
+      countsText = t('update.points', { parts: parts.join(' + ') });
+    } else {
+      const actCount =
+        state.firstEstimatedIndex === -1
+          ? state.chartData.single_costs.length
+          : state.firstEstimatedIndex;
+      const estCount = state.chartData.single_costs.length - actCount;
+      const parts = [t('update.actual', { count: actCount })];
+      if (estCount > 0) parts.push(t('update.estimated', { count: estCount }));
+      countsText = t('update.points', { parts: parts.join(' + ') });
+    }
+    dom.updateInfo.textContent = t('update.info', { date: genDate, counts: countsText });
+  };
+
+  // Bootstrapping
+  const loadData = async stateCode => {
+    state.currentState = stateCode;
+    state.compareStates = state.compareStates.filter(code => code !== stateCode);
+
+    const myToken = ++fetchToken;
+    if (currentFetchController) currentFetchController.abort();
+    currentFetchController = new AbortController();
+    const controller = currentFetchController;
+
+    const rentRequest = loadRent(stateCode, controller.signal);
+
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, 15000);
+
+    const mainContent = document.getElementById('mainContent');
+    const isSwitch = state.chartInstance !== null;
+
+    if (isSwitch) {
+      mainContent.classList.add('is-loading');
+    }
+
+    try {
+      let file;
+      try {
+        file = await dataRepository.get(stateCode, { signal: controller.signal });
+      } catch (error) {
+        if (!error.status) throw error;
+        if (stateCode !== 'ALL') {
+          throw new Error(t('error.stateMissing', { state: stateName(stateCode) }));
+        }
+        throw new Error(t('error.nationalMissing'));
+      }
+      const { data: json, issues } = checkMarket(stateCode, file);
+      if (myToken !== fetchToken) return;
+
+      state.rent = await rentRequest;
       if (myToken !== fetchToken) return;
 
-      state.chartData = json;
+      state.sourceData = json;
+      state.marketFile = file;
+      state.chartData = applyScenario(json, state.scenario);
       state.firstEstimatedIndex = state.chartData.single_costs.findIndex(
         i => i.estimated || i.interpolated,
       );
@@ -615,26 +3625,9 @@
       state.maxDate =
         state.chartData.single_costs[state.chartData.single_costs.length - 1].date;
 
-      // Metadata setup
-      const genDate = new Date(
-        state.chartData.metadata.generated_at,
-      ).toLocaleString();
-      const sq = state.chartData.metadata.series_quality;
-      let countsText;
-      if (sq) {
-        const parts = [`${sq.observed} observed`];
-        if (sq.interpolated > 0) parts.push(`${sq.interpolated} interpolated`);
-        if (sq.extrapolated > 0) parts.push(`${sq.extrapolated} extrapolated`);
-        countsText = `${parts.join(' + ')} data points`;
-      } else {
-        const actCount =
-          state.firstEstimatedIndex === -1
-            ? state.chartData.single_costs.length
-            : state.firstEstimatedIndex;
-        const estCount = state.chartData.single_costs.length - actCount;
-        countsText = `${actCount} actual${estCount > 0 ? ' + ' + estCount + ' estimated' : ''} data points`;
-      }
-      dom.updateInfo.textContent = `Last updated: ${genDate} | ${countsText}`;
+      renderUpdateInfo();
+      renderDiagnostics(stateCode, issues);
+      renderQualityForm();
 
       document.getElementById('loadingMessage').style.display = 'none';
       mainContent.style.display = 'block';
@@ -645,11 +3638,24 @@
       } else {
         initChart();
       }
+      if (state.pendingActiveDate) {
+        const index = state.chartData.single_costs.findIndex(d => d.date >= state.pendingActiveDate);
+        state.pendingActiveDate = null;
+        if (index !== -1) {
+          state.activePointIndex = index;
+          updateInfoCards(index);
+          state.chartInstance.update('none');
+        }
+      }
+      renderSolverForm();
       syncUrlParams();
+      postToHost('load', { state: stateCode, range: state.currentRange, view: state.currentView });
+      loadComparisons();
+      dataRepository.prefetch(likelyNextStates(stateCode));
     } catch (error) {
       if (error.name === 'AbortError') {
         if (timedOut) {
-          const retryHTML = `Couldn't load data - network timeout. <button class="btn btn-secondary btn-small" id="retryBtn">Retry</button>`;
+          const retryHTML = `${t('error.timeout')} <button class="btn btn-secondary btn-small" id="retryBtn">${t('error.retry')}</button>`;
           if (isSwitch) {
             dom.updateInfo.innerHTML = retryHTML;
           } else {
@@ -662,11 +3668,12 @@
         return;
       }
       console.error(error);
+      renderDiagnostics(stateCode, error.issues || [], { failed: true });
       if (state.chartInstance) {
-        dom.updateInfo.textContent = `Error: ${error.message}`;
+        dom.updateInfo.textContent = `${t('error.prefix')} ${error.message}`;
       } else {
         document.getElementById('loadingMessage').innerHTML =
-          `<div class="error-message"><strong>Error:</strong> ${error.message}</div>`;
+          `<div class="error-message"><strong>${t('error.prefix')}</strong> ${error.message}</div>`;
       }
     } finally {
       clearTimeout(timeoutId);
@@ -677,22 +3684,56 @@
   // Listeners bindings
   document.addEventListener('DOMContentLoaded', () => {
     // Read URL params and apply initial state
-    const params = readUrlParams();
+    const params = readUrlParams(window.location.search);
+    // An explicit ?lang= wins over the last choice, then the browser's own
+    const storedLang = matchLocale(localStorage.getItem(LANG_STORAGE_KEY));
+    state.locale = setLocale(params.lang ?? storedLang ?? navigator.language);
+    translatePage();
     const initialRange = params.range;
     state.currentRange = params.range;
+    state.customRange = params.customRange;
+    state.embed = params.embed;
     state.currentView = params.view;
     state.yAxisZero = params.yaxis === 'zero';
+    state.compareStates = params.compare;
+    state.scenario = params.scenario;
+    state.customHousehold = params.household || readStoredHousehold();
+    state.leaderboardSort = params.sort;
+    if (state.leaderboardSort.key !== DEFAULT_SORT.key || state.leaderboardSort.desc !== DEFAULT_SORT.desc) {
+      dom.leaderboardPanel.open = true;
+    }
+    renderHouseholdForm();
+    setMetric(params.metric);
     dom.stateSelect.value = params.state;
+    renderScenarioForm();
+    if (dom.scenarioForm && !isDefaultScenario(state.scenario)) {
+      dom.scenarioForm.closest('details').open = true;
+    }
 
     if (state.yAxisZero) {
-      dom.btnToggleY.textContent = 'Y-Axis: Zero';
+      dom.btnToggleY.textContent = t('yaxis.zero');
       dom.btnToggleY.classList.add('active');
     }
+    renderDollarsControls();
+    if (params.real) setRealDollars(params.real).then(syncUrlParams);
+    state.solver = params.solver;
+    state.pendingActiveDate = params.at;
+    state.projection = params.projection;
+    if (state.projection) dom.projectionForm.closest('details').open = true;
+    renderProjectionForm();
+    state.overlays = params.overlays;
+    if (state.overlays.length) dom.overlaysForm.closest('details').open = true;
+    renderOverlaysForm();
+    state.quality = params.quality;
+    if (state.quality !== 'off') dom.qualityForm.closest('details').open = true;
+    renderQualityForm();
+    if (state.solver) dom.solverPanel.open = true;
+    renderSolverForm();
 
     document
       .getElementById('btnBoth')
       .addEventListener('click', () => {
-        updateLineVisibility(true, true, 'btnBoth');
+        updateLineVisibility(true, true, 'btnBoth', true);
         syncUrlParams();
       });
     document
@@ -708,26 +3749,102 @@
         syncUrlParams();
       });
 
+    dom.btnCustom.addEventListener('click', () => {
+      updateLineVisibility(false, false, 'btnCustom', true);
+      syncUrlParams();
+    });
+
+    dom.btnRent.addEventListener('click', () => {
+      updateLineVisibility(true, false, 'btnRent', false, true);
+      syncUrlParams();
+    });
+
     document.querySelector('.date-range-buttons').addEventListener('click', e => {
       const btn = e.target.closest('.btn');
       if (btn) { setDateRange(btn.dataset.range); syncUrlParams(); }
     });
 
+    document.querySelector('.date-range-picker').addEventListener('change', () => {
+      if (!state.chartInstance) return;
+      const range = { from: dom.rangeFrom.value || null, to: dom.rangeTo.value || null };
+      // An inverted or too-short window snaps the pickers back
+      if (!setCustomRange(range)) renderDatePicker();
+      syncUrlParams();
+    });
+
     document.getElementById('btnResetZoom').addEventListener('click', () => {
       setDateRange(initialRange);
       syncUrlParams();
     });
-    document
-      .getElementById('btnDownload')
-      .addEventListener('click', downloadChart);
+    Object.keys(CARD_SIZES).forEach(key => {
+      dom.cardSize.appendChild(new Option(cardSizeLabel(key), key, key === DEFAULT_CARD_SIZE, key === DEFAULT_CARD_SIZE));
+    });
+    dom.btnExport.addEventListener('click', () => setExportMenuOpen(dom.exportMenu.hidden));
+    dom.exportMenu.addEventListener('click', e => {
+      const item = e.target.closest('[data-export]');
+      if (!item) return;
+      setExportMenuOpen(false);
+      if (item.dataset.export === 'png') downloadChart();
+      else if (item.dataset.export.startsWith('card-')) exportSummaryCard(item.dataset.export.slice(5));
+      else exportData(item.dataset.export);
+    });
+    document.addEventListener('click', e => {
+      if (!dom.exportMenu.hidden && !e.target.closest('.export-menu')) setExportMenuOpen(false);
+      if (!dom.sharePanel.hidden && !e.target.closest('.share-menu')) setSharePanelOpen(false);
+    });
+    dom.exportMenu.addEventListener('keydown', e => {
+      if (e.key === 'Escape') {
+        setExportMenuOpen(false);
+        dom.btnExport.focus();
+      }
+    });
+    dom.btnShare.addEventListener('click', () => setSharePanelOpen(dom.sharePanel.hidden));
+    dom.sharePanel.addEventListener('click', e => {
+      const button = e.target.closest('[data-copy]');
+      if (button) copyShareField(document.getElementById(button.dataset.copy));
+    });
+    dom.sharePanel.addEventListener('keydown', e => {
+      if (e.key === 'Escape') {
+        setSharePanelOpen(false);
+        dom.btnShare.focus();
+      }
+    });
+    if (state.embed) window.addEventListener('message', handleHostMessage);
     dom.btnToggleY.addEventListener('click', () => { toggleYAxis(); syncUrlParams(); });
+    dom.btnRealDollars.addEventListener('click', () => {
+      setRealDollars(state.realBase === null ? undefined : null).then(syncUrlParams);
+    });
+    dom.realBaseInput.addEventListener('change', () => {
+      if (!MONTH_KEY.test(dom.realBaseInput.value)) return;
+      setRealDollars(dom.realBaseInput.value).then(syncUrlParams);
+    });
 
     dom.btnResetFilters.addEventListener('click', () => {
       state.currentRange = DEFAULTS.range;
+      state.customRange = null;
+      state.anchorIndex = null;
       state.currentView = DEFAULTS.view;
       state.yAxisZero = DEFAULTS.yaxis === 'zero';
+      state.compareStates = [];
+      state.scenario = { ...DEFAULT_SCENARIO };
+      renderScenarioForm();
+      setMetric(DEFAULTS.metric);
+      state.customHousehold = null;
+      localStorage.removeItem(HOUSEHOLD_STORAGE_KEY);
+      renderHouseholdForm();
+      state.realBase = null;
+      renderDollarsControls();
+      state.solver = null;
+      dom.solverPanel.open = false;
+      renderSolverForm();
+      state.projection = null;
+      renderProjectionForm();
+      state.overlays = [];
+      renderOverlaysForm();
+      state.quality = 'off';
+      renderQualityForm();
       dom.stateSelect.value = DEFAULTS.state;
-      dom.btnToggleY.textContent = `Y-Axis: ${state.yAxisZero ? 'Zero' : 'Auto'}`;
+      dom.btnToggleY.textContent = t(state.yAxisZero ? 'yaxis.zero' : 'yaxis.auto');
       dom.btnToggleY.classList.toggle('active', state.yAxisZero);
       resizeSelect();
       loadData(DEFAULTS.state);
@@ -750,24 +3867,266 @@
       loadData(dom.stateSelect.value);
     });
 
-    // Keyboard arrows navigation
-    document
-      .querySelector('.chart-container')
-      .addEventListener('keydown', e => {
-        if (!state.chartInstance || !state.chartData) return;
-        if (
-          e.key === 'ArrowRight' &&
-          state.activePointIndex < state.chartData.single_costs.length - 1
-        ) {
-          e.preventDefault();
-          updateInfoCards(++state.activePointIndex);
-          state.chartInstance.update();
-        } else if (e.key === 'ArrowLeft' && state.activePointIndex > 0) {
-          e.preventDefault();
-          updateInfoCards(--state.activePointIndex);
-          state.chartInstance.update();
-        }
+    // Comparison markets reuse the primary selector's option list
+    Array.from(dom.stateSelect.options).forEach(opt => {
+      dom.compareSelect.appendChild(new Option(opt.text, opt.value));
+    });
+    renderCompareControls();
+
+    // Each language is listed under its own name
+    Object.entries(LOCALES).forEach(([code, { name }]) => {
+      const option = new Option(name, code, code === state.locale, code === state.locale);
+      option.lang = code;
+      dom.langSelect.appendChild(option);
+    });
+    dom.langSelect.addEventListener('change', () => {
+      setLanguage(dom.langSelect.value);
+      resizeSelect();
+    });
+    dom.compareSelect.addEventListener('change', () => {
+      if (dom.compareSelect.value) addComparison(dom.compareSelect.value);
+    });
+    dom.compareChips.addEventListener('click', e => {
+      const chip = e.target.closest('.compare-chip');
+      if (chip) removeComparison(chip.dataset.state);
+    });
+
+    dom.metricSelect.addEventListener('change', () => {
+      setMetric(dom.metricSelect.value);
+      syncUrlParams();
+    });
+
+    // Your household income
+    dom.householdForm.addEventListener('input', e => {
+      const { elements } = dom.householdForm;
+      // An income and a multiplier aren't interchangeable; start over
+      if (e.target === elements.mode) elements.value.value = '';
+      const raw = elements.value.value;
+      setCustomHousehold(
+        elements.mode.value === 'income'
+          ? parseCustomHousehold(raw, null)
+          : parseCustomHousehold(null, raw),
+      );
+      syncUrlParams();
+    });
+    dom.householdForm.addEventListener('submit', e => e.preventDefault());
+    dom.btnClearHousehold.addEventListener('click', () => {
+      setCustomHousehold(null);
+      renderHouseholdForm();
+      syncUrlParams();
+    });
+
+    // What would it take
+    dom.solverPanel.addEventListener('toggle', () => {
+      if (dom.solverPanel.open === Boolean(state.solver)) return;
+      setSolver(dom.solverPanel.open ? readSolverForm() : null);
+      syncUrlParams();
+    });
+    dom.solverForm.addEventListener('input', e => {
+      setSolver(readSolverForm());
+      // Only a mode switch rewrites the form, so typing isn't disturbed
+      if (e.target === dom.solverForm.elements.mode) renderSolverForm();
+      syncUrlParams();
+    });
+    dom.solverForm.addEventListener('submit', e => e.preventDefault());
+    dom.btnCopySolver.addEventListener('click', copySolverLink);
+
+    // Forward projection
+    dom.projectionForm.addEventListener('input', () => {
+      setProjection(readProjectionForm());
+      syncUrlParams();
+    });
+    dom.projectionForm.addEventListener('submit', e => e.preventDefault());
+
+    // Statistical overlays
+    dom.overlaysForm.addEventListener('change', () => {
+      setOverlays(readOverlaysForm());
+      syncUrlParams();
+    });
+
+    // Data quality view
+    dom.qualityForm.addEventListener('change', () => {
+      setQuality(dom.qualityForm.elements.mode.value);
+      syncUrlParams();
+    });
+
+    // Events and notes
+    state.userNotes = readStoredNotes();
+    state.showAnnotations = localStorage.getItem(EVENTS_STORAGE_KEY) !== 'off';
+    dom.showEventsToggle.checked = state.showAnnotations;
+    renderNotesList();
+    loadAnnotations();
+
+    dom.showEventsToggle.addEventListener('change', () => setShowAnnotations(dom.showEventsToggle.checked));
+    dom.annotationMarkers.addEventListener('click', e => {
+      const marker = e.target.closest('.annotation-marker');
+      if (!marker) return;
+      if (marker.dataset.annotationId === state.openAnnotationId) closeAnnotation();
+      else openAnnotation(marker);
+    });
+    [dom.annotationPopover, dom.notesList].forEach(el =>
+      el.addEventListener('click', e => {
+        const button = e.target.closest('[data-note-id]');
+        if (button) removeUserNote(button.dataset.noteId);
+      }),
+    );
+    document.addEventListener('click', e => {
+      if (
+        state.openAnnotationId &&
+        !e.target.closest('.annotation-marker') &&
+        !e.target.closest('#annotationPopover')
+      ) closeAnnotation();
+    });
+    document.addEventListener('keydown', e => {
+      if (e.key !== 'Escape' || !state.openAnnotationId) return;
+      const marker = dom.annotationMarkers.querySelector('[aria-expanded="true"]');
+      closeAnnotation();
+      marker?.focus();
+    });
+    // New notes default to the date selected on the chart
+    dom.notesForm.closest('details').addEventListener('toggle', e => {
+      const { date } = dom.notesForm.elements;
+      if (!e.target.open || date.value || !state.chartData) return;
+      const labels = state.chartData.single_costs;
+      date.min = labels[0].date;
+      date.max = labels[labels.length - 1].date;
+      date.value = labels[state.activePointIndex].date;
+    });
+    dom.notesForm.addEventListener('submit', e => {
+      e.preventDefault();
+      const { date, label } = dom.notesForm.elements;
+      if (addUserNote(date.value, label.value)) label.value = '';
+    });
+
+    // A background check found a newer file than the one on screen
+    dataRepository.onUpdate((code, json) => {
+      let data;
+      try {
+        ({ data } = checkMarket(code, json));
+      } catch (error) {
+        // Keep drawing the old copy; loadData reports the new one's problems
+        if (code === state.currentState) loadData(code);
+        return;
+      }
+      if (state.allMarkets && state.allMarkets[code]) state.allMarkets[code] = data;
+      if (state.compareData[code]) {
+        state.compareData[code] = data;
+        syncComparisonDatasets();
+      }
+      if (code === state.currentState) loadData(code);
+      else {
+        renderMap();
+        renderLeaderboard();
+      }
+    });
+
+    if ('serviceWorker' in navigator && window.location.protocol.startsWith('http')) {
+      window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => console.error(error));
       });
+    }
+
+    // State map
+    dom.mapPanel.addEventListener('toggle', () => {
+      if (dom.mapPanel.open) openMap();
+    });
+    dom.mapDate.addEventListener('input', renderMap);
+    dom.mapSvg.addEventListener('click', e => {
+      const group = e.target.closest('.map-state');
+      if (!group || group.classList.contains('no-data')) return;
+      dom.stateSelect.value = group.dataset.state;
+      dom.stateSelect.dispatchEvent(new Event('change'));
+    });
+    dom.mapSvg.addEventListener('keydown', e => {
+      if (e.key !== 'Enter' && e.key !== ' ') return;
+      const group = e.target.closest('.map-state');
+      if (!group) return;
+      e.preventDefault();
+      group.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    });
+    dom.mapSvg.addEventListener('mousemove', e => {
+      const group = e.target.closest('.map-state');
+      if (!group) {
+        dom.mapTooltip.hidden = true;
+        return;
+      }
+      const box = dom.mapSvg.parentElement.getBoundingClientRect();
+      showMapTooltip(group, e.clientX - box.left + 12, e.clientY - box.top + 12);
+    });
+    dom.mapSvg.addEventListener('mouseleave', () => { dom.mapTooltip.hidden = true; });
+    dom.mapSvg.addEventListener('focusin', e => {
+      const group = e.target.closest('.map-state');
+      if (!group) return;
+      const [x, y] = mapLabelPoint(group.dataset.state);
+      const scale = dom.mapSvg.getBoundingClientRect().width / MAP_WIDTH || 1;
+      showMapTooltip(group, (x + 12) * scale, (y + 12) * scale);
+    });
+    dom.mapSvg.addEventListener('focusout', () => { dom.mapTooltip.hidden = true; });
+
+    // State leaderboard
+    dom.leaderboardPanel.addEventListener('toggle', () => {
+      if (dom.leaderboardPanel.open) openLeaderboard();
+    });
+    dom.leaderboardTable.addEventListener('click', e => {
+      const sortBtn = e.target.closest('[data-sort]');
+      if (sortBtn) {
+        setLeaderboardSort(sortBtn.dataset.sort);
+        syncUrlParams();
+        dom.leaderboardTable.querySelector(`[data-sort="${sortBtn.dataset.sort}"]`).focus();
+        return;
+      }
+      const row = e.target.closest('tbody tr');
+      if (!row) return;
+      dom.stateSelect.value = row.querySelector('[data-state]').dataset.state;
+      dom.stateSelect.dispatchEvent(new Event('change'));
+    });
+
+    // Mortgage scenario inputs
+    dom.scenarioForm.addEventListener('input', () => {
+      state.scenario = readScenarioForm();
+      refreshScenario();
+      syncUrlParams();
+    });
+    dom.scenarioForm.addEventListener('submit', e => e.preventDefault());
+    dom.btnResetScenario.addEventListener('click', () => {
+      state.scenario = { ...DEFAULT_SCENARIO };
+      renderScenarioForm();
+      refreshScenario();
+      syncUrlParams();
+    });
+
+    dom.btnClearAnchor.addEventListener('click', () => setAnchor(null));
+
+    // Highs, lows and turning points
+    state.showCallouts = localStorage.getItem(CALLOUTS_STORAGE_KEY) !== 'off';
+    dom.showCalloutsToggle.checked = state.showCallouts;
+    dom.showCalloutsToggle.addEventListener('change', () => setShowCallouts(dom.showCalloutsToggle.checked));
+    dom.calloutsPanel.addEventListener('toggle', () => renderCallouts());
+    dom.calloutsList.addEventListener('click', e => {
+      const button = e.target.closest('[data-index]');
+      if (!button) return;
+      const { index, kind } = button.dataset;
+      jumpToCallout(Number(index), kind);
+      dom.calloutsList.querySelector(`[data-index="${index}"][data-kind="${kind}"]`)?.focus();
+    });
+
+    // Chart keyboard model, data table and audio
+    dom.chartContainer.addEventListener('keydown', handleChartKey);
+    dom.dataTablePanel.addEventListener('toggle', () => renderDataTable());
+    dom.dataTable.addEventListener('click', e => {
+      const button = e.target.closest('[data-index]');
+      if (!button) return;
+      selectWeek(Number(button.dataset.index));
+      dom.dataTable.querySelector(`[data-index="${button.dataset.index}"]`)?.focus();
+    });
+    dom.btnTablePrev.addEventListener('click', () => pageDataTable(-1));
+    dom.btnTableNext.addEventListener('click', () => pageDataTable(1));
+    if (AudioContextClass) {
+      dom.btnPlayTrend.addEventListener('click', toggleTrendAudio);
+    } else {
+      dom.btnPlayTrend.disabled = true;
+      dom.btnPlayTrend.title = t('audio.unsupported');
+    }
 
     // Theme toggle
     document.getElementById('themeToggle').addEventListener('click', () => {
@@ -793,7 +4152,15 @@
         ds[1].borderColor = tokens.secondary;
         ds[1].backgroundColor = `${tokens.secondary}20`;
 
+        syncCustomDataset();
+        syncRentDataset();
+        syncOverlays();
+        syncProjection();
+        applyCurrentView();
         chart.update('none');
+        syncComparisonDatasets();
+        renderCompareControls();
+        renderCallouts();
       }
     });
 
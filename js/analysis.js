@@ -0,0 +1,77 @@
+// Highs, lows, swings and trend breaks in a weekly series, oldest first.
+// Missing values (null) are skipped. Indices refer to `values`, so they
+// line up with the chart's labels.
+
+export const DEFAULT_ANALYSIS = { swingWeeks: 52, reversal: 10 };
+
+// Weeks of the highest and lowest value in [start, end]; -1 when every
+// value is missing. Ties go to the earliest week.
+export const extremes = (values, start = 0, end = values.length - 1) => {
+  let high = -1;
+  let low = -1;
+  for (let i = Math.max(0, start); i <= Math.min(end, values.length - 1); i++) {
+    const v = values[i];
+    if (v === null || v === undefined) continue;
+    if (high === -1 || v > values[high]) high = i;
+    if (low === -1 || v < values[low]) low = i;
+  }
+  return { high, low };
+};
+
+// Percent change from `a` to `b`
+const percentChange = (a, b) => ((b - a) / a) * 100;
+
+// Largest rise and largest fall between a week and the one `weeks` before
+// it, as { from, to, change } with `change` in percent, or null when the
+// series never rose (or fell) over that span
+export const largestSwings = (values, weeks = DEFAULT_ANALYSIS.swingWeeks) => {
+  let rise = null;
+  let fall = null;
+  for (let to = weeks; to < values.length; to++) {
+    const from = to - weeks;
+    if (values[from] === null || values[to] === null || !values[from]) continue;
+    const change = percentChange(values[from], values[to]);
+    if (change > 0 && (!rise || change > rise.change)) rise = { from, to, change };
+    if (change < 0 && (!fall || change < fall.change)) fall = { from, to, change };
+  }
+  return { rise, fall };
+};
+
+// Where a sustained trend broke: a peak is confirmed once the series falls
+// `reversal` percent below it, and a trough once it climbs that far above
+// it, so short wobbles never count. Each turn is { index, type, from,
+// change }: `from` is the previous turn (or the first week) and `change`
+// the percent move from there. `trend` is the direction since the last
+// turn, or null while the series hasn't moved `reversal` percent either
+// way.
+export const turningPoints = (values, reversal = DEFAULT_ANALYSIS.reversal) => {
+  const turns = [];
+  const first = values.findIndex(v => v !== null && v !== undefined);
+  if (first === -1) return { turns, trend: null };
+
+  let trend = null;
+  let high = first;
+  let low = first;
+  const confirm = (index, type) => {
+    const from = turns.at(-1)?.index ?? first;
+    turns.push({ index, type, from, change: percentChange(values[from], values[index]) });
+  };
+
+  for (let i = first + 1; i < values.length; i++) {
+    const v = values[i];
+    if (v === null || v === undefined) continue;
+    if (v > values[high]) high = i;
+    if (v < values[low]) low = i;
+    if (trend !== 'down' && percentChange(values[high], v) <= -reversal) {
+      // The first move away from the opening week isn't a break
+      if (trend === 'up') confirm(high, 'peak');
+      trend = 'down';
+      low = i;
+    } else if (trend !== 'up' && percentChange(values[low], v) >= reversal) {
+      if (trend === 'down') confirm(low, 'trough');
+      trend = 'up';
+      high = i;
+    }
+  }
+  return { turns, trend };
+};
@@ -0,0 +1,82 @@
+// Constants shared by app.js and the pure modules: URL defaults and the
+// values each param accepts, input limits, and the state list.
+
+// Defaults for URL params (non-default values are written to the URL)
+export const DEFAULTS = { state: 'ALL', range: '2y', view: 'both', yaxis: 'auto', metric: 'ratio' };
+export const VALID_RANGES = ['1y', '2y', '5y', 'all'];
+// Extra range buttons; unlike VALID_RANGES they have no leaderboard column
+export const RANGE_PRESETS = ['ytd', 'since2020', 'ratelow'];
+export const VALID_VIEWS = ['both', 'single', 'household', 'custom', 'rent'];
+// Keys of METRICS in app.js
+export const METRIC_KEYS = ['ratio', 'payment', 'price'];
+// Keys of LEADERBOARD_COLUMNS in app.js, i.e. the values `sort` accepts
+export const SORT_KEYS = [
+  'state', 'single', 'household', 'price', 'income', 'multiplier',
+  ...VALID_RANGES.map(range => `change_${range}`),
+];
+export const MAX_COMPARE_STATES = 4;
+export const DEFAULT_SORT = { key: 'single', desc: true };
+export const HOUSEHOLD_LIMITS = {
+  income: { min: 1000, max: 10000000 },
+  multiplier: { min: 0.1, max: 20 },
+};
+export const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+export const MONTH_KEY = /^\d{4}-\d{2}$/;
+export const SOLVER_FIELDS = ['rate', 'price', 'income'];
+// Default target: the ratio at the first week of 2019, before the
+// pandemic-era run-up
+export const DEFAULT_SOLVER_TARGET = '2019-01-01';
+
+// Forward projections: growth rates are %/yr, rates are % APR
+export const PROJECTION_YEARS = [1, 2, 3, 4, 5];
+export const RATE_PATHS = ['flat', 'glide', 'custom'];
+export const DEFAULT_PROJECTION = {
+  years: 3,
+  priceGrowth: 3,
+  wageGrowth: 3,
+  ratePath: 'flat',
+  rateTarget: 5.5,
+  ratePoints: [],
+};
+export const PROJECTION_LIMITS = {
+  priceGrowth: { min: -20, max: 30 },
+  wageGrowth: { min: -10, max: 20 },
+  rate: { min: 0, max: 20 },
+};
+
+// Data quality view: 'off', 'marks' (dots on observed weeks, segments
+// colored by quality) or 'observed' (observed weeks only)
+export const QUALITY_MODES = ['off', 'marks', 'observed'];
+
+// Statistical overlays, in the order `overlays=` lists them
+export const OVERLAYS = ['ma13', 'ma52', 'mean', 'sigma', 'percentile'];
+
+// Mortgage scenario defaults reproduce the pipeline's assumptions
+// (100% financed, 30-year term, principal + interest only), so the
+// precomputed total_cost is used as-is until the user changes one.
+export const DEFAULT_SCENARIO = { down: 0, term: 30, tax: 0, insurance: 0, pmi: 0 };
+export const VALID_TERMS = [15, 20, 30];
+export const SCENARIO_LIMITS = {
+  down: { min: 0, max: 100 },
+  tax: { min: 0, max: 5 },
+  insurance: { min: 0, max: 50000 },
+  pmi: { min: 0, max: 5 },
+};
+export const SCENARIO_URL_KEYS = { down: 'down', term: 'term', tax: 'tax', insurance: 'ins', pmi: 'pmi' };
+
+// State name lookup for display
+export const STATE_NAMES = {
+  ALL: 'U.S.', AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas',
+  CA: 'California', CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware',
+  DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia', HI: 'Hawaii',
+  ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas',
+  KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland',
+  MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi',
+  MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+  NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+  NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma',
+  OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah',
+  VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia',
+  WI: 'Wisconsin', WY: 'Wyoming',
+};
@@ -0,0 +1,64 @@
+// Normalization of the market data files into the row layout the app works
+// with, and alignment of one file's rows onto another's dates.
+
+// Files written with `--format columnar` hold parallel arrays on one date
+// axis instead of repeated objects (ColumnarFormat in the Ruby script).
+// They're expanded here into the row layout so nothing downstream needs
+// to know which format the server sent.
+export const decodeColumnar = json => {
+  const { columns: c } = json;
+  const bits = json.flag_bits;
+  const hundredths = value => (value / 100).toFixed(2);
+  const series = type =>
+    c.date.map((date, i) => {
+      const flags = c.flags[i];
+      const entry = {
+        type,
+        date,
+        total_cost: c.total_cost[i],
+        [`${type}_income`]: c[`${type}_income`][i],
+        cost_to_income: hundredths(c[`${type}_cost_to_income`][i]),
+        home_price: c.home_price[i],
+        mortgage_rate: hundredths(c.mortgage_rate[i]),
+        observed: Boolean(flags & bits.observed),
+      };
+      if (flags & bits.estimated) {
+        entry.estimated = true;
+        entry.estimation_details = {
+          price_estimated: Boolean(flags & bits.price_estimated),
+          rate_estimated: Boolean(flags & bits.rate_estimated),
+          income_estimated: Boolean(flags & bits.income_estimated),
+        };
+      }
+      return entry;
+    });
+  return {
+    single_costs: series('single'),
+    household_costs: series('household'),
+    metadata: json.metadata,
+  };
+};
+
+export const decodeMarket = json => {
+  if (json.format === undefined) return json;
+  if (json.format === 'columnar' && json.version === 1) return decodeColumnar(json);
+  throw new Error(`Unsupported data format: ${json.format} v${json.version}`);
+};
+
+// Income of a row: single-earner, household, or Your Household's
+export const incomeOf = d => d.single_income ?? d.household_income ?? d.custom_income;
+
+// Data files only flag `observed` and `estimated`; anything else sits
+// between monthly observations, matching metadata.series_quality.
+export const qualityFlags = d => ({
+  observed: d.observed === true,
+  interpolated: Boolean(d.interpolated) || (!d.observed && !d.estimated),
+  estimated: Boolean(d.estimated),
+});
+
+// Aligns rows to a date axis by date rather than by index, so a file with
+// a shorter history still lines up. Dates with no row get null.
+export const alignToLabels = (entries, labels) => {
+  const byDate = new Map(entries.map(d => [d.date, d]));
+  return labels.map(date => byDate.get(date) || null);
+};
@@ -0,0 +1,75 @@
+// Date-range index math for the chart. `entries` are the primary market's
+// weekly rows and `labels` the chart's ISO dates, oldest first; the x scale
+// is a category scale, so windows are index ranges.
+
+export const toIsoLocal = date => {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// `days` calendar days after an ISO date (before, when negative)
+export const addDays = (isoDate, days) => {
+  const [y, m, d] = isoDate.split('-').map(Number);
+  return toIsoLocal(new Date(y, m - 1, d + days));
+};
+
+// Start of a VALID_RANGES window (or a fixed preset) that ends on `maxDate`
+export const rangeStart = (range, minDate, maxDate) => {
+  const [ey, em, ed] = maxDate.split('-').map(Number);
+  if (range === '1y') return new Date(ey - 1, em - 1, ed);
+  if (range === '2y') return new Date(ey - 2, em - 1, ed);
+  if (range === '5y') return new Date(ey - 5, em - 1, ed);
+  if (range === 'ytd') return new Date(ey, 0, 1);
+  if (range === 'since2020') return new Date(2020, 0, 1);
+  const [sy, sm, sd] = minDate.split('-').map(Number);
+  return new Date(sy, sm - 1, sd);
+};
+
+// Week of the lowest mortgage rate in the file (the first, on a tie)
+export const rateLowDate = entries =>
+  entries.reduce((low, d) => (Number(d.mortgage_rate) < Number(low.mortgage_rate) ? d : low)).date;
+
+// First week on or after the start of `range`, and the last week. Either
+// is -1 when no week qualifies.
+export const rangeIndices = (range, entries) => {
+  const minDate = entries[0].date;
+  const maxDate = entries[entries.length - 1].date;
+  const startISO = range === 'ratelow' ? rateLowDate(entries) : toIsoLocal(rangeStart(range, minDate, maxDate));
+  return {
+    startIndex: entries.findIndex(d => d.date >= startISO),
+    endIndex: entries.findIndex(d => d.date >= maxDate),
+  };
+};
+
+// Index bounds of an explicit window. Either end may be null for the first
+// or last label. Null when the window holds less than two weeks.
+export const customRangeIndices = (labels, { from, to }) => {
+  const startIndex = from ? labels.findIndex(date => date >= from) : 0;
+  const endIndex = to ? labels.findLastIndex(date => date <= to) : labels.length - 1;
+  if (startIndex === -1 || endIndex <= startIndex) return null;
+  return { startIndex, endIndex };
+};
+
+// Whole indices inside a zoomed scale's { min, max }, clamped to `count`
+// labels. An unset bound means the scale isn't zoomed on that side.
+export const visibleIndices = (count, { min, max }) => {
+  const last = count - 1;
+  return {
+    start: Math.max(0, Math.ceil(min ?? 0)),
+    end: Math.min(last, Math.floor(max ?? last)),
+  };
+};
+
+// Index of the week `months` calendar months after `index` (before, when
+// negative): the first week on or after the target date going forward, the
+// last one on or before it going back. Clamped to the labels.
+export const offsetIndex = (labels, index, months) => {
+  const [y, m, d] = labels[index].split('-').map(Number);
+  const target = toIsoLocal(new Date(y, m - 1 + months, d));
+  if (months > 0) {
+    const next = labels.findIndex(date => date >= target);
+    return next === -1 ? labels.length - 1 : next;
+  }
+  const previous = labels.findLastIndex(date => date <= target);
+  return previous === -1 ? 0 : previous;
+};
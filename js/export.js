@@ -0,0 +1,77 @@
+// CSV and JSON export of the weeks on the chart, with the provenance a
+// reader needs to reproduce them.
+import { STATE_NAMES } from './config.js';
+import { incomeOf, qualityFlags } from './data.js';
+
+// One row per week from `start` to `end`. `entries` are the primary
+// market's single-earner weeks, which carry the price, rate and quality
+// flags; `series` is [earner, entries] for each income line exported.
+// `dollars(value, date)` converts an amount for display; with a `metric`
+// other than 'ratio', `metricValue(entry)` adds that metric's columns.
+export const buildExportRows = ({ entries, series, start, end, metric = 'ratio', metricValue, dollars = value => value }) => {
+  const rows = [];
+  for (let i = start; i <= end; i++) {
+    const base = entries[i];
+    const amount = value => dollars(value, base.date);
+    const row = {
+      date: base.date,
+      home_price: amount(base.home_price),
+      mortgage_rate: Number(base.mortgage_rate),
+    };
+    series.forEach(([earner, costs]) => {
+      row[`${earner}_income`] = amount(incomeOf(costs[i]));
+    });
+    row.total_cost = amount(base.total_cost);
+    series.forEach(([earner, costs]) => {
+      row[`${earner}_cost_to_income`] = Number(costs[i].cost_to_income);
+    });
+    if (metric !== 'ratio') {
+      series.forEach(([earner, costs]) => {
+        row[`${earner}_${metric}_to_income`] = metricValue(costs[i]);
+      });
+    }
+    Object.assign(row, qualityFlags(base));
+    rows.push(row);
+  }
+  return rows;
+};
+
+// `scenario` and `household` are null when they're the defaults; `dollars`
+// is { basis: 'nominal' } or { basis: 'real', base_month, cpi_series }
+export const buildExportProvenance = (rows, { code, view, metric, metadata, scenario = null, household = null, dollars }) => {
+  const sources = metadata.data_sources || {};
+  return {
+    state: code,
+    state_name: STATE_NAMES[code],
+    view,
+    metric,
+    date_from: rows.length ? rows[0].date : null,
+    date_to: rows.length ? rows[rows.length - 1].date : null,
+    generated_at: metadata.generated_at,
+    exported_at: new Date().toISOString(),
+    data_sources: sources,
+    qcew_multiplier_source: sources.qcew_multiplier_source || null,
+    scenario: scenario && { ...scenario },
+    your_household: household && { ...household },
+    dollars,
+  };
+};
+
+export const csvCell = value => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Provenance goes in leading `#` comment lines, which pandas
+// (comment='#') and R (comment.char='#') both skip.
+export const toCsv = (rows, provenance) => {
+  const header = Object.entries(provenance)
+    .filter(([, value]) => value !== null)
+    .map(([key, value]) =>
+      `# ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`,
+    );
+  const columns = rows.length ? Object.keys(rows[0]) : [];
+  const lines = rows.map(row => columns.map(col => csvCell(row[col])).join(','));
+  return [...header, columns.join(','), ...lines].join('\n') + '\n';
+};
@@ -0,0 +1,66 @@
+// Display formatting in the active locale (see i18n.js). Dates are ISO
+// strings read as local dates, so a week never shifts a day with the
+// viewer's time zone.
+import { intlLocale, t } from './i18n.js';
+
+// Intl formatters are costly to build, so one is kept per locale and options
+const formatters = new Map();
+const cached = (Formatter, options) => {
+  const key = `${Formatter.name}:${intlLocale()}:${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Formatter(intlLocale(), options));
+  return formatters.get(key);
+};
+
+export const formatMoney = val =>
+  cached(Intl.NumberFormat, {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(Math.round(val));
+
+// Fixed decimals with the locale's separators, like a localized toFixed
+export const formatNumber = (value, digits = 0) =>
+  cached(Intl.NumberFormat, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+
+// `value` is already in percent: formatPercent(6.4) is "6.4%"
+export const formatPercent = (value, digits = 1) =>
+  cached(Intl.NumberFormat, {
+    style: 'percent',
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(value / 100);
+
+// Multipliers such as the price-to-income ratio: "5.23x"
+export const formatRatio = (value, digits = 2) => `${formatNumber(value, digits)}x`;
+
+export const formatDate = dateStr => {
+  const [y, m, d] = dateStr.split('-');
+  return cached(Intl.DateTimeFormat, { year: 'numeric', month: 'short', day: 'numeric' })
+    .format(new Date(y, m - 1, d));
+};
+
+export const formatMonth = monthKey => {
+  const [y, m] = monthKey.split('-');
+  return cached(Intl.DateTimeFormat, { year: 'numeric', month: 'short' }).format(new Date(y, m - 1, 1));
+};
+
+// Full date and time for an ISO timestamp, in the viewer's time zone
+export const formatTimestamp = iso =>
+  cached(Intl.DateTimeFormat, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(iso));
+
+// "Texas, Ohio, and Utah"
+export const formatList = items => cached(Intl.ListFormat, { type: 'conjunction' }).format(items);
+
+// "+2.31x" / "−$12,400": an explicit sign, with a true minus
+export const signed = (value, format) => `${value < 0 ? '−' : '+'}${format(Math.abs(value))}`;
+
+export const formatChange = v =>
+  v === null
+    ? t('common.na')
+    : cached(Intl.NumberFormat, {
+      style: 'percent',
+      minimumFractionDigits: 1,
+      maximumFractionDigits: 1,
+      signDisplay: 'exceptZero',
+    }).format(v / 100);
@@ -0,0 +1,57 @@
+// Message catalogs and the active locale. Messages are looked up by flat
+// dotted keys; a key missing from the active catalog falls back to English,
+// and one missing there too is shown as the key itself so it stands out.
+//
+// Messages interpolate `{name}` placeholders from `params`. A message can
+// also be an object of plural forms ({ one, other, ... }), picked by
+// Intl.PluralRules from `params.count`.
+import { STATE_NAMES } from './config.js';
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+// `intl` is the tag handed to Intl and Chart.js for numbers and dates
+export const LOCALES = {
+  en: { name: 'English', intl: 'en-US', messages: en },
+  es: { name: 'Español', intl: 'es', messages: es },
+};
+export const DEFAULT_LOCALE = 'en';
+
+let current = DEFAULT_LOCALE;
+
+// Supported locale for a tag such as 'es-MX', or null when there's none
+export const matchLocale = raw => {
+  if (typeof raw !== 'string') return null;
+  const code = raw.trim().toLowerCase().split(/[-_]/)[0];
+  return Object.hasOwn(LOCALES, code) ? code : null;
+};
+
+export const setLocale = code => {
+  current = matchLocale(code) ?? DEFAULT_LOCALE;
+  return current;
+};
+
+export const getLocale = () => current;
+
+export const intlLocale = () => LOCALES[current].intl;
+
+const pluralRules = {};
+const pluralForm = (forms, count) => {
+  const locale = intlLocale();
+  pluralRules[locale] ??= new Intl.PluralRules(locale);
+  return forms[pluralRules[locale].select(count)] ?? forms.other;
+};
+
+export const t = (key, params = {}) => {
+  let message = LOCALES[current].messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key] ?? key;
+  if (typeof message === 'object') message = pluralForm(message, params.count);
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return placeholder;
+    return typeof value === 'number' ? value.toLocaleString(intlLocale()) : String(value);
+  });
+};
+
+// Display name for a state code. Catalogs only list the names that differ
+// from STATE_NAMES (Spanish exonyms such as "Nueva York").
+export const stateName = code =>
+  LOCALES[current].messages[`state.${code}`] ?? STATE_NAMES[code] ?? code;
@@ -0,0 +1,448 @@
+// English messages, the fallback for every other catalog. Keys are grouped
+// by the part of the page that shows them; see i18n.js for placeholders
+// and plural forms. Keys named in index.html's data-i18n attributes must
+// match the English text written there.
+export default {
+  // Shared
+  'common.na': 'n/a',
+  'common.off': 'Off',
+  'page.title': 'Home Affordability Tracker - U.S. Mortgage Cost vs. Income',
+  'when.today': 'Today',
+  'when.week': 'The week of {date}',
+
+  // Header and loading
+  'header.market': '{state} Housing Market',
+  'header.subtitle': 'How Many Years of Income Does a Home Really Cost?',
+  'header.fetching': 'Fetching latest data...',
+  'header.theme': 'Toggle dark mode',
+  'header.language': 'Language',
+  'loading.message': 'Crunching the numbers...',
+  'update.unknown': 'unknown',
+  'update.observed': '{count} observed',
+  'update.interpolated': '{count} interpolated',
+  'update.extrapolated': '{count} extrapolated',
+  'update.actual': '{count} actual',
+  'update.estimated': '{count} estimated',
+  'update.points': '{parts} data points',
+  'update.info': 'Last updated: {date} | {counts}',
+  'error.prefix': 'Error:',
+  'error.stateMissing': 'Data for {state} is not yet available. Run the data script first.',
+  'error.nationalMissing': 'Failed to load data file. Run the Ruby script first.',
+  'error.undrawable': "The data file for {state} can't be drawn.",
+  'error.timeout': "Couldn't load data - network timeout.",
+  'error.retry': 'Retry',
+  'error.comparison': "Error: Couldn't load comparison data for {states}.",
+
+  // Data file diagnostics
+  'diagnostics.national': 'national',
+  'diagnostics.minor': 'The {name} data file has minor problems',
+  'diagnostics.failed': "The {name} data file couldn't be drawn",
+  'diagnostics.prefix': 'Showing the {name} data up to its first bad row',
+  'diagnostics.hint': 'Re-running the data script usually fixes this.',
+  'validate.series.single': 'single-earner',
+  'validate.series.household': 'dual-income',
+  'validate.notMarket': 'The file is not a market data file: expected a JSON object.',
+  'validate.seriesMissing': 'The {series} series ({key}) is missing or not a list.',
+  'validate.lengthMismatch':
+    'The single-earner series has {single} rows but the dual-income series has {household}; only the first {length} are used.',
+  'validate.row': 'Row {row} of {rows} in the {series} series',
+  'validate.rowOn': 'Row {row} of {rows} ({date}) in the {series} series',
+  'validate.problem': '{where}: {problem}.',
+  'validate.notObject': 'is not an object',
+  'validate.badDate': 'date is {value}, not a YYYY-MM-DD date',
+  'validate.dateOrder': "date {date} doesn't come after the previous row's {previous}",
+  'validate.dateMismatch': "date {date} doesn't match the dual-income series' {other}",
+  'validate.fieldMissing': '{field} is missing',
+  'validate.notNumber': '{field} is {value}, not a number',
+  'validate.outOfRange': '{field} is {value}, outside {min}–{max}',
+  'validate.notBoolean': '{field} is {value}, not true or false',
+  'validate.stopsAt': 'The chart stops at {date}.',
+  'validate.tooFew': 'Fewer than {min} usable rows, so there is nothing to draw.',
+  'validate.noMetadata': 'The file has no metadata, so the update time and data sources are unknown.',
+  'validate.badTimestamp': 'metadata.generated_at is {value}, not a timestamp.',
+  'validate.noTimestamp': 'metadata.generated_at is missing, so the update time is unknown.',
+  'validate.badQuality': 'metadata.series_quality is malformed and was ignored.',
+
+  // Chart series and views
+  'series.single': 'Single Earner',
+  'series.household': 'Dual Income (1.4×)',
+  'series.custom': 'Your Household',
+  'series.rent': 'Rent-to-Income',
+  'view.both': 'Compare Both',
+  'view.rent': 'Rent vs Buy',
+
+  // Metrics
+  'metric.select': 'Affordability metric',
+  'metric.option.ratio': 'Lifetime Cost / Income',
+  'metric.option.payment': 'Monthly Payment / Income',
+  'metric.option.price': 'Home Price / Income',
+  'metric.ratio.label': 'Price-to-Income Ratio',
+  'metric.ratio.short': 'Price-to-Income',
+  'metric.ratio.tooltip': 'Multiplier',
+  'metric.payment.label': 'Payment-to-Income',
+  'metric.payment.short': 'Payment-to-Income',
+  'metric.payment.tooltip': 'Monthly P&I',
+  'metric.price.label': 'Home Price-to-Income',
+  'metric.price.short': 'Home Price-to-Income',
+  'metric.price.tooltip': 'Price/Income',
+
+  // Controls
+  'controls.state': 'Select state for housing market data',
+  'controls.allUs': 'All U.S.',
+  'controls.resetFilters': 'Reset Filters',
+  'compare.select': 'Add a state to compare',
+  'compare.add': '+ Compare',
+  'compare.title': 'Compared Markets',
+  'compare.remove': 'Remove {state} from comparison',
+
+  // Info cards
+  'field.date': 'Date',
+  'field.homePrice': 'Home Price',
+  'field.mortgageRate': 'Mortgage Rate',
+  'field.totalCost': 'Total Cost',
+  'field.income': 'Income',
+  'field.incomeOf': 'Income ({series})',
+  'card.medianPrice': 'Median Home Price',
+  'card.earnings': 'Avg. Annual Earnings',
+  'card.rate': '30-Yr Fixed Rate',
+  'badge.estimated': 'Estimated',
+  'badge.interpolated': 'Interpolated',
+  'badge.observed': 'Observed',
+  'custom.today': '{value} today',
+  'custom.higherThan': '{change} higher than {value} on {date}',
+  'custom.lowerThan': '{change} lower than {value} on {date}',
+
+  // Chart tooltip
+  'tooltip.date': 'Date: {date}',
+  'tooltip.projected': 'Projected, base case',
+  'tooltip.realDollars': 'In {month} dollars',
+  'tooltip.value': '{series}: {metric} {value} (Income: {income})',
+
+  // Screen reader summary of the selected week
+  'live.point': '{date} - {state}: {values}, Median Home Price {price}, Mortgage {rate}',
+  'live.bothSeries': '{metric} {single} (single) / {household} (dual)',
+  'live.oneSeries': '{metric} {value}',
+  'live.withCustom': '{values}, your household {value}',
+  'live.customOnly': '{metric} {value} (your household)',
+  'live.compared': '; compared with {list}',
+
+  // Two-point comparison
+  'change.label': 'Change, {from} to {to}',
+  'change.column': 'Change',
+  'change.clear': 'Clear the comparison point',
+  'change.points': '{value} pts',
+  'change.attribution': 'Ratio {total}: home price {price}, mortgage rate {rate}, income {income}',
+  'change.spoken': 'change from {from} to {to}: {summary}',
+
+  // Mortgage scenario
+  'scenario.title': 'Mortgage Scenario',
+  'scenario.field.down': 'Down Payment (%)',
+  'scenario.field.term': 'Loan Term',
+  'scenario.years15': '15 years',
+  'scenario.years20': '20 years',
+  'scenario.years30': '30 years',
+  'scenario.field.tax': 'Property Tax (%/yr)',
+  'scenario.field.insurance': 'Insurance ($/yr)',
+  'scenario.field.pmi': 'PMI (%/yr of loan)',
+  'scenario.reset': 'Reset Scenario',
+  'scenario.help':
+    'PMI applies below 20% down and is charged until the loan is paid down to 78% of the purchase price. Every term uses the Freddie Mac 30-year fixed rate.',
+  'scenario.down': '{down}% down',
+  'scenario.financed': '100% financed',
+  'scenario.term': '{term}-yr term',
+  'scenario.tax': '{tax}% property tax',
+  'scenario.insurance': '{insurance}/yr insurance',
+  'scenario.pmi': '{pmi}% PMI',
+  'scenario.principalInterest': 'principal + interest only',
+
+  // Your household
+  'household.field.mode': 'Enter As',
+  'household.option.income': 'Annual income ($)',
+  'household.option.multiplier': 'Multiple of earnings (×)',
+  'household.field.value': 'Value',
+  'household.placeholder': 'e.g. 95000',
+  'household.clear': 'Clear',
+  'household.help':
+    "Your income is scaled through history with the selected market's earnings series, so an annual income describes your household today. Saved in this browser.",
+  'household.notSet': 'Not set',
+  'household.multiplier': '{value}× single-earner earnings',
+  'household.income': '{income}/yr today',
+
+  // What would it take
+  'solver.title': 'What Would It Take',
+  'solver.summary': 'Rate, price or income needed to reach a past ratio',
+  'solver.field.solve': 'Solve For',
+  'solver.option.rate': 'Mortgage rate',
+  'solver.option.price': 'Home price',
+  'solver.option.income': 'Income',
+  'solver.field.series': 'Series',
+  'solver.option.single': 'Single earner',
+  'solver.option.household': 'Dual income (1.4×)',
+  'solver.field.target': 'Target',
+  'solver.option.date': 'Ratio on a date',
+  'solver.option.ratio': 'Ratio I enter',
+  'solver.field.ratio': 'Ratio (×)',
+  'solver.copy': 'Copy Link',
+  'solver.help':
+    "Solves for the week selected on the chart (click a point or use the arrow keys), holding the other two inputs at that week's values. Uses the price-to-income ratio under the current mortgage scenario.",
+  'solver.needed.rate': 'Mortgage rate needed',
+  'solver.needed.price': 'Home price needed',
+  'solver.needed.income': 'Income needed',
+  'solver.targetOn': '{ratio}, the {date} ratio',
+  'solver.outOfReachAtZero': 'Out of reach even at {rate}',
+  'solver.above': 'Above {rate}',
+  'solver.outOfReach': 'Out of reach',
+  'solver.note': 'vs {current} on {date}, to reach {target} ({series})',
+
+  // Projection
+  'projection.title': 'Projection',
+  'projection.field.enabled': 'Project past the latest data',
+  'projection.field.years': 'Years Ahead',
+  'projection.field.prices': 'Home Prices (%/yr)',
+  'projection.field.wages': 'Wages (%/yr)',
+  'projection.option.flat': 'Hold at latest',
+  'projection.option.glide': 'Glide to a target',
+  'projection.option.custom': 'Custom points',
+  'projection.field.target': 'Target Rate (%)',
+  'projection.field.points': 'Year:Rate Points',
+  'projection.placeholder': 'e.g. 1:6.25, 3:5.5',
+  'projection.help':
+    'Dashed lines are the base case. The shaded band runs from an optimistic case (prices 2 points slower, wages 1 point faster, rates 0.75 points lower per year) to a pessimistic one (the reverse). Projections illustrate assumptions; they are not forecasts.',
+  'projection.regionLabel': 'Projection',
+  'projection.base': 'Projected',
+  'projection.high': 'Pessimistic',
+  'projection.low': 'Optimistic',
+  'projection.years': { one: '{count} yr', other: '{count} yrs' },
+  'projection.prices': 'prices {sign}{growth}%/yr',
+  'projection.wages': 'wages {sign}{growth}%/yr',
+  'projection.rateHeld': 'rate held',
+  'projection.rateTo': 'rate to {rate}%',
+  'projection.rateCustom': 'custom rate path',
+
+  // Statistics
+  'overlay.title': 'Statistics',
+  'overlay.option.ma13': '13-week moving average',
+  'overlay.option.ma52': '52-week moving average',
+  'overlay.option.mean': 'Full-history mean',
+  'overlay.option.sigma': '±1σ band',
+  'overlay.option.percentile': 'Percentile of the selected week',
+  'overlay.help':
+    "Calculated from the selected state's own history for the chosen metric and mortgage scenario. Moving averages are trailing, so each starts once it has a full window of weeks. Projected weeks are left out.",
+  'overlay.ma13': '13-Week Avg',
+  'overlay.ma52': '52-Week Avg',
+  'overlay.mean': 'Mean',
+  'overlay.sigma': '±1σ',
+  'overlay.percentile': 'Percentile',
+  'overlay.band': '{series}: {from} to {to}',
+  'overlay.percentileReadout':
+    '{when} is more expensive than {share} of weeks since {since} ({series}, {metric}).',
+
+  // Data quality
+  'quality.title': 'Data Quality',
+  'quality.field.mode': 'View',
+  'quality.option.marks': 'Mark observed points',
+  'quality.help':
+    'Home prices and earnings are released monthly. Dots mark the observed weeks, faded segments are interpolated between releases and amber dashed segments are estimated past the latest release. "Observed weeks only" hides every other week.',
+  'quality.mode.off': 'Standard',
+  'quality.mode.marks': 'Observed points marked',
+  'quality.mode.observed': 'Observed weeks only',
+  'quality.counts': '{observed} observed of {total}',
+  'quality.latestRelease': 'Latest release: {month}.',
+  'quality.rateEstimated': 'Estimated past the latest weekly survey.',
+  'quality.rateObserved': 'Observed weekly.',
+  'quality.rateObservedFrom': 'Observed weekly ({series}).',
+  'quality.componentEstimated': 'Estimated.',
+  'quality.componentObserved': 'Observed monthly release.',
+  'quality.componentInterpolated': 'Interpolated between monthly releases.',
+  'quality.week': 'Week',
+  'quality.earnings': 'Earnings',
+  'quality.weekObserved': 'Observed',
+  'quality.weekInterpolated': 'Interpolated between monthly releases',
+  'quality.weekEstimated': 'Estimated past the latest release',
+
+  // Annotations and notes
+  'notes.title': 'Events & Notes',
+  'notes.field.show': 'Show events and notes on the chart',
+  'notes.field.label': 'Note',
+  'notes.placeholder': 'e.g. Started house hunting',
+  'notes.add': 'Add Note',
+  'notes.help':
+    'Shaded bands mark recessions and Fed hiking cycles; dashed lines mark rate and tax-law milestones. Click a marker on the chart for details. Your notes are saved in this browser and appear on every state.',
+  'annotation.kind.recession': 'Recession',
+  'annotation.kind.fed': 'Federal Reserve',
+  'annotation.kind.rates': 'Mortgage rates',
+  'annotation.kind.policy': 'Tax & policy',
+  'annotation.kind.note': 'Your note',
+  'notes.deleteNote': 'Delete note',
+  'notes.delete': 'Delete',
+  'notes.deleteNamed': 'Delete note "{label}"',
+  'notes.count': { one: '{count} note', other: '{count} notes' },
+  'notes.none': 'No notes',
+
+  // Chart toolbar
+  'range.1y': '1Y',
+  'range.2y': '2Y',
+  'range.5y': '5Y',
+  'range.all': 'All',
+  'range.ytd': 'YTD',
+  'range.ytdTitle': 'Year to date',
+  'range.since2020': '2020+',
+  'range.since2020Title': 'Since January 2020',
+  'range.ratelow': 'Rate Low+',
+  'range.ratelowTitle': 'Since the lowest mortgage rate on record',
+  'range.from': 'From',
+  'range.to': 'To',
+  'yaxis.toggle': 'Toggle Y-Axis origin',
+  'yaxis.zero': 'Y-Axis: Zero',
+  'yaxis.auto': 'Y-Axis: Auto',
+  'dollars.title': 'Show dollar amounts adjusted for inflation (CPI-U)',
+  'dollars.baseMonth': 'Base month for real dollars',
+  'dollars.real': 'Dollars: Real',
+  'dollars.nominal': 'Dollars: Nominal',
+  'dollars.unavailable': 'Inflation data is not available',
+  'zoom.reset': 'Reset View',
+
+  // Export and share
+  'export.button': 'Export',
+  'export.png': 'Chart image (PNG)',
+  'export.csv': 'Visible data (CSV)',
+  'export.json': 'Visible data (JSON)',
+  'export.cardPng': 'Summary card (PNG)',
+  'export.cardSvg': 'Summary card (SVG)',
+  'export.cardSize': 'Card size',
+  'card.size.social': 'Social ({width} × {height})',
+  'card.size.square': 'Square ({width} × {height})',
+  'card.size.slide': 'Slide 16:9 ({width} × {height})',
+  'card.size.slide43': 'Slide 4:3 ({width} × {height})',
+  'card.eyebrow': 'Home Affordability Tracker',
+  'card.subtitle': '{metric}, {from} to {to}',
+  'card.projection': 'Projection: {projection}',
+  'card.realDollars': '{month} dollars',
+  'card.generated': 'Data generated {date}',
+  'sources.list': 'Sources: {sources}',
+  'sources.earnings': '{series} (earnings)',
+  'sources.homePrices': '{series} (home prices)',
+  'sources.mortgageRates': '{series} (mortgage rates)',
+  'sources.qcew': 'BLS QCEW {year} state wage multiplier {multiplier}',
+  'sources.inflation': '{series} (inflation)',
+  'sources.rent': '{series} (rent)',
+  'caveats.dashed': 'Dashed segments are interpolated between monthly releases or estimated past the latest one.',
+  'caveats.dashedCounts':
+    'Dashed segments are interpolated between monthly releases or estimated past the latest one ({observed} observed, {interpolated} interpolated and {extrapolated} estimated weeks).',
+  'caveats.selectedEstimated': 'The selected week is estimated.',
+  'caveats.selectedInterpolated': 'The selected week is interpolated.',
+  'share.button': 'Share / Embed',
+  'share.dialog': 'Share or embed this chart',
+  'share.link': 'Link to this view',
+  'share.copyLink': 'Copy link',
+  'share.embed': 'Embed code',
+  'share.copyEmbed': 'Copy embed code',
+  'share.copied': 'Link copied.',
+  'share.copiedShort': 'Copied.',
+  'share.copyByHand': 'Press Ctrl+C (⌘C) to copy.',
+  'share.embedTitle': 'Home affordability: {state}',
+
+  // Chart
+  'chart.label': 'Home affordability price-to-income ratio chart',
+  'chart.markers': 'Chart events and notes',
+  'chart.tip':
+    'Scroll to zoom, drag to pan, click any point for details, or use arrow keys to step through dates. Shift-click or Shift+arrows to compare two dates. More shortcuts are under Keyboard & Audio.',
+  'embed.open': 'Open the full tracker ↗',
+
+  // Rent vs buy
+  'rent.buttonTitle': 'Monthly P&I against rent, as shares of single-earner income',
+  'rent.tooltipRent': '{series}: {share} (Rent: {rent}/mo)',
+  'rent.tooltipBuy': 'Buying: {payment}/mo P&I · Breakeven rate: {rate}',
+  'rent.readoutMore': '{when}: P&I on the median home is {payment} a month against {rent} rent, {gap} more.',
+  'rent.readoutLess': '{when}: P&I on the median home is {payment} a month against {rent} rent, {gap} less.',
+  'rent.rentingCheaper': 'Renting is cheaper even with a {rate} mortgage.',
+  'rent.buyingCheaper': 'Buying is cheaper even at a {rate} rate.',
+  'rent.breakeven': 'Buying breaks even at a {rate} rate or a {price} price.',
+
+  // Highs, lows and turning points
+  'callouts.title': 'Highs, Lows & Turning Points',
+  'callouts.summary': 'Records, the biggest swings and where the trend broke',
+  'callouts.show': 'Label them on the chart',
+  'callouts.help':
+    "Found in the selected state's history for the chosen metric and mortgage scenario. A peak or trough counts once the line has moved 10% the other way, so short wobbles don't. Click an entry to select its week.",
+  'callouts.recordHigh': 'Record high',
+  'callouts.recordLow': 'Record low',
+  'callouts.rangeHigh': 'Range high',
+  'callouts.rangeLow': 'Range low',
+  'callouts.rise': 'Biggest 52-week rise',
+  'callouts.fall': 'Biggest 52-week fall',
+  'callouts.peak': 'Peak',
+  'callouts.trough': 'Trough',
+  'callouts.swingMark': '{change} in a year',
+  'callouts.from': '{change} from {date}',
+  'callouts.trend.up': 'Trending up since {since} ({change} so far)',
+  'callouts.trend.down': 'Trending down since {since} ({change} so far)',
+  'callouts.trend.none': 'No sustained trend since {date}',
+  'callouts.since.peak': 'the {date} peak',
+  'callouts.since.trough': 'the {date} trough',
+  'callouts.since.start': '{date}',
+
+  // Data table
+  'table.title': 'Data Table',
+  'table.summary': "The weeks in the chart's range, synced with the selected week",
+  'table.previous': 'Previous',
+  'table.next': 'Next',
+  'table.data': 'Data',
+  'table.caption': '{state} {metric} by week; select a week to show it on the chart',
+  'table.page': 'Page {page} of {pages}: weeks {first}-{last} of {weeks}',
+
+  // Keyboard and audio
+  'keys.title': 'Keyboard & Audio',
+  'keys.summary': 'Chart shortcuts and an audio version of the trend',
+  'keys.focused': 'With the chart focused:',
+  'keys.digits': '<kbd>1</kbd> to <kbd>5</kbd>',
+  'keys.week': 'One week earlier or later',
+  'keys.month': 'One month earlier or later; with <kbd>Shift</kbd>, one year',
+  'keys.ends': 'First or last week in the range',
+  'keys.extremes': 'Highest or lowest week in the range',
+  'keys.views': 'Compare Both, Single Earner, Dual Income, Your Household, Rent vs Buy',
+  'keys.ranges': 'Previous or next date range button',
+  'keys.play': 'Play or stop the trend',
+  'keys.second': 'Move the second point of a two-date comparison',
+  'keys.clear': 'Clear the comparison',
+  'keys.range': 'Range {range}: {from} to {to}',
+  'keys.highest': 'Highest in range',
+  'keys.lowest': 'Lowest in range',
+  'keys.view': '{view} view',
+  'audio.help':
+    "Plays the first line shown across the chart's range, one note per week (or per few weeks on long ranges). Higher pitch is less affordable.",
+  'audio.play': 'Play Trend',
+  'audio.stop': 'Stop',
+  'audio.unsupported': 'Audio is not supported in this browser',
+  'audio.playing':
+    'Playing {series} {metric} from {from} to {to}: {first} to {last}, low {low}, high {high}. Higher pitch is less affordable.',
+
+  // State map
+  'map.title': 'State Map',
+  'map.summary': 'Every state colored by affordability on one date',
+  'map.date': 'Date:',
+  'map.label': 'U.S. map of state affordability',
+  'map.loading': 'Loading every state...',
+  'map.missing': { one: '{count} state could not be loaded.', other: '{count} states could not be loaded.' },
+  'map.noDataOn': '{state}: no data for {date}',
+  'map.values': '{metric}: {single} single / {household} dual',
+  'map.state': '{state}: {value}. Show in chart.',
+  'map.stateNoData': '{state}: no data',
+  'map.dualIncome': 'dual income',
+  'map.singleEarner': 'single earner',
+
+  // Leaderboard
+  'leaderboard.title': 'State Leaderboard',
+  'leaderboard.summary': 'All 50 states and D.C., ranked and sortable',
+  'leaderboard.caption': 'States ranked by {metric}; select a state to chart it',
+  'leaderboard.state': 'State',
+  'leaderboard.single': 'Single',
+  'leaderboard.household': 'Dual',
+  'leaderboard.price': 'Median Price',
+  'leaderboard.income': 'Earnings',
+  'leaderboard.multiplier': 'QCEW ×',
+  'leaderboard.change': 'Δ {range}',
+
+  // The methodology itself is written only in English
+  'methodology.title': 'How It Works',
+};
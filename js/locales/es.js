@@ -0,0 +1,462 @@
+// Spanish messages. Any key missing here falls back to English (en.js).
+// State names are listed only where Spanish uses its own form.
+export default {
+  // Shared
+  'common.na': 'n/d',
+  'common.off': 'Desactivado',
+  'page.title': 'Home Affordability Tracker - Costo hipotecario frente a ingresos en EE. UU.',
+  'when.today': 'Hoy',
+  'when.week': 'La semana del {date}',
+
+  // States
+  'state.ALL': 'EE. UU.',
+  'state.DC': 'Distrito de Columbia',
+  'state.HI': 'Hawái',
+  'state.LA': 'Luisiana',
+  'state.MO': 'Misuri',
+  'state.NC': 'Carolina del Norte',
+  'state.ND': 'Dakota del Norte',
+  'state.NM': 'Nuevo México',
+  'state.NY': 'Nueva York',
+  'state.PA': 'Pensilvania',
+  'state.SC': 'Carolina del Sur',
+  'state.SD': 'Dakota del Sur',
+  'state.WV': 'Virginia Occidental',
+
+  // Header and loading
+  'header.market': 'Mercado inmobiliario de {state}',
+  'header.subtitle': '¿Cuántos años de ingresos cuesta realmente una vivienda?',
+  'header.fetching': 'Obteniendo los datos más recientes...',
+  'header.theme': 'Cambiar el modo oscuro',
+  'header.language': 'Idioma',
+  'loading.message': 'Haciendo los cálculos...',
+  'update.unknown': 'desconocida',
+  'update.observed': { one: '{count} observado', other: '{count} observados' },
+  'update.interpolated': { one: '{count} interpolado', other: '{count} interpolados' },
+  'update.extrapolated': { one: '{count} extrapolado', other: '{count} extrapolados' },
+  'update.actual': { one: '{count} real', other: '{count} reales' },
+  'update.estimated': { one: '{count} estimado', other: '{count} estimados' },
+  'update.points': 'Datos: {parts}',
+  'update.info': 'Última actualización: {date} | {counts}',
+  'error.prefix': 'Error:',
+  'error.stateMissing': 'Los datos de {state} aún no están disponibles. Ejecuta primero el script de datos.',
+  'error.nationalMissing': 'No se pudo cargar el archivo de datos. Ejecuta primero el script de Ruby.',
+  'error.undrawable': 'No se puede dibujar el archivo de datos de {state}.',
+  'error.timeout': 'No se pudieron cargar los datos: se agotó el tiempo de espera de la red.',
+  'error.retry': 'Reintentar',
+  'error.comparison': 'Error: no se pudieron cargar los datos de comparación de {states}.',
+
+  // Data file diagnostics
+  'diagnostics.national': 'nacional',
+  'diagnostics.minor': 'El archivo de datos {name} tiene problemas menores',
+  'diagnostics.failed': 'No se pudo dibujar el archivo de datos {name}',
+  'diagnostics.prefix': 'Se muestran los datos de {name} hasta su primera fila errónea',
+  'diagnostics.hint': 'Volver a ejecutar el script de datos suele solucionarlo.',
+  'validate.series.single': 'de un solo ingreso',
+  'validate.series.household': 'de doble ingreso',
+  'validate.notMarket': 'El archivo no es un archivo de datos de mercado: se esperaba un objeto JSON.',
+  'validate.seriesMissing': 'La serie {series} ({key}) falta o no es una lista.',
+  'validate.lengthMismatch':
+    'La serie de un solo ingreso tiene {single} filas, pero la de doble ingreso tiene {household}; solo se usan las primeras {length}.',
+  'validate.row': 'Fila {row} de {rows} en la serie {series}',
+  'validate.rowOn': 'Fila {row} de {rows} ({date}) en la serie {series}',
+  'validate.problem': '{where}: {problem}.',
+  'validate.notObject': 'no es un objeto',
+  'validate.badDate': 'la fecha es {value}, no una fecha AAAA-MM-DD',
+  'validate.dateOrder': 'la fecha {date} no es posterior a la de la fila anterior, {previous}',
+  'validate.dateMismatch': 'la fecha {date} no coincide con la de la serie de doble ingreso, {other}',
+  'validate.fieldMissing': 'falta {field}',
+  'validate.notNumber': '{field} es {value}, no un número',
+  'validate.outOfRange': '{field} es {value}, fuera de {min}–{max}',
+  'validate.notBoolean': '{field} es {value}, no true ni false',
+  'validate.stopsAt': 'El gráfico se detiene el {date}.',
+  'validate.tooFew': 'Hay menos de {min} filas utilizables, así que no hay nada que dibujar.',
+  'validate.noMetadata': 'El archivo no tiene metadatos, así que se desconocen la fecha de actualización y las fuentes.',
+  'validate.badTimestamp': 'metadata.generated_at es {value}, no una marca de tiempo.',
+  'validate.noTimestamp': 'Falta metadata.generated_at, así que se desconoce la fecha de actualización.',
+  'validate.badQuality': 'metadata.series_quality tiene un formato incorrecto y se ignoró.',
+
+  // Chart series and views
+  'series.single': 'Un solo ingreso',
+  'series.household': 'Doble ingreso (1,4×)',
+  'series.custom': 'Tu hogar',
+  'series.rent': 'Alquiler/ingresos',
+  'view.both': 'Comparar ambos',
+  'view.rent': 'Alquilar o comprar',
+
+  // Metrics
+  'metric.select': 'Indicador de asequibilidad',
+  'metric.option.ratio': 'Costo total / ingresos',
+  'metric.option.payment': 'Cuota mensual / ingresos',
+  'metric.option.price': 'Precio de la vivienda / ingresos',
+  'metric.ratio.label': 'Relación precio/ingresos',
+  'metric.ratio.short': 'Precio/ingresos',
+  'metric.ratio.tooltip': 'Multiplicador',
+  'metric.payment.label': 'Cuota/ingresos',
+  'metric.payment.short': 'Cuota/ingresos',
+  'metric.payment.tooltip': 'Capital e intereses mensuales',
+  'metric.price.label': 'Precio de la vivienda/ingresos',
+  'metric.price.short': 'Precio de la vivienda/ingresos',
+  'metric.price.tooltip': 'Precio/ingresos',
+
+  // Controls
+  'controls.state': 'Elige el estado para los datos del mercado inmobiliario',
+  'controls.allUs': 'Todo EE. UU.',
+  'controls.resetFilters': 'Restablecer filtros',
+  'compare.select': 'Añade un estado para comparar',
+  'compare.add': '+ Comparar',
+  'compare.title': 'Mercados comparados',
+  'compare.remove': 'Quitar {state} de la comparación',
+
+  // Info cards
+  'field.date': 'Fecha',
+  'field.homePrice': 'Precio de la vivienda',
+  'field.mortgageRate': 'Tasa hipotecaria',
+  'field.totalCost': 'Costo total',
+  'field.income': 'Ingresos',
+  'field.incomeOf': 'Ingresos ({series})',
+  'card.medianPrice': 'Precio mediano de la vivienda',
+  'card.earnings': 'Ingresos anuales medios',
+  'card.rate': 'Tasa fija a 30 años',
+  'badge.estimated': 'Estimado',
+  'badge.interpolated': 'Interpolado',
+  'badge.observed': 'Observado',
+  'custom.today': '{value} hoy',
+  'custom.higherThan': '{change} más que {value} el {date}',
+  'custom.lowerThan': '{change} menos que {value} el {date}',
+
+  // Chart tooltip
+  'tooltip.date': 'Fecha: {date}',
+  'tooltip.projected': 'Proyectado, escenario base',
+  'tooltip.realDollars': 'En dólares de {month}',
+  'tooltip.value': '{series}: {metric} {value} (Ingresos: {income})',
+
+  // Screen reader summary of the selected week
+  'live.point': '{date} - {state}: {values}, precio mediano de la vivienda {price}, hipoteca {rate}',
+  'live.bothSeries': '{metric} {single} (un ingreso) / {household} (doble ingreso)',
+  'live.oneSeries': '{metric} {value}',
+  'live.withCustom': '{values}, tu hogar {value}',
+  'live.customOnly': '{metric} {value} (tu hogar)',
+  'live.compared': '; en comparación con {list}',
+
+  // Two-point comparison
+  'change.label': 'Cambio, del {from} al {to}',
+  'change.column': 'Cambio',
+  'change.clear': 'Quitar el punto de comparación',
+  'change.points': '{value} pts',
+  'change.attribution': 'Relación {total}: precio de la vivienda {price}, tasa hipotecaria {rate}, ingresos {income}',
+  'change.spoken': 'cambio del {from} al {to}: {summary}',
+
+  // Mortgage scenario
+  'scenario.title': 'Escenario hipotecario',
+  'scenario.field.down': 'Entrada (%)',
+  'scenario.field.term': 'Plazo del préstamo',
+  'scenario.years15': '15 años',
+  'scenario.years20': '20 años',
+  'scenario.years30': '30 años',
+  'scenario.field.tax': 'Impuesto sobre la propiedad (%/año)',
+  'scenario.field.insurance': 'Seguro ($/año)',
+  'scenario.field.pmi': 'PMI (%/año del préstamo)',
+  'scenario.reset': 'Restablecer escenario',
+  'scenario.help':
+    'El PMI se aplica con menos del 20 % de entrada y se cobra hasta que el préstamo baja al 78 % del precio de compra. Todos los plazos usan la tasa fija a 30 años de Freddie Mac.',
+  'scenario.down': '{down} % de entrada',
+  'scenario.financed': 'Financiado al 100 %',
+  'scenario.term': 'plazo de {term} años',
+  'scenario.tax': '{tax} % de impuesto sobre la propiedad',
+  'scenario.insurance': '{insurance}/año de seguro',
+  'scenario.pmi': '{pmi} % de PMI',
+  'scenario.principalInterest': 'solo capital e intereses',
+
+  // Your household
+  'household.field.mode': 'Introducir como',
+  'household.option.income': 'Ingresos anuales ($)',
+  'household.option.multiplier': 'Múltiplo de los ingresos (×)',
+  'household.field.value': 'Valor',
+  'household.placeholder': 'p. ej. 95000',
+  'household.clear': 'Borrar',
+  'household.help':
+    'Tus ingresos se ajustan a lo largo del historial con la serie de ingresos del mercado elegido, así que unos ingresos anuales describen a tu hogar hoy. Se guarda en este navegador.',
+  'household.notSet': 'Sin definir',
+  'household.multiplier': '{value}× los ingresos de un solo perceptor',
+  'household.income': '{income}/año hoy',
+
+  // What would it take
+  'solver.title': '¿Qué haría falta?',
+  'solver.summary': 'La tasa, el precio o los ingresos necesarios para volver a una relación pasada',
+  'solver.field.solve': 'Calcular',
+  'solver.option.rate': 'Tasa hipotecaria',
+  'solver.option.price': 'Precio de la vivienda',
+  'solver.option.income': 'Ingresos',
+  'solver.field.series': 'Serie',
+  'solver.option.single': 'Un solo ingreso',
+  'solver.option.household': 'Doble ingreso (1,4×)',
+  'solver.field.target': 'Objetivo',
+  'solver.option.date': 'Relación en una fecha',
+  'solver.option.ratio': 'Relación que introduzco',
+  'solver.field.ratio': 'Relación (×)',
+  'solver.copy': 'Copiar enlace',
+  'solver.help':
+    'Calcula para la semana seleccionada en el gráfico (haz clic en un punto o usa las flechas), manteniendo los otros dos valores de esa semana. Usa la relación precio/ingresos con el escenario hipotecario actual.',
+  'solver.needed.rate': 'Tasa hipotecaria necesaria',
+  'solver.needed.price': 'Precio de la vivienda necesario',
+  'solver.needed.income': 'Ingresos necesarios',
+  'solver.targetOn': '{ratio}, la relación del {date}',
+  'solver.outOfReachAtZero': 'Fuera de alcance incluso al {rate}',
+  'solver.above': 'Más del {rate}',
+  'solver.outOfReach': 'Fuera de alcance',
+  'solver.note': 'frente a {current} el {date}, para llegar a {target} ({series})',
+
+  // Projection
+  'projection.title': 'Proyección',
+  'projection.field.enabled': 'Proyectar más allá de los últimos datos',
+  'projection.field.years': 'Años hacia adelante',
+  'projection.field.prices': 'Precios de la vivienda (%/año)',
+  'projection.field.wages': 'Salarios (%/año)',
+  'projection.option.flat': 'Mantener la última',
+  'projection.option.glide': 'Llevar a un objetivo',
+  'projection.option.custom': 'Puntos personalizados',
+  'projection.field.target': 'Tasa objetivo (%)',
+  'projection.field.points': 'Puntos año:tasa',
+  'projection.placeholder': 'p. ej. 1:6.25, 3:5.5',
+  'projection.help':
+    'Las líneas discontinuas son el escenario base. La banda sombreada va de un escenario optimista (precios 2 puntos más lentos, salarios 1 punto más rápidos, tasas 0,75 puntos más bajas al año) a uno pesimista (lo contrario). Las proyecciones ilustran supuestos; no son pronósticos.',
+  'projection.regionLabel': 'Proyección',
+  'projection.base': 'Proyectado',
+  'projection.high': 'Pesimista',
+  'projection.low': 'Optimista',
+  'projection.years': { one: '{count} año', other: '{count} años' },
+  'projection.prices': 'precios {sign}{growth} %/año',
+  'projection.wages': 'salarios {sign}{growth} %/año',
+  'projection.rateHeld': 'tasa fija',
+  'projection.rateTo': 'tasa hasta {rate} %',
+  'projection.rateCustom': 'tasa personalizada',
+
+  // Statistics
+  'overlay.title': 'Estadísticas',
+  'overlay.option.ma13': 'Media móvil de 13 semanas',
+  'overlay.option.ma52': 'Media móvil de 52 semanas',
+  'overlay.option.mean': 'Media de todo el historial',
+  'overlay.option.sigma': 'Banda de ±1σ',
+  'overlay.option.percentile': 'Percentil de la semana seleccionada',
+  'overlay.help':
+    'Se calcula con el propio historial del estado elegido para el indicador y el escenario hipotecario actuales. Las medias móviles miran hacia atrás, así que cada una empieza cuando tiene una ventana completa de semanas. Las semanas proyectadas se excluyen.',
+  'overlay.ma13': 'Media 13 semanas',
+  'overlay.ma52': 'Media 52 semanas',
+  'overlay.mean': 'Media',
+  'overlay.sigma': '±1σ',
+  'overlay.percentile': 'Percentil',
+  'overlay.band': '{series}: de {from} a {to}',
+  'overlay.percentileReadout':
+    '{when} es más caro que el {share} de las semanas desde {since} ({series}, {metric}).',
+
+  // Data quality
+  'quality.title': 'Calidad de los datos',
+  'quality.field.mode': 'Vista',
+  'quality.option.marks': 'Marcar los puntos observados',
+  'quality.help':
+    'Los precios de la vivienda y los ingresos se publican cada mes. Los puntos marcan las semanas observadas, los tramos atenuados se interpolan entre publicaciones y los tramos ámbar discontinuos se estiman tras la última publicación. «Solo semanas observadas» oculta todas las demás semanas.',
+  'quality.mode.off': 'Estándar',
+  'quality.mode.marks': 'Puntos observados marcados',
+  'quality.mode.observed': 'Solo semanas observadas',
+  'quality.counts': '{observed} observadas de {total}',
+  'quality.latestRelease': 'Última publicación: {month}.',
+  'quality.rateEstimated': 'Estimada tras la última encuesta semanal.',
+  'quality.rateObserved': 'Observada cada semana.',
+  'quality.rateObservedFrom': 'Observada cada semana ({series}).',
+  'quality.componentEstimated': 'Estimado.',
+  'quality.componentObserved': 'Publicación mensual observada.',
+  'quality.componentInterpolated': 'Interpolado entre publicaciones mensuales.',
+  'quality.week': 'Semana',
+  'quality.earnings': 'Ingresos',
+  'quality.weekObserved': 'Observada',
+  'quality.weekInterpolated': 'Interpolada entre publicaciones mensuales',
+  'quality.weekEstimated': 'Estimada tras la última publicación',
+
+  // Annotations and notes
+  'notes.title': 'Eventos y notas',
+  'notes.field.show': 'Mostrar eventos y notas en el gráfico',
+  'notes.field.label': 'Nota',
+  'notes.placeholder': 'p. ej. Empezamos a buscar casa',
+  'notes.add': 'Añadir nota',
+  'notes.help':
+    'Las bandas sombreadas marcan recesiones y ciclos de subidas de la Fed; las líneas discontinuas marcan hitos de tasas y leyes fiscales. Haz clic en un marcador del gráfico para ver detalles. Tus notas se guardan en este navegador y aparecen en todos los estados.',
+  'annotation.kind.recession': 'Recesión',
+  'annotation.kind.fed': 'Reserva Federal',
+  'annotation.kind.rates': 'Tasas hipotecarias',
+  'annotation.kind.policy': 'Impuestos y políticas',
+  'annotation.kind.note': 'Tu nota',
+  'notes.deleteNote': 'Eliminar nota',
+  'notes.delete': 'Eliminar',
+  'notes.deleteNamed': 'Eliminar la nota «{label}»',
+  'notes.count': { one: '{count} nota', other: '{count} notas' },
+  'notes.none': 'Sin notas',
+
+  // Chart toolbar
+  'range.1y': '1A',
+  'range.2y': '2A',
+  'range.5y': '5A',
+  'range.all': 'Todo',
+  'range.ytd': 'Este año',
+  'range.ytdTitle': 'En lo que va del año',
+  'range.since2020': '2020+',
+  'range.since2020Title': 'Desde enero de 2020',
+  'range.ratelow': 'Tasa mín.+',
+  'range.ratelowTitle': 'Desde la tasa hipotecaria más baja registrada',
+  'range.from': 'Desde',
+  'range.to': 'Hasta',
+  'yaxis.toggle': 'Cambiar el origen del eje Y',
+  'yaxis.zero': 'Eje Y: cero',
+  'yaxis.auto': 'Eje Y: automático',
+  'dollars.title': 'Mostrar los importes ajustados por inflación (CPI-U)',
+  'dollars.baseMonth': 'Mes base para los dólares reales',
+  'dollars.real': 'Dólares: reales',
+  'dollars.nominal': 'Dólares: nominales',
+  'dollars.unavailable': 'Los datos de inflación no están disponibles',
+  'zoom.reset': 'Restablecer vista',
+
+  // Export and share
+  'export.button': 'Exportar',
+  'export.png': 'Imagen del gráfico (PNG)',
+  'export.csv': 'Datos visibles (CSV)',
+  'export.json': 'Datos visibles (JSON)',
+  'export.cardPng': 'Tarjeta resumen (PNG)',
+  'export.cardSvg': 'Tarjeta resumen (SVG)',
+  'export.cardSize': 'Tamaño de la tarjeta',
+  'card.size.social': 'Redes sociales ({width} × {height})',
+  'card.size.square': 'Cuadrada ({width} × {height})',
+  'card.size.slide': 'Diapositiva 16:9 ({width} × {height})',
+  'card.size.slide43': 'Diapositiva 4:3 ({width} × {height})',
+  'card.eyebrow': 'Home Affordability Tracker',
+  'card.subtitle': '{metric}, del {from} al {to}',
+  'card.projection': 'Proyección: {projection}',
+  'card.realDollars': 'Dólares de {month}',
+  'card.generated': 'Datos generados el {date}',
+  'sources.list': 'Fuentes: {sources}',
+  'sources.earnings': '{series} (ingresos)',
+  'sources.homePrices': '{series} (precios de la vivienda)',
+  'sources.mortgageRates': '{series} (tasas hipotecarias)',
+  'sources.qcew': 'Multiplicador salarial estatal BLS QCEW {year}: {multiplier}',
+  'sources.inflation': '{series} (inflación)',
+  'sources.rent': '{series} (alquiler)',
+  'caveats.dashed': 'Los tramos discontinuos se interpolan entre publicaciones mensuales o se estiman tras la última.',
+  'caveats.dashedCounts':
+    'Los tramos discontinuos se interpolan entre publicaciones mensuales o se estiman tras la última ({observed} semanas observadas, {interpolated} interpoladas y {extrapolated} estimadas).',
+  'caveats.selectedEstimated': 'La semana seleccionada es estimada.',
+  'caveats.selectedInterpolated': 'La semana seleccionada es interpolada.',
+  'share.button': 'Compartir / Insertar',
+  'share.dialog': 'Compartir o insertar este gráfico',
+  'share.link': 'Enlace a esta vista',
+  'share.copyLink': 'Copiar enlace',
+  'share.embed': 'Código para insertar',
+  'share.copyEmbed': 'Copiar código',
+  'share.copied': 'Enlace copiado.',
+  'share.copiedShort': 'Copiado.',
+  'share.copyByHand': 'Pulsa Ctrl+C (⌘C) para copiar.',
+  'share.embedTitle': 'Asequibilidad de la vivienda: {state}',
+
+  // Chart
+  'chart.label': 'Gráfico de la relación precio/ingresos de la vivienda',
+  'chart.markers': 'Eventos y notas del gráfico',
+  'chart.tip':
+    'Desplázate para hacer zoom, arrastra para moverte, haz clic en cualquier punto para ver detalles o usa las flechas para recorrer las fechas. Mayús+clic o Mayús+flechas comparan dos fechas. Hay más atajos en Teclado y audio.',
+  'embed.open': 'Abrir el tracker completo ↗',
+
+  // Rent vs buy
+  'rent.buttonTitle': 'Capital e intereses mensuales frente al alquiler, como parte de los ingresos de un solo perceptor',
+  'rent.tooltipRent': '{series}: {share} (Alquiler: {rent}/mes)',
+  'rent.tooltipBuy': 'Comprar: {payment}/mes de capital e intereses · Tasa de equilibrio: {rate}',
+  'rent.readoutMore':
+    '{when}: la cuota de la vivienda mediana es de {payment} al mes frente a {rent} de alquiler, un {gap} más.',
+  'rent.readoutLess':
+    '{when}: la cuota de la vivienda mediana es de {payment} al mes frente a {rent} de alquiler, un {gap} menos.',
+  'rent.rentingCheaper': 'Alquilar sale más barato incluso con una hipoteca al {rate}.',
+  'rent.buyingCheaper': 'Comprar sale más barato incluso con una tasa del {rate}.',
+  'rent.breakeven': 'Comprar se equilibra con una tasa del {rate} o un precio de {price}.',
+
+  // Highs, lows and turning points
+  'callouts.title': 'Máximos, mínimos y cambios de tendencia',
+  'callouts.summary': 'Récords, las mayores oscilaciones y dónde se rompió la tendencia',
+  'callouts.show': 'Señalarlos en el gráfico',
+  'callouts.help':
+    'Se buscan en el historial del estado elegido para el indicador y el escenario hipotecario actuales. Un pico o un valle cuenta cuando la línea se ha movido un 10 % en sentido contrario, así que las oscilaciones breves no cuentan. Haz clic en una entrada para seleccionar su semana.',
+  'callouts.recordHigh': 'Máximo histórico',
+  'callouts.recordLow': 'Mínimo histórico',
+  'callouts.rangeHigh': 'Máximo del rango',
+  'callouts.rangeLow': 'Mínimo del rango',
+  'callouts.rise': 'Mayor subida en 52 semanas',
+  'callouts.fall': 'Mayor bajada en 52 semanas',
+  'callouts.peak': 'Pico',
+  'callouts.trough': 'Valle',
+  'callouts.swingMark': '{change} en un año',
+  'callouts.from': '{change} desde el {date}',
+  'callouts.trend.up': 'Al alza desde {since} ({change} hasta ahora)',
+  'callouts.trend.down': 'A la baja desde {since} ({change} hasta ahora)',
+  'callouts.trend.none': 'Sin una tendencia sostenida desde el {date}',
+  'callouts.since.peak': 'el pico del {date}',
+  'callouts.since.trough': 'el valle del {date}',
+  'callouts.since.start': 'el {date}',
+
+  // Data table
+  'table.title': 'Tabla de datos',
+  'table.summary': 'Las semanas del rango del gráfico, sincronizadas con la semana seleccionada',
+  'table.previous': 'Anterior',
+  'table.next': 'Siguiente',
+  'table.data': 'Dato',
+  'table.caption': '{metric} de {state} por semana; elige una semana para mostrarla en el gráfico',
+  'table.page': 'Página {page} de {pages}: semanas {first}-{last} de {weeks}',
+
+  // Keyboard and audio
+  'keys.title': 'Teclado y audio',
+  'keys.summary': 'Atajos del gráfico y una versión sonora de la tendencia',
+  'keys.focused': 'Con el gráfico enfocado:',
+  'keys.digits': '<kbd>1</kbd> a <kbd>5</kbd>',
+  'keys.week': 'Una semana antes o después',
+  'keys.month': 'Un mes antes o después; con <kbd>Mayús</kbd>, un año',
+  'keys.ends': 'Primera o última semana del rango',
+  'keys.extremes': 'Semana más alta o más baja del rango',
+  'keys.views': 'Comparar ambos, Un solo ingreso, Doble ingreso, Tu hogar, Alquilar o comprar',
+  'keys.ranges': 'Botón de rango de fechas anterior o siguiente',
+  'keys.play': 'Reproducir o detener la tendencia',
+  'keys.second': 'Mover el segundo punto de una comparación entre dos fechas',
+  'keys.clear': 'Quitar la comparación',
+  'keys.range': 'Rango {range}: del {from} al {to}',
+  'keys.highest': 'Máximo del rango',
+  'keys.lowest': 'Mínimo del rango',
+  'keys.view': 'Vista {view}',
+  'audio.help':
+    'Reproduce la primera línea visible a lo largo del rango del gráfico, una nota por semana (o cada pocas semanas en rangos largos). Un tono más agudo es menos asequible.',
+  'audio.play': 'Escuchar tendencia',
+  'audio.stop': 'Detener',
+  'audio.unsupported': 'Este navegador no admite audio',
+  'audio.playing':
+    'Reproduciendo {series} {metric} del {from} al {to}: de {first} a {last}, mínimo {low}, máximo {high}. Un tono más agudo es menos asequible.',
+
+  // State map
+  'map.title': 'Mapa de estados',
+  'map.summary': 'Todos los estados coloreados por asequibilidad en una fecha',
+  'map.date': 'Fecha:',
+  'map.label': 'Mapa de EE. UU. con la asequibilidad por estado',
+  'map.loading': 'Cargando todos los estados...',
+  'map.missing': { one: 'No se pudo cargar {count} estado.', other: 'No se pudieron cargar {count} estados.' },
+  'map.noDataOn': '{state}: sin datos para el {date}',
+  'map.values': '{metric}: {single} un ingreso / {household} doble ingreso',
+  'map.state': '{state}: {value}. Mostrar en el gráfico.',
+  'map.stateNoData': '{state}: sin datos',
+  'map.dualIncome': 'doble ingreso',
+  'map.singleEarner': 'un solo ingreso',
+
+  // Leaderboard
+  'leaderboard.title': 'Clasificación de estados',
+  'leaderboard.summary': 'Los 50 estados y D.C., clasificados y ordenables',
+  'leaderboard.caption': 'Estados clasificados por {metric}; elige un estado para verlo en el gráfico',
+  'leaderboard.state': 'Estado',
+  'leaderboard.single': 'Un ingreso',
+  'leaderboard.household': 'Doble',
+  'leaderboard.price': 'Precio mediano',
+  'leaderboard.income': 'Ingresos',
+  'leaderboard.multiplier': 'QCEW ×',
+  'leaderboard.change': 'Δ {range}',
+
+  'methodology.title': 'Cómo funciona (en inglés)',
+};
@@ -0,0 +1,185 @@
+// Lifetime cost of buying a home under a mortgage scenario, and what the
+// chart builds on it: the scenario recompute, the affordability solver and
+// the projections. monthlyPayment/totalCost mirror MortgageCalculator in
+// weekly_case_shiller.rb; the extra scenario terms are layered on top.
+import { isDefaultScenario } from './url.js';
+import { addDays } from './dates.js';
+import { incomeOf } from './data.js';
+
+// No PMI at this down payment (%) or more; below it, borrower-paid PMI is
+// cancelled automatically at 78% loan-to-value
+export const PMI_FREE_DOWN = 20;
+export const PMI_CANCEL_LTV = 0.78;
+// Highest mortgage rate (%) the solvers search
+export const SOLVER_MAX_RATE = 30;
+// Shifts applied to the base assumptions for the projection's shaded band
+export const PROJECTION_CASES = {
+  high: { price: 2, wage: -1, rate: 0.75 },
+  low: { price: -2, wage: 1, rate: -0.75 },
+};
+
+export const monthlyPayment = (principal, annualRatePct, months) => {
+  const r = annualRatePct / 100 / 12;
+  if (r === 0) return principal / months;
+  return (principal * r) / (1 - (1 + r) ** -months);
+};
+
+// Number of payments until the balance amortizes down to `target`
+export const paymentsUntilBalance = (principal, annualRatePct, months, target) => {
+  if (principal <= target) return 0;
+  const r = annualRatePct / 100 / 12;
+  const payment = monthlyPayment(principal, annualRatePct, months);
+  if (r === 0) return Math.ceil((principal - target) / payment);
+  const k = Math.log((payment / r - target) / (payment / r - principal)) / Math.log(1 + r);
+  return Math.min(months, Math.ceil(k));
+};
+
+// The one PMI rule shared by the cost and the scenario summary
+export const chargesPmi = scenario => scenario.pmi > 0 && scenario.down < PMI_FREE_DOWN;
+
+// Lifetime cost of buying at `price`: down payment, every P&I payment,
+// property tax and insurance for the full term, and PMI (when charged)
+// until the loan reaches PMI_CANCEL_LTV.
+export const totalCost = (price, annualRatePct, scenario) => {
+  const months = scenario.term * 12;
+  const downPayment = price * (scenario.down / 100);
+  const principal = price - downPayment;
+  const payment = principal > 0 ? monthlyPayment(principal, annualRatePct, months) : 0;
+  const pmiMonths = chargesPmi(scenario)
+    ? paymentsUntilBalance(principal, annualRatePct, months, price * PMI_CANCEL_LTV)
+    : 0;
+
+  return (
+    downPayment +
+    payment * months +
+    price * (scenario.tax / 100) * scenario.term +
+    scenario.insurance * scenario.term +
+    principal * (scenario.pmi / 100 / 12) * pmiMonths
+  );
+};
+
+// Input in [lo, hi] at which the increasing function `fn` reaches
+// `target`, or null when the target lies outside fn(lo)..fn(hi).
+export const solveIncreasing = (fn, target, lo, hi) => {
+  if (fn(lo) > target || fn(hi) < target) return null;
+  for (let i = 0; i < 100 && hi - lo > 1e-9 * Math.max(1, hi); i++) {
+    const mid = (lo + hi) / 2;
+    if (fn(mid) < target) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+// Recomputes total_cost and cost_to_income for every entry of a loaded
+// file under `scenario`. Results are cached per file so the chart, tooltip
+// and comparison card all share one copy; the default scenario is the
+// pipeline's own figures and returns the file untouched.
+const scenarioCache = new WeakMap();
+export const applyScenario = (json, scenario) => {
+  if (isDefaultScenario(scenario)) return json;
+  const key = JSON.stringify(scenario);
+  const cached = scenarioCache.get(json);
+  if (cached && cached.key === key) return cached.data;
+
+  const recompute = entries =>
+    entries.map(d => {
+      const income = d.single_income ?? d.household_income;
+      const total = totalCost(d.home_price, Number(d.mortgage_rate), scenario);
+      return {
+        ...d,
+        total_cost: Math.trunc(total),
+        cost_to_income: (total / income).toFixed(2),
+      };
+    });
+
+  const data = {
+    ...json,
+    single_costs: recompute(json.single_costs),
+    household_costs: recompute(json.household_costs),
+  };
+  scenarioCache.set(json, { key, data });
+  return data;
+};
+
+// Inverts the cost-to-income ratio for entry `d`: holding two of rate,
+// price and income at the entry's values, what must `field` be to hit
+// `targetRatio`? Returns null when no rate in 0..SOLVER_MAX_RATE (or no
+// price) reaches the target.
+export const solveAffordability = (d, field, targetRatio, scenario) => {
+  const price = d.home_price;
+  const rate = Number(d.mortgage_rate);
+  const cost = (p, r) => totalCost(p, r, scenario);
+  if (field === 'income') return cost(price, rate) / targetRatio;
+  const targetCost = targetRatio * incomeOf(d);
+  if (field === 'rate') return solveIncreasing(r => cost(price, r), targetCost, 0, SOLVER_MAX_RATE);
+  let hi = Math.max(price, 1);
+  while (cost(hi, rate) < targetCost && hi < 1e12) hi *= 2;
+  return solveIncreasing(p => cost(p, rate), targetCost, 0, hi);
+};
+
+// Mortgage rate `t` years into a projection that starts at `lastRate`
+export const projectedRateAt = (projection, lastRate, t) => {
+  if (projection.ratePath === 'glide') {
+    return lastRate + (projection.rateTarget - lastRate) * Math.min(t / projection.years, 1);
+  }
+  if (projection.ratePath === 'custom' && projection.ratePoints.length) {
+    const points = [[0, lastRate], ...projection.ratePoints];
+    const next = points.findIndex(([year]) => year >= t);
+    if (next === -1) return points[points.length - 1][1];
+    if (next === 0) return lastRate;
+    const [y0, r0] = points[next - 1];
+    const [y1, r1] = points[next];
+    return r0 + ((r1 - r0) * (t - y0)) / (y1 - y0);
+  }
+  return lastRate;
+};
+
+// Weekly points for `projection.years` past the last row of `data` (a
+// loaded market file). Prices and wages compound at the chosen annual
+// rates from the latest week; the mortgage rate follows the chosen path.
+// Each week is priced with totalCost under `scenario`, exactly like the
+// historical points.
+//
+// Returns { dates, lastIndex, single: { base, high, low }, household: {...} }
+// where each series is aligned to the full chart labels: null before the
+// last data point, that point itself (so the lines join), then projected.
+// Null when there's no projection.
+export const buildProjection = (data, projection, scenario) => {
+  if (!projection) return null;
+  const singles = data.single_costs;
+  const lastIndex = singles.length - 1;
+  const weeks = Math.round((projection.years * 365.25) / 7);
+  const dates = Array.from({ length: weeks }, (_, i) => addDays(singles[lastIndex].date, 7 * (i + 1)));
+  const lead = new Array(lastIndex).fill(null);
+
+  const series = (earner, shift) => {
+    const last = data[`${earner}_costs`][lastIndex];
+    const incomeKey = `${earner}_income`;
+    const lastRate = Number(last.mortgage_rate);
+    return lead.concat(last, dates.map((date, i) => {
+      const t = (7 * (i + 1)) / 365.25;
+      const price = last.home_price * (1 + (projection.priceGrowth + shift.price) / 100) ** t;
+      const income = last[incomeKey] * (1 + (projection.wageGrowth + shift.wage) / 100) ** t;
+      const rate = Math.max(0, projectedRateAt(projection, lastRate, t) + shift.rate);
+      const total = totalCost(price, rate, scenario);
+      return {
+        type: earner,
+        date,
+        total_cost: Math.trunc(total),
+        [incomeKey]: Math.trunc(income),
+        cost_to_income: (total / income).toFixed(2),
+        home_price: Math.trunc(price),
+        mortgage_rate: rate.toFixed(2),
+        projected: true,
+      };
+    }));
+  };
+
+  const base = { price: 0, wage: 0, rate: 0 };
+  const cases = earner => ({
+    base: series(earner, base),
+    high: series(earner, PROJECTION_CASES.high),
+    low: series(earner, PROJECTION_CASES.low),
+  });
+  return { dates, lastIndex, single: cases('single'), household: cases('household') };
+};
@@ -0,0 +1,205 @@
+// The data repository: every market file goes through here rather than a
+// bare fetch. Parsed files are kept in memory and in IndexedDB tagged with
+// metadata.generated_at and the response's ETag. A stored copy is served
+// straight away and re-checked against the network in the background, so
+// switching back to a state is instant, a previously visited dashboard
+// works offline, and a new publish shows up as soon as it's found.
+import { decodeMarket } from './data.js';
+
+export const REPO_DB_NAME = 'home-affordability';
+export const REPO_STORE = 'markets';
+export const REPO_RETRY_ATTEMPTS = 3;
+export const REPO_RETRY_BASE_MS = 1000;
+// A copy from IndexedDB is always re-checked on first use. One already
+// checked by this page is re-checked once it's older than this, so a tab
+// left open across a publish still picks it up.
+export const REPO_RECHECK_MS = 10 * 60 * 1000;
+// Most market files requested at once when every state is loaded
+export const REPO_POOL_SIZE = 6;
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const id = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(id);
+      reject(abortError());
+    }, { once: true });
+  });
+
+// `urlFor(code)` is a market's file. `fetch` and `indexedDB` are the
+// page's; without an indexedDB (private browsing, file://) the memory cache
+// works on its own.
+export const createRepository = ({ urlFor, fetch, indexedDB = null }) => {
+  const memory = new Map();
+  const inflight = new Map();
+  const checks = new Map();
+  const listeners = [];
+  let dbPromise = null;
+
+  // Resolves to null wherever IndexedDB is missing or blocked
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise(resolve => {
+        if (!indexedDB) {
+          resolve(null);
+          return;
+        }
+        try {
+          const request = indexedDB.open(REPO_DB_NAME, 1);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore(REPO_STORE, { keyPath: 'code' });
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => resolve(null);
+          request.onblocked = () => resolve(null);
+        } catch {
+          resolve(null);
+        }
+      });
+    }
+    return dbPromise;
+  };
+
+  const dbRequest = async (mode, makeRequest) => {
+    const db = await openDb();
+    if (!db) return null;
+    return new Promise(resolve => {
+      try {
+        const tx = db.transaction(REPO_STORE, mode);
+        const request = makeRequest(tx.objectStore(REPO_STORE));
+        tx.oncomplete = () => resolve(request.result ?? null);
+        tx.onerror = () => resolve(null);
+        tx.onabort = () => resolve(null);
+      } catch {
+        resolve(null);
+      }
+    });
+  };
+
+  // Network errors and 5xx responses are retried with exponential backoff.
+  // Aborts, 4xx (a state with no file yet) and malformed JSON are final.
+  // HTTP failures carry `status` so callers can word their own message.
+  // With an `etag` the request is conditional: resolves with null when the
+  // file still matches it, otherwise with { json, etag }.
+  const fetchWithRetry = async (code, signal, etag) => {
+    const url = urlFor(code);
+    const headers = etag ? { 'If-None-Match': etag } : {};
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await fetch(url, { signal, headers });
+        if (etag && response.status === 304) return null;
+        if (!response.ok) {
+          const error = new Error(`Request for ${url} failed with HTTP ${response.status}`);
+          error.status = response.status;
+          throw error;
+        }
+        return { json: await response.json(), etag: response.headers.get('ETag') };
+      } catch (error) {
+        const final =
+          error.name === 'AbortError' ||
+          error instanceof SyntaxError ||
+          (error.status >= 400 && error.status < 500);
+        if (final || attempt >= REPO_RETRY_ATTEMPTS) throw error;
+        await wait(REPO_RETRY_BASE_MS * 2 ** (attempt - 1), signal);
+      }
+    }
+  };
+
+  // Resolves with { data, etag }, or null when `etag` still matches
+  const fetchMarket = async (code, signal, etag) => {
+    const response = await fetchWithRetry(code, signal, etag);
+    return response && { data: decodeMarket(response.json), etag: response.etag };
+  };
+
+  const storeMarket = (code, { data, etag }) => {
+    const record = {
+      code,
+      generatedAt: data.metadata?.generated_at ?? null,
+      etag,
+      checkedAt: Date.now(),
+      data,
+    };
+    memory.set(code, record);
+    dbRequest('readwrite', store => store.put(record));
+    return data;
+  };
+
+  // Background check of a stored copy, at most one per market at a time.
+  // Listeners only hear about files whose generated_at actually changed.
+  const revalidate = (code, record) => {
+    if (checks.has(code)) return;
+    const check = (async () => {
+      try {
+        const fresh = await fetchMarket(code, undefined, record.etag);
+        if (fresh && fresh.data.metadata?.generated_at !== record.generatedAt) {
+          storeMarket(code, fresh);
+          listeners.forEach(listener => listener(code, fresh.data));
+          return;
+        }
+        if (fresh) record.etag = fresh.etag;
+        record.checkedAt = Date.now();
+        dbRequest('readwrite', store => store.put(record));
+      } catch {
+        // Offline or the server is down: keep serving the stored copy
+      }
+    })();
+    checks.set(code, check.finally(() => checks.delete(code)));
+  };
+
+  const repository = {
+    get: async (code, { signal } = {}) => {
+      const cached = memory.get(code);
+      if (cached) {
+        if (Date.now() - cached.checkedAt > REPO_RECHECK_MS) revalidate(code, cached);
+        return cached.data;
+      }
+
+      const stored = await dbRequest('readonly', store => store.get(code));
+      if (signal?.aborted) throw abortError();
+      if (stored?.data) {
+        memory.set(code, stored);
+        revalidate(code, stored);
+        return stored.data;
+      }
+
+      // A caller with its own signal (loadData's timeout) gets its own
+      // request so aborting it can't cancel anyone else's.
+      if (signal) return storeMarket(code, await fetchMarket(code, signal));
+
+      if (!inflight.has(code)) {
+        const request = fetchMarket(code)
+          .then(fresh => storeMarket(code, fresh))
+          .finally(() => inflight.delete(code));
+        inflight.set(code, request);
+      }
+      return inflight.get(code);
+    },
+
+    // Warms the caches while the browser is idle. Skipped on Save-Data.
+    prefetch: codes => {
+      if (globalThis.navigator?.connection?.saveData) return;
+      const run = () => {
+        codes
+          .filter(code => !memory.has(code))
+          .forEach(code => repository.get(code).catch(() => {}));
+      };
+      if ('requestIdleCallback' in globalThis) requestIdleCallback(run, { timeout: 5000 });
+      else setTimeout(run, 2000);
+    },
+
+    // listener(code, data) runs when a background check finds a newer file
+    onUpdate: listener => {
+      listeners.push(listener);
+    },
+
+    // Settles once every background check running now has finished
+    settled: () => Promise.all(checks.values()),
+  };
+  return repository;
+};
@@ -0,0 +1,27 @@
+// Pitches for the audio version of the trend. Higher values play higher,
+// on a log scale so equal ratios sound like equal intervals. Long ranges
+// are averaged down to `maxNotes` so a full history still plays in seconds.
+
+export const DEFAULT_TONES = { maxNotes: 120, low: 220, high: 880 };
+
+// One frequency in Hz per note, or null for a rest where every value in
+// the note's weeks is missing
+export const toneSequence = (values, { maxNotes, low, high } = DEFAULT_TONES) => {
+  const finite = values.filter(Number.isFinite);
+  if (!finite.length) return [];
+  const min = Math.min(...finite);
+  const max = Math.max(...finite);
+  const weeksPerNote = Math.max(1, Math.ceil(values.length / maxNotes));
+  const notes = [];
+  for (let i = 0; i < values.length; i += weeksPerNote) {
+    const group = values.slice(i, i + weeksPerNote).filter(Number.isFinite);
+    if (!group.length) {
+      notes.push(null);
+      continue;
+    }
+    const mean = group.reduce((sum, v) => sum + v, 0) / group.length;
+    const position = max === min ? 0.5 : (mean - min) / (max - min);
+    notes.push(low * (high / low) ** position);
+  }
+  return notes;
+};
@@ -0,0 +1,267 @@
+// State outlines for the map, generated by scripts/build-state-shapes.js
+// from us-atlas 3.0.1 (Census Bureau cartographic boundaries, 2017; ISC
+// license). Don't edit by hand.
+//
+// Coordinates are in a 975x610 viewBox (Albers USA, Alaska and Hawaii
+// inset). Each state has SVG path data `d`, a `label` point inside its
+// largest piece, and the states it shares a border with.
+export const MAP_WIDTH = 975;
+export const MAP_HEIGHT = 610;
+
+export const STATE_SHAPES = {
+  AK: {
+    label: [106.5, 510.7],
+    neighbours: [],
+    d: 'M99.1,569.9L103.4,565.2L104.7,569.1L100.9,570.5ZM93.3,575.4L99,570.7L103.1,570.6L104.5,573.3L99.2,577.7L97.5,577.1L95.4,579.6ZM44.2,547.5L46.2,547.9L49.5,546.7L51,551.2L48.4,552L44.4,548.7ZM31.3,600.8L33.8,600.4L37.9,596.5L40.1,598.2L36.6,600.9ZM50.7,504.5L59.1,500.7L65.7,499.7L65.2,503.9L71.4,505.1L74.3,503.7L71.2,500.1L73.2,497.6L70.2,497.3L66.5,495.6L66.2,492.3L62.9,487.9L59.4,484.4L61.5,480.8L67.2,481.3L70.5,478.8L71.7,475L75.3,471.4L78.2,471.3L81.6,468.4L86.7,468.1L89.3,465.1L94,466.3L95.1,468.8L98.7,468L101.4,468.7L100.9,470.4L104.4,472.1L108.9,470.8L113.9,472.8L118.9,472.6L122.5,473.6L126,471.7L132.9,474.4L147.3,547.1L151.4,547.2L154.5,545.1L154.6,547.3L162.3,552.4L163.6,554.8L166.5,551.9L166.5,548.3L169.4,545.9L171.7,547.2L176.3,551.6L180.8,553.8L189.5,562.5L191.6,565.6L192.6,565.1L200.1,566.6L202.9,572.6L201.4,577.9L198.4,575L192.8,573.7L192,570.8L189.2,570.5L190.2,568.2L188.2,565.4L183.2,563.5L182.3,560.4L178.3,556.5L176.2,556.8L171.4,551.2L174.7,557.7L172.7,556.5L168,559.3L162,556.3L160,554.5L153,552.1L153.3,549.3L151,551.3L145.5,550.2L140.6,550L135.3,551.6L125.7,547.4L124.5,545.3L119.2,547.1L121.1,552.9L119.4,554L113.5,554.3L111,558.8L110.5,557.4L108.8,560.4L104.8,560.3L106.7,557.2L105.2,556.2L106.9,552.5L106.7,548.5L110.5,545.8L112.1,547.1L111.9,544.1L109.4,543.8L106.3,546.2L101.7,553L100.5,556.9L96.2,559.5L96,562.3L99.6,563.5L96.4,566.5L95.8,569.3L89.9,572.1L85.8,575.8L85.6,578.3L82,579.1L79.7,582.1L77,582.9L78.5,583.9L76.7,585.8L70.6,586.4L67.3,589.1L62.9,589.5L62.6,587.5L60.6,591.3L55.6,591.9L52.7,594.2L46.7,594.8L48.6,591.6L56.5,590.1L62,585.2L66.5,584.6L71.3,580.8L75.2,578.8L80.9,573.4L82.4,566L83.9,563.2L79.6,565L78.1,563.5L75.7,566.2L73.3,562L71,560.7L64.7,564.1L64.2,558.3L65.8,556.7L63.8,551.1L63.1,552.3L58.4,553.3L52.6,546.7L54.4,545.2L53.8,541.4L52.7,541.9L51.1,538.2L53.4,535.9L53.7,533.6L57.5,529.9L58.7,526.7L60.7,525.7L64.3,527.9L67.5,524.9L71.5,525.2L73,523.2L71.5,517L73.7,515.7L72.5,514L67.6,516.5L61.3,515.5L59.1,516L55.2,514.1L53.9,509.4L55.9,508.7L52.4,506.9ZM24.9,603L29.3,599.1L31.4,600.2ZM34.4,517.8L39.4,517.9L42,521.2L44.8,522.4L40.8,524.5L39,521.1ZM-6.2,601.2L-1,601.3L-2,602.5ZM-15,601.4L-13.1,599.3L-11.1,600.8ZM-57.6,570.9L-54.7,571.9L-53.9,573.8L-56.4,573.1ZM184.9,573.1L185,569.8L186.8,569.5L194.4,575.9L195.7,580.1L189.6,577.5L189.4,576.3ZM180.3,567.2L181.9,564.6L185.4,564.3L188.7,566.7L186.3,568.6L183.9,568.5L184,572.3L182.7,572.5ZM174.6,555.9L176.1,557.5L178.2,556.9L181.4,562.6L179.6,565.9L178.9,563.1ZM173.9,564.8L174.6,562.9L177.2,563.4L179.7,568.3L180.8,572.7L176.1,568.4L175.5,565.3ZM169.1,561.4L171.5,557.8L175.3,558.7L177.1,562.7L173.7,562.2L173.8,564.8ZM120.8,555.1L123.6,550L124.3,550.9Z',
+  },
+  AL: {
+    label: [674.3, 441.1],
+    neighbours: ['FL', 'GA', 'MS', 'TN'],
+    d: 'M641.6,384L641.5,383.7L666.5,381.9L689.2,379.7L702.5,427L704.5,431.8L707.8,436.5L707.3,438.8L709.6,439.9L706.7,443.2L707.1,446L705.9,450.1L708.6,457.1L708.3,464.8L710.8,468.8L693.6,470.8L660.7,474L660.3,477L665.1,480.9L664.6,484.7L666.3,486.4L663.7,490.1L657.6,491.8L659.1,490.2L655.9,487.8L654.8,482.2L653.4,481.7L651.9,485.8L651.6,490.2L649.1,489L646.5,489.5L642.2,455L643,413.2L643.7,386.2Z',
+  },
+  AR: {
+    label: [562, 389.3],
+    neighbours: ['LA', 'MO', 'MS', 'OK', 'TN', 'TX'],
+    d: 'M523,355.3L549.9,354.7L586,353.2L603.6,352.2L605.2,357.3L602.8,359.5L600.2,364L611.9,363.1L613.7,365.2L611.5,365.7L612.7,367.3L608.4,369.4L610.2,371.6L607,373.8L604.7,377.7L606.6,377.6L605.4,380.6L607.1,383.2L605.2,383.8L602.8,386.7L604,388.7L598.4,393L600.4,394.3L598.2,395.7L598.6,400.4L595.3,401.6L594.2,406.9L592.1,407.6L593.4,409.4L589.7,410.8L591.8,415.1L588.9,415.5L590,418.1L587.4,417.8L589.3,419.6L587.6,420.4L587.6,423.2L589.5,425.1L590.7,429.8L588.6,430.7L589.4,433.1L569.4,433.9L535,434.7L534.8,422.5L532.1,421.6L528.8,422.8L526.4,420.7L526.8,380.5Z',
+  },
+  AZ: {
+    label: [206.6, 393.8],
+    neighbours: ['CA', 'NM', 'NV', 'UT'],
+    d: 'M145.1,407L148.8,406.9L150.7,403.8L150.2,400.8L147.4,400.1L148.3,394.9L148,391.7L149.9,391.5L152.4,389.1L153.5,386L153.9,380.5L156.8,377L160.1,376.1L162.8,373.6L159.8,369.6L158.5,363.2L156.2,359.1L156.8,356.2L158.7,352.8L158.2,345.1L159.2,342.4L159,337.8L159.9,331.1L163.1,330.6L166.6,331.5L168.4,334.8L170,334.9L172.6,331.5L176,313.3L202.7,318.2L239.3,324.3L264.6,328L251.4,423.6L246.8,456.3L208.2,450.5L171.7,429.5L142.3,411.7L142.9,409Z',
+  },
+  CA: {
+    label: [86.1, 317.8],
+    neighbours: ['AZ', 'NV', 'OR'],
+    d: 'M77.2,374.3L81.1,376.9L81.3,379.5L78.9,378.3L79,376.1ZM74.7,384.2L78.3,390L75.8,388.7ZM56.6,355L62.6,358.5L56.9,357.4ZM50.3,355.2L54.1,355.4L54.9,357.8L51.9,358.1ZM32.6,160L46.5,164.1L62.1,168.4L83.7,174.8L100.5,179.2L83.3,245.5L156.8,356.2L156.2,359.1L158.5,363.2L159.8,369.6L162.8,373.6L160.1,376.1L156.8,377L153.9,380.5L153.5,386L152.4,389.1L149.9,391.5L148,391.7L148.3,394.9L147.4,400.1L150.2,400.8L150.7,403.8L148.8,406.9L145.1,407L99.5,401.7L99.7,399.5L97.9,398.1L98.9,393.6L98.7,387.7L96.5,382.3L92.5,376.4L86.4,369.8L84.7,370.8L82.1,369.3L83,367.2L81.7,362.5L76.4,361.8L69.7,356.7L69.3,354.1L65,349.3L59.3,347.9L54.9,345.2L48.8,344.3L46.5,340.5L48.6,334.9L47.9,333.2L49.8,328.1L45.9,324.6L47.3,321.2L45.3,319.3L43.4,314.7L41.6,313.3L37.2,299.7L34.8,296.1L35,292.2L36.3,289L38.1,289L39.7,285.9L38.3,281.4L35.1,281L31.4,274.3L32.5,270.7L31.6,266.5L33.3,260.8L35.3,260.7L34.7,265.7L38.5,270.1L38.6,265L36.4,261.7L37.3,259L35.8,257.2L39.2,256.3L37.6,253.4L35.7,253.7L35.7,256.7L33.2,259.9L29.4,254.6L26.2,253.5L28.3,250.3L27.1,243.1L24.4,239.5L23.2,235.6L20.1,229L21.6,226.9L21.4,219.4L23.6,215.7L24,209.2L21.6,201.9L18.5,197.2L18.9,193.1L26.6,183.8L27.7,178.9L31.3,172.9L31.6,165.8L30.4,164.4Z',
+  },
+  CO: {
+    label: [319.2, 288.5],
+    neighbours: ['KS', 'NE', 'NM', 'OK', 'UT', 'WY'],
+    d: 'M277.1,237.2L301.1,240.3L333.1,244L361.4,246.5L395.3,249L393.9,271.9L389.7,340.7L372.5,339.4L348.5,337.6L315.3,334.3L278.8,329.9L264.6,328L268.4,301.5L268.4,299L271.2,279.7Z',
+  },
+  CT: {
+    label: [889.8, 188.7],
+    neighbours: ['MA', 'NY', 'RI'],
+    d: 'M871.2,184L898.7,177.7L898.8,178L902.2,191.1L901.7,193.5L900.2,193.5L893.5,197L884.7,198.4L881.9,202.6L878.1,204.5L874.1,208.3L872.3,206L875.7,202.6L874.1,201Z',
+  },
+  DC: {
+    label: [827.7, 267.5],
+    neighbours: ['MD', 'VA'],
+    d: 'M825.9,267L827,265.3L829.7,267.2L827.9,269.9Z',
+  },
+  DE: {
+    label: [856.1, 266.8],
+    neighbours: ['MD', 'NJ', 'PA'],
+    d: 'M844.9,244.6L846.5,241.9L850.8,241.4L849.7,244.4L848.5,246.7L849.3,249.3L852.8,252.5L854.8,258L859.5,262.9L861.3,262.7L863.7,270.3L852.6,272.5Z',
+  },
+  FL: {
+    label: [783.9, 517.8],
+    neighbours: ['AL', 'GA'],
+    d: 'M793.7,604.2L794.8,602L800.5,597.7L805.1,600.1L796.4,604.1ZM710.8,468.8L714.2,475L765.8,471.5L767.3,476L769.7,475.6L769.8,471L768.7,466L770,464.9L774.7,466.1L780.1,466.1L782.8,475.7L787,486.3L794.9,499.6L806.1,513.6L805,517.2L806.6,521.9L811.5,529.2L815.5,536.8L820,544.3L822.1,549L822.8,554.1L823.8,574.5L821.8,573.7L820.9,579.6L822.4,582.7L821.6,586.6L819.1,589.4L819.7,586.1L817.6,586L813.6,588L806.9,589.7L804.7,587.7L805.3,585L800.6,577.8L798.4,576.1L793.1,574.2L791.9,575.4L788.8,570.5L787.5,566L785.5,563.3L782,561.5L780.2,559.3L781.3,555.4L780.4,552L778.5,553.2L779.5,555.9L777.5,556.8L772.6,550.8L769.4,545.8L766.5,542.9L771.2,533.2L764.7,529.8L764.2,531.7L767.4,534.3L766.8,536.8L764.7,537.1L761.9,533.4L761.9,527.3L763.6,520.7L763.6,517.1L761.3,511.5L761.9,510.2L758.9,505.1L755,504.9L754,506.1L752.9,503.1L751.3,502.8L749.9,500L746.1,498.3L745.3,494.9L742.8,494.1L740.3,490.6L732.2,486.7L727.4,487.4L725.8,489.7L726.4,492.2L722.7,492.3L716.3,497.4L711.8,498L713.7,500.8L710,499.1L707.4,499.8L708.1,496.6L705.7,493.6L695.8,488.4L688.8,486.2L680.7,485.8L668,488.7L663.7,490.1L666.3,486.4L664.6,484.7L665.1,480.9L660.3,477L660.7,474L693.6,470.8Z',
+  },
+  GA: {
+    label: [743.7, 438.8],
+    neighbours: ['AL', 'FL', 'NC', 'SC', 'TN'],
+    d: 'M689.2,379.7L712.7,376.8L725.6,375.2L734.9,373.7L734.8,375.1L731.6,379L731.7,381.5L738.4,385.4L741.1,385.4L744.4,391.4L748.3,396.2L754.5,399.6L756,402.3L759,403.4L761.9,405.8L761.6,407.7L763.6,408.7L765.7,411.8L771.3,414.4L773.2,418.1L774,422.7L776.8,424L780.8,429.6L781.4,433.4L786.1,434.6L786.8,436L782.6,442.3L782.4,447.1L781,450.8L781.3,454.4L779.5,456.4L778.3,460.2L780.2,461.5L780.1,466.1L774.7,466.1L770,464.9L768.7,466L769.8,471L769.7,475.6L767.3,476L765.8,471.5L714.2,475L710.8,468.8L708.3,464.8L708.6,457.1L705.9,450.1L707.1,446L706.7,443.2L709.6,439.9L707.3,438.8L707.8,436.5L704.5,431.8L702.5,427Z',
+  },
+  HI: {
+    label: [316.9, 586.5],
+    neighbours: [],
+    d: 'M305.4,584.5L308.2,581.9L310.3,577.9L308.8,575.4L309.7,572.5L315.2,575.8L322.2,578.3L326.3,582L326.1,584.5L327.9,584.4L328.4,586.6L332.1,589.1L328.6,593.3L325.3,594.9L321.8,595.2L317.3,598.1L313.8,603.1L309.3,600.5L308.4,598.5L309.1,593.7L308.3,590.5ZM291.6,557.9L293.9,555.4L296.4,558.5L299.6,557.2L306.5,560.7L305.4,563.9L298.5,565.6L297.1,564.8L296.7,561.1L293.1,560.2ZM291.6,566.7L294.3,565L294.8,567ZM283.9,558.3L287.4,558L289.3,560.4L285.9,562.1ZM278.6,553.8L279.6,551.2L291.4,552.6L287.8,555L283.2,553.8ZM258.1,543L261.3,542.9L264.7,540L267.4,544.2L267.3,545.8L271.4,549.4L267.7,550.2L266.3,549.2L261.5,549.3ZM226.1,532.6L227.3,530.2L231,528.2L235.4,528.6L236.6,530.2L235.8,534.3L233.3,536.3L230,535.8ZM216.3,536.6L220,533.2L219.8,535.6L217.1,538.2Z',
+  },
+  IA: {
+    label: [535.2, 228.2],
+    neighbours: ['IL', 'MN', 'MO', 'NE', 'SD', 'WI'],
+    d: 'M490.6,195.2L515.8,195.2L549.3,194.4L576.3,193.3L576.5,196.3L579.2,198.7L577.4,201.6L578.2,206.8L579.9,210.5L585.6,212.4L587,215.4L590,218.2L591.6,221.6L595.5,223.8L595.5,231L593.5,232.7L593.2,236.1L588.1,239.3L581.6,240.8L580.7,244.7L583.7,247.9L583.6,251.8L581.5,254.5L581.2,257.8L577.4,259.4L576.5,264.7L570.9,259.6L544.8,261.3L521.4,262L502,261.9L499.9,258.5L501.2,255.1L498.9,244.7L499.3,241.9L496.4,239.9L496.9,234L494.2,229.6L490.6,218.3L487.5,211.9L489,210L489.6,205.5L490.8,203.9L488.5,199.8L489.5,197.9L488.2,195.2Z',
+  },
+  ID: {
+    label: [191.8, 163.4],
+    neighbours: ['MT', 'NV', 'OR', 'UT', 'WA', 'WY'],
+    d: 'M170.5,102.4L171.3,98.5L170.1,94.1L170.8,92.4L178.3,58.7L183.6,35.9L198.1,39L193.3,61.5L196.8,68.7L195.8,71.8L197,74.2L195.3,74.3L198,78L200.8,79.7L201.6,82.3L205.3,88.4L204.8,89.7L208.1,93.1L208.9,95.6L213.4,96.3L210.8,101.7L208.2,109.1L208.6,113.7L205.8,114.9L206.4,117.5L205.2,119.7L208.1,122.6L211.6,121.1L214.6,118.2L216.9,121L216.1,122.8L216.9,127.4L218.6,132.3L220.2,134.2L219.4,138.5L220.8,140.7L224.1,141.5L224.8,149.1L227,151.6L228.5,149L234.6,150.9L236.7,148.5L239.3,150.1L243.3,149.7L249.6,151.1L249.9,147.5L252.6,147.6L253.6,151L256,153.9L247.2,209.6L200.2,201.7L197.7,201.1L159.6,193.2L148.9,190.7L157.9,150.5L161.7,143.3L160.9,141.2L157.9,139.9L157.4,136.6L161.9,129.9L164.2,129.1L166.6,126.2L166.8,124.1L169.2,121.9L171,118.1L175.7,112.3L175,109L172,106.8Z',
+  },
+  IL: {
+    label: [611.7, 266.8],
+    neighbours: ['IA', 'IN', 'KY', 'MO', 'WI'],
+    d: 'M576.5,264.7L577.4,259.4L581.2,257.8L581.5,254.5L583.6,251.8L583.7,247.9L580.7,244.7L581.6,240.8L588.1,239.3L593.2,236.1L593.5,232.7L595.5,231L595.5,223.8L591.6,221.6L590,218.2L587,215.4L617.8,213.7L634.2,212.4L634,216.8L637.2,222.1L640.3,229.8L645,283.6L643.5,287.9L646.2,292.6L646.5,298.5L644.9,299.9L644.5,303L641.5,308.6L639.4,310.3L640.5,311.8L638,317.4L639.4,319.7L637.3,323.1L639,327.3L632.2,329.8L631.7,332.2L633.6,335.1L631.5,337.1L624.4,334.1L620.6,337.5L621.2,339.9L618.8,338.2L618.6,340L613.8,333.4L615.2,332L613.5,327.8L614.1,326.4L612,323.8L607.1,319.7L606.1,320.6L597.6,313.2L597.6,309.3L600.1,303.2L599.4,301.4L601,298.4L594.9,296.1L593.4,298.3L591.3,297.3L589.7,289.9L584.1,285.6L582.9,283.6L578.1,279.5L575.5,272.6L575.1,268Z',
+  },
+  IN: {
+    label: [667.9, 275.5],
+    neighbours: ['IL', 'KY', 'MI', 'OH'],
+    d: 'M640.3,229.8L642.2,231.2L647.2,230.6L651.9,227.6L669.2,225.8L685.6,223.9L685.8,225.4L688.5,247.4L692.5,284.3L691.3,285.7L693.5,291.6L690.7,292L687.5,294.5L685.1,293.5L682.6,295L683.6,298.2L680.6,301L680,303.7L677.1,305.1L675.6,311.5L674.1,312.8L669.8,310.7L668.6,308.8L665.5,311.7L666,314.3L662.3,315.5L660.8,313.4L656.7,315.7L655.3,318.7L650.6,315.6L648.3,316.5L646.7,315L646.7,318.3L645.3,316.8L639.4,319.7L638,317.4L640.5,311.8L639.4,310.3L641.5,308.6L644.5,303L644.9,299.9L646.5,298.5L646.2,292.6L643.5,287.9L645,283.6Z',
+  },
+  KS: {
+    label: [456.1, 309.1],
+    neighbours: ['CO', 'MO', 'NE', 'OK'],
+    d: 'M393.9,271.9L422.4,273.5L443.4,274.3L464.8,274.9L495.4,275.2L509.9,275.2L511.7,277.3L516.5,277.7L517.3,281.4L516.1,281L513.5,285.8L516.5,289.2L518.5,293.2L522.3,295.2L522.8,343.8L489,344L458.9,343.6L432.6,342.7L389.7,340.7Z',
+  },
+  KY: {
+    label: [702.8, 315.4],
+    neighbours: ['IL', 'IN', 'MO', 'OH', 'TN', 'VA', 'WV'],
+    d: 'M621.2,339.9L620.6,337.5L624.4,334.1L631.5,337.1L633.6,335.1L631.7,332.2L632.2,329.8L639,327.3L637.3,323.1L639.4,319.7L645.3,316.8L646.7,318.3L646.7,315L648.3,316.5L650.6,315.6L655.3,318.7L656.7,315.7L660.8,313.4L662.3,315.5L666,314.3L665.5,311.7L668.6,308.8L669.8,310.7L674.1,312.8L675.6,311.5L677.1,305.1L680,303.7L680.6,301L683.6,298.2L682.6,295L685.1,293.5L687.5,294.5L690.7,292L693.5,291.6L691.3,285.7L692.5,284.3L693.7,283.2L696.4,284.6L698.5,283.2L700.9,284.9L703.9,289.8L710.2,290.2L713.9,292.7L716.2,290.6L720.6,292.4L723,291.5L724.7,289L727,287.9L728.4,291.7L730.5,292L733.2,294.8L733.8,301.7L736.4,305.6L739.7,308.6L740.9,311.1L744.4,313.1L747.1,313.2L741.2,320.4L735.2,324.6L735.4,326.3L733,328.2L733.1,330.3L729.8,331.5L729,334.2L719.8,338.7L719.6,339.2L704.2,340.8L692.5,341.5L681.1,342.8L672,343.2L644.8,346.1L640.8,345.4L641.4,349.5L619,351L616.9,351.3L617.4,348.6L620.2,349.5L621.8,340.3Z',
+  },
+  LA: {
+    label: [562.9, 457.5],
+    neighbours: ['AR', 'MS', 'TX'],
+    d: 'M628.5,497.9L631.3,495.4L631.8,498ZM576.5,511.5L579.9,510.5L582.6,512L580,513.9ZM535,434.7L569.4,433.9L589.4,433.1L591.3,435.6L589.8,439L591.8,439.3L590.1,441.4L592.9,441.6L590.9,444.9L593.3,445.5L595.4,448.2L590.4,451.5L592.6,453L592.3,455.5L590.2,456.9L587,461.4L586.4,466L584.4,467L585.4,470L583.3,470L584.6,472.8L582.2,473.1L584,478.2L582.6,479.2L605.8,477.9L619.1,477.1L617.6,484.9L621.2,489.5L622.3,493.1L624.8,495.4L619.2,498.9L619,501.1L621.1,500.7L623.8,502.3L623.9,499.7L625.7,497.6L628.2,501.3L630,499.3L630.5,502.2L628,503L627.3,507.2L622.8,507.8L622.5,509.6L626.3,513.4L632.4,513.8L634.9,517.8L634.2,521.8L631.8,519.9L628.8,523.6L630.6,519.2L623.8,515.7L619.8,515.3L612.6,521.1L609.8,516.3L608.1,515.4L605.1,517.7L601,522.8L597.9,519.8L595.2,519.8L590.3,517.5L591.6,516L594.6,518.3L594.3,516.3L591.7,514.3L590.2,515.4L589.6,512.7L587.7,513.7L585.7,510.1L583.8,510.2L584.2,507.9L579.1,508.6L578.8,505.8L574.5,508.2L572.8,507.9L574.8,511L570.6,513.1L564.8,512.1L553.6,508.2L547.7,508.4L542.5,509.3L540.6,510.4L538.9,507.5L543.1,502.1L543,493.3L542.3,490.3L545.5,484.5L546.1,479.9L545.4,476.2L541.8,469.1L539.6,467L539.8,463L535.5,457.9Z',
+  },
+  MA: {
+    label: [879, 174],
+    neighbours: ['CT', 'NH', 'NY', 'RI', 'VT'],
+    d: 'M927.7,186.8L933,186L930.7,187.6ZM918.3,188.3L921.3,184.4L924.6,186.7ZM871,167.6L884.1,164.8L902.9,160.7L906.2,156L909.5,154.8L911.2,158.5L914.3,158.4L909.5,165.8L910,168.6L911.8,167.4L917,171.2L917.5,174.2L919.4,174.4L921.7,177.7L924.8,177.5L928.8,175.1L928.4,171.4L931,176.8L924.7,179.9L922.7,182.4L920,183.3L917.9,179.4L917.7,181.7L915.4,182.8L915.4,185.3L912.8,186.4L910.5,182.8L909.8,182.1L907.7,181L905.5,176L898.8,178L898.7,177.7L871.2,184L870.6,183.2Z',
+  },
+  MD: {
+    label: [827.7, 257],
+    neighbours: ['DC', 'DE', 'PA', 'VA', 'WV'],
+    d: 'M782.3,256.9L816.4,250.5L844.9,244.6L852.6,272.5L863.7,270.3L862.5,280.5L856.1,282.7L855.5,283.8L851.6,285.3L851.2,281.8L847.7,275.6L847.6,278.7L845.5,279.1L841.4,274.1L841.8,271.3L846.4,271.3L840.1,267.8L842.3,266.1L841,263.7L839,266.3L839.4,261.7L841.4,262.9L841.8,260L839.3,259.3L840.2,254.7L842.3,253L842.6,248.9L840.5,249.9L841.6,251.7L839.2,254.5L836.8,254L837.6,257L836.3,258.8L838,262.7L836.2,268.8L838.1,274L841,276.7L840.3,279L843.3,282L843.8,284.2L840.8,283.3L838.3,281.3L834.6,281.5L831,279.7L829.9,277.6L827,280.2L825.3,277.7L827.1,273.8L827.9,269.9L829.7,267.2L827,265.3L825.9,267L821.5,264.9L818.2,264.2L818.7,261.5L816.6,260.2L813.9,260.3L810.6,256.4L810.8,254.4L807.7,255L804.5,253.4L801.8,255.2L800.4,258.3L797,258.6L794.3,257.4L792.3,261.6L789.7,261.4L787.1,265.8L784.1,268.5Z',
+  },
+  ME: {
+    label: [920.6, 91.6],
+    neighbours: ['NH'],
+    d: 'M931.4,119.2L932.7,117.1L934.3,119.4ZM910.2,150.1L907.8,149.2L907.5,147.2L904.5,145.2L894.8,114.3L890.9,102.4L891.8,101.2L894.8,103.1L894.3,99.3L897.3,98.8L895.2,96.3L896.9,92.3L899.1,90.1L898.2,88.9L900,86.1L898.2,82.6L898.1,76.3L899.9,73.8L899.1,67.5L905.9,47.6L908.8,47.5L910,51.5L912.5,52.3L916.6,48.5L919.6,47.6L919.7,45.9L922.6,45.8L929.7,49.7L937.3,74L938.7,79.9L944.6,79.9L944.5,82.6L946.3,84.3L946.1,87L949.5,89.7L952,88.1L957.1,94.8L955,99.4L952.8,98.6L950.2,105.6L946.8,104.3L946.3,107.5L944,108.4L943.8,110.3L941.4,109.7L941.5,112.5L938.9,113.7L937.3,109.7L935.4,111.3L937.1,114.9L935.7,117.6L934.5,114.7L931.9,114.3L931,110.1L929.7,113.9L929.3,120.5L930.2,122.9L925.8,125.7L924.4,127.8L921.4,128.9L919.7,132.2L918.1,130.9L915.1,134.1L915.1,136.8L912.8,138.3L912.9,142.3L911.2,143.3Z',
+  },
+  MI: {
+    label: [683.7, 199.9],
+    neighbours: ['IN', 'OH', 'WI'],
+    d: 'M677.1,130.8L682,132.3L679.8,133.4ZM662.4,138.6L663,134.8L664.5,138.1ZM651.9,227.6L655.1,224.2L656.8,218.8L658.6,215.5L659.8,210.2L660,204.7L658.9,198L652.4,184.3L653.8,180.1L651.9,174.9L655.2,168L654.9,159.7L657.1,158.7L657.1,154.9L661.1,153.5L663.6,147.8L664.7,150.6L663.9,155.9L665,157.2L666.3,152L666.1,157.6L667.8,153.2L667.3,145.5L669.6,143.3L674.2,141.9L672.1,141.2L670.5,138.3L672.9,134.4L675.4,132.7L680.6,135.2L684.6,135.1L686.6,137.8L689.8,137.9L695.1,140.2L696.7,139.9L701.3,147L699.1,146.2L698.8,148.9L700.9,150.3L702.2,153.9L702.4,162.5L699.2,165.5L699.2,169.4L695.4,171.5L694.1,177.1L695.1,178.8L699,180.2L704.6,170.6L709.9,167.7L713,169.1L715.2,172.4L718,181.1L718.9,185.8L721.5,191.2L720.9,199.8L718.5,202.2L719.1,198.7L716.3,199.4L715.1,206.5L712.1,209.5L712.5,212.9L709.8,217.1L708.3,221.7L685.8,225.4L685.6,223.9L669.2,225.8ZM601.4,92.4L602.5,91L610.1,85.8L613.6,84.4L610.1,88.7L605.2,91.4L603.5,93.3ZM585.3,123.1L591.3,120.2L593.9,117.3L600.5,115.8L604.9,112.1L606.9,111.9L608.3,109.4L612.9,105.8L615.1,102.8L618.6,100.5L624.4,99.7L625.9,101.1L622.2,101.8L617.5,108L615.4,111.8L615.6,116.6L618.6,112.5L624,112.5L628.3,114.3L633.1,120.8L643.6,121.4L643.2,119L645.3,120.6L647,118.5L651.8,115.2L662,114L665.3,111.9L670,111L669,112.8L669.8,117.6L673.2,118L675.7,116.8L676.5,118.3L679,116.1L683.4,114.8L684.4,121.5L682.5,123L686.1,123.6L687,125.7L690.2,126.2L690.2,124L693.2,123.6L695.2,125.8L694,127.6L685.2,127.2L681.2,128.8L676.5,126.6L675.5,129.1L676.3,131.2L674.2,131L671.2,128.3L665.8,126.9L662.9,127.3L660.9,130.3L657,131.8L652.6,131.3L650.7,132.8L650.3,135.5L645.2,139.2L647.6,134.3L643.6,134.5L643,137.7L637.9,139.6L632.4,153L629.9,151.5L631,147.6L627.3,147L628.4,144L628.2,140.2L624.6,137.7L622.3,137.4L622.7,135L611.9,133.8L606.7,131.4L590.3,128L588.3,124.2Z',
+  },
+  MN: {
+    label: [521.2, 115.2],
+    neighbours: ['IA', 'ND', 'SD', 'WI'],
+    d: 'M479.5,70.7L510.8,70.8L510.7,62.2L513.7,62.5L515.6,64.1L517.9,73.3L517.8,75.7L520.2,77.3L524.3,77.3L524.9,78.4L530.7,78.8L531.5,81.3L536.5,80.5L540.3,78.2L543.7,78.5L547.7,80.3L548,82L551.1,82.2L553.4,87.3L554.9,84.2L558.1,84L558.9,86L563.4,87.3L565.8,90.7L570.6,89.6L574.6,86.3L576.7,85.8L578.1,88.9L587.6,88L591.8,90.6L593.6,89.6L596.2,90.7L590.4,94.2L582,97.5L579,99.5L572.7,105.7L569.9,109.4L565.4,114L558.9,119.4L560.2,121.1L559,120.2L555.9,122.3L556.4,135.6L555.6,136.9L551.1,139L547.6,144L547.5,147.3L549.3,147.4L551.3,149.9L549.7,153.6L550.1,161.7L549.3,165.9L553.6,169.9L556.9,170.1L559.2,172.7L563.9,174.9L564.9,177.8L569.8,181.6L572.3,182.2L575.6,187.1L575.4,190.7L576.3,193.3L549.3,194.4L515.8,195.2L490.6,195.2L490.8,154.3L487.1,151.7L484.4,147.3L488.8,142.5L489.1,139.9L488.6,130.9L486.5,127.6L485.5,123.3L485.9,118.1L485.3,116.5L484.9,102.5L480.5,89.4L481,86.9L480.5,80.8L481.4,77.7Z',
+  },
+  MO: {
+    label: [559.7, 316.9],
+    neighbours: ['AR', 'IA', 'IL', 'KS', 'KY', 'NE', 'OK', 'TN'],
+    d: 'M502,261.9L521.4,262L544.8,261.3L570.9,259.6L576.5,264.7L575.1,268L575.5,272.6L578.1,279.5L582.9,283.6L584.1,285.6L589.7,289.9L591.3,297.3L593.4,298.3L594.9,296.1L601,298.4L599.4,301.4L600.1,303.2L597.6,309.3L597.6,313.2L606.1,320.6L607.1,319.7L612,323.8L614.1,326.4L613.5,327.8L615.2,332L613.8,333.4L618.6,340L618.8,338.2L621.2,339.9L621.8,340.3L620.2,349.5L617.4,348.6L616.9,351.3L615.6,351.5L614.7,351.5L615.4,354.2L612.1,357.7L614.2,360.1L611.9,363.1L600.2,364L602.8,359.5L605.2,357.3L603.6,352.2L586,353.2L549.9,354.7L523,355.3L522.8,343.8L522.3,295.2L518.5,293.2L516.5,289.2L513.5,285.8L516.1,281L517.3,281.4L516.5,277.7L511.7,277.3L509.9,275.2L508,273.9L507.1,270L504.7,268.1Z',
+  },
+  MS: {
+    label: [616.6, 423.9],
+    neighbours: ['AL', 'AR', 'LA', 'TN'],
+    d: 'M589.4,433.1L588.6,430.7L590.7,429.8L589.5,425.1L587.6,423.2L587.6,420.4L589.3,419.6L587.4,417.8L590,418.1L588.9,415.5L591.8,415.1L589.7,410.8L593.4,409.4L592.1,407.6L594.2,406.9L595.3,401.6L598.6,400.4L598.2,395.7L600.4,394.3L598.4,393L604,388.7L602.8,386.7L618.9,385.7L641.6,384L643.7,386.2L643,413.2L642.2,455L646.5,489.5L644.4,490.8L636.2,489.7L633.1,490.6L626.7,493.6L624.8,495.4L622.3,493.1L621.2,489.5L617.6,484.9L619.1,477.1L605.8,477.9L582.6,479.2L584,478.2L582.2,473.1L584.6,472.8L583.3,470L585.4,470L584.4,467L586.4,466L587,461.4L590.2,456.9L592.3,455.5L592.6,453L590.4,451.5L595.4,448.2L593.3,445.5L590.9,444.9L592.9,441.6L590.1,441.4L591.8,439.3L589.8,439L591.3,435.6Z',
+  },
+  MT: {
+    label: [259.1, 96.7],
+    neighbours: ['ID', 'ND', 'SD', 'WY'],
+    d: 'M198.1,39L210.5,41.7L232.9,46.1L265.4,51.9L302.8,57.5L326,60.5L340.4,62.1L364.4,64.6L376.9,65.7L371.1,134.3L369.4,155.7L369.1,155.7L339.5,152.8L339.2,153L298.3,148L263.3,143.1L257.8,142L256,153.9L253.6,151L252.6,147.6L249.9,147.5L249.6,151.1L243.3,149.7L239.3,150.1L236.7,148.5L234.6,150.9L228.5,149L227,151.6L224.8,149.1L224.1,141.5L220.8,140.7L219.4,138.5L220.2,134.2L218.6,132.3L216.9,127.4L216.1,122.8L216.9,121L214.6,118.2L211.6,121.1L208.1,122.6L205.2,119.7L206.4,117.5L205.8,114.9L208.6,113.7L208.2,109.1L210.8,101.7L213.4,96.3L208.9,95.6L208.1,93.1L204.8,89.7L205.3,88.4L201.6,82.3L200.8,79.7L198,78L195.3,74.3L197,74.2L195.8,71.8L196.8,68.7L193.3,61.5Z',
+  },
+  NC: {
+    label: [818.3, 350.8],
+    neighbours: ['GA', 'SC', 'TN', 'VA'],
+    d: 'M863.3,349.7L863.6,348.4L870.9,343.2L871.3,344.1L867.2,346.2ZM755.5,334L780.3,331.1L812.1,325.5L840.3,320L858.8,315.9L860.6,320.1L865.6,328.4L864,327.6L859.7,318.9L855.9,317.5L858.7,320.4L862.1,325.5L859.3,323L857.9,324.6L854.4,322.8L857.3,325.6L853.3,327.6L850.8,329.9L846.8,330.3L847.4,332.7L852.1,330.6L852.9,331.4L856,329.6L859,329.8L858.7,332.3L860.4,336.2L860.2,329.5L863.3,329.4L865.7,334.5L865.1,337.3L863,337.9L859.7,344.3L853.4,344.7L850.9,342L851.6,344.7L843,343.4L854.2,347.1L852.7,351.9L849.6,355L845.9,353.5L846.2,354.7L850.5,355.8L854.8,352.9L859.2,353.5L857.1,355.8L855.9,360.3L862.3,349.7L862.9,350L857.9,357.4L856.1,362.4L855.6,361.2L851.4,360.8L843.8,364.5L838,370.5L834.5,376.7L833.4,384.1L829.2,383.5L822.8,386.1L798.1,368.4L777.6,371.5L777.5,368.8L774.1,365.4L772.4,367.1L772,364.7L749.4,367L745.6,368.2L734.9,373.7L725.6,375.2L712.7,376.8L712.6,371.4L717.3,369.2L717.4,365.9L721.1,362.5L726.3,361.7L733,355.7L734.6,355.9L737.8,350.2L740.1,348.3L740.8,350.5L743.4,349.2L744.2,347.2L747.2,345.2L750.7,345.5L752.4,341.1L755,338.2Z',
+  },
+  ND: {
+    label: [442.1, 104.2],
+    neighbours: ['MN', 'MT', 'SD'],
+    d: 'M376.9,65.7L404.4,67.8L420.8,68.8L444.9,69.8L479.5,70.7L481.4,77.7L480.5,80.8L481,86.9L480.5,89.4L484.9,102.5L485.3,116.5L485.9,118.1L485.5,123.3L486.5,127.6L488.6,130.9L489.1,139.9L459.9,139.4L442.8,138.8L412.5,137.3L392.2,136L371.1,134.3Z',
+  },
+  NE: {
+    label: [439.7, 239.9],
+    neighbours: ['CO', 'IA', 'KS', 'MO', 'SD', 'WY'],
+    d: 'M365.3,201L403.8,203.9L434.2,205.4L456.8,206.2L457.3,207.3L465.7,211.6L467,209.6L470.4,210L476.4,209.5L479.3,211.8L481.8,212.1L486.6,214.7L488,217.9L490.6,218.3L494.2,229.6L496.9,234L496.4,239.9L499.3,241.9L498.9,244.7L501.2,255.1L499.9,258.5L502,261.9L504.7,268.1L507.1,270L508,273.9L509.9,275.2L495.4,275.2L464.8,274.9L443.4,274.3L422.4,273.5L393.9,271.9L395.3,249L361.4,246.5Z',
+  },
+  NH: {
+    label: [893.3, 149.8],
+    neighbours: ['MA', 'ME', 'VT'],
+    d: 'M886.1,110.5L886.7,105.2L887.8,103.3L890.5,103.9L890.9,102.4L894.8,114.3L904.5,145.2L907.5,147.2L907.8,149.2L910.2,150.1L909.5,154.8L906.2,156L902.9,160.7L884.1,164.8L882.3,163.4L882.1,157.6L880.6,145.8L883.1,133L881.8,127.9L885.1,126.3L887.9,122.1L887.5,119.1L885.6,116.8L886.9,112.7Z',
+  },
+  NJ: {
+    label: [861.4, 244.3],
+    neighbours: ['DE', 'NY', 'PA'],
+    d: 'M849.2,245.8L849.7,244.4L850.8,241.4L854.8,238.7L854.8,236.9L860.6,230.8L853.7,226.4L852.9,223.6L850.7,223.4L849.9,220.8L851.5,216.1L849.6,213.8L852.8,208.7L853.2,205.9L855,204L870.1,209L869.2,216.4L868.9,217.2L866.9,218.3L866.6,221.4L871.4,222.4L872.4,224.8L873.2,237.3L869.9,247.5L867.1,250.9L865.4,257.2L862.6,259L862.9,253.8L860.3,253.1L858.6,254.3L851.7,249.8L849.4,246.3Z',
+  },
+  NM: {
+    label: [311.9, 392.5],
+    neighbours: ['AZ', 'CO', 'OK', 'TX'],
+    d: 'M264.6,328L278.8,329.9L315.3,334.3L348.5,337.6L372.5,339.4L371.6,350.8L370.9,350.7L366.7,407.5L364.6,429.6L362.9,453.3L338.7,451.3L317.8,449.4L295.1,447L294.3,449.3L296.3,452.1L264.2,448.2L262.9,458.4L246.8,456.3L251.4,423.6Z',
+  },
+  NV: {
+    label: [139.4, 239.7],
+    neighbours: ['AZ', 'CA', 'ID', 'OR', 'UT'],
+    d: 'M100.5,179.2L121.6,184.5L148.9,190.7L159.6,193.2L197.7,201.1L176.4,311L176,313.3L172.6,331.5L170,334.9L168.4,334.8L166.6,331.5L163.1,330.6L159.9,331.1L159,337.8L159.2,342.4L158.2,345.1L158.7,352.8L156.8,356.2L83.3,245.5Z',
+  },
+  NY: {
+    label: [844.4, 166.2],
+    neighbours: ['CT', 'MA', 'NJ', 'PA', 'VT'],
+    d: 'M868.9,217.2L868.5,220.3L866.6,221.4L866.9,218.3ZM767.5,200.3L776.4,192.1L777.5,188.8L780.3,186.1L778.3,182.4L776.9,182L774.8,176L783.8,171.7L792.1,170.3L795.8,170.3L799.8,171.9L801.9,170.5L809,169.2L812.8,166.7L816.6,161.8L819.3,161.1L819.4,158.3L816.9,154.4L819.3,152.5L814.7,150.3L815,146.4L820.5,141.3L822.1,137.5L828.6,127.9L832.3,124.4L845.1,121.2L857.6,117.8L858.8,122.3L859.2,127.3L860.9,129L862,134L861.3,139.5L864.1,145.3L863.6,148.6L865.6,148.3L867.1,150.3L870.3,165.7L871,167.6L870.6,183.2L871.2,184L874.1,201L875.7,202.6L872.3,206L874.1,208.3L873.7,211.1L877.1,208.5L881.6,208.4L882.7,206.7L890.9,204.2L894.7,199.6L899.5,201.8L903.1,199.5L895.5,205.8L885.7,213L877.8,216.9L874.2,217.5L871.7,219.3L869.2,216.4L870.1,209L855,204L853.9,202.5L849.7,202.4L847.1,196.5L844.5,194.3L843.2,194.8L840.9,192.1L824.8,195.6L800.4,200.6L768.6,206.4Z',
+  },
+  OH: {
+    label: [720.2, 257.5],
+    neighbours: ['IN', 'KY', 'MI', 'PA', 'WV'],
+    d: 'M685.8,225.4L708.3,221.7L715.1,224L717.6,225.5L719,223.6L723.2,226.7L725.6,227.4L733,223.3L737.5,223.2L741.9,218.3L748.5,213L756.1,209L761.1,239.2L758.9,241L760.5,243.2L760.9,246.6L759.5,252.5L759.8,256.2L757.8,263.4L753.7,269.4L751.7,270.6L749.8,269.4L748.1,273L746.4,273.1L744.6,277.8L746,281.3L744,282.7L741.4,279.5L738.6,285.4L739.7,289.8L738,290.5L737.9,293.5L733.2,294.8L730.5,292L728.4,291.7L727,287.9L724.7,289L723,291.5L720.6,292.4L716.2,290.6L713.9,292.7L710.2,290.2L703.9,289.8L700.9,284.9L698.5,283.2L696.4,284.6L693.7,283.2L692.5,284.3L688.5,247.4Z',
+  },
+  OK: {
+    label: [490.5, 379.4],
+    neighbours: ['AR', 'CO', 'KS', 'MO', 'NM', 'TX'],
+    d: 'M372.5,339.4L389.7,340.7L432.6,342.7L458.9,343.6L489,344L522.8,343.8L523,355.3L526.8,380.5L526.4,420.7L519.6,418.5L517.3,415.7L512.4,413.5L511.4,415.4L506.5,415.4L506.2,414.2L500.9,416.3L499.2,415.2L492.8,417.9L491.6,419.8L490.1,417.8L485.4,414.7L483.8,416.6L481.1,413.8L476.1,418.5L475.4,414.4L472.3,416.6L470.7,414.6L466.5,412.7L463.1,415.8L460.9,414.6L461.7,412.5L459,412.1L457.6,409.6L454,408.5L451.7,410.6L450,408.6L446.6,409.1L442.5,406.8L438.7,406.8L438.4,404L435.3,401.1L434.9,402.9L431.6,401.9L429.4,402.6L425.9,398.5L423.9,398.3L425.8,353.9L396.5,352.4L371.6,350.8Z',
+  },
+  OR: {
+    label: [114.6, 138.6],
+    neighbours: ['CA', 'ID', 'NV', 'WA'],
+    d: 'M71,70.2L74.2,73.9L77,73.8L79.5,76.9L80.1,80L79,86.8L86.2,91.5L93.8,89.9L98.2,90.6L102.7,93.1L102.8,94.7L112,93.9L113.8,95.4L118.4,96L122.8,94.9L130.5,94.9L136.2,95.7L138.7,94.8L170.5,102.4L172,106.8L175,109L175.7,112.3L171,118.1L169.2,121.9L166.8,124.1L166.6,126.2L164.2,129.1L161.9,129.9L157.4,136.6L157.9,139.9L160.9,141.2L161.7,143.3L157.9,150.5L148.9,190.7L121.6,184.5L100.5,179.2L83.7,174.8L62.1,168.4L46.5,164.1L32.6,160L31.1,156.7L32,149.2L33.6,146.5L32.8,139.9L35.4,136.9L38.4,131.4L42.7,125.8L45.4,120.7L52.7,102.7L53.7,98.9L57.2,92.5L61.1,81.4L62.2,75L63.6,73.9L63.8,68.9L65,70.6Z',
+  },
+  PA: {
+    label: [815.1, 224.2],
+    neighbours: ['DE', 'MD', 'NJ', 'NY', 'OH', 'WV'],
+    d: 'M756.1,209L759,207.1L767.5,200.3L768.6,206.4L800.4,200.6L824.8,195.6L840.9,192.1L843.2,194.8L844.5,194.3L847.1,196.5L849.7,202.4L853.9,202.5L855,204L853.2,205.9L852.8,208.7L849.6,213.8L851.5,216.1L849.9,220.8L850.7,223.4L852.9,223.6L853.7,226.4L860.6,230.8L854.8,236.9L854.8,238.7L850.8,241.4L846.5,241.9L844.9,244.6L816.4,250.5L782.3,256.9L764.5,259.9L761.1,239.2Z',
+  },
+  RI: {
+    label: [903.3, 180.5],
+    neighbours: ['CT', 'MA'],
+    d: 'M910.5,182.8L912.8,186.4L909.1,188.3ZM901.7,193.5L902.2,191.1L898.8,178L905.5,176L907.7,181L909.8,182.1L906.7,181.2L908.1,188.2L907.6,190.7Z',
+  },
+  SC: {
+    label: [786.4, 395],
+    neighbours: ['GA', 'NC'],
+    d: 'M734.9,373.7L745.6,368.2L749.4,367L772,364.7L772.4,367.1L774.1,365.4L777.5,368.8L777.6,371.5L798.1,368.4L822.8,386.1L819.8,387.9L816.3,392.2L813.5,398.8L813.6,403.6L811,407.9L807.9,407.8L807.4,410.8L802.9,415.1L800.6,419L797,420.7L794.9,422.9L792.1,423.7L793,426.9L790,428.8L786.4,433L786.1,434.6L781.4,433.4L780.8,429.6L776.8,424L774,422.7L773.2,418.1L771.3,414.4L765.7,411.8L763.6,408.7L761.6,407.7L761.9,405.8L759,403.4L756,402.3L754.5,399.6L748.3,396.2L744.4,391.4L741.1,385.4L738.4,385.4L731.7,381.5L731.6,379L734.8,375.1Z',
+  },
+  SD: {
+    label: [405.3, 170.4],
+    neighbours: ['IA', 'MN', 'MT', 'ND', 'NE', 'WY'],
+    d: 'M369.1,155.7L369.4,155.7L371.1,134.3L392.2,136L412.5,137.3L442.8,138.8L459.9,139.4L489.1,139.9L488.8,142.5L484.4,147.3L487.1,151.7L490.8,154.3L490.6,195.2L488.2,195.2L489.5,197.9L488.5,199.8L490.8,203.9L489.6,205.5L489,210L487.5,211.9L490.6,218.3L488,217.9L486.6,214.7L481.8,212.1L479.3,211.8L476.4,209.5L470.4,210L467,209.6L465.7,211.6L457.3,207.3L456.8,206.2L434.2,205.4L403.8,203.9L365.3,201Z',
+  },
+  TN: {
+    label: [666.3, 362.8],
+    neighbours: ['AL', 'AR', 'GA', 'KY', 'MO', 'MS', 'NC', 'VA'],
+    d: 'M611.9,363.1L614.2,360.1L612.1,357.7L615.4,354.2L614.7,351.5L615.6,351.5L616.9,351.3L619,351L641.4,349.5L640.8,345.4L644.8,346.1L672,343.2L681.1,342.8L692.5,341.5L704.2,340.8L719.6,339.2L719.8,338.7L727.2,337.9L755.5,334L755,338.2L752.4,341.1L750.7,345.5L747.2,345.2L744.2,347.2L743.4,349.2L740.8,350.5L740.1,348.3L737.8,350.2L734.6,355.9L733,355.7L726.3,361.7L721.1,362.5L717.4,365.9L717.3,369.2L712.6,371.4L712.7,376.8L689.2,379.7L666.5,381.9L641.5,383.7L641.6,384L618.9,385.7L602.8,386.7L605.2,383.8L607.1,383.2L605.4,380.6L606.6,377.6L604.7,377.7L607,373.8L610.2,371.6L608.4,369.4L612.7,367.3L611.5,365.7L613.7,365.2Z',
+  },
+  TX: {
+    label: [455.9, 480.4],
+    neighbours: ['AR', 'LA', 'NM', 'OK'],
+    d: 'M371.6,350.8L396.5,352.4L425.8,353.9L423.9,398.3L425.9,398.5L429.4,402.6L431.6,401.9L434.9,402.9L435.3,401.1L438.4,404L438.7,406.8L442.5,406.8L446.6,409.1L450,408.6L451.7,410.6L454,408.5L457.6,409.6L459,412.1L461.7,412.5L460.9,414.6L463.1,415.8L466.5,412.7L470.7,414.6L472.3,416.6L475.4,414.4L476.1,418.5L481.1,413.8L483.8,416.6L485.4,414.7L490.1,417.8L491.6,419.8L492.8,417.9L499.2,415.2L500.9,416.3L506.2,414.2L506.5,415.4L511.4,415.4L512.4,413.5L517.3,415.7L519.6,418.5L526.4,420.7L528.8,422.8L532.1,421.6L534.8,422.5L535,434.7L535.5,457.9L539.8,463L539.6,467L541.8,469.1L545.4,476.2L546.1,479.9L545.5,484.5L542.3,490.3L543,493.3L543.1,502.1L538.9,507.5L540.6,510.4L534.8,511.5L522.4,517.4L526.7,513.3L522.1,514.3L523.7,509.2L521.3,509.2L520.2,511.2L518.4,510.5L517.4,513.8L519.6,515.1L519.9,519.4L515.9,522.5L515,524.4L521.5,518.4L523.1,518.8L517.3,523.1L510.3,529.5L492,539.2L489.2,542L485.3,544.1L480.2,548.4L475,555.4L471.8,561.9L470.5,566.2L470.2,574.1L473.5,587.2L474.2,592.2L471.8,581.9L469.7,576L469.6,568.9L471.6,560.1L475.4,553.6L480.4,546.2L486,542.5L489.2,541.4L489,539.7L484.3,542L482.5,539.9L482,544L479.3,546.3L477.2,544.8L473.6,547L477.4,546.5L474.1,553L472.8,551.8L468.7,551.8L470.4,554.8L472.7,555.8L469.4,564.3L467.3,563.3L465,566L469.2,565.7L467.9,575.9L469.1,583.2L471.8,588L471.5,591.7L474.3,592.7L474.4,595.1L469.7,596.1L469.7,597.6L466.7,596.6L464.1,593.5L461,592.5L453.9,592.6L451.8,592.1L447.4,588.6L443.2,588.2L440.1,585.1L434.3,583.6L431.4,574.1L427.9,569.9L428.5,566.5L427.1,564.3L427.6,559.5L425.3,555.9L423.3,555.5L419.9,552.1L419,548L416.1,544.1L412,540.8L410.2,533.9L405.9,526.5L405.1,521.7L403,518.5L399,515.5L398.1,513.5L394.2,511.5L393.3,508.7L390.3,505.7L385.8,505.8L382.9,504.8L377.8,504.7L373.4,502.6L372.4,504.9L370.4,504.4L366.4,505.5L363.7,509.9L361,517.2L359.4,517.5L356.8,521.6L353.5,521.4L348.3,517L345.1,516L343,513.8L340.3,513.2L337.2,510.9L330,503.6L327.7,497.8L328.1,492L325.2,486.9L324.8,482.8L323,479.9L315.8,475.4L312.3,469.8L309.2,467.6L306.2,462.7L301.7,459.9L299,453.5L296.3,452.1L294.3,449.3L295.1,447L317.8,449.4L338.7,451.3L362.9,453.3L364.6,429.6L366.7,407.5L370.9,350.7Z',
+  },
+  UT: {
+    label: [227.3, 277.7],
+    neighbours: ['AZ', 'CO', 'ID', 'NV', 'WY'],
+    d: 'M197.7,201.1L200.2,201.7L247.2,209.6L243.5,232.2L252.7,233.7L277.1,237.2L271.2,279.7L268.4,299L268.4,301.5L264.6,328L239.3,324.3L202.7,318.2L176,313.3L176.4,311Z',
+  },
+  VA: {
+    label: [810.3, 300.5],
+    neighbours: ['DC', 'KY', 'MD', 'NC', 'TN', 'WV'],
+    d: 'M855.5,283.8L856.1,282.7L862.5,280.5L861.3,284.3L859.9,284.8L858.4,288.2L858.5,292.2L856.6,301.3L854.5,303.5L852.6,300.7L852.9,292.1L855.6,285.9ZM747.1,313.2L746.8,314.7L750,318.6L753.4,320.1L755.4,319.7L758.5,316.2L761.3,318.1L766.7,315.4L767,312.7L768.8,313.7L773,310.5L773.8,311.7L776.6,309.3L777.5,306.3L776,305.1L776.9,302.2L780,297.5L780.4,294.1L783.7,286.6L783.8,282.9L787.3,285.4L790.3,285.9L791.7,283L794,275L796.6,276.6L802.9,266L802.6,259.1L812.9,264.9L813.9,260.3L816.6,260.2L818.7,261.5L818.2,264.2L821.5,264.9L825.9,267L827.9,269.9L827.1,273.8L825.3,275.2L824.5,278.6L825.8,280.9L829.6,278.7L831.9,282.6L838.2,282.9L840.5,285.2L845.9,287.3L845.1,289.3L846.2,293.2L842.3,293.8L840.5,291.3L838.2,290.5L842.2,294.6L846.4,294.9L848,300.4L845.1,298.9L846.3,302.8L849.2,305.5L847.3,308.7L842.9,306L841.9,303.8L840.1,304.8L846.3,310.5L849.3,310.1L848.8,308.5L854.9,308.3L858.8,315.9L840.3,320L812.1,325.5L780.3,331.1L755.5,334L727.2,337.9L719.8,338.7L729,334.2L729.8,331.5L733.1,330.3L733,328.2L735.4,326.3L735.2,324.6L741.2,320.4Z',
+  },
+  VT: {
+    label: [871.3, 126.2],
+    neighbours: ['MA', 'NH', 'NY'],
+    d: 'M857.6,117.8L873.7,114L886.1,110.5L886.9,112.7L885.6,116.8L887.5,119.1L887.9,122.1L885.1,126.3L881.8,127.9L883.1,133L880.6,145.8L882.1,157.6L882.3,163.4L884.1,164.8L871,167.6L870.3,165.7L867.1,150.3L865.6,148.3L863.6,148.6L864.1,145.3L861.3,139.5L862,134L860.9,129L859.2,127.3L858.8,122.3Z',
+  },
+  WA: {
+    label: [131.5, 59.7],
+    neighbours: ['ID', 'OR'],
+    d: 'M93.2,50.9L94.9,47.8L94.2,51.5ZM95,31L98.5,27.7L99.3,30.6L95.8,31.6L97.4,32.7L97.1,36.6L98.3,35.1L99.6,36.9L98.1,39.2L96.2,36L96.8,33.1ZM91,21.2L95.9,19.9L98.1,21.8L95.6,26.6L91.6,23.8ZM183.6,35.9L178.3,58.7L170.8,92.4L170.1,94.1L171.3,98.5L170.5,102.4L138.7,94.8L136.2,95.7L130.5,94.9L122.8,94.9L118.4,96L113.8,95.4L112,93.9L102.8,94.7L102.7,93.1L98.2,90.6L93.8,89.9L86.2,91.5L79,86.8L80.1,80L79.5,76.9L77,73.8L74.2,73.9L71,70.2L68.6,68.5L65.9,69.2L64.1,65.2L65.5,59.8L65.9,63.1L67.5,62.7L67.2,60.2L69.7,59L65.9,57.2L66.8,54.6L70.7,53.9L66.9,51L67.4,44.9L66.6,43L67.6,34.1L65.7,30.2L66.5,23.5L68.1,20.5L69.7,20.2L76.9,27.1L81,28.3L87.3,31.4L88.9,30.7L90.2,33L94.6,32.9L93.9,35L94.7,38.5L92.2,41.5L88.1,44.1L91.8,43.1L96.6,39L95.1,46L93.9,47.2L92.4,52.4L96.1,51.9L96.1,46.6L98,41.7L101.7,37.6L100.5,32.6L98.2,34.1L98.7,31.6L101.2,31.4L98,25.3L100.9,27L102.4,20.9L99.4,19.2L98.8,15.5L100,14.4L114.6,18.6L140.1,25.4L166.5,31.9Z',
+  },
+  WI: {
+    label: [595.3, 161.4],
+    neighbours: ['IA', 'IL', 'MI', 'MN'],
+    d: 'M579.1,113L582.7,113.4L580.9,114.6ZM560.2,121.1L563.3,121.4L568,119.6L576.2,115.1L579.7,116.1L577.8,119.2L577,122.8L580.2,120.5L585.3,123.1L588.3,124.2L590.3,128L606.7,131.4L611.9,133.8L622.7,135L622.3,137.4L624.6,137.7L628.2,140.2L628.4,144L627.3,147L631,147.6L629.9,151.5L632.4,153L632,155.7L629,156.6L626.9,162.1L626.2,165.6L628.1,166.1L630.6,163.3L632.6,158.9L635.7,157.1L637.9,150.9L641.6,147.6L641,152.4L639.1,155.3L635.5,165.1L634.7,170.5L635.4,173.6L633.5,175.5L632.5,180.8L633.4,185.3L632.3,187.7L630.8,195.3L631.7,200.9L634.1,205.7L634.2,212.4L617.8,213.7L587,215.4L585.6,212.4L579.9,210.5L578.2,206.8L577.4,201.6L579.2,198.7L576.5,196.3L576.3,193.3L575.4,190.7L575.6,187.1L572.3,182.2L569.8,181.6L564.9,177.8L563.9,174.9L559.2,172.7L556.9,170.1L553.6,169.9L549.3,165.9L550.1,161.7L549.7,153.6L551.3,149.9L549.3,147.4L547.5,147.3L547.6,144L551.1,139L555.6,136.9L556.4,135.6L555.9,122.3L559,120.2Z',
+  },
+  WV: {
+    label: [759.1, 295.2],
+    neighbours: ['KY', 'MD', 'OH', 'PA', 'VA'],
+    d: 'M733.2,294.8L737.9,293.5L738,290.5L739.7,289.8L738.6,285.4L741.4,279.5L744,282.7L746,281.3L744.6,277.8L746.4,273.1L748.1,273L749.8,269.4L751.7,270.6L753.7,269.4L757.8,263.4L759.8,256.2L759.5,252.5L760.9,246.6L760.5,243.2L758.9,241L761.1,239.2L764.5,259.9L782.3,256.9L784.1,268.5L787.1,265.8L789.7,261.4L792.3,261.6L794.3,257.4L797,258.6L800.4,258.3L801.8,255.2L804.5,253.4L807.7,255L810.8,254.4L810.6,256.4L813.9,260.3L812.9,264.9L802.6,259.1L802.9,266L796.6,276.6L794,275L791.7,283L790.3,285.9L787.3,285.4L783.8,282.9L783.7,286.6L780.4,294.1L780,297.5L776.9,302.2L776,305.1L777.5,306.3L776.6,309.3L773.8,311.7L773,310.5L768.8,313.7L767,312.7L766.7,315.4L761.3,318.1L758.5,316.2L755.4,319.7L753.4,320.1L750,318.6L746.8,314.7L747.1,313.2L744.4,313.1L740.9,311.1L739.7,308.6L736.4,305.6L733.8,301.7Z',
+  },
+  WY: {
+    label: [304.4, 194.7],
+    neighbours: ['CO', 'ID', 'MT', 'NE', 'SD', 'UT'],
+    d: 'M369.1,155.7L365.3,201L361.4,246.5L333.1,244L301.1,240.3L277.1,237.2L252.7,233.7L243.5,232.2L247.2,209.6L256,153.9L257.8,142L263.3,143.1L298.3,148L339.2,153L339.5,152.8Z',
+  },
+};
@@ -0,0 +1,50 @@
+// Summary statistics of a weekly series for the chart's overlays, and the
+// attribution of a ratio change to the inputs that moved it.
+import { totalCost } from './mortgage.js';
+import { incomeOf } from './data.js';
+
+// Trailing average; null until a full window of weeks is available
+export const movingAverage = (values, weeks) => {
+  let sum = 0;
+  return values.map((v, i) => {
+    sum += v;
+    if (i >= weeks) sum -= values[i - weeks];
+    return i >= weeks - 1 ? sum / weeks : null;
+  });
+};
+
+// Population mean and standard deviation
+export const seriesStats = values => {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return { mean, sd: Math.sqrt(variance) };
+};
+
+// Share of weeks, 0-100, with a strictly lower value
+export const percentileOf = (values, value) =>
+  (100 * values.filter(v => v < value).length) / values.length;
+
+// Splits the ratio change between entries `a` and `b` among home price,
+// mortgage rate and income under `scenario`. Each input gets its average
+// effect over every order the three could change in (a Shapley
+// decomposition), so the parts add up to the whole change and none depends
+// on an arbitrary order.
+export const attributeRatioChange = (a, b, scenario) => {
+  const inputs = ['price', 'rate', 'income'];
+  const from = { price: a.home_price, rate: Number(a.mortgage_rate), income: incomeOf(a) };
+  const to = { price: b.home_price, rate: Number(b.mortgage_rate), income: incomeOf(b) };
+  const ratioWith = moved => {
+    const v = key => (moved.includes(key) ? to[key] : from[key]);
+    return totalCost(v('price'), v('rate'), scenario) / v('income');
+  };
+  // Weight of a step by how many other inputs have already changed
+  const weights = [1 / 3, 1 / 6, 1 / 3];
+  return Object.fromEntries(inputs.map(key => {
+    const [x, y] = inputs.filter(other => other !== key);
+    const effect = [[], [x], [y], [x, y]].reduce(
+      (sum, moved) => sum + weights[moved.length] * (ratioWith([...moved, key]) - ratioWith(moved)),
+      0,
+    );
+    return [key, effect];
+  }));
+};
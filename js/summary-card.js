@@ -0,0 +1,183 @@
+// A branded composite of the chart with the header title, the selected
+// point's figures, a legend, data caveats and sources. The layout is a
+// flat list of rects, lines, text and the chart image so the same card
+// can be painted to a canvas (PNG) or written out as SVG.
+import { t } from './i18n.js';
+
+// Export sizes, in pixels; names are card.size.* messages
+export const CARD_SIZES = {
+  social: { width: 1200, height: 630 },
+  square: { width: 1080, height: 1080 },
+  slide: { width: 1920, height: 1080 },
+  slide43: { width: 1600, height: 1200 },
+};
+export const DEFAULT_CARD_SIZE = 'social';
+
+// `cpiSeries` is set when amounts are in real dollars, `rent` when the
+// rent view is showing
+export const describeSources = (sources, { cpiSeries = null, rent = false } = {}) => {
+  const parts = [];
+  if (sources.bls_series) parts.push(t('sources.earnings', { series: `BLS ${sources.bls_series}` }));
+  if (sources.fred_home_price) parts.push(t('sources.homePrices', { series: `FRED ${sources.fred_home_price}` }));
+  if (sources.fred_mortgage) parts.push(t('sources.mortgageRates', { series: `FRED ${sources.fred_mortgage}` }));
+  if (sources.qcew_income_multiplier) {
+    parts.push(t('sources.qcew', { year: String(sources.qcew_year), multiplier: sources.qcew_income_multiplier }));
+  }
+  if (cpiSeries) parts.push(t('sources.inflation', { series: `BLS CPI-U ${cpiSeries}` }));
+  if (rent) parts.push(t('sources.rent', { series: 'Zillow ZORI' }));
+  return t('sources.list', { sources: parts.join(' · ') });
+};
+
+// `selected` is the week the card's figures describe
+export const describeCaveats = (metadata, selected) => {
+  const sq = metadata.series_quality;
+  let text = sq ? t('caveats.dashedCounts', sq) : t('caveats.dashed');
+  if (selected?.estimated) text += ` ${t('caveats.selectedEstimated')}`;
+  else if (selected?.interpolated) text += ` ${t('caveats.selectedInterpolated')}`;
+  return text;
+};
+
+// Lays out a card of `size` from text already worded by the page:
+// `figures` are the info cards' { label, value }, `legend` the chart's
+// { label, color, dash } entries, `notes` the caveat and source paragraphs
+// and `credit` the last footer line. `chartImage` is { src, width, height }
+// for the rendered chart. `theme` has the page's `colors` and `fonts`, and
+// `textWidth(value, font)` measures a string in a CSS font.
+export const buildSummaryCard = ({ size, title, subtitle, figures, legend, notes, credit, chartImage, theme, textWidth }) => {
+  const { width, height } = CARD_SIZES[size];
+  const { colors, fonts } = theme;
+  const u = Math.min(width / 1200, height / 630);
+  const pad = 48 * u;
+  const inner = width - pad * 2;
+
+  const fontOf = (px, weight, font) => `${weight} ${px}px ${fonts[font]}`;
+  const measure = (value, px, weight, font) => textWidth(value, fontOf(px, weight, font));
+  const wrap = (value, px, weight, font, maxWidth) =>
+    value.split(' ').reduce((lines, word) => {
+      const last = lines[lines.length - 1];
+      if (last && measure(`${last} ${word}`, px, weight, font) <= maxWidth) {
+        lines[lines.length - 1] = `${last} ${word}`;
+      } else {
+        lines.push(word);
+      }
+      return lines;
+    }, []);
+
+  const items = [{ type: 'rect', x: 0, y: 0, width, height, fill: colors.bg }];
+  // `top` is the top of the line; text items are positioned by baseline
+  const text = (value, x, top, { px, weight = 400, font = 'body', color = colors.text }) => {
+    items.push({ type: 'text', text: value, x, y: top + px * 0.8, px, weight, color, family: fonts[font], css: fontOf(px, weight, font) });
+  };
+
+  let y = pad;
+  text(t('card.eyebrow').toUpperCase(), pad, y, { px: 13 * u, weight: 500, font: 'mono', color: colors.accent });
+  y += 24 * u;
+  text(title, pad, y, { px: 34 * u, weight: 700 });
+  y += 44 * u;
+
+  wrap(subtitle, 16 * u, 400, 'body', inner).forEach(line => {
+    text(line, pad, y, { px: 16 * u, color: colors.secondary });
+    y += 22 * u;
+  });
+  y += 10 * u;
+
+  // Figures: one box per info card, values shrunk to fit their box
+  const gap = 12 * u;
+  const boxWidth = (inner - gap * (figures.length - 1)) / figures.length;
+  const boxHeight = 66 * u;
+  figures.forEach(({ label, value }, i) => {
+    const x = pad + i * (boxWidth + gap);
+    items.push({ type: 'rect', x, y, width: boxWidth, height: boxHeight, fill: colors.card, radius: 8 * u });
+    text(label.toUpperCase(), x + 12 * u, y + 12 * u, { px: 10 * u, weight: 500, font: 'mono', color: colors.muted });
+    let px = 20 * u;
+    while (px > 10 * u && measure(value, px, 600, 'mono') > boxWidth - 24 * u) px -= u;
+    text(value, x + 12 * u, y + 32 * u, { px, weight: 600, font: 'mono' });
+  });
+  y += boxHeight + 16 * u;
+
+  // Legend, wrapping onto extra rows
+  let x = pad;
+  legend.forEach(entry => {
+    const entryWidth = 30 * u + measure(entry.label, 13 * u, 500, 'body');
+    if (x > pad && x + entryWidth > pad + inner) {
+      x = pad;
+      y += 22 * u;
+    }
+    const color = entry.color ?? colors.secondary;
+    items.push({ type: 'line', x1: x, y1: y + 8 * u, x2: x + 22 * u, y2: y + 8 * u, color, width: 3 * u, dash: entry.dash.map(v => v * u) });
+    text(entry.label, x + 30 * u, y, { px: 13 * u, weight: 500, color: colors.secondary });
+    x += entryWidth + 20 * u;
+  });
+  y += 28 * u;
+
+  // Footer, laid out from the bottom up so the chart takes what's left
+  const footer = [...notes.flatMap(note => wrap(note, 12 * u, 400, 'body', inner)), credit];
+  const footerTop = height - pad - footer.length * 18 * u;
+  footer.forEach((line, i) => {
+    text(line, pad, footerTop + i * 18 * u, { px: 12 * u, color: colors.muted });
+  });
+
+  // Chart image, scaled to fit and centred in the remaining space
+  const areaHeight = Math.max(footerTop - 12 * u - y, 0);
+  const scale = Math.min(inner / chartImage.width, areaHeight / chartImage.height);
+  const imageWidth = chartImage.width * scale;
+  const imageHeight = chartImage.height * scale;
+  items.push({
+    type: 'image',
+    src: chartImage.src,
+    x: pad + (inner - imageWidth) / 2,
+    y: y + (areaHeight - imageHeight) / 2,
+    width: imageWidth,
+    height: imageHeight,
+  });
+
+  return { width, height, items };
+};
+
+// Paints onto a 2D context the card's size; `image` is the loaded chart
+export const paintSummaryCard = (card, ctx, image) => {
+  card.items.forEach(item => {
+    if (item.type === 'rect') {
+      ctx.fillStyle = item.fill;
+      ctx.beginPath();
+      ctx.roundRect(item.x, item.y, item.width, item.height, item.radius || 0);
+      ctx.fill();
+    } else if (item.type === 'line') {
+      ctx.strokeStyle = item.color;
+      ctx.lineWidth = item.width;
+      ctx.setLineDash(item.dash);
+      ctx.beginPath();
+      ctx.moveTo(item.x1, item.y1);
+      ctx.lineTo(item.x2, item.y2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    } else if (item.type === 'text') {
+      ctx.font = item.css;
+      ctx.fillStyle = item.color;
+      ctx.fillText(item.text, item.x, item.y);
+    } else if (item.type === 'image') {
+      ctx.drawImage(image, item.x, item.y, item.width, item.height);
+    }
+  });
+};
+
+const escapeXml = value =>
+  String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+export const summaryCardSvg = card => {
+  const n = v => Number(v.toFixed(2));
+  const body = card.items.map(item => {
+    if (item.type === 'rect') {
+      return `<rect x="${n(item.x)}" y="${n(item.y)}" width="${n(item.width)}" height="${n(item.height)}" rx="${n(item.radius || 0)}" fill="${item.fill}"/>`;
+    }
+    if (item.type === 'line') {
+      const dash = item.dash.length ? ` stroke-dasharray="${item.dash.map(n).join(' ')}"` : '';
+      return `<line x1="${n(item.x1)}" y1="${n(item.y1)}" x2="${n(item.x2)}" y2="${n(item.y2)}" stroke="${item.color}" stroke-width="${n(item.width)}"${dash}/>`;
+    }
+    if (item.type === 'text') {
+      return `<text x="${n(item.x)}" y="${n(item.y)}" font-family="${escapeXml(item.family)}" font-size="${n(item.px)}" font-weight="${item.weight}" fill="${item.color}">${escapeXml(item.text)}</text>`;
+    }
+    return `<image x="${n(item.x)}" y="${n(item.y)}" width="${n(item.width)}" height="${n(item.height)}" href="${item.src}"/>`;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${card.width}" height="${card.height}" viewBox="0 0 ${card.width} ${card.height}">\n${body.join('\n')}\n</svg>\n`;
+};
@@ -0,0 +1,251 @@
+// URL parameter parsing and serialization. Everything here is pure:
+// readUrlParams takes the query string and buildQuery the app state, so the
+// round trip can be tested without a page.
+import {
+  DEFAULTS,
+  VALID_RANGES,
+  RANGE_PRESETS,
+  VALID_VIEWS,
+  METRIC_KEYS,
+  SORT_KEYS,
+  MAX_COMPARE_STATES,
+  DEFAULT_SORT,
+  HOUSEHOLD_LIMITS,
+  ISO_DATE,
+  MONTH_KEY,
+  SOLVER_FIELDS,
+  DEFAULT_SOLVER_TARGET,
+  PROJECTION_YEARS,
+  RATE_PATHS,
+  DEFAULT_PROJECTION,
+  PROJECTION_LIMITS,
+  QUALITY_MODES,
+  OVERLAYS,
+  DEFAULT_SCENARIO,
+  VALID_TERMS,
+  SCENARIO_LIMITS,
+  SCENARIO_URL_KEYS,
+  STATE_NAMES,
+} from './config.js';
+import { matchLocale, DEFAULT_LOCALE } from './i18n.js';
+
+export const resolveState = raw => {
+  if (!raw) return DEFAULTS.state;
+  const upper = raw.toUpperCase();
+  if (upper === 'US' || upper === 'ALL') return 'ALL';
+  return STATE_NAMES[upper] ? upper : DEFAULTS.state;
+};
+
+// Unlike resolveState, unknown codes are dropped rather than defaulted,
+// so a typo in `compare` never silently adds the U.S. line.
+export const resolveCompareStates = (raw, primary) => {
+  if (!raw) return [];
+  const codes = raw
+    .split(',')
+    .map(code => code.trim().toUpperCase())
+    .map(code => (code === 'US' ? 'ALL' : code))
+    .filter(code => STATE_NAMES[code] && code !== primary);
+  return [...new Set(codes)].slice(0, MAX_COMPARE_STATES);
+};
+
+export const clampNumber = (raw, { min, max }, fallback) => {
+  const n = Number.parseFloat(raw);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+};
+
+const readScenarioParams = params => {
+  const get = key => params.get(SCENARIO_URL_KEYS[key]);
+  const term = Number.parseInt(get('term'), 10);
+  return {
+    down: clampNumber(get('down'), SCENARIO_LIMITS.down, DEFAULT_SCENARIO.down),
+    term: VALID_TERMS.includes(term) ? term : DEFAULT_SCENARIO.term,
+    tax: clampNumber(get('tax'), SCENARIO_LIMITS.tax, DEFAULT_SCENARIO.tax),
+    insurance: clampNumber(get('insurance'), SCENARIO_LIMITS.insurance, DEFAULT_SCENARIO.insurance),
+    pmi: clampNumber(get('pmi'), SCENARIO_LIMITS.pmi, DEFAULT_SCENARIO.pmi),
+  };
+};
+
+// `income` wins over `mult` when both are present
+export const parseCustomHousehold = (income, multiplier) => {
+  if (income != null) {
+    const value = clampNumber(income, HOUSEHOLD_LIMITS.income, null);
+    if (value != null) return { mode: 'income', value: Math.round(value) };
+  }
+  if (multiplier != null) {
+    const value = clampNumber(multiplier, HOUSEHOLD_LIMITS.multiplier, null);
+    if (value != null) return { mode: 'multiplier', value };
+  }
+  return null;
+};
+
+// `solve=rate&target=2019-01-03` or `solve=price&target=9.5`
+const parseSolver = params => {
+  const solve = (params.get('solve') || '').toLowerCase();
+  if (!SOLVER_FIELDS.includes(solve)) return null;
+  const raw = params.get('target') || '';
+  const ratio = Number.parseFloat(raw);
+  let target = { date: DEFAULT_SOLVER_TARGET };
+  if (ISO_DATE.test(raw)) target = { date: raw };
+  else if (Number.isFinite(ratio) && ratio > 0) target = { ratio: Math.min(100, ratio) };
+  const series = params.get('series') === 'household' ? 'household' : 'single';
+  return { solve, series, target };
+};
+
+// `rpoints=1:6.25,3:5.5` - mortgage rate (%) at years after the last data
+// point. Invalid pairs are dropped; the rest are sorted by year.
+export const parseRatePoints = raw =>
+  (raw || '')
+    .split(',')
+    .map(pair => pair.split(':').map(Number.parseFloat))
+    .filter(([year, rate]) =>
+      Number.isFinite(year) && Number.isFinite(rate) &&
+      year > 0 && year <= 5 &&
+      rate >= PROJECTION_LIMITS.rate.min && rate <= PROJECTION_LIMITS.rate.max)
+    .sort((a, b) => a[0] - b[0]);
+
+export const formatRatePoints = points => points.map(([year, rate]) => `${year}:${rate}`).join(',');
+
+// `proj=<years>` turns projections on; the other keys only when changed
+const parseProjection = params => {
+  const years = Number.parseInt(params.get('proj'), 10);
+  if (!PROJECTION_YEARS.includes(years)) return null;
+  const ratePath = (params.get('rpath') || '').toLowerCase();
+  return {
+    years,
+    priceGrowth: clampNumber(params.get('pgrowth'), PROJECTION_LIMITS.priceGrowth, DEFAULT_PROJECTION.priceGrowth),
+    wageGrowth: clampNumber(params.get('wgrowth'), PROJECTION_LIMITS.wageGrowth, DEFAULT_PROJECTION.wageGrowth),
+    ratePath: RATE_PATHS.includes(ratePath) ? ratePath : DEFAULT_PROJECTION.ratePath,
+    rateTarget: clampNumber(params.get('rtarget'), PROJECTION_LIMITS.rate, DEFAULT_PROJECTION.rateTarget),
+    ratePoints: parseRatePoints(params.get('rpoints')),
+  };
+};
+
+export const parseCustomRange = (from, to) => {
+  const start = ISO_DATE.test(from || '') ? from : null;
+  const end = ISO_DATE.test(to || '') ? to : null;
+  if (!start && !end) return null;
+  if (start && end && end <= start) return null;
+  return { from: start, to: end };
+};
+
+const parseOverlays = raw => {
+  const keys = (raw || '').toLowerCase().split(',');
+  return OVERLAYS.filter(key => keys.includes(key));
+};
+
+// `sort=price` is ascending, `sort=-price` descending
+const parseSort = raw => {
+  if (!raw) return { ...DEFAULT_SORT };
+  const desc = raw.startsWith('-');
+  const key = desc ? raw.slice(1) : raw;
+  return SORT_KEYS.includes(key) ? { key, desc } : { ...DEFAULT_SORT };
+};
+
+export const isDefaultScenario = scenario =>
+  Object.keys(DEFAULT_SCENARIO).every(key => scenario[key] === DEFAULT_SCENARIO[key]);
+
+// `search` is a query string such as window.location.search
+export const readUrlParams = search => {
+  const params = new URLSearchParams(search);
+  const range = (params.get('range') || '').toLowerCase();
+  const view = (params.get('view') || '').toLowerCase();
+  const yaxis = (params.get('yaxis') || '').toLowerCase();
+  const metric = (params.get('metric') || '').toLowerCase();
+  const primary = resolveState(params.get('state'));
+  return {
+    state: primary,
+    range: VALID_RANGES.includes(range) || RANGE_PRESETS.includes(range) ? range : DEFAULTS.range,
+    customRange: parseCustomRange(params.get('from'), params.get('to')),
+    view: VALID_VIEWS.includes(view) ? view : DEFAULTS.view,
+    yaxis: yaxis === 'zero' ? 'zero' : DEFAULTS.yaxis,
+    metric: METRIC_KEYS.includes(metric) ? metric : DEFAULTS.metric,
+    compare: resolveCompareStates(params.get('compare'), primary),
+    scenario: readScenarioParams(params),
+    household: parseCustomHousehold(params.get('income'), params.get('mult')),
+    sort: parseSort((params.get('sort') || '').toLowerCase()),
+    real: MONTH_KEY.test(params.get('real') || '') ? params.get('real') : null,
+    solver: parseSolver(params),
+    projection: parseProjection(params),
+    overlays: parseOverlays(params.get('overlays')),
+    quality: QUALITY_MODES.includes(params.get('quality')) ? params.get('quality') : 'off',
+    at: ISO_DATE.test(params.get('at') || '') ? params.get('at') : null,
+    embed: params.get('embed') === '1',
+    // null when absent or unsupported, so the stored or browser language applies
+    lang: matchLocale(params.get('lang')),
+  };
+};
+
+// `s` is the app state (or any object with the same fields). The language
+// isn't a filter, so Reset Filters leaves it alone.
+export const isAnyFilterNonDefault = s =>
+  s.currentState !== DEFAULTS.state ||
+  s.currentRange !== DEFAULTS.range ||
+  s.customRange !== null ||
+  s.currentView !== DEFAULTS.view ||
+  s.yAxisZero !== (DEFAULTS.yaxis === 'zero') ||
+  s.currentMetric !== DEFAULTS.metric ||
+  s.customHousehold !== null ||
+  s.compareStates.length > 0 ||
+  s.realBase !== null ||
+  s.solver !== null ||
+  s.projection !== null ||
+  s.overlays.length > 0 ||
+  s.quality !== 'off' ||
+  !isDefaultScenario(s.scenario);
+
+// The query string for `s`, without the leading '?'. state, range, view and
+// yaxis are always written; everything else only when it isn't the default.
+export const buildQuery = s => {
+  const params = new URLSearchParams();
+  params.set('state', s.currentState.toLowerCase());
+  params.set('range', s.currentRange);
+  if (s.customRange) {
+    if (s.customRange.from) params.set('from', s.customRange.from);
+    if (s.customRange.to) params.set('to', s.customRange.to);
+  }
+  params.set('view', s.currentView);
+  params.set('yaxis', s.yAxisZero ? 'zero' : 'auto');
+  if (s.currentMetric !== DEFAULTS.metric) params.set('metric', s.currentMetric);
+  if (s.compareStates.length > 0) {
+    params.set('compare', s.compareStates.map(c => c.toLowerCase()).join(','));
+  }
+  if (s.customHousehold) {
+    const { mode, value } = s.customHousehold;
+    params.set(mode === 'income' ? 'income' : 'mult', String(value));
+  }
+  if (s.realBase) params.set('real', s.realBase);
+  if (s.solver) {
+    const { solve, series, target } = s.solver;
+    params.set('solve', solve);
+    params.set('target', target.date ?? String(target.ratio));
+    if (series !== 'single') params.set('series', series);
+  }
+  if (s.projection) {
+    const proj = s.projection;
+    params.set('proj', String(proj.years));
+    if (proj.priceGrowth !== DEFAULT_PROJECTION.priceGrowth) params.set('pgrowth', String(proj.priceGrowth));
+    if (proj.wageGrowth !== DEFAULT_PROJECTION.wageGrowth) params.set('wgrowth', String(proj.wageGrowth));
+    if (proj.ratePath !== DEFAULT_PROJECTION.ratePath) params.set('rpath', proj.ratePath);
+    if (proj.ratePath === 'glide') params.set('rtarget', String(proj.rateTarget));
+    if (proj.ratePath === 'custom' && proj.ratePoints.length) {
+      params.set('rpoints', formatRatePoints(proj.ratePoints));
+    }
+  }
+  if (s.overlays.length) params.set('overlays', s.overlays.join(','));
+  if (s.quality !== 'off') params.set('quality', s.quality);
+  if (s.locale !== DEFAULT_LOCALE) params.set('lang', s.locale);
+  const sort = s.leaderboardSort;
+  if (sort.key !== DEFAULT_SORT.key || sort.desc !== DEFAULT_SORT.desc) {
+    params.set('sort', `${sort.desc ? '-' : ''}${sort.key}`);
+  }
+  Object.entries(SCENARIO_URL_KEYS).forEach(([key, urlKey]) => {
+    if (s.scenario[key] !== DEFAULT_SCENARIO[key]) {
+      params.set(urlKey, String(s.scenario[key]));
+    }
+  });
+
+  // Commas and colons are legal in a query string; keep `compare=ca,tx`
+  // and `rpoints=1:6,3:5.5` readable.
+  return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+};
@@ -0,0 +1,169 @@
+// Checks a decoded market file (decodeMarket's output) before anything
+// draws it. Problems come back as readable issues rather than exceptions,
+// worded in the active locale, and rows up to the first bad one are kept,
+// so a partly regenerated file still shows its good history.
+import { ISO_DATE } from './config.js';
+import { formatDate } from './format.js';
+import { t } from './i18n.js';
+
+// Fewer rows than this can't draw a line
+export const MIN_ROWS = 2;
+
+const SERIES = [
+  { key: 'single_costs', earner: 'single', income: 'single_income' },
+  { key: 'household_costs', earner: 'household', income: 'household_income' },
+];
+
+// Bounds far outside anything in the history; they catch unit and column
+// mix-ups, not unusual markets. `text` fields are written as decimal
+// strings ("6.40"), though plain numbers are accepted too. Values are
+// quoted in messages as written, so they're passed as strings.
+const ROW_FIELDS = [
+  { key: 'total_cost', min: 1000, max: 1e9 },
+  { key: 'home_price', min: 1000, max: 1e8 },
+  { key: 'cost_to_income', min: 0.1, max: 100, text: true },
+  { key: 'mortgage_rate', min: 0, max: 25, text: true },
+];
+const INCOME_RANGE = { min: 1000, max: 1e7 };
+
+const QUALITY_COUNTS = ['observed', 'interpolated', 'extrapolated'];
+
+const seriesName = series => t(`validate.series.${series.earner}`);
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isRealDate = iso => {
+  if (!ISO_DATE.test(iso)) return false;
+  const [y, m, d] = iso.split('-').map(Number);
+  const date = new Date(y, m - 1, d);
+  return date.getMonth() === m - 1 && date.getDate() === d;
+};
+
+const fieldProblem = (row, key, { min, max, text }) => {
+  const value = row[key];
+  if (value === undefined || value === null) return t('validate.fieldMissing', { field: key });
+  const numeric = typeof value === 'number' || (text && typeof value === 'string' && value.trim() !== '');
+  const n = Number(value);
+  if (!numeric || !Number.isFinite(n)) return t('validate.notNumber', { field: key, value: JSON.stringify(value) });
+  if (n < min || n > max) {
+    return t('validate.outOfRange', { field: key, value: String(n), min: String(min), max: String(max) });
+  }
+  return null;
+};
+
+// The first thing wrong with row `i` of a series, or null
+const rowProblem = (rows, i, series) => {
+  const row = rows[i];
+  if (!isObject(row)) return t('validate.notObject');
+  if (typeof row.date !== 'string' || !isRealDate(row.date)) {
+    return t('validate.badDate', { value: JSON.stringify(row.date) });
+  }
+  if (i > 0 && isObject(rows[i - 1]) && row.date <= rows[i - 1].date) {
+    return t('validate.dateOrder', { date: row.date, previous: rows[i - 1].date });
+  }
+  for (const field of [...ROW_FIELDS, { key: series.income, ...INCOME_RANGE }]) {
+    const problem = fieldProblem(row, field.key, field);
+    if (problem) return problem;
+  }
+  if (row.observed !== undefined && typeof row.observed !== 'boolean') {
+    return t('validate.notBoolean', { field: 'observed', value: JSON.stringify(row.observed) });
+  }
+  return null;
+};
+
+const where = (rows, i, series) => {
+  const params = { row: i + 1, rows: rows.length, series: seriesName(series) };
+  return isObject(rows[i]) && isRealDate(rows[i].date)
+    ? t('validate.rowOn', { ...params, date: formatDate(rows[i].date) })
+    : t('validate.row', params);
+};
+
+// Issues are { level: 'error' | 'warning', message }. `data` is null when
+// nothing can be drawn; otherwise it holds the valid prefix of both series,
+// and it's `json` itself when there were no issues at all.
+export const validateMarket = json => {
+  const issues = [];
+  const error = message => issues.push({ level: 'error', message });
+  const warning = message => issues.push({ level: 'warning', message });
+
+  if (!isObject(json)) {
+    error(t('validate.notMarket'));
+    return { data: null, issues };
+  }
+  const missing = SERIES.filter(series => !Array.isArray(json[series.key]));
+  if (missing.length) {
+    missing.forEach(series => error(t('validate.seriesMissing', { series: seriesName(series), key: series.key })));
+    return { data: null, issues };
+  }
+
+  const [single, household] = SERIES.map(series => json[series.key]);
+  let length = Math.min(single.length, household.length);
+  if (single.length !== household.length) {
+    warning(t('validate.lengthMismatch', { single: single.length, household: household.length, length }));
+  }
+
+  for (let i = 0; i < length; i++) {
+    let problem = null;
+    for (const series of SERIES) {
+      const rows = json[series.key];
+      const found = rowProblem(rows, i, series);
+      if (found) {
+        problem = t('validate.problem', { where: where(rows, i, series), problem: found });
+        break;
+      }
+    }
+    if (!problem && single[i].date !== household[i].date) {
+      problem = t('validate.problem', {
+        where: where(single, i, SERIES[0]),
+        problem: t('validate.dateMismatch', { date: single[i].date, other: household[i].date }),
+      });
+    }
+    if (problem) {
+      const kept = i > 0 ? ` ${t('validate.stopsAt', { date: formatDate(single[i - 1].date) })}` : '';
+      error(`${problem}${kept}`);
+      length = i;
+    }
+  }
+
+  if (length < MIN_ROWS) {
+    error(t('validate.tooFew', { min: MIN_ROWS }));
+    return { data: null, issues };
+  }
+
+  let metadata = json.metadata;
+  if (!isObject(metadata)) {
+    warning(t('validate.noMetadata'));
+    metadata = {};
+  }
+  const generatedAt = metadata.generated_at;
+  const generatedValid = typeof generatedAt === 'string' && !Number.isNaN(Date.parse(generatedAt));
+  if (generatedAt !== undefined && !generatedValid) {
+    warning(t('validate.badTimestamp', { value: JSON.stringify(generatedAt) }));
+  } else if (generatedAt === undefined && isObject(json.metadata)) {
+    warning(t('validate.noTimestamp'));
+  }
+
+  // Counts that no longer describe the rows are dropped; the page then
+  // counts estimated rows itself.
+  const truncated = length < single.length || length < household.length;
+  const quality = metadata.series_quality;
+  const qualityValid =
+    isObject(quality) && QUALITY_COUNTS.every(key => Number.isInteger(quality[key]) && quality[key] >= 0);
+  if (quality !== undefined && !qualityValid) {
+    warning(t('validate.badQuality'));
+  }
+
+  if (!issues.length) return { data: json, issues };
+
+  const checked = { ...metadata, generated_at: generatedValid ? generatedAt : null };
+  if (!qualityValid || truncated) delete checked.series_quality;
+  return {
+    data: {
+      ...json,
+      single_costs: single.slice(0, length),
+      household_costs: household.slice(0, length),
+      metadata: checked,
+    },
+    issues,
+  };
+};
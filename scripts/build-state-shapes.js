@@ -0,0 +1,83 @@
+// Writes js/state-shapes.js from us-atlas's states-albers-10m.json (Census
+// Bureau cartographic boundaries, 2017, projected with Albers USA to a
+// 975x610 viewport with Alaska and Hawaii inset). Outlines are simplified
+// and rounded to a tenth of a unit so the map costs no more than a chart
+// library, and each state gets a label point and its bordering states.
+//
+//   npm run build:shapes
+import { readFile, writeFile } from 'node:fs/promises';
+import { feature, neighbors } from 'topojson-client';
+import { presimplify, simplify } from 'topojson-simplify';
+import polylabel from 'polylabel';
+import { STATE_NAMES } from '../js/config.js';
+
+const SOURCE = new URL('../node_modules/us-atlas/states-albers-10m.json', import.meta.url);
+const OUTPUT = new URL('../js/state-shapes.js', import.meta.url);
+// Smallest triangle area, in square viewBox units, a simplified point keeps
+const MIN_WEIGHT = 2;
+// Islands smaller than this (square units) are dropped unless they're all
+// the state has
+const MIN_RING_AREA = 2;
+
+const round = v => Math.round(v * 10) / 10;
+
+const ringArea = ring =>
+  Math.abs(ring.reduce((sum, [x, y], i) => {
+    const [nx, ny] = ring[(i + 1) % ring.length];
+    return sum + x * ny - nx * y;
+  }, 0)) / 2;
+
+const pathOf = polygons =>
+  polygons
+    .flat()
+    .map(ring => `M${ring.slice(0, -1).map(([x, y]) => `${round(x)},${round(y)}`).join('L')}Z`)
+    .join('');
+
+const topology = JSON.parse(await readFile(SOURCE, 'utf8'));
+const geometries = topology.objects.states.geometries;
+const codesByName = Object.fromEntries(Object.entries(STATE_NAMES).map(([code, name]) => [name, code]));
+const codes = geometries.map(g => {
+  const code = codesByName[g.properties.name];
+  if (!code) throw new Error(`No state code for ${g.properties.name}`);
+  return code;
+});
+const borders = neighbors(geometries);
+
+const simplified = simplify(presimplify(topology), MIN_WEIGHT);
+const shapes = feature(simplified, simplified.objects.states).features.map((f, i) => {
+  const polygons = (f.geometry.type === 'Polygon' ? [f.geometry.coordinates] : f.geometry.coordinates)
+    .filter(([outer]) => outer.length >= 4);
+  const largest = polygons.reduce((a, b) => (ringArea(b[0]) > ringArea(a[0]) ? b : a));
+  const kept = polygons.filter(p => p === largest || ringArea(p[0]) >= MIN_RING_AREA);
+  const [x, y] = polylabel(largest, 0.5);
+  return {
+    code: codes[i],
+    d: pathOf(kept),
+    label: [round(x), round(y)],
+    neighbours: borders[i].map(j => codes[j]).sort(),
+  };
+});
+shapes.sort((a, b) => a.code.localeCompare(b.code));
+
+const lines = shapes.map(
+  ({ code, d, label, neighbours }) =>
+    `  ${code}: {\n    label: [${label.join(', ')}],\n    neighbours: ${JSON.stringify(neighbours).replace(/"/g, "'").replace(/,/g, ', ')},\n    d: '${d}',\n  },`,
+);
+await writeFile(
+  OUTPUT,
+  `// State outlines for the map, generated by scripts/build-state-shapes.js
+// from us-atlas 3.0.1 (Census Bureau cartographic boundaries, 2017; ISC
+// license). Don't edit by hand.
+//
+// Coordinates are in a 975x610 viewBox (Albers USA, Alaska and Hawaii
+// inset). Each state has SVG path data \`d\`, a \`label\` point inside its
+// largest piece, and the states it shares a border with.
+export const MAP_WIDTH = 975;
+export const MAP_HEIGHT = 610;
+
+export const STATE_SHAPES = {
+${lines.join('\n')}
+};
+`,
+);
+console.log(`Wrote ${shapes.length} states`);
@@ -0,0 +1,102 @@
+// Service worker: keeps the dashboard usable offline once it has been visited.
+// Bump CACHE_VERSION when the shell file list changes.
+const CACHE_VERSION = 'v10';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const DATA_CACHE = `data-${CACHE_VERSION}`;
+const VENDOR_CACHE = `vendor-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'app.js',
+  'js/config.js',
+  'js/url.js',
+  'js/dates.js',
+  'js/format.js',
+  'js/data.js',
+  'js/validate.js',
+  'js/sonify.js',
+  'js/mortgage.js',
+  'js/stats.js',
+  'js/analysis.js',
+  'js/state-shapes.js',
+  'js/repository.js',
+  'js/export.js',
+  'js/summary-card.js',
+  'js/i18n.js',
+  'js/locales/en.js',
+  'js/locales/es.js',
+  'styles.css',
+  'favicon.svg',
+];
+const VENDOR_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener('activate', event => {
+  const current = [SHELL_CACHE, DATA_CACHE, VENDOR_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+// Data files and scripts: the network wins so weekly updates show up and
+// app.js never runs against modules from another deploy (its imports would
+// fail). The cache is the offline fallback.
+const networkFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// The rest of the shell: answer from the cache and refresh it for the next
+// visit.
+const staleWhileRevalidate = async request => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || network;
+};
+
+// Pinned CDN versions and fonts never change under the same URL.
+const cacheFirst = async request => {
+  const cache = await caches.open(VENDOR_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.endsWith('.json')) event.respondWith(networkFirst(request, DATA_CACHE));
+    else if (url.pathname.endsWith('.js')) event.respondWith(networkFirst(request, SHELL_CACHE));
+    else event.respondWith(staleWhileRevalidate(request));
+  } else if (VENDOR_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
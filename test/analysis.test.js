@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extremes, largestSwings, turningPoints } from '../js/analysis.js';
+
+test('extremes skip gaps, keep to the window and prefer the earliest tie', () => {
+  assert.deepEqual(extremes([3, null, 5, 1, 5, 1]), { high: 2, low: 3 });
+  assert.deepEqual(extremes([3, null, 5, 1, 5, 1], 4, 5), { high: 4, low: 5 });
+  assert.deepEqual(extremes([null, null]), { high: -1, low: -1 });
+});
+
+test('largestSwings compares each week with the one a span before it', () => {
+  const { rise, fall } = largestSwings([10, 12, 15, 9, 8], 2);
+  assert.deepEqual(rise, { from: 0, to: 2, change: 50 });
+  assert.equal(fall.from, 2);
+  assert.equal(fall.to, 4);
+  assert.equal(Math.round(fall.change), -47);
+  assert.deepEqual(largestSwings([5, 6, 7], 2).fall, null);
+  assert.deepEqual(largestSwings([5, 6], 2), { rise: null, fall: null });
+});
+
+test('a turn is confirmed once the line reverses by the threshold', () => {
+  const { turns, trend } = turningPoints([10, 12, 14, 13, 12, 11, 12, 13], 10);
+  assert.deepEqual(turns.map(({ index, type, from }) => ({ index, type, from })), [
+    { index: 2, type: 'peak', from: 0 },
+    { index: 5, type: 'trough', from: 2 },
+  ]);
+  assert.equal(Math.round(turns[0].change), 40);
+  assert.equal(Math.round(turns[1].change), -21);
+  assert.equal(trend, 'up');
+});
+
+test('wobbles below the threshold are not turns', () => {
+  assert.deepEqual(turningPoints([10, 10.5, 10, null, 10.5, 10], 10), { turns: [], trend: null });
+  assert.deepEqual(turningPoints([10, 9, 8, 7.5], 10), { turns: [], trend: 'down' });
+  assert.deepEqual(turningPoints([]), { turns: [], trend: null });
+});
@@ -0,0 +1,400 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { resolveObjectURL } from 'node:buffer';
+import { IDBFactory } from 'fake-indexeddb';
+import { openPage, readFixture } from './helpers/page.js';
+import { STATE_NAMES } from '../js/config.js';
+
+let page;
+
+afterEach(async () => {
+  await page?.close();
+  page = null;
+});
+
+const loaded = () => page.waitFor(() => /Last updated/.test(page.$('updateInfo').textContent));
+const lastRatio = async file => Number((await readFixture(file)).single_costs.at(-1).cost_to_income);
+const plottedRatio = () => page.chart().data.datasets[0].data.at(-1);
+
+// An IndexedDB the page will find, holding `records` the way the data
+// repository stores them
+const storedMarkets = async records => {
+  const factory = new IDBFactory();
+  const db = await new Promise((resolve, reject) => {
+    const request = factory.open('home-affordability', 1);
+    request.onupgradeneeded = () => request.result.createObjectStore('markets', { keyPath: 'code' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  await new Promise(resolve => {
+    const tx = db.transaction('markets', 'readwrite');
+    records.forEach(record => tx.objectStore('markets').put(record));
+    tx.oncomplete = resolve;
+  });
+  db.close();
+  return { setup: window => { window.indexedDB = factory; } };
+};
+
+test('loads the national series by default', async () => {
+  page = await openPage();
+  await loaded();
+  const us = await readFixture('US.json');
+  assert.equal(page.server.requested('weekly_case_shiller_output.json').length, 1);
+  assert.equal(page.chart().data.labels.length, us.single_costs.length);
+  assert.equal(plottedRatio(), await lastRatio('US.json'));
+  assert.equal(page.$('loadingMessage').style.display, 'none');
+  assert.deepEqual(page.errors, []);
+});
+
+test('opens the state named in the URL', async () => {
+  page = await openPage({ search: '?state=tx' });
+  await loaded();
+  assert.equal(page.$('stateSelect').value, 'TX');
+  assert.match(page.$('headerEyebrow').textContent, /Texas/);
+  assert.equal(plottedRatio(), await lastRatio('TX.json'));
+  assert.deepEqual(page.errors, []);
+});
+
+test('switching states reloads the chart and the URL', async () => {
+  page = await openPage({ search: '?state=tx' });
+  await loaded();
+  const chart = page.chart();
+  page.selectState('CA');
+  await page.waitFor(() => /California/.test(page.$('headerEyebrow').textContent));
+  await page.settle();
+  assert.equal(page.chart(), chart, 'the chart is updated in place');
+  assert.equal(plottedRatio(), await lastRatio('CA.json'));
+  assert.match(page.window.location.search, /state=ca/);
+  assert.ok(!page.$('mainContent').classList.contains('is-loading'));
+  assert.deepEqual(page.errors, []);
+});
+
+test('a switch that is overtaken never lands', async () => {
+  page = await openPage({ search: '?state=tx' });
+  await loaded();
+  page.server.hold('data/CA.json');
+  page.selectState('CA');
+  await page.waitFor(() => page.server.requested('data/CA.json').length === 1);
+  page.selectState('ALL');
+  await page.waitFor(() => /state=all/.test(page.window.location.search));
+  const [caRequest] = page.server.requested('data/CA.json');
+  assert.equal(caRequest.signal.aborted, true);
+
+  page.server.release('data/CA.json');
+  await page.settle();
+  assert.equal(plottedRatio(), await lastRatio('US.json'));
+  assert.match(page.window.location.search, /state=all/);
+  assert.deepEqual(page.errors, []);
+});
+
+test('a first load that times out offers a retry', async () => {
+  page = await openPage({ search: '?state=tx' });
+  page.server.hold('data/TX.json');
+  await page.waitFor(() => page.server.requested('data/TX.json').length === 1);
+  page.runTimers();
+  await page.waitFor(() => page.$('retryBtn'));
+  assert.match(page.$('loadingMessage').textContent, /network timeout/);
+  assert.equal(page.chart(), undefined);
+
+  page.server.release('data/TX.json');
+  page.$('retryBtn').click();
+  await loaded();
+  assert.equal(page.$('loadingMessage').style.display, 'none');
+  assert.equal(plottedRatio(), await lastRatio('TX.json'));
+});
+
+test('a state switch that times out keeps the current chart', async () => {
+  page = await openPage({ search: '?state=tx' });
+  await loaded();
+  page.server.hold('data/CA.json');
+  page.selectState('CA');
+  await page.waitFor(() => page.server.requested('data/CA.json').length === 1);
+  page.runTimers();
+  await page.waitFor(() => /network timeout/.test(page.$('updateInfo').textContent));
+  assert.equal(plottedRatio(), await lastRatio('TX.json'));
+  assert.ok(!page.$('mainContent').classList.contains('is-loading'));
+});
+
+test('a rent file that never answers gives up with the load timeout', async () => {
+  page = await openPage({ search: '?state=tx' });
+  await loaded();
+  page.server.hold('data/rent/CA.json');
+  page.selectState('CA');
+  await page.waitFor(() => page.server.requested('data/CA.json').length === 1);
+  await page.settle();
+  page.runTimers();
+  await page.waitFor(() => /California/.test(page.$('headerEyebrow').textContent));
+  assert.equal(plottedRatio(), await lastRatio('CA.json'));
+  assert.equal(page.server.requested('data/rent/CA.json')[0].signal.aborted, true);
+  assert.ok(page.$('btnRent').hidden);
+  assert.deepEqual(page.errors, []);
+});
+
+test('a market with a rent file offers Rent vs Buy and one without hides it', async () => {
+  const rent = await readFixture('rent/TX.json');
+  const texas = await readFixture('TX.json');
+  page = await openPage({ search: '?state=tx&view=rent', files: { 'data/rent/TX.json': rent } });
+  await page.waitFor(() => page.chart()?.data.datasets.some(ds => ds.earner === 'rent'));
+  await page.settle();
+  assert.equal(page.$('btnRent').hidden, false);
+  assert.ok(page.$('btnRent').classList.contains('active'));
+  const line = page.chart().data.datasets.find(ds => ds.earner === 'rent');
+  const last = texas.single_costs.at(-1);
+  assert.equal(line.data.at(-1), Number(((rent.rent_costs.at(-1).monthly_rent / (last.single_income / 12)) * 100).toFixed(1)));
+  assert.equal(page.$('rentReadout').hidden, false);
+  assert.match(page.$('rentReadout').textContent, /against \$1,648 rent/);
+  assert.match(page.window.location.search, /view=rent/);
+
+  page.selectState('CA');
+  await page.waitFor(() => /California/.test(page.$('headerEyebrow').textContent));
+  await page.settle();
+  assert.equal(page.$('btnRent').hidden, true);
+  assert.equal(page.$('rentReadout').hidden, true);
+  assert.ok(!page.chart().data.datasets.some(ds => ds.earner === 'rent'));
+  assert.ok(page.$('btnBoth').classList.contains('active'));
+  assert.deepEqual(page.errors, []);
+});
+
+test('a columnar state file draws the same chart as the row file', async () => {
+  page = await openPage({ search: '?state=tx&range=all', files: { 'data/TX.json': await readFixture('TX.columnar.json') } });
+  await loaded();
+  const rows = await readFixture('TX.json');
+  assert.deepEqual(page.chart().data.labels, rows.single_costs.map(d => d.date));
+  assert.deepEqual(page.chart().data.datasets[0].data, rows.single_costs.map(d => Number(d.cost_to_income)));
+  assert.deepEqual(page.errors, []);
+});
+
+test('a stored copy is re-checked at once and a newer publish replaces it', async () => {
+  const old = await readFixture('TX.json');
+  old.metadata.generated_at = '2026-04-23T13:38:34-04:00';
+  old.single_costs.at(-1).cost_to_income = '1.00';
+  const record = { code: 'TX', generatedAt: old.metadata.generated_at, etag: '"old"', checkedAt: Date.now(), data: old };
+  page = await openPage({ search: '?state=tx', ...(await storedMarkets([record])) });
+  await page.waitFor(() => page.server.requested('data/TX.json').length === 1);
+  const [check] = page.server.requested('data/TX.json');
+  assert.equal(check.headers['If-None-Match'], '"old"');
+  const fresh = await lastRatio('TX.json');
+  await page.waitFor(() => page.chart() && plottedRatio() === fresh);
+  assert.deepEqual(page.errors, []);
+});
+
+test('an unchanged file is confirmed with a conditional request', async () => {
+  const options = await storedMarkets([]);
+  page = await openPage({ search: '?state=tx', ...options });
+  await loaded();
+  await page.settle();
+  await page.close();
+
+  page = await openPage({ search: '?state=tx', ...options });
+  await loaded();
+  await page.waitFor(() => page.server.requested('data/TX.json')[0]?.status);
+  const [check] = page.server.requested('data/TX.json');
+  assert.match(check.headers['If-None-Match'], /^"\w+"$/);
+  assert.equal(check.status, 304);
+  assert.equal(plottedRatio(), await lastRatio('TX.json'));
+  assert.deepEqual(page.errors, []);
+});
+
+test('the map loads every state a few files at a time', async () => {
+  page = await openPage({ search: '?state=tx' });
+  await loaded();
+  const paths = Object.keys(STATE_NAMES).filter(code => code !== 'ALL' && code !== 'TX').map(code => `data/${code}.json`);
+  paths.forEach(path => page.server.hold(path));
+  page.$('mapPanel').open = true;
+  page.$('mapPanel').dispatchEvent(new page.window.Event('toggle'));
+  await page.settle();
+  const started = () => paths.filter(path => page.server.requested(path).length);
+  assert.equal(started().length, 6);
+
+  paths.forEach(path => page.server.release(path));
+  await page.waitFor(() => started().length === paths.length);
+  await page.waitFor(() => page.$('mapSvg').querySelector('[data-state="CA"] path').style.fill);
+  assert.deepEqual(page.errors, []);
+});
+
+test('the map draws every state and reaches the small ones through callouts', async () => {
+  page = await openPage({ search: '?state=tx', files: { 'data/DE.json': await readFixture('CA.json') } });
+  await loaded();
+  page.$('mapPanel').open = true;
+  page.$('mapPanel').dispatchEvent(new page.window.Event('toggle'));
+  const svg = page.$('mapSvg');
+  await page.waitFor(() => svg.querySelector('[data-state="DE"] path').style.fill);
+  assert.equal(svg.querySelectorAll('.map-state path').length, 51);
+  assert.match(svg.getAttribute('viewBox'), /^0 0 975 610$/);
+  for (const code of ['DC', 'RI', 'DE']) {
+    const group = svg.querySelector(`[data-state="${code}"]`);
+    assert.ok(group.querySelector('rect'), `${code} has a callout box`);
+    assert.equal(group.getAttribute('tabindex'), '0');
+  }
+  const de = svg.querySelector('[data-state="DE"]');
+  assert.equal(de.querySelector('rect').style.fill, de.querySelector('path').style.fill);
+  assert.ok(svg.querySelector('[data-state="TX"]').classList.contains('selected'));
+  assert.ok(svg.querySelector('[data-state="AK"]').classList.contains('no-data'));
+
+  de.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+  await page.waitFor(() => /Delaware/.test(page.$('headerEyebrow').textContent));
+  assert.deepEqual(page.errors, []);
+});
+
+test('switching language re-renders what is loaded without fetching it again', async () => {
+  const messages = [];
+  const parent = { postMessage: message => messages.push(message) };
+  page = await openPage({
+    search: '?state=tx&range=all&embed=1',
+    setup: window => Object.defineProperty(window, 'parent', { value: parent }),
+  });
+  await loaded();
+  await page.settle();
+  page.$('dataTablePanel').open = true;
+  page.$('dataTablePanel').dispatchEvent(new page.window.Event('toggle'));
+  page.press('Home');
+  const chart = page.chart();
+  const selected = page.$('selectedDate').textContent;
+  const requests = page.server.requests.length;
+  const loads = () => messages.filter(m => m.type === 'affordability:load').length;
+  const loadsBefore = loads();
+
+  page.$('langSelect').value = 'es';
+  page.$('langSelect').dispatchEvent(new page.window.Event('change'));
+  await page.settle();
+  assert.equal(page.server.requests.length, requests, 'nothing is fetched');
+  assert.equal(loads(), loadsBefore, 'no new load message');
+  assert.equal(page.chart(), chart);
+  assert.match(page.$('updateInfo').textContent, /^Última actualización: /);
+  assert.equal(page.$('priceLabel').textContent, 'Precio mediano de la vivienda');
+  assert.match(chart.data.datasets[0].label, /^Un solo ingreso/);
+  assert.equal(chart.options.locale, 'es');
+  assert.match(page.$('dataTable').textContent, /Un solo ingreso/);
+
+  page.$('langSelect').value = 'en';
+  page.$('langSelect').dispatchEvent(new page.window.Event('change'));
+  await page.settle();
+  assert.equal(page.$('selectedDate').textContent, selected, 'the selected week is kept');
+  assert.equal(page.server.requests.length, requests);
+  assert.deepEqual(page.errors, []);
+});
+
+test('server errors are retried after a backoff', async () => {
+  page = await openPage({ search: '?state=ca' });
+  page.server.fail('data/CA.json', 503);
+  await page.waitFor(() => page.server.requested('data/CA.json').length === 1);
+  await page.settle();
+  page.runTimers(1000);
+  await loaded();
+  assert.equal(page.server.requested('data/CA.json').length, 2);
+  assert.equal(plottedRatio(), await lastRatio('CA.json'));
+});
+
+test('a missing state file is reported, not retried', async () => {
+  page = await openPage({ search: '?state=ak' });
+  await page.waitFor(() => page.$('loadingMessage').querySelector('.error-message'));
+  assert.match(page.$('loadingMessage').textContent, /Data for Alaska is not yet available/);
+  assert.equal(page.server.requested('data/AK.json').length, 1);
+});
+
+test('the URL the page writes matches the one it was opened with', async () => {
+  const search = '?state=tx&range=5y&view=single&yaxis=zero&metric=payment&compare=ca&down=20&term=15';
+  page = await openPage({ search });
+  await loaded();
+  await page.settle();
+  assert.equal(page.window.location.search, search);
+  assert.ok(page.chart().data.datasets.some(d => d.compareState === 'CA'));
+  assert.deepEqual(page.errors, []);
+});
+
+test('PMI is not charged at exactly 20% down', async () => {
+  const open = async search => {
+    page = await openPage({ search });
+    await loaded();
+    const result = { ratio: plottedRatio(), summary: page.$('scenarioSummary').textContent };
+    await page.close();
+    page = null;
+    return result;
+  };
+  const plain = await open('?state=tx&down=20');
+  const at20 = await open('?state=tx&down=20&pmi=1');
+  const at19 = await open('?state=tx&down=19&pmi=1');
+  assert.equal(at20.ratio, plain.ratio);
+  assert.doesNotMatch(at20.summary, /PMI/);
+  assert.ok(at19.ratio > plain.ratio);
+  assert.match(at19.summary, /1% PMI/);
+});
+
+test('a partly bad file draws its valid rows and lists the problem', async () => {
+  const json = await readFixture('TX.json');
+  json.single_costs[40].cost_to_income = '';
+  page = await openPage({ search: '?state=tx&range=all' });
+  page.server.serve('data/TX.json', json);
+  await loaded();
+  assert.equal(page.chart().data.labels.length, 40);
+  assert.equal(page.$('dataDiagnostics').hidden, false);
+  assert.match(page.$('dataDiagnosticsTitle').textContent, /Showing the Texas data up to its first bad row/);
+  assert.match(page.$('dataDiagnosticsList').textContent, /Row 41 of 60/);
+
+  page.selectState('CA');
+  await page.waitFor(() => /California/.test(page.$('headerEyebrow').textContent));
+  assert.equal(page.$('dataDiagnostics').hidden, true);
+});
+
+test('a file that cannot be drawn explains why', async () => {
+  page = await openPage({ search: '?state=tx' });
+  page.server.serve('data/TX.json', { single_costs: 'soon', household_costs: [] });
+  await page.waitFor(() => page.$('loadingMessage').querySelector('.error-message'));
+  assert.match(page.$('loadingMessage').textContent, /The data file for Texas can't be drawn/);
+  assert.equal(page.$('dataDiagnostics').hidden, false);
+  assert.match(page.$('dataDiagnosticsTitle').textContent, /couldn't be drawn/);
+  assert.match(page.$('dataDiagnosticsList').textContent, /single-earner series \(single_costs\) is missing or not a list/);
+  assert.equal(page.chart(), undefined);
+});
+
+test('the checked-in CPI file restates dollars in the chosen month', async () => {
+  const readRepoFile = async path => JSON.parse(await readFile(new URL(`../${path}`, import.meta.url), 'utf8'));
+  const cpi = await readRepoFile('data/cpi.json');
+  const months = cpi.observations.map(o => o.date);
+  assert.deepEqual(months, [...months].sort());
+  assert.ok(cpi.observations.every(o => /^\d{4}-\d{2}$/.test(o.date) && o.value > 0));
+  const us = await readRepoFile('weekly_case_shiller_output.json');
+  assert.ok(cpi.metadata.date_range.start <= us.single_costs[0].date.slice(0, 7), 'CPI covers the whole history');
+
+  const cpiIn = month => cpi.observations.find(o => o.date === month).value;
+  const last = (await readFixture('TX.json')).single_costs.at(-1);
+  page = await openPage({ search: '?state=tx&real=2016-01', files: { 'data/cpi.json': cpi } });
+  await loaded();
+  await page.waitFor(() => /\$\)/.test(page.$('priceLabel').textContent));
+  assert.equal(page.$('priceLabel').textContent, 'Median Home Price (Jan 2016 $)');
+  const shown = Number(page.$('housePrice').textContent.replace(/\D/g, ''));
+  assert.equal(shown, Math.round((last.home_price * cpiIn('2016-01')) / cpiIn(cpi.metadata.date_range.end)));
+  assert.deepEqual(page.errors, []);
+});
+
+test('the export menu downloads the visible weeks and a summary card', async () => {
+  const downloads = [];
+  const setup = window => {
+    window.HTMLAnchorElement.prototype.click = function () {
+      downloads.push({ name: this.download, blob: resolveObjectURL(this.href) });
+    };
+  };
+  page = await openPage({ search: '?state=tx', setup });
+  await loaded();
+  const tx = await readFixture('TX.json');
+  const exportAs = format => page.document.querySelector(`[data-export="${format}"]`).click();
+
+  exportAs('csv');
+  exportAs('card-svg');
+  await page.waitFor(() => downloads.length === 2);
+  const [csv, card] = downloads;
+  assert.match(csv.name, /^home-affordability-TX-\d{4}-\d{2}-\d{2}-to-\d{4}-\d{2}-\d{2}\.csv$/);
+  const lines = (await csv.blob.text()).trim().split('\n');
+  assert.ok(lines.includes('# state_name: Texas'));
+  const rows = lines.filter(line => !line.startsWith('#'));
+  assert.match(rows[0], /^date,home_price,mortgage_rate,single_income,/);
+  assert.ok(rows.at(-1).startsWith(`${tx.single_costs.at(-1).date},${tx.single_costs.at(-1).home_price},`));
+
+  assert.match(card.name, /^home-affordability-TX-social-.*\.svg$/);
+  const svg = await card.blob.text();
+  assert.match(svg, /width="1200" height="630"/);
+  assert.match(svg, />Texas Housing Market</);
+  assert.match(svg, /FRED MORTGAGE30US \(mortgage rates\)/);
+  assert.deepEqual(page.errors, []);
+});
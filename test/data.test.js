@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { decodeMarket, qualityFlags, alignToLabels } from '../js/data.js';
+import { readFixture } from './helpers/page.js';
+
+const BITS = { observed: 1, estimated: 2, price_estimated: 4, rate_estimated: 8, income_estimated: 16 };
+
+const columnar = () => ({
+  format: 'columnar',
+  version: 1,
+  flag_bits: BITS,
+  columns: {
+    date: ['2024-01-04', '2024-01-11'],
+    total_cost: [300000, 301000],
+    home_price: [250000, 251000],
+    mortgage_rate: [662, 666],
+    single_income: [60000, 60100],
+    household_income: [84000, 84140],
+    single_cost_to_income: [500, 501],
+    household_cost_to_income: [357, 358],
+    flags: [BITS.observed, BITS.estimated | BITS.price_estimated],
+  },
+  metadata: { state: 'TX' },
+});
+
+test('row files pass through untouched', async () => {
+  const json = await readFixture('TX.json');
+  assert.equal(decodeMarket(json), json);
+});
+
+test('columnar files expand into rows', () => {
+  const { single_costs: single, household_costs: household, metadata } = decodeMarket(columnar());
+  assert.deepEqual(single[0], {
+    type: 'single',
+    date: '2024-01-04',
+    total_cost: 300000,
+    single_income: 60000,
+    cost_to_income: '5.00',
+    home_price: 250000,
+    mortgage_rate: '6.62',
+    observed: true,
+  });
+  assert.equal(household[1].household_income, 84140);
+  assert.equal(household[1].cost_to_income, '3.58');
+  assert.deepEqual(single[1].estimation_details, {
+    price_estimated: true,
+    rate_estimated: false,
+    income_estimated: false,
+  });
+  assert.deepEqual(metadata, { state: 'TX' });
+});
+
+// The columnar fixture is the row fixture run through ColumnarFormat.encode
+// in weekly_case_shiller.rb, so decoding it must give the rows back
+test('a file from the columnar writer decodes to the rows it was written from', async () => {
+  const rows = await readFixture('TX.json');
+  const decoded = decodeMarket(await readFixture('TX.columnar.json'));
+  assert.deepEqual(decoded.single_costs, rows.single_costs);
+  assert.deepEqual(decoded.household_costs, rows.household_costs);
+  assert.deepEqual(decoded.metadata, rows.metadata);
+});
+
+const hasRuby = (() => {
+  try {
+    execFileSync('ruby', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+test('the Ruby columnar writer still produces the checked-in fixture', { skip: !hasRuby && 'ruby is not installed' }, async () => {
+  const script = [
+    "require_relative 'weekly_case_shiller'",
+    'rows = JSON.parse($stdin.read, symbolize_names: true)',
+    'print JSON.generate(ColumnarFormat.encode(rows))',
+  ].join('\n');
+  const rows = await readFixture('TX.json');
+  const encoded = execFileSync('ruby', ['-e', script], {
+    cwd: new URL('..', import.meta.url),
+    input: JSON.stringify(rows),
+    encoding: 'utf8',
+  });
+  assert.deepEqual(JSON.parse(encoded), await readFixture('TX.columnar.json'));
+});
+
+test('unknown formats and versions are rejected', () => {
+  assert.throws(() => decodeMarket({ ...columnar(), version: 2 }), /Unsupported data format: columnar v2/);
+  assert.throws(() => decodeMarket({ format: 'parquet' }), /Unsupported data format/);
+});
+
+test('weeks that are neither observed nor estimated are interpolated', () => {
+  assert.deepEqual(qualityFlags({ observed: true }), { observed: true, interpolated: false, estimated: false });
+  assert.deepEqual(qualityFlags({ observed: false }), { observed: false, interpolated: true, estimated: false });
+  assert.deepEqual(qualityFlags({ estimated: true }), { observed: false, interpolated: false, estimated: true });
+});
+
+test('alignToLabels matches rows by date', () => {
+  const rows = [{ date: '2024-01-11' }, { date: '2024-01-25' }];
+  assert.deepEqual(alignToLabels(rows, ['2024-01-04', '2024-01-11', '2024-01-18', '2024-01-25']), [
+    null,
+    rows[0],
+    null,
+    rows[1],
+  ]);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toIsoLocal,
+  rangeStart,
+  rateLowDate,
+  rangeIndices,
+  customRangeIndices,
+  visibleIndices,
+  offsetIndex,
+} from '../js/dates.js';
+
+// Weekly Thursdays from 2018-01-04 to 2024-12-26
+const weeks = () => {
+  const entries = [];
+  for (let date = new Date(2018, 0, 4); date <= new Date(2024, 11, 26); date.setDate(date.getDate() + 7)) {
+    entries.push({ date: toIsoLocal(date), mortgage_rate: '4.50' });
+  }
+  return entries;
+};
+
+test('toIsoLocal pads months and days', () => {
+  assert.equal(toIsoLocal(new Date(2024, 2, 7)), '2024-03-07');
+});
+
+test('rangeStart counts back from the last date', () => {
+  assert.equal(toIsoLocal(rangeStart('1y', '2018-01-04', '2024-12-26')), '2023-12-26');
+  assert.equal(toIsoLocal(rangeStart('5y', '2018-01-04', '2024-12-26')), '2019-12-26');
+  assert.equal(toIsoLocal(rangeStart('ytd', '2018-01-04', '2024-12-26')), '2024-01-01');
+  assert.equal(toIsoLocal(rangeStart('since2020', '2018-01-04', '2024-12-26')), '2020-01-01');
+  assert.equal(toIsoLocal(rangeStart('all', '2018-01-04', '2024-12-26')), '2018-01-04');
+});
+
+test('rangeIndices finds the first week inside the window', () => {
+  const entries = weeks();
+  const { startIndex, endIndex } = rangeIndices('2y', entries);
+  assert.equal(entries[startIndex].date, '2022-12-29');
+  assert.equal(endIndex, entries.length - 1);
+  assert.equal(rangeIndices('all', entries).startIndex, 0);
+});
+
+test('the rate-low range starts on the first week of the lowest rate', () => {
+  const entries = weeks();
+  entries[100].mortgage_rate = '2.65';
+  entries[120].mortgage_rate = '2.65';
+  assert.equal(rateLowDate(entries), entries[100].date);
+  assert.equal(rangeIndices('ratelow', entries).startIndex, 100);
+});
+
+test('customRangeIndices treats a missing end as open', () => {
+  const labels = weeks().map(d => d.date);
+  assert.deepEqual(customRangeIndices(labels, { from: null, to: null }), { startIndex: 0, endIndex: labels.length - 1 });
+  assert.deepEqual(customRangeIndices(labels, { from: '2018-01-05', to: '2018-02-01' }), { startIndex: 1, endIndex: 4 });
+});
+
+test('customRangeIndices rejects windows under two weeks', () => {
+  const labels = weeks().map(d => d.date);
+  assert.equal(customRangeIndices(labels, { from: '2018-01-05', to: '2018-01-12' }), null);
+  assert.equal(customRangeIndices(labels, { from: '2030-01-01', to: null }), null);
+});
+
+test('visibleIndices rounds inward and clamps to the labels', () => {
+  assert.deepEqual(visibleIndices(100, { min: 10.2, max: 20.8 }), { start: 11, end: 20 });
+  assert.deepEqual(visibleIndices(100, { min: -5, max: 500 }), { start: 0, end: 99 });
+  assert.deepEqual(visibleIndices(100, {}), { start: 0, end: 99 });
+});
+
+test('offsetIndex moves by calendar months and clamps', () => {
+  const labels = weeks().map(d => d.date);
+  const start = labels.indexOf('2020-01-02');
+  assert.equal(labels[offsetIndex(labels, start, 1)], '2020-02-06');
+  assert.equal(labels[offsetIndex(labels, start, -1)], '2019-11-28');
+  assert.equal(labels[offsetIndex(labels, start, 12)], '2021-01-07');
+  assert.equal(offsetIndex(labels, 2, -1), 0);
+  assert.equal(offsetIndex(labels, labels.length - 2, 12), labels.length - 1);
+});
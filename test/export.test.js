@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildExportRows, buildExportProvenance, csvCell, toCsv } from '../js/export.js';
+import { readFixture } from './helpers/page.js';
+
+test('rows cover the range with a column per exported line', async () => {
+  const { single_costs: single, household_costs: household } = await readFixture('TX.json');
+  const rows = buildExportRows({ entries: single, series: [['single', single], ['household', household]], start: 2, end: 4 });
+  assert.equal(rows.length, 3);
+  assert.deepEqual(Object.keys(rows[0]), [
+    'date', 'home_price', 'mortgage_rate', 'single_income', 'household_income', 'total_cost',
+    'single_cost_to_income', 'household_cost_to_income', 'observed', 'interpolated', 'estimated',
+  ]);
+  const [row] = rows;
+  assert.equal(row.date, single[2].date);
+  assert.equal(row.mortgage_rate, Number(single[2].mortgage_rate));
+  assert.equal(row.household_income, household[2].household_income);
+  assert.equal(row.household_cost_to_income, Number(household[2].cost_to_income));
+});
+
+test('amounts go through `dollars` and other metrics get their own columns', async () => {
+  const { single_costs: single } = await readFixture('TX.json');
+  const rows = buildExportRows({
+    entries: single,
+    series: [['single', single]],
+    start: 0,
+    end: 0,
+    metric: 'price',
+    metricValue: d => d.home_price / d.single_income,
+    dollars: (value, date) => `${value}@${date}`,
+  });
+  const [d] = single;
+  assert.equal(rows[0].home_price, `${d.home_price}@${d.date}`);
+  assert.equal(rows[0].single_income, `${d.single_income}@${d.date}`);
+  assert.equal(rows[0].single_cost_to_income, Number(d.cost_to_income), 'ratios are not dollars');
+  assert.equal(rows[0].single_price_to_income, d.home_price / d.single_income);
+});
+
+test('provenance names the range, the sources and any changed assumptions', async () => {
+  const { single_costs: single, metadata } = await readFixture('TX.json');
+  const rows = buildExportRows({ entries: single, series: [['single', single]], start: 0, end: 9 });
+  const dollars = { basis: 'nominal' };
+  const provenance = buildExportProvenance(rows, { code: 'TX', view: 'costs', metric: 'ratio', metadata, dollars });
+  assert.equal(provenance.state_name, 'Texas');
+  assert.equal(provenance.date_from, single[0].date);
+  assert.equal(provenance.date_to, single[9].date);
+  assert.equal(provenance.qcew_multiplier_source, 'qcew_2024');
+  assert.equal(provenance.scenario, null);
+  assert.equal(provenance.your_household, null);
+  assert.equal(provenance.dollars, dollars);
+
+  const scenario = { down: 20 };
+  const withScenario = buildExportProvenance([], { code: 'TX', view: 'costs', metric: 'ratio', metadata, scenario, dollars });
+  assert.deepEqual(withScenario.scenario, scenario);
+  assert.notEqual(withScenario.scenario, scenario, 'a copy, not the live object');
+  assert.equal(withScenario.date_from, null);
+});
+
+test('csv cells quote commas, quotes and newlines', () => {
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell(5.5), '5.5');
+  assert.equal(csvCell('a,b'), '"a,b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell('two\nlines'), '"two\nlines"');
+});
+
+test('csv provenance is in comment lines above the header', () => {
+  const csv = toCsv(
+    [{ date: '2024-01-04', note: 'x,y' }],
+    { state: 'TX', scenario: null, data_sources: { fred_mortgage: 'MORTGAGE30US' } },
+  );
+  assert.equal(csv, [
+    '# state: TX',
+    '# data_sources: {"fred_mortgage":"MORTGAGE30US"}',
+    'date,note',
+    '2024-01-04,"x,y"',
+    '',
+  ].join('\n'));
+});
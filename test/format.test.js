@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatMoney, formatDate, formatMonth, signed, formatChange } from '../js/format.js';
+
+test('formatMoney rounds to whole dollars', () => {
+  assert.equal(formatMoney(1234.5), '$1,235');
+  assert.equal(formatMoney(0), '$0');
+});
+
+test('dates are read as local dates', () => {
+  assert.equal(formatDate('2024-03-07'), 'Mar 7, 2024');
+  assert.equal(formatDate('2024-01-01'), 'Jan 1, 2024');
+  assert.equal(formatMonth('2020-12'), 'Dec 2020');
+});
+
+test('signed uses a true minus', () => {
+  assert.equal(signed(-12400, formatMoney), '−$12,400');
+  assert.equal(signed(2.31, v => `${v.toFixed(2)}x`), '+2.31x');
+});
+
+test('formatChange shows one decimal and n/a for missing values', () => {
+  assert.equal(formatChange(12.345), '+12.3%');
+  assert.equal(formatChange(-4), '-4.0%');
+  assert.equal(formatChange(0), '0.0%');
+  assert.equal(formatChange(null), 'n/a');
+});
@@ -0,0 +1,346 @@
+// Runs the dashboard inside jsdom: index.html as the document, a stub
+// Chart.js, and a fetch that serves test/fixtures. Every openPage() imports
+// a fresh copy of app.js, so no module state carries over between tests.
+import { readFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const ROOT = new URL('../../', import.meta.url);
+const FIXTURES = new URL('../fixtures/', import.meta.url);
+
+// Request path -> file in test/fixtures. Anything else is a 404, which the
+// page treats as a market without rent data (or no CPI file).
+const FIXTURE_FILES = {
+  'weekly_case_shiller_output.json': 'US.json',
+  'data/TX.json': 'TX.json',
+  'data/CA.json': 'CA.json',
+  'annotations.json': 'annotations.json',
+};
+
+// Timers at least this long (the 15 s load timeout, retry backoff, the
+// prefetch delay) don't run until the test calls page.runTimers().
+const HELD_TIMER_MS = 1000;
+
+let pageCount = 0;
+
+export const readFixture = async name => JSON.parse(await readFile(new URL(name, FIXTURES), 'utf8'));
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+// Just enough of Chart.js for app.js: datasets, scales, visibility and the
+// plugin and tooltip hooks, which run on every update() so their code paths
+// execute at least once.
+const createChartClass = window => {
+  const context = target =>
+    new Proxy(target, {
+      get: (t, k) => (k in t ? t[k] : () => ({ width: 10 })),
+      set: (t, k, v) => {
+        t[k] = v;
+        return true;
+      },
+    });
+
+  class Chart {
+    constructor(ctx, config) {
+      this.config = config;
+      this.data = config.data;
+      this.options = config.options;
+      this.plugins = config.plugins;
+      this.hidden = {};
+      this.canvas = window.document.getElementById('mortgageChart');
+      this.width = 800;
+      this.height = 400;
+      this.chartArea = { left: 40, right: 780, top: 10, bottom: 380 };
+      this.scales = {
+        x: {
+          min: 0,
+          max: config.data.labels.length - 1,
+          getPixelForValue: v => 40 + v,
+          getValueForPixel: p => p - 40,
+        },
+        y: { min: 0, max: 30, getPixelForValue: () => 200 },
+      };
+      this.ctx = context({});
+      Chart.instances.push(this);
+      this.update();
+    }
+
+    show(i) {
+      this.hidden[i] = false;
+    }
+
+    hide(i) {
+      this.hidden[i] = true;
+    }
+
+    setDatasetVisibility(i, visible) {
+      this.hidden[i] = !visible;
+    }
+
+    isDatasetVisible(i) {
+      if (this.hidden[i] === undefined) return !this.data.datasets[i]?.hidden;
+      return !this.hidden[i];
+    }
+
+    getDatasetMeta(i) {
+      const dataset = this.data.datasets[i] || { data: [] };
+      return { data: dataset.data.map((v, j) => ({ x: 40 + j, y: 100 })), hidden: this.hidden[i] };
+    }
+
+    update() {
+      (this.plugins || []).forEach(plugin => {
+        ['beforeDatasetsDraw', 'afterDatasetsDraw', 'beforeDraw', 'afterDraw'].forEach(hook => {
+          if (plugin[hook]) plugin[hook](this, {}, {});
+        });
+      });
+      const callbacks = this.options.plugins?.tooltip?.callbacks;
+      const index = this.data.labels.length - 1;
+      if (callbacks && index >= 0) {
+        const items = this.data.datasets.map((dataset, datasetIndex) => ({
+          dataIndex: Math.min(index, dataset.data.length - 1),
+          datasetIndex,
+          dataset,
+          label: this.data.labels[index],
+          raw: dataset.data[index],
+          parsed: { y: dataset.data[index] },
+        }));
+        callbacks.title?.(items);
+        callbacks.afterTitle?.(items);
+        items.forEach(item => {
+          callbacks.label?.(item);
+          callbacks.filter?.(item);
+        });
+      }
+    }
+
+    resetZoom() {
+      this.scales.x.min = 0;
+      this.scales.x.max = this.data.labels.length - 1;
+    }
+
+    zoomScale(axis, { min, max }) {
+      this.scales[axis].min = min;
+      this.scales[axis].max = max;
+    }
+
+    getZoomedScaleBounds() {
+      return { x: { min: this.scales.x.min, max: this.scales.x.max } };
+    }
+
+    getElementsAtEventForMode() {
+      return [];
+    }
+
+    toBase64Image() {
+      return 'data:image/png;base64,';
+    }
+
+    resize() {}
+
+    destroy() {}
+  }
+  Chart.instances = [];
+  Chart.register = () => {};
+
+  window.HTMLCanvasElement.prototype.getContext = function () {
+    return context({ canvas: this });
+  };
+  return Chart;
+};
+
+// fetch() over FIXTURE_FILES. hold(path) parks requests for a path until
+// release(path); a parked request still rejects when its signal aborts.
+// fail(path, status) answers the next request with an HTTP error, and
+// serve(path, json) answers every request for a path with `json`. Files
+// carry an ETag, and a request whose If-None-Match matches it gets a 304.
+// Each request is recorded with its headers and the status it got.
+const createServer = baseUrl => {
+  const held = new Map();
+  const failures = new Map();
+  const bodies = new Map();
+  const requests = [];
+
+  const etagOf = body => `"${createHash('sha1').update(body).digest('hex').slice(0, 16)}"`;
+
+  const respond = async (path, headers) => {
+    const status = failures.get(path);
+    if (status) {
+      failures.delete(path);
+      return new Response('', { status });
+    }
+    let body = bodies.get(path);
+    if (body === undefined) {
+      if (!FIXTURE_FILES[path]) return new Response('Not found', { status: 404 });
+      body = await readFile(new URL(FIXTURE_FILES[path], FIXTURES), 'utf8');
+    }
+    const etag = etagOf(body);
+    if (headers['If-None-Match'] === etag) return new Response(null, { status: 304, headers: { ETag: etag } });
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'application/json', ETag: etag } });
+  };
+
+  const fetch = async (input, { signal, headers = {} } = {}) => {
+    const path = new URL(String(input), baseUrl).pathname.slice(1);
+    const request = { path, signal, headers };
+    requests.push(request);
+    if (signal?.aborted) throw abortError();
+    if (held.has(path)) {
+      await new Promise((resolve, reject) => {
+        held.get(path).push(resolve);
+        signal?.addEventListener('abort', () => reject(abortError()), { once: true });
+      });
+    }
+    if (signal?.aborted) throw abortError();
+    const response = await respond(path, headers);
+    request.status = response.status;
+    return response;
+  };
+
+  return {
+    fetch,
+    requests,
+    requested: path => requests.filter(request => request.path === path),
+    hold: path => {
+      if (!held.has(path)) held.set(path, []);
+    },
+    release: path => {
+      const waiting = held.get(path) || [];
+      held.delete(path);
+      waiting.forEach(resolve => resolve());
+    },
+    fail: (path, status) => {
+      failures.set(path, status);
+    },
+    serve: (path, json) => {
+      bodies.set(path, JSON.stringify(json));
+    },
+  };
+};
+
+// Window properties that the page reads as bare globals. Node's own
+// globals win, except where jsdom needs its own class (events dispatched on
+// DOM nodes) or the test provides the implementation.
+const installGlobals = (window, overrides) => {
+  const saved = new Map();
+  const define = (key, descriptor) => {
+    saved.set(key, Object.getOwnPropertyDescriptor(globalThis, key));
+    Object.defineProperty(globalThis, key, { configurable: true, writable: true, ...descriptor });
+  };
+
+  const keys = new Set([
+    ...Object.getOwnPropertyNames(window),
+    'document',
+    'location',
+    'history',
+    'navigator',
+    'localStorage',
+    'getComputedStyle',
+  ]);
+  keys.forEach(key => {
+    if (key in globalThis || key in overrides) return;
+    saved.set(key, undefined);
+    Object.defineProperty(globalThis, key, { configurable: true, get: () => window[key] });
+  });
+  Object.entries(overrides).forEach(([key, value]) => define(key, { value }));
+
+  return () => {
+    saved.forEach((descriptor, key) => {
+      if (descriptor) Object.defineProperty(globalThis, key, descriptor);
+      else delete globalThis[key];
+    });
+  };
+};
+
+// `setup(window)` runs before app.js, e.g. to provide browser APIs jsdom
+// lacks. `files` maps request paths to JSON served from the first request
+// on, as server.serve() would.
+export const openPage = async ({ search = '', storage = {}, setup, files = {} } = {}) => {
+  const html = await readFile(new URL('index.html', ROOT), 'utf8');
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => {
+    if (!/Not implemented/.test(error.message)) errors.push(error);
+  });
+  virtualConsole.on('error', (...args) => errors.push(args));
+
+  const url = `http://localhost/${search}`;
+  const jsdom = new JSDOM(html, { url, pretendToBeVisual: true, virtualConsole });
+  const { window } = jsdom;
+  window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+  window.scrollTo = () => {};
+  Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+  setup?.(window);
+
+  const realSetTimeout = globalThis.setTimeout;
+  const realClearTimeout = globalThis.clearTimeout;
+  const heldTimers = [];
+  const Chart = createChartClass(window);
+  const server = createServer(url);
+  Object.entries(files).forEach(([path, json]) => server.serve(path, json));
+
+  const restoreGlobals = installGlobals(window, {
+    Chart,
+    fetch: server.fetch,
+    Event: window.Event,
+    CustomEvent: window.CustomEvent,
+    console: { ...console, error: (...args) => errors.push(args) },
+    setTimeout: (fn, ms = 0, ...args) => {
+      if (ms < HELD_TIMER_MS) return realSetTimeout(fn, ms, ...args);
+      const timer = { fn, args, ms };
+      heldTimers.push(timer);
+      return timer;
+    },
+    clearTimeout: id => {
+      const index = heldTimers.indexOf(id);
+      if (index === -1) realClearTimeout(id);
+      else heldTimers.splice(index, 1);
+    },
+  });
+
+  const sleep = ms => new Promise(resolve => realSetTimeout(resolve, ms));
+
+  const page = {
+    window,
+    document: window.document,
+    server,
+    errors,
+    chart: () => Chart.instances.at(-1),
+    $: id => window.document.getElementById(id),
+    // Runs the held timers set for `upTo` ms or less, in the order they were set
+    runTimers: (upTo = Infinity) => {
+      const due = heldTimers.filter(timer => timer.ms <= upTo);
+      due.forEach(timer => heldTimers.splice(heldTimers.indexOf(timer), 1));
+      due.forEach(timer => timer.fn(...timer.args));
+    },
+    waitFor: async (predicate, timeout = 2000) => {
+      const deadline = Date.now() + timeout;
+      while (!predicate()) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${predicate}`);
+        await sleep(5);
+      }
+    },
+    settle: () => sleep(50),
+    press: (key, options = {}) => {
+      const target = window.document.querySelector('.chart-container');
+      target.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+    },
+    selectState: code => {
+      const select = window.document.getElementById('stateSelect');
+      select.value = code;
+      select.dispatchEvent(new window.Event('change'));
+    },
+    close: async () => {
+      await sleep(20);
+      heldTimers.length = 0;
+      restoreGlobals();
+      window.close();
+    },
+  };
+
+  await import(new URL(`app.js?page=${++pageCount}`, ROOT));
+  if (window.document.readyState === 'loading') {
+    await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+  } else {
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  }
+  return page;
+};
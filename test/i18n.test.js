@@ -0,0 +1,112 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+import { t, setLocale, matchLocale, stateName, LOCALES } from '../js/i18n.js';
+import { formatMoney, formatPercent, formatDate, formatChange } from '../js/format.js';
+import en from '../js/locales/en.js';
+import es from '../js/locales/es.js';
+import { openPage } from './helpers/page.js';
+
+let page;
+
+afterEach(async () => {
+  setLocale('en');
+  await page?.close();
+  page = null;
+});
+
+const placeholders = message =>
+  [...new Set(Object.values(typeof message === 'object' ? message : { message })
+    .flatMap(form => form.match(/\{\w+\}/g) ?? []))].sort();
+
+test('matchLocale takes the language of a tag and rejects unsupported ones', () => {
+  assert.equal(matchLocale('es-MX'), 'es');
+  assert.equal(matchLocale(' EN_gb '), 'en');
+  assert.equal(matchLocale('fr'), null);
+  assert.equal(matchLocale(null), null);
+  assert.equal(setLocale('fr-FR'), 'en', 'an unsupported locale falls back to English');
+});
+
+test('t interpolates placeholders and picks plural forms', () => {
+  assert.equal(t('header.market', { state: 'Texas' }), 'Texas Housing Market');
+  setLocale('es');
+  assert.equal(t('update.observed', { count: 1 }), '1 observado');
+  assert.equal(t('update.observed', { count: 1200 }), '1200 observados');
+  assert.equal(t('no.such.key'), 'no.such.key');
+});
+
+test('Spanish state names use exonyms and fall back to the English name', () => {
+  setLocale('es');
+  assert.equal(stateName('NY'), 'Nueva York');
+  assert.equal(stateName('TX'), 'Texas');
+});
+
+test('formatting follows the active locale', () => {
+  assert.equal(formatPercent(6.4), '6.4%');
+  setLocale('es');
+  assert.equal(formatPercent(6.4), '6,4 %');
+  assert.equal(formatMoney(1234567), '1.234.567 US$');
+  assert.equal(formatDate('2024-03-07'), '7 mar 2024');
+  assert.equal(formatChange(null), 'n/d');
+});
+
+test('every locale has every English key with the same placeholders', () => {
+  Object.entries(LOCALES).forEach(([code, { messages }]) => {
+    Object.entries(en).forEach(([key, message]) => {
+      assert.ok(Object.hasOwn(messages, key), `${code} is missing ${key}`);
+      assert.deepEqual(placeholders(messages[key]), placeholders(message), `${code} ${key}`);
+    });
+  });
+});
+
+test('the page keys exist and match the English text in index.html', async () => {
+  const html = await readFile(new URL('../index.html', import.meta.url), 'utf8');
+  const { document } = new JSDOM(html).window;
+  const attributes = { 'data-i18n-aria-label': 'aria-label', 'data-i18n-title': 'title', 'data-i18n-placeholder': 'placeholder' };
+  document.querySelectorAll('[data-i18n]').forEach(el => {
+    const key = el.dataset.i18n;
+    assert.ok(Object.hasOwn(es, key), `es is missing ${key}`);
+    assert.equal(en[key], el.textContent.trim(), key);
+  });
+  document.querySelectorAll('[data-i18n-html]').forEach(el => {
+    assert.equal(en[el.dataset.i18nHtml], el.innerHTML.trim(), el.dataset.i18nHtml);
+  });
+  Object.entries(attributes).forEach(([data, attribute]) => {
+    document.querySelectorAll(`[${data}]`).forEach(el => {
+      assert.equal(en[el.getAttribute(data)], el.getAttribute(attribute), el.getAttribute(data));
+    });
+  });
+});
+
+test('?lang=es opens the page in Spanish and keeps it in the URL', async () => {
+  page = await openPage({ search: '?state=tx&lang=es' });
+  await page.waitFor(() => /Última actualización/.test(page.$('updateInfo').textContent));
+  assert.equal(page.document.documentElement.lang, 'es');
+  assert.equal(page.$('headerEyebrow').textContent, 'Mercado inmobiliario de Texas');
+  assert.equal(page.$('langSelect').value, 'es');
+  assert.match(page.window.location.search, /lang=es/);
+  assert.deepEqual(page.errors, []);
+});
+
+test('switching the language translates the page and is remembered', async () => {
+  page = await openPage({ search: '?state=tx' });
+  await page.waitFor(() => /Last updated/.test(page.$('updateInfo').textContent));
+  const select = page.$('langSelect');
+  select.value = 'es';
+  select.dispatchEvent(new page.window.Event('change'));
+  await page.waitFor(() => /Última actualización/.test(page.$('updateInfo').textContent));
+  assert.equal(page.$('headerEyebrow').textContent, 'Mercado inmobiliario de Texas');
+  assert.equal(page.document.querySelector('[data-i18n="zoom.reset"]').textContent, es['zoom.reset']);
+  assert.equal(page.window.localStorage.getItem('lang'), 'es');
+  assert.match(page.window.location.search, /lang=es/);
+  assert.equal(page.$('stateSelect').value, 'TX');
+  assert.deepEqual(page.errors, []);
+});
+
+test('a stored language is used when the URL names none', async () => {
+  page = await openPage({ storage: { lang: 'es' } });
+  await page.waitFor(() => /Última actualización/.test(page.$('updateInfo').textContent));
+  assert.equal(page.document.title, es['page.title']);
+  assert.deepEqual(page.errors, []);
+});
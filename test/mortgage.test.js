@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SOLVER_MAX_RATE,
+  monthlyPayment,
+  paymentsUntilBalance,
+  chargesPmi,
+  totalCost,
+  solveIncreasing,
+  applyScenario,
+  solveAffordability,
+  projectedRateAt,
+  buildProjection,
+} from '../js/mortgage.js';
+import { DEFAULT_SCENARIO, DEFAULT_PROJECTION } from '../js/config.js';
+import { readFixture } from './helpers/page.js';
+
+const scenario = overrides => ({ ...DEFAULT_SCENARIO, ...overrides });
+
+test('monthlyPayment amortizes the loan, or splits it evenly at 0%', () => {
+  assert.equal(monthlyPayment(200000, 6, 360).toFixed(2), '1199.10');
+  assert.equal(monthlyPayment(120000, 0, 360), 1000 / 3);
+});
+
+test('paymentsUntilBalance counts the payments down to a balance', () => {
+  assert.equal(paymentsUntilBalance(90000, 6, 360, 78000), 103);
+  assert.equal(paymentsUntilBalance(90000, 0, 360, 78000), 48);
+  assert.equal(paymentsUntilBalance(78000, 6, 360, 78000), 0);
+});
+
+test('the default scenario agrees with the pipeline to within a few dollars', async () => {
+  const { single_costs: rows } = await readFixture('TX.json');
+  for (const d of rows) {
+    const total = totalCost(d.home_price, Number(d.mortgage_rate), DEFAULT_SCENARIO);
+    assert.ok(Math.abs(total - d.total_cost) < 5, `${d.date}: ${total} vs ${d.total_cost}`);
+  }
+});
+
+test('PMI is charged below 20% down until the loan reaches 78% LTV', () => {
+  const price = 100000;
+  const months = 360;
+  assert.equal(chargesPmi(scenario({ down: 19.9, pmi: 1 })), true);
+  assert.equal(chargesPmi(scenario({ down: 20, pmi: 1 })), false);
+  assert.equal(chargesPmi(scenario({ down: 10, pmi: 0 })), false);
+
+  const at20 = totalCost(price, 6, scenario({ down: 20, pmi: 1 }));
+  assert.equal(at20, totalCost(price, 6, scenario({ down: 20 })));
+
+  const pmiMonths = paymentsUntilBalance(90000, 6, months, 78000);
+  const at10 = totalCost(price, 6, scenario({ down: 10, pmi: 1 }));
+  assert.equal(Math.round(at10 - totalCost(price, 6, scenario({ down: 10 }))), Math.round(90000 * 0.01 / 12 * pmiMonths));
+});
+
+test('tax and insurance are paid for the whole term', () => {
+  const base = totalCost(300000, 6, scenario({ term: 15 }));
+  assert.equal(Math.round(totalCost(300000, 6, scenario({ term: 15, tax: 1, insurance: 1200 })) - base), 3000 * 15 + 1200 * 15);
+});
+
+test('solveIncreasing finds the input or reports none in range', () => {
+  assert.ok(Math.abs(solveIncreasing(x => x * x, 2, 0, 2) - Math.SQRT2) < 1e-6);
+  assert.equal(solveIncreasing(x => x * x, 5, 0, 2), null);
+  assert.equal(solveIncreasing(x => x * x, -1, 0, 2), null);
+});
+
+test('applyScenario recomputes both series and caches per file', async () => {
+  const json = await readFixture('TX.json');
+  assert.equal(applyScenario(json, DEFAULT_SCENARIO), json);
+
+  const down20 = scenario({ down: 20 });
+  const data = applyScenario(json, down20);
+  assert.equal(applyScenario(json, { ...down20 }), data);
+  for (const [d, income] of [[data.single_costs[0], 'single_income'], [data.household_costs[0], 'household_income']]) {
+    const total = totalCost(d.home_price, Number(d.mortgage_rate), down20);
+    assert.equal(d.total_cost, Math.trunc(total));
+    assert.equal(d.cost_to_income, (total / d[income]).toFixed(2));
+  }
+  assert.notEqual(json.single_costs[0].total_cost, data.single_costs[0].total_cost, 'the file is not modified');
+  assert.notEqual(applyScenario(json, scenario({ down: 10 })), data);
+});
+
+test('solving for the entry\'s own ratio gives back its own values', async () => {
+  const [d] = (await readFixture('TX.json')).single_costs;
+  const ratio = totalCost(d.home_price, Number(d.mortgage_rate), DEFAULT_SCENARIO) / d.single_income;
+  assert.ok(Math.abs(solveAffordability(d, 'rate', ratio, DEFAULT_SCENARIO) - Number(d.mortgage_rate)) < 1e-6);
+  assert.ok(Math.abs(solveAffordability(d, 'price', ratio, DEFAULT_SCENARIO) - d.home_price) < 1e-3);
+  assert.ok(Math.abs(solveAffordability(d, 'income', ratio, DEFAULT_SCENARIO) - d.single_income) < 1e-6);
+});
+
+test('a ratio no rate can reach has no solution', async () => {
+  const [d] = (await readFixture('TX.json')).single_costs;
+  const atMax = totalCost(d.home_price, SOLVER_MAX_RATE, DEFAULT_SCENARIO) / d.single_income;
+  assert.equal(solveAffordability(d, 'rate', atMax * 1.1, DEFAULT_SCENARIO), null);
+  assert.equal(solveAffordability(d, 'rate', 0.5, DEFAULT_SCENARIO), null);
+});
+
+test('projected rates hold, glide to a target or follow custom points', () => {
+  const flat = { ...DEFAULT_PROJECTION, ratePath: 'flat' };
+  assert.equal(projectedRateAt(flat, 6, 2), 6);
+  const glide = { ...DEFAULT_PROJECTION, years: 4, ratePath: 'glide', rateTarget: 4 };
+  assert.equal(projectedRateAt(glide, 6, 2), 5);
+  assert.equal(projectedRateAt(glide, 6, 10), 4);
+  const custom = { ...DEFAULT_PROJECTION, ratePath: 'custom', ratePoints: [[1, 5], [3, 7]] };
+  assert.equal(projectedRateAt(custom, 6, 0.5), 5.5);
+  assert.equal(projectedRateAt(custom, 6, 2), 6);
+  assert.equal(projectedRateAt(custom, 6, 5), 7);
+});
+
+test('a projection continues from the last week on the chart\'s labels', async () => {
+  const json = await readFixture('TX.json');
+  assert.equal(buildProjection(json, null, DEFAULT_SCENARIO), null);
+
+  const projection = { ...DEFAULT_PROJECTION, years: 1, priceGrowth: 0, wageGrowth: 0, ratePath: 'flat' };
+  const { dates, lastIndex, single, household } = buildProjection(json, projection, DEFAULT_SCENARIO);
+  const last = json.single_costs.at(-1);
+  assert.equal(lastIndex, json.single_costs.length - 1);
+  assert.equal(dates.length, 52);
+  assert.ok(dates[0] > last.date);
+  assert.equal(single.base.length, lastIndex + 1 + dates.length);
+  assert.equal(single.base[lastIndex], last, 'the lines join at the last week');
+  assert.equal(single.base[lastIndex - 1], null);
+  const week = single.base.at(-1);
+  assert.equal(week.projected, true);
+  assert.equal(week.home_price, last.home_price);
+  assert.equal(week.mortgage_rate, last.mortgage_rate);
+  assert.ok(Number(single.high.at(-1).cost_to_income) > Number(week.cost_to_income));
+  assert.ok(Number(single.low.at(-1).cost_to_income) < Number(week.cost_to_income));
+  assert.equal(household.base[lastIndex], json.household_costs.at(-1));
+});
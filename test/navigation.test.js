@@ -0,0 +1,226 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { openPage, readFixture } from './helpers/page.js';
+import { offsetIndex } from '../js/dates.js';
+import { formatDate } from '../js/format.js';
+
+let page;
+
+afterEach(async () => {
+  await page?.close();
+  page = null;
+});
+
+const open = async (search, options) => {
+  page = await openPage({ search, ...options });
+  await page.waitFor(() => /Last updated/.test(page.$('updateInfo').textContent));
+  await page.settle();
+};
+
+const texas = async () => (await readFixture('TX.json')).single_costs;
+const selected = () => page.$('selectedDate').textContent;
+const spoken = () => page.$('chartLiveRegion').textContent;
+
+test('Home, End and the page keys step through the range', async () => {
+  const rows = await texas();
+  const labels = rows.map(d => d.date);
+  await open('?state=tx&range=all');
+
+  page.press('Home');
+  assert.equal(selected(), formatDate(labels[0]));
+  assert.match(spoken(), new RegExp(`^${formatDate(labels[0])} - Texas`));
+
+  page.press('PageUp');
+  const month = offsetIndex(labels, 0, 1);
+  assert.equal(selected(), formatDate(labels[month]));
+  page.press('PageUp', { shiftKey: true });
+  assert.equal(selected(), formatDate(labels[offsetIndex(labels, month, 12)]));
+  page.press('PageDown', { shiftKey: true });
+  assert.equal(selected(), formatDate(labels[month]));
+
+  page.press('End');
+  assert.equal(selected(), formatDate(labels.at(-1)));
+  page.press('ArrowLeft');
+  assert.equal(selected(), formatDate(labels.at(-2)));
+});
+
+test('H and L jump to the highest and lowest week in the range', async () => {
+  const rows = await texas();
+  const values = rows.map(d => Number(d.cost_to_income));
+  await open('?state=tx&range=all&view=single');
+
+  page.press('h');
+  assert.equal(selected(), formatDate(rows[values.indexOf(Math.max(...values))].date));
+  assert.match(spoken(), /^Highest in range\. /);
+  page.press('L');
+  assert.equal(selected(), formatDate(rows[values.indexOf(Math.min(...values))].date));
+  assert.match(spoken(), /^Lowest in range\. /);
+});
+
+test('an embed tells the host page about every selection', async () => {
+  const rows = await texas();
+  const messages = [];
+  const parent = { postMessage: message => messages.push(message) };
+  await open('?state=tx&range=all&embed=1', {
+    setup: window => Object.defineProperty(window, 'parent', { value: parent }),
+  });
+  const selections = () => messages.filter(m => m.type === 'affordability:select').map(m => m.date);
+
+  page.press('Home');
+  page.press('ArrowRight');
+  page.press('End');
+  page.press('L');
+  const chart = page.chart();
+  chart.options.onClick({ native: {} }, [{ index: 3 }], chart);
+  page.$('calloutsPanel').open = true;
+  page.$('calloutsPanel').dispatchEvent(new page.window.Event('toggle'));
+  page.$('calloutsList').querySelector('[data-kind="recordHigh"]').click();
+  const values = rows.map(d => Number(d.cost_to_income));
+  assert.deepEqual(selections(), [
+    rows[0].date,
+    rows[1].date,
+    rows.at(-1).date,
+    rows[values.indexOf(Math.min(...values))].date,
+    rows[3].date,
+    rows[values.indexOf(Math.max(...values))].date,
+  ]);
+  assert.equal(messages.at(-1).state, 'TX');
+  assert.equal(messages.at(-1).index, values.indexOf(Math.max(...values)));
+});
+
+test('number keys switch views and brackets step through ranges', async () => {
+  await open('?state=tx&range=all');
+
+  page.press('2');
+  assert.ok(page.$('btnSingle').classList.contains('active'));
+  assert.match(page.window.location.search, /view=single/);
+  assert.equal(spoken(), 'Single Earner view');
+
+  page.press('5');
+  assert.ok(page.$('btnSingle').classList.contains('active'), 'Rent vs Buy is hidden without rent data');
+
+  page.press(']');
+  assert.match(page.window.location.search, /range=ytd/);
+  assert.match(spoken(), /^Range Year to date: /);
+  page.press('[');
+  page.press('[');
+  assert.match(page.window.location.search, /range=5y/);
+});
+
+test('the data table pages through the range and follows the selection', async () => {
+  const rows = await texas();
+  await open('?state=tx&range=1y');
+  page.$('dataTablePanel').open = true;
+  page.$('dataTablePanel').dispatchEvent(new page.window.Event('toggle'));
+
+  const bodyRows = () => page.$('dataTable').querySelectorAll('tbody tr');
+  assert.equal(bodyRows().length, 1);
+  const current = () => page.$('dataTable').querySelector('tr[aria-current="true"] th').textContent;
+  assert.equal(current(), formatDate(rows.at(-1).date));
+  assert.match(page.$('tablePageStatus').textContent, /^Page 3 of 3: weeks 53-53 of 53$/);
+  assert.equal(page.$('btnTableNext').disabled, true);
+
+  page.$('btnTablePrev').click();
+  assert.equal(bodyRows().length, 26);
+  assert.match(page.$('tablePageStatus').textContent, /^Page 2 of 3/);
+  const week = bodyRows()[0].querySelector('button');
+  week.click();
+  assert.equal(selected(), week.textContent);
+  assert.equal(current(), week.textContent);
+  assert.equal(page.document.activeElement.textContent, week.textContent);
+
+  page.press('Home');
+  assert.match(page.$('tablePageStatus').textContent, /^Page 1 of 3/);
+  assert.equal(current(), formatDate(rows.at(-53).date));
+});
+
+test('Play Trend is disabled where Web Audio is missing', async () => {
+  await open('?state=tx');
+  assert.equal(page.$('btnPlayTrend').disabled, true);
+  page.press('p');
+  assert.doesNotMatch(spoken(), /^Playing/);
+});
+
+test('P plays the visible range and stops it again', async () => {
+  const contexts = [];
+  // Records what the page schedules; no sound is made
+  class FakeAudioContext {
+    constructor() {
+      this.currentTime = 0;
+      this.destination = {};
+      this.closed = false;
+      this.scheduled = [];
+      contexts.push(this);
+    }
+
+    createOscillator() {
+      const param = () => ({ setValueAtTime: (value, at) => this.scheduled.push([value, at]) });
+      return { frequency: param(), connect: node => node, start() {}, stop() {} };
+    }
+
+    createGain() {
+      return { gain: { setValueAtTime() {} }, connect: node => node };
+    }
+
+    close() {
+      this.closed = true;
+    }
+  }
+  await open('?state=tx&range=1y&view=single', { setup: window => { window.AudioContext = FakeAudioContext; } });
+
+  page.press('p');
+  assert.equal(contexts.length, 1);
+  assert.equal(contexts[0].scheduled.length, 53);
+  assert.match(spoken(), /^Playing Single Earner Price-to-Income from .+ Higher pitch is less affordable\.$/);
+  assert.equal(page.$('btnPlayTrend').getAttribute('aria-pressed'), 'true');
+
+  page.$('btnPlayTrend').click();
+  assert.equal(contexts[0].closed, true);
+  assert.equal(page.$('btnPlayTrend').textContent, 'Play Trend');
+});
+
+test('the callouts panel lists the records and jumps to them', async () => {
+  // The fixture's weeks never turn, so give them a 30% run-up and back
+  // that peaks before the last year
+  const json = await readFixture('TX.json');
+  json.single_costs.forEach((d, i) => {
+    const bump = 1 + 0.3 * Math.max(0, 1 - Math.abs(i - 5) / 3);
+    d.cost_to_income = (Number(d.cost_to_income) * bump).toFixed(2);
+  });
+  const rows = json.single_costs;
+  const values = rows.map(d => Number(d.cost_to_income));
+  const high = values.indexOf(Math.max(...values));
+  page = await openPage({ search: '?state=tx&range=1y&view=single' });
+  page.server.serve('data/TX.json', json);
+  await page.waitFor(() => /Last updated/.test(page.$('updateInfo').textContent));
+  await page.settle();
+  page.$('calloutsPanel').open = true;
+  page.$('calloutsPanel').dispatchEvent(new page.window.Event('toggle'));
+
+  assert.match(page.$('calloutsTrend').textContent, /^Trending (up|down) since /);
+  const item = kind => page.$('calloutsList').querySelector(`[data-kind="${kind}"]`);
+  assert.equal(Number(item('recordHigh').dataset.index), high);
+  assert.ok(Number(item('rangeLow').dataset.index) >= rows.length - 53);
+  assert.equal(Number(item('peak').dataset.index), high, 'the run-up is a turn');
+
+  item('recordHigh').click();
+  assert.match(page.window.location.search, /range=all/, 'the chart widens to show the week');
+  assert.equal(selected(), formatDate(rows[high].date));
+  assert.match(spoken(), /^Record high\. /);
+  assert.equal(item('recordHigh').getAttribute('aria-current'), 'true');
+  assert.equal(page.document.activeElement, item('recordHigh'));
+  assert.deepEqual(page.errors, []);
+});
+
+test('chart labels for the callouts can be turned off', async () => {
+  await open('?state=tx');
+  const toggle = page.$('showCalloutsToggle');
+  assert.equal(toggle.checked, true);
+  toggle.checked = false;
+  toggle.dispatchEvent(new page.window.Event('change'));
+  assert.equal(page.window.localStorage.getItem('showCallouts'), 'off');
+  await page.close();
+
+  await open('?state=tx', { storage: { showCallouts: 'off' } });
+  assert.equal(page.$('showCalloutsToggle').checked, false);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { createRepository, REPO_RETRY_ATTEMPTS } from '../js/repository.js';
+import { readFixture } from './helpers/page.js';
+
+const urlFor = code => `data/${code}.json`;
+
+// A fetch answering each request with the next of `responses` (a JSON
+// body, an HTTP status, or a function of the request headers), recording
+// what was asked for
+const stubFetch = (...responses) => {
+  const requests = [];
+  const fetch = async (url, { headers = {} } = {}) => {
+    requests.push({ url, headers });
+    let next = responses.length > 1 ? responses.shift() : responses[0];
+    if (typeof next === 'function') next = next(headers);
+    if (typeof next === 'number') return new Response(null, { status: next });
+    return new Response(JSON.stringify(next), { headers: { ETag: `"${next.metadata.generated_at}"` } });
+  };
+  return { fetch, requests };
+};
+
+// Runs the retry backoff's timers at once, returning the delays asked for
+const instantTimers = t => {
+  const waits = [];
+  const realSetTimeout = globalThis.setTimeout;
+  globalThis.setTimeout = (fn, ms) => {
+    waits.push(ms);
+    return realSetTimeout(fn, 0);
+  };
+  t.after(() => { globalThis.setTimeout = realSetTimeout; });
+  return waits;
+};
+
+const withGeneratedAt = (json, generated_at) => ({ ...json, metadata: { ...json.metadata, generated_at } });
+
+test('a market is fetched once and then served from memory', async () => {
+  const tx = await readFixture('TX.json');
+  const { fetch, requests } = stubFetch(tx);
+  const repository = createRepository({ urlFor, fetch });
+
+  const [a, b] = await Promise.all([repository.get('TX'), repository.get('TX')]);
+  assert.deepEqual(a, tx);
+  assert.equal(a, b, 'callers share the request in flight');
+  assert.equal(await repository.get('TX'), a);
+  assert.deepEqual(requests.map(r => r.url), ['data/TX.json']);
+});
+
+test('a 4xx is final and carries its status', async () => {
+  const { fetch, requests } = stubFetch(404);
+  const repository = createRepository({ urlFor, fetch });
+  await assert.rejects(repository.get('WY'), { status: 404 });
+  assert.equal(requests.length, 1);
+});
+
+test('a 5xx is retried with backoff, then given up on', async t => {
+  const waits = instantTimers(t);
+  const tx = await readFixture('TX.json');
+  const flaky = stubFetch(503, tx);
+  assert.deepEqual(await createRepository({ urlFor, fetch: flaky.fetch }).get('TX'), tx);
+  assert.equal(flaky.requests.length, 2);
+
+  const down = stubFetch(503);
+  await assert.rejects(createRepository({ urlFor, fetch: down.fetch }).get('TX'), { status: 503 });
+  assert.equal(down.requests.length, REPO_RETRY_ATTEMPTS);
+  assert.deepEqual(waits, [1000, 1000, 2000]);
+});
+
+test('a stored copy is served at once and replaced when a newer file is found', async () => {
+  const indexedDB = new IDBFactory();
+  const old = withGeneratedAt(await readFixture('TX.json'), '2026-01-01T00:00:00Z');
+  const first = createRepository({ urlFor, fetch: stubFetch(old).fetch, indexedDB });
+  await first.get('TX');
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  const fresh = withGeneratedAt(old, '2026-02-01T00:00:00Z');
+  const { fetch, requests } = stubFetch(fresh);
+  const second = createRepository({ urlFor, fetch, indexedDB });
+  const updates = [];
+  second.onUpdate((code, json) => updates.push([code, json.metadata.generated_at]));
+
+  assert.equal((await second.get('TX')).metadata.generated_at, old.metadata.generated_at);
+  await second.settled();
+  assert.equal(requests[0].headers['If-None-Match'], `"${old.metadata.generated_at}"`);
+  assert.deepEqual(updates, [['TX', fresh.metadata.generated_at]]);
+  assert.equal((await second.get('TX')).metadata.generated_at, fresh.metadata.generated_at);
+});
+
+test('a stored copy that still matches is kept without an update', async () => {
+  const indexedDB = new IDBFactory();
+  const tx = await readFixture('TX.json');
+  await createRepository({ urlFor, fetch: stubFetch(tx).fetch, indexedDB }).get('TX');
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  const { fetch, requests } = stubFetch(headers => (headers['If-None-Match'] ? 304 : tx));
+  const repository = createRepository({ urlFor, fetch, indexedDB });
+  const updates = [];
+  repository.onUpdate(code => updates.push(code));
+  assert.deepEqual(await repository.get('TX'), tx);
+  await repository.settled();
+  assert.equal(requests.length, 1);
+  assert.deepEqual(updates, []);
+});
+
+test('an offline check keeps serving the stored copy', async t => {
+  const indexedDB = new IDBFactory();
+  const tx = await readFixture('TX.json');
+  await createRepository({ urlFor, fetch: stubFetch(tx).fetch, indexedDB }).get('TX');
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  instantTimers(t);
+  const offline = async () => { throw new TypeError('Failed to fetch'); };
+  const repository = createRepository({ urlFor, fetch: offline, indexedDB });
+  assert.deepEqual(await repository.get('TX'), tx);
+  await repository.settled();
+  assert.deepEqual(await repository.get('TX'), tx);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toneSequence } from '../js/sonify.js';
+
+const range = { maxNotes: 4, low: 200, high: 800 };
+
+test('the lowest value plays the low pitch and the highest the high one', () => {
+  const notes = toneSequence([5, 6, 7], range);
+  assert.equal(notes.length, 3);
+  assert.equal(notes[0], 200);
+  assert.equal(Math.round(notes[1]), 400);
+  assert.equal(notes[2], 800);
+});
+
+test('long series are averaged down to maxNotes', () => {
+  const notes = toneSequence([1, 1, 2, 2, 3, 3, 4, 4], range);
+  assert.equal(notes.length, 4);
+  assert.ok(notes.every((note, i) => i === 0 || note > notes[i - 1]));
+});
+
+test('gaps are rests and a flat series sits mid-range', () => {
+  assert.deepEqual(toneSequence([3, null, 3], range), [400, null, 400]);
+  assert.deepEqual(toneSequence([null, null], range), []);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { movingAverage, seriesStats, percentileOf, attributeRatioChange } from '../js/stats.js';
+import { totalCost } from '../js/mortgage.js';
+import { DEFAULT_SCENARIO } from '../js/config.js';
+
+const row = (home_price, mortgage_rate, single_income) => ({ home_price, mortgage_rate, single_income });
+const ratio = (d, scenario = DEFAULT_SCENARIO) =>
+  totalCost(d.home_price, Number(d.mortgage_rate), scenario) / d.single_income;
+const sum = parts => Object.values(parts).reduce((total, v) => total + v, 0);
+
+test('movingAverage waits for a full window', () => {
+  assert.deepEqual(movingAverage([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  assert.deepEqual(movingAverage([4, 6], 1), [4, 6]);
+});
+
+test('seriesStats is the population mean and deviation', () => {
+  assert.deepEqual(seriesStats([2, 4, 4, 4, 5, 5, 7, 9]), { mean: 5, sd: 2 });
+});
+
+test('percentileOf counts strictly lower weeks', () => {
+  assert.equal(percentileOf([1, 2, 2, 3], 2), 25);
+  assert.equal(percentileOf([1, 2, 2, 3], 1), 0);
+  assert.equal(percentileOf([1, 2, 2, 3], 4), 100);
+});
+
+test('the parts of a ratio change add up to the whole change', () => {
+  const a = row(250000, '3.10', 52000);
+  const b = row(320000, '6.80', 61000);
+  const parts = attributeRatioChange(a, b, DEFAULT_SCENARIO);
+  assert.deepEqual(Object.keys(parts), ['price', 'rate', 'income']);
+  assert.ok(Math.abs(sum(parts) - (ratio(b) - ratio(a))) < 1e-9);
+  assert.ok(parts.price > 0 && parts.rate > 0 && parts.income < 0);
+
+  const scenario = { ...DEFAULT_SCENARIO, down: 20, term: 15 };
+  const withScenario = attributeRatioChange(a, b, scenario);
+  assert.ok(Math.abs(sum(withScenario) - (ratio(b, scenario) - ratio(a, scenario))) < 1e-9);
+});
+
+test('an input that did not move gets none of the change', () => {
+  const parts = attributeRatioChange(row(250000, '6.00', 52000), row(300000, '6.00', 52000), DEFAULT_SCENARIO);
+  assert.equal(parts.rate, 0);
+  assert.equal(parts.income, 0);
+  assert.ok(parts.price > 0);
+});
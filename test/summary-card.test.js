@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CARD_SIZES,
+  describeSources,
+  describeCaveats,
+  buildSummaryCard,
+  paintSummaryCard,
+  summaryCardSvg,
+} from '../js/summary-card.js';
+import { readFixture } from './helpers/page.js';
+
+const theme = {
+  colors: { bg: '#fff', card: '#eee', text: '#111', secondary: '#666', muted: '#999', accent: '#f90' },
+  fonts: { body: 'sans-serif', mono: 'monospace' },
+};
+// Every character half the font size wide
+const textWidth = (value, font) => value.length * parseFloat(font.split(' ')[1]) * 0.5;
+
+const card = (overrides = {}) =>
+  buildSummaryCard({
+    size: 'social',
+    title: 'Texas',
+    subtitle: 'Cost-to-income ratio, Jan 4, 2024 to Feb 27, 2025',
+    figures: [{ label: 'Ratio', value: '5.12x' }, { label: 'Price', value: '$312,000' }],
+    legend: [{ label: 'Single earner', color: '#c00', dash: [] }, { label: 'Projection', color: null, dash: [6, 4] }],
+    notes: ['Dashed segments are interpolated.', 'Sources: FRED MORTGAGE30US (mortgage rates)'],
+    credit: 'https://example.org/',
+    chartImage: { src: 'data:image/png;base64,AAAA', width: 800, height: 400 },
+    theme,
+    textWidth,
+    ...overrides,
+  });
+
+const texts = ({ items }) => items.filter(item => item.type === 'text').map(item => item.text);
+
+test('sources list the file\'s series plus CPI and rent when in use', async () => {
+  const { data_sources: sources } = (await readFixture('TX.json')).metadata;
+  const text = describeSources(sources);
+  assert.match(text, /^Sources: BLS CES0500000011 \(earnings\) · FRED TXUCSFRCONDOSMSAMID/);
+  assert.match(text, /BLS QCEW 2024 state wage multiplier 1\.012$/);
+  assert.doesNotMatch(text, /inflation|rent/);
+  assert.match(describeSources(sources, { cpiSeries: 'CUUR0000SA0', rent: true }), /BLS CPI-U CUUR0000SA0 \(inflation\) · Zillow ZORI \(rent\)$/);
+});
+
+test('caveats count the file\'s dashed weeks and flag the selected one', async () => {
+  const { metadata } = await readFixture('TX.json');
+  assert.match(describeCaveats(metadata, { observed: true }), /43/);
+  assert.match(describeCaveats({}, { estimated: true }), /^Dashed segments .* The selected week is estimated\.$/);
+  assert.match(describeCaveats({}, { interpolated: true }), /The selected week is interpolated\.$/);
+});
+
+test('the card fills its size with the page\'s text, footer last', () => {
+  const social = card();
+  assert.deepEqual({ width: social.width, height: social.height }, CARD_SIZES.social);
+  assert.deepEqual(social.items[0], { type: 'rect', x: 0, y: 0, ...CARD_SIZES.social, fill: theme.colors.bg });
+  const lines = texts(social);
+  assert.deepEqual(lines.slice(0, 2), ['HOME AFFORDABILITY TRACKER', 'Texas']);
+  assert.ok(lines.includes('5.12x') && lines.includes('PRICE'));
+  assert.equal(lines.at(-1), 'https://example.org/');
+
+  const footer = social.items.filter(item => item.type === 'text').at(-1);
+  assert.ok(footer.y <= social.height - 48);
+  const legend = social.items.filter(item => item.type === 'line');
+  assert.deepEqual(legend.map(line => line.color), ['#c00', theme.colors.secondary]);
+  assert.deepEqual(legend[1].dash, [6, 4]);
+});
+
+test('the chart image keeps its aspect ratio between the legend and the footer', () => {
+  for (const size of Object.keys(CARD_SIZES)) {
+    const built = card({ size });
+    const image = built.items.find(item => item.type === 'image');
+    assert.ok(Math.abs(image.width / image.height - 2) < 1e-9, size);
+    const footerTop = Math.min(...built.items.filter(item => item.type === 'text' && item.y > image.y).map(item => item.y - item.px));
+    assert.ok(image.y + image.height <= footerTop, size);
+    assert.ok(image.x >= 0 && image.x + image.width <= built.width, size);
+  }
+});
+
+test('long text wraps and wide figures shrink to their box', () => {
+  const subtitle = Array(40).fill('word').join(' ');
+  const lines = texts(card({ subtitle }));
+  assert.ok(lines.filter(line => /^word/.test(line)).length > 1);
+
+  const value = '$1,234,567 / $2,345,678 / $3,456,789';
+  const item = card({ figures: [{ label: 'Income', value }, ...Array(4).fill({ label: 'x', value: '1' })] })
+    .items.find(i => i.text === value);
+  assert.ok(item.px < 20);
+});
+
+test('the SVG has one element per item and escapes its text', () => {
+  const built = card({ title: 'Texas & <Oklahoma>' });
+  const svg = summaryCardSvg(built);
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="1200" height="630"/);
+  assert.match(svg, />Texas &amp; &lt;Oklahoma&gt;</);
+  assert.equal(svg.match(/<(rect|line|text|image) /g).length, built.items.length);
+  assert.match(svg, /stroke-dasharray="6 4"/);
+  assert.match(svg, /<image [^>]*href="data:image\/png;base64,AAAA"/);
+});
+
+test('painting draws every item onto the context', () => {
+  const calls = [];
+  const ctx = new Proxy({}, {
+    get: (target, key) => (key in target ? target[key] : (...args) => calls.push([key, ...args])),
+  });
+  const built = card();
+  const image = {};
+  paintSummaryCard(built, ctx, image);
+  const count = name => calls.filter(([key]) => key === name).length;
+  const of = type => built.items.filter(item => item.type === type).length;
+  assert.equal(count('roundRect'), of('rect'));
+  assert.equal(count('stroke'), of('line'));
+  assert.equal(count('fillText'), of('text'));
+  assert.deepEqual(calls.find(([key]) => key === 'drawImage').slice(0, 2), ['drawImage', image]);
+});
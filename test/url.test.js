@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolveState,
+  resolveCompareStates,
+  parseCustomHousehold,
+  parseRatePoints,
+  parseCustomRange,
+  readUrlParams,
+  isAnyFilterNonDefault,
+  buildQuery,
+} from '../js/url.js';
+
+// The app state fields buildQuery reads, as init() fills them from the URL
+const stateFrom = params => ({
+  currentState: params.state,
+  currentRange: params.range,
+  customRange: params.customRange,
+  currentView: params.view,
+  yAxisZero: params.yaxis === 'zero',
+  currentMetric: params.metric,
+  compareStates: params.compare,
+  customHousehold: params.household,
+  realBase: params.real,
+  solver: params.solver,
+  projection: params.projection,
+  overlays: params.overlays,
+  quality: params.quality,
+  leaderboardSort: params.sort,
+  scenario: params.scenario,
+  locale: params.lang ?? 'en',
+});
+
+const roundTrip = query => buildQuery(stateFrom(readUrlParams(`?${query}`)));
+
+test('an empty query gives the defaults', () => {
+  const params = readUrlParams('');
+  assert.equal(params.state, 'ALL');
+  assert.equal(params.range, '2y');
+  assert.equal(params.view, 'both');
+  assert.equal(params.metric, 'ratio');
+  assert.deepEqual(params.compare, []);
+  assert.equal(params.solver, null);
+  assert.equal(params.projection, null);
+  assert.equal(isAnyFilterNonDefault(stateFrom(params)), false);
+});
+
+test('resolveState accepts any case and maps US to ALL', () => {
+  assert.equal(resolveState('tx'), 'TX');
+  assert.equal(resolveState('us'), 'ALL');
+  assert.equal(resolveState('zz'), 'ALL');
+  assert.equal(resolveState(null), 'ALL');
+});
+
+test('resolveCompareStates drops unknown codes, duplicates and the primary', () => {
+  assert.deepEqual(resolveCompareStates('ca,zz,tx,CA,us', 'TX'), ['CA', 'ALL']);
+  assert.deepEqual(resolveCompareStates('ca,ny,fl,wa,or,az', 'TX'), ['CA', 'NY', 'FL', 'WA']);
+});
+
+test('scenario values are clamped and unknown terms fall back', () => {
+  const { scenario } = readUrlParams('?down=150&term=25&tax=-1&ins=1200&pmi=abc');
+  assert.deepEqual(scenario, { down: 100, term: 30, tax: 0, insurance: 1200, pmi: 0 });
+});
+
+test('income wins over a multiplier', () => {
+  assert.deepEqual(parseCustomHousehold('85000', '2'), { mode: 'income', value: 85000 });
+  assert.deepEqual(parseCustomHousehold(null, '2'), { mode: 'multiplier', value: 2 });
+  assert.deepEqual(parseCustomHousehold('abc', '2'), { mode: 'multiplier', value: 2 });
+  assert.equal(parseCustomHousehold(null, null), null);
+});
+
+test('rate points are validated and sorted by year', () => {
+  assert.deepEqual(parseRatePoints('3:5.5,1:6.25,9:4,2:50,x'), [[1, 6.25], [3, 5.5]]);
+});
+
+test('a custom range needs a valid, increasing pair', () => {
+  assert.deepEqual(parseCustomRange('2020-01-02', null), { from: '2020-01-02', to: null });
+  assert.equal(parseCustomRange('2021-01-01', '2020-01-01'), null);
+  assert.equal(parseCustomRange('soon', 'later'), null);
+});
+
+test('buildQuery always writes state, range, view and yaxis', () => {
+  assert.equal(roundTrip(''), 'state=all&range=2y&view=both&yaxis=auto');
+});
+
+test('canonical queries survive a round trip unchanged', () => {
+  [
+    'state=tx&range=5y&view=single&yaxis=zero',
+    'state=ca&range=all&from=2018-01-04&to=2022-06-30&view=both&yaxis=auto',
+    'state=all&range=2y&view=custom&yaxis=auto&metric=payment&compare=ca,tx&income=85000',
+    'state=ny&range=1y&view=household&yaxis=auto&real=2020-01&solve=rate&target=2019-01-03&series=household',
+    'state=fl&range=2y&view=both&yaxis=auto&proj=5&pgrowth=1&rpath=custom&rpoints=1:6.25,3:5.5',
+    'state=tx&range=ratelow&view=both&yaxis=auto&overlays=ma13,sigma&quality=marks&sort=-price',
+    'state=nm&range=2y&view=both&yaxis=auto&lang=es',
+    'state=wa&range=2y&view=both&yaxis=auto&down=20&term=15&tax=1.1&ins=1800&pmi=0.5',
+  ].forEach(query => assert.equal(roundTrip(query), query));
+});
+
+test('non-canonical queries parse the same after a round trip', () => {
+  [
+    '?state=US&compare=zz,CA,ca&range=bogus',
+    '?state=tx&income=abc&mult=2.5&sort=state',
+    '?state=tx&solve=price&target=9.5&proj=2&rpath=glide&rtarget=4',
+    '?overlays=MEAN,nope&quality=everything&from=2020-01-02',
+  ].forEach(query => {
+    const params = readUrlParams(query);
+    assert.deepEqual(readUrlParams(`?${buildQuery(stateFrom(params))}`), { ...params, at: null, embed: false });
+  });
+});
+
+test('isAnyFilterNonDefault notices any single change', () => {
+  const base = stateFrom(readUrlParams(''));
+  assert.equal(isAnyFilterNonDefault({ ...base, compareStates: ['CA'] }), true);
+  assert.equal(isAnyFilterNonDefault({ ...base, quality: 'marks' }), true);
+  assert.equal(isAnyFilterNonDefault({ ...base, scenario: { ...base.scenario, down: 20 } }), true);
+});
+
+test('lang is matched to a supported locale and only written when not English', () => {
+  assert.equal(readUrlParams('?lang=ES-mx').lang, 'es');
+  assert.equal(readUrlParams('?lang=klingon').lang, null);
+  assert.equal(roundTrip('lang=en'), 'state=all&range=2y&view=both&yaxis=auto');
+  assert.equal(isAnyFilterNonDefault(stateFrom(readUrlParams('?lang=es'))), false);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateMarket } from '../js/validate.js';
+import { readFixture } from './helpers/page.js';
+
+const errors = issues => issues.filter(issue => issue.level === 'error');
+
+test('a clean file passes through untouched', async () => {
+  const json = await readFixture('TX.json');
+  const { data, issues } = validateMarket(json);
+  assert.equal(data, json);
+  assert.deepEqual(issues, []);
+});
+
+test('rows after the first bad one are dropped from both series', async () => {
+  const json = await readFixture('TX.json');
+  json.household_costs[30].cost_to_income = 'n/a';
+  const { data, issues } = validateMarket(json);
+  assert.equal(data.single_costs.length, 30);
+  assert.equal(data.household_costs.length, 30);
+  assert.equal(errors(issues).length, 1);
+  assert.match(issues[0].message, /^Row 31 of 60 \(.+\) in the dual-income series: cost_to_income is "n\/a", not a number\. The chart stops at /);
+  assert.equal(data.metadata.series_quality, undefined, 'counts no longer match the rows');
+  assert.equal(json.single_costs.length, 60, 'the input is not modified');
+});
+
+test('dates must be real and strictly increasing', async () => {
+  const json = await readFixture('TX.json');
+  json.single_costs[10].date = json.single_costs[9].date;
+  assert.match(validateMarket(json).issues[0].message, /doesn't come after the previous row's/);
+
+  const other = await readFixture('TX.json');
+  other.single_costs[10].date = '2019-02-30';
+  assert.match(validateMarket(other).issues[0].message, /date is "2019-02-30", not a YYYY-MM-DD date/);
+});
+
+test('the two series must share dates', async () => {
+  const json = await readFixture('TX.json');
+  json.household_costs[5].date = '2025-04-18';
+  const { data, issues } = validateMarket(json);
+  assert.equal(data.single_costs.length, 5);
+  assert.match(issues[0].message, /doesn't match the dual-income series' 2025-04-18/);
+});
+
+test('values outside sane ranges are rejected', async () => {
+  const json = await readFixture('TX.json');
+  json.single_costs[20].mortgage_rate = '675';
+  const { data, issues } = validateMarket(json);
+  assert.equal(data.single_costs.length, 20);
+  assert.match(issues[0].message, /mortgage_rate is 675, outside 0–25/);
+});
+
+test('whole-dollar fields must be numbers', async () => {
+  const json = await readFixture('TX.json');
+  json.single_costs[50].home_price = '180917';
+  assert.match(validateMarket(json).issues[0].message, /home_price is "180917", not a number/);
+});
+
+test('mismatched lengths keep the shorter series', async () => {
+  const json = await readFixture('TX.json');
+  json.household_costs = json.household_costs.slice(0, 40);
+  const { data, issues } = validateMarket(json);
+  assert.equal(data.single_costs.length, 40);
+  assert.deepEqual(errors(issues), []);
+  assert.match(issues[0].message, /has 60 rows but the dual-income series has 40/);
+});
+
+test('missing metadata is a warning, not a failure', async () => {
+  const json = await readFixture('TX.json');
+  delete json.metadata;
+  const { data, issues } = validateMarket(json);
+  assert.equal(data.single_costs.length, 60);
+  assert.deepEqual(data.metadata, { generated_at: null });
+  assert.equal(issues[0].level, 'warning');
+});
+
+test('a bad timestamp or quality summary is dropped', async () => {
+  const json = await readFixture('TX.json');
+  json.metadata.generated_at = 'last Thursday';
+  json.metadata.series_quality = { observed: 'many' };
+  const { data, issues } = validateMarket(json);
+  assert.equal(data.metadata.generated_at, null);
+  assert.equal(data.metadata.series_quality, undefined);
+  assert.equal(data.metadata.state, 'TX');
+  assert.deepEqual(
+    issues.map(issue => issue.level),
+    ['warning', 'warning'],
+  );
+});
+
+test('a file with nothing drawable has no data', async () => {
+  assert.equal(validateMarket(null).data, null);
+  assert.equal(validateMarket([]).data, null);
+  assert.match(validateMarket({ single_costs: [] }).issues[0].message, /dual-income series \(household_costs\) is missing/);
+
+  const json = await readFixture('TX.json');
+  json.single_costs[1].total_cost = null;
+  const { data, issues } = validateMarket(json);
+  assert.equal(data, null);
+  assert.match(issues.at(-1).message, /Fewer than 2 usable rows/);
+});
@@ -18,6 +18,20 @@ HOUSEHOLD_MULTIPLIER = 1.4
 MAX_RATE_GAP_DAYS = 14
 OUTPUT_FILE = 'weekly_case_shiller_output.json'
 STATE_DATA_DIR = 'data'
+# 'rows' writes one object per entry; 'columnar' writes parallel arrays
+# (see ColumnarFormat). app.js reads either.
+OUTPUT_FORMATS = %w[rows columnar].freeze
+# CPI-U, all items, seasonally adjusted. app.js deflates dollar amounts with
+# it in "Real dollars" mode.
+CPI_SERIES = 'CPIAUCSL'
+CPI_FILE = File.join(STATE_DATA_DIR, 'cpi.json')
+# Zillow Observed Rent Index (ZORI), smoothed, all homes plus multifamily,
+# in dollars per month. Zillow publishes it as CSV downloads rather than
+# through FRED; the national series is the 'country' row of the metro file.
+# app.js reads data/rent/<STATE>.json for the Rent vs Buy view.
+ZORI_STATE_URL = 'https://files.zillowstatic.com/research/public_csvs/zori/State_zori_uc_sfrcondomfr_sm_month.csv'
+ZORI_NATIONAL_URL = 'https://files.zillowstatic.com/research/public_csvs/zori/Metro_zori_uc_sfrcondomfr_sm_month.csv'
+RENT_DATA_DIR = File.join(STATE_DATA_DIR, 'rent')
 
 # Single source of truth for all state metadata.
 # STATE_FRED_SERIES / STATE_NAMES / STATE_FIPS are derived below for callsite compatibility.
@@ -112,6 +126,9 @@ class CLIParser
         abort "Unknown state code: #{st}" unless STATE_FRED_SERIES.key?(st)
         options[:state] = st
       end
+      opts.on("--format FORMAT", OUTPUT_FORMATS, "Output layout: #{OUTPUT_FORMATS.join(' or ')} (default: rows)") do |fmt|
+        options[:format] = fmt
+      end
     end.parse!
     options
   end
@@ -201,6 +218,57 @@ class QCEWFetcher
   end
 end
 
+class ZoriFetcher
+  # Returns a hash of state code => monthly observations in the FRED shape
+  # ({ 'date' => 'YYYY-MM-01', 'value' => '1850.5' }). States missing from
+  # Zillow's files are left out.
+  def self.fetch_monthly_rents
+    codes_by_name = STATE_NAMES.invert
+    rents = {}
+
+    if (csv_data = fetch_csv(ZORI_STATE_URL))
+      CSV.parse(csv_data, headers: true).each do |row|
+        code = codes_by_name[row['RegionName']]
+        rents[code] = monthly_values(row) if code && code != 'US'
+      end
+    end
+
+    if (csv_data = fetch_csv(ZORI_NATIONAL_URL))
+      row = CSV.parse(csv_data, headers: true).find { |r| r['RegionType'] == 'country' }
+      rents['US'] = monthly_values(row) if row
+    end
+
+    rents.reject { |_, observations| observations.empty? }
+  end
+
+  def self.fetch_csv(url)
+    uri = URI(url)
+    http = Net::HTTP.new(uri.host, uri.port)
+    http.use_ssl = true
+    http.verify_mode = OpenSSL::SSL::VERIFY_PEER
+    http.open_timeout = 30
+    http.read_timeout = 120
+    response = http.get(uri.request_uri)
+    return nil unless response.code.to_i == 200 && response.body.length > 100
+    response.body
+  rescue => e
+    puts "  ⚠️  ZORI fetch error: #{sanitize_for_log(e.message)}"
+    nil
+  end
+
+  # Date columns are month ends (2024-01-31); the price series are keyed
+  # to the first of the month, so rents are too.
+  def self.monthly_values(row)
+    row.headers.grep(/\A\d{4}-\d{2}-\d{2}\z/).filter_map do |header|
+      value = strict_float(row[header], 'rent')
+      next if value.nil? || value <= 0
+      date = Date.parse(header)
+      { 'date' => Date.new(date.year, date.month, 1).strftime('%Y-%m-%d'), 'value' => value.to_s }
+    end
+  end
+  private_class_method :fetch_csv, :monthly_values
+end
+
 class DailyEstimator
   # Simple linear interpolation
   def self.linear_interpolate(v1, v2, d1, d2, target)
@@ -655,6 +723,59 @@ class MortgageCalculator
   end
 end
 
+# Packs single_costs/household_costs into parallel arrays on a shared date
+# axis. The two series only differ in income and cost_to_income, so every
+# other column is written once. Two-decimal strings become integer
+# hundredths and the observed/estimated flags become one bitfield per row.
+# decodeColumnar in app.js rebuilds entries identical to the row layout.
+module ColumnarFormat
+  VERSION = 1
+  FLAG_BITS = {
+    observed: 1,
+    estimated: 2,
+    price_estimated: 4,
+    rate_estimated: 8,
+    income_estimated: 16
+  }.freeze
+
+  def self.encode(output_data)
+    single = output_data[:single_costs]
+    household = output_data[:household_costs]
+    {
+      format: 'columnar',
+      version: VERSION,
+      flag_bits: FLAG_BITS,
+      columns: {
+        date: single.map { |e| e[:date] },
+        total_cost: single.map { |e| e[:total_cost] },
+        home_price: single.map { |e| e[:home_price] },
+        mortgage_rate: single.map { |e| hundredths(e[:mortgage_rate]) },
+        single_income: single.map { |e| e[:single_income] },
+        household_income: household.map { |e| e[:household_income] },
+        single_cost_to_income: single.map { |e| hundredths(e[:cost_to_income]) },
+        household_cost_to_income: household.map { |e| hundredths(e[:cost_to_income]) },
+        flags: single.map { |e| flags_for(e) }
+      },
+      metadata: output_data[:metadata]
+    }
+  end
+
+  def self.hundredths(str)
+    (str.to_f * 100).round
+  end
+
+  def self.flags_for(entry)
+    details = entry[:estimation_details] || {}
+    bits = 0
+    bits |= FLAG_BITS[:observed] if entry[:observed]
+    bits |= FLAG_BITS[:estimated] if entry[:estimated]
+    bits |= FLAG_BITS[:price_estimated] if details[:price_estimated]
+    bits |= FLAG_BITS[:rate_estimated] if details[:rate_estimated]
+    bits |= FLAG_BITS[:income_estimated] if details[:income_estimated]
+    bits
+  end
+end
+
 class WeeklyCaseShiller
   def run
     options = CLIParser.parse
@@ -698,6 +819,13 @@ class WeeklyCaseShiller
       puts "  #{STATE_NAMES[s]}: #{income_multipliers[s][:value]}x"
     end
 
+    puts "\n📈 Fetching CPI for inflation adjustment..."
+    write_cpi_data(fetcher)
+
+    puts "\n🏘️  Fetching Zillow Observed Rent Index..."
+    monthly_rents = ZoriFetcher.fetch_monthly_rents
+    puts "  ✓ Rent series for #{monthly_rents.length} markets"
+
     # Determine which states to generate
     states_to_generate = if options[:state]
                            [options[:state]]
@@ -711,7 +839,8 @@ class WeeklyCaseShiller
       multiplier = entry[:value]
       multiplier_source = entry[:source]
       begin
-        generate_state_data(fetcher, state_code, income_data, thursday_dates, mortgage_aligned, multiplier, qcew_year, multiplier_source)
+        generate_state_data(fetcher, state_code, income_data, thursday_dates, mortgage_aligned, multiplier, qcew_year, multiplier_source, options.fetch(:format, 'rows'))
+        write_rent_data(state_code, monthly_rents[state_code], thursday_dates)
       rescue => e
         puts "❌ Failed to generate data for #{state_code}: #{sanitize_for_log(e.message)}"
         failed_states << state_code
@@ -726,7 +855,95 @@ class WeeklyCaseShiller
 
   private
 
-  def generate_state_data(fetcher, state_code, income_data, thursday_dates, mortgage_aligned, income_multiplier, qcew_year, multiplier_source)
+  # Real-dollar mode is optional, so a CPI failure is reported but doesn't
+  # fail the run; the previous cpi.json stays in place. The workflow's
+  # freshness check only warns about a stale cpi.json for the same reason.
+  def write_cpi_data(fetcher)
+    cpi = fetcher.fetch_fred_data(CPI_SERIES)
+    observations = (cpi['observations'] || []).filter_map do |obs|
+      value = strict_float(obs['value'], 'CPI')
+      next if value.nil? || value <= 0
+      { date: obs['date'][0, 7], value: value }
+    end
+    raise 'No CPI observations returned' if observations.empty?
+
+    output_data = {
+      observations: observations,
+      metadata: {
+        generated_at: Time.now.iso8601,
+        series: CPI_SERIES,
+        source: 'BLS Consumer Price Index for All Urban Consumers (CPI-U), all items, seasonally adjusted, via FRED',
+        frequency: 'monthly',
+        date_range: { start: observations.first[:date], end: observations.last[:date] }
+      }
+    }
+
+    FileUtils.mkdir_p(STATE_DATA_DIR)
+    tmp_file = "#{CPI_FILE}.tmp"
+    File.write(tmp_file, JSON.pretty_generate(output_data))
+    File.rename(tmp_file, CPI_FILE)
+    puts "✓ CPI: #{observations.length} months (#{observations.first[:date]} to #{observations.last[:date]})"
+  rescue => e
+    puts "⚠️  Warning: CPI update failed, real-dollar mode keeps the previous file: #{sanitize_for_log(e.message)}"
+  end
+
+  # Rent is optional like CPI: a market Zillow doesn't cover, or a failed
+  # download, leaves any previous rent file in place and the dashboard
+  # shows the Rent vs Buy view as unavailable.
+  def write_rent_data(state_code, monthly_obs, thursday_dates)
+    if monthly_obs.nil? || monthly_obs.empty?
+      puts "⚠️  No ZORI rent series for #{state_code}, skipping rent file"
+      return
+    end
+
+    first_month = Date.parse(monthly_obs.first['date'])
+    rent_aligned = HomePriceEnhancer.match_thursday_dates(
+      monthly_obs,
+      thursday_dates.select { |t| t >= first_month }
+    )
+    rent_costs = rent_aligned.map do |obs|
+      entry = {
+        type: 'rent',
+        date: obs['date'],
+        monthly_rent: strict_float(obs['value'], 'rent').round,
+        observed: obs['observed'] == true
+      }
+      entry[:estimated] = true if obs['estimated']
+      entry
+    end
+
+    output_data = {
+      rent_costs: rent_costs,
+      metadata: {
+        generated_at: Time.now.iso8601,
+        state: state_code,
+        state_name: STATE_NAMES[state_code],
+        frequency: 'weekly_thursday_aligned',
+        date_range: {
+          start: rent_costs.first[:date],
+          end: rent_costs.last[:date],
+          last_actual_rent: monthly_obs.last['date']
+        },
+        source: 'Zillow Observed Rent Index (ZORI), smoothed, all homes plus multifamily',
+        methodology: {
+          rent_interpolation: 'Cubic Hermite spline through monthly values with linear fallback',
+          rent_estimation: 'Trend-only estimation based on 6-month growth rate',
+          date_alignment: 'All data points aligned to MORTGAGE30US Thursday release dates'
+        }
+      }
+    }
+
+    FileUtils.mkdir_p(RENT_DATA_DIR)
+    output_file = File.join(RENT_DATA_DIR, "#{state_code}.json")
+    tmp_file = "#{output_file}.tmp"
+    File.write(tmp_file, JSON.pretty_generate(output_data))
+    File.rename(tmp_file, output_file)
+    puts "✅ Rent written to #{output_file} (#{rent_costs.length} points, last actual #{monthly_obs.last['date']})"
+  rescue => e
+    puts "⚠️  Warning: rent update failed for #{state_code}: #{sanitize_for_log(e.message)}"
+  end
+
+  def generate_state_data(fetcher, state_code, income_data, thursday_dates, mortgage_aligned, income_multiplier, qcew_year, multiplier_source, format = 'rows')
     series_id = STATE_FRED_SERIES[state_code]
     state_name = STATE_NAMES[state_code]
     puts "\n" + "=" * 60
@@ -841,7 +1058,11 @@ class WeeklyCaseShiller
     end
 
     tmp_file = "#{output_file}.tmp"
-    File.write(tmp_file, JSON.pretty_generate(output_data))
+    if format == 'columnar'
+      File.write(tmp_file, JSON.generate(ColumnarFormat.encode(output_data)))
+    else
+      File.write(tmp_file, JSON.pretty_generate(output_data))
+    end
     File.rename(tmp_file, output_file)
 
     puts "✅ Data written to #{output_file}"